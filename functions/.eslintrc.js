@@ -14,4 +14,12 @@ module.exports = {
     // Add this rule to disable the unused variable error
     "no-unused-vars": "off"
   },
+  overrides: [
+    {
+      files: ["test/**/*.js", "__mocks__/**/*.js"],
+      env: {
+        jest: true,
+      },
+    },
+  ],
 };
\ No newline at end of file
@@ -0,0 +1,142 @@
+// In-memory stand-in for firebase-admin, used by jest in place of the real
+// module. Documents live in one Map keyed by path; transactions run directly
+// against it. Call __reset() between tests that write.
+
+const documents = new Map();
+let nextId = 0;
+
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => Timestamp.now(),
+  increment: n => ({__op: 'increment', n}),
+  delete: () => ({__op: 'delete'}),
+  arrayUnion: (...values) => ({__op: 'arrayUnion', values}),
+  arrayRemove: (...values) => ({__op: 'arrayRemove', values})
+};
+
+function applyFieldValue(current, value) {
+  if (!value || !value.__op) return value;
+  switch (value.__op) {
+    case 'increment': return (current || 0) + value.n;
+    case 'arrayUnion': return [...new Set([...(current || []), ...value.values])];
+    case 'arrayRemove': return (current || []).filter(item => !value.values.includes(item));
+    default: return undefined;
+  }
+}
+
+function writeFields(target, fields) {
+  const result = {...target};
+  for (const [key, value] of Object.entries(fields)) {
+    const parts = key.split('.');
+    let node = result;
+    for (const part of parts.slice(0, -1)) {
+      node[part] = {...(node[part] || {})};
+      node = node[part];
+    }
+    const last = parts[parts.length - 1];
+    const next = applyFieldValue(node[last], value);
+    if (next === undefined) {
+      delete node[last];
+    } else {
+      node[last] = next;
+    }
+  }
+  return result;
+}
+
+function snapshot(ref) {
+  const data = documents.get(ref.path);
+  return {id: ref.id, ref, exists: data !== undefined, data: () => data};
+}
+
+function doc(path) {
+  const ref = {
+    id: path.split('/').pop(),
+    path,
+    get: async () => snapshot(ref),
+    set: async (data, options = {}) => {
+      documents.set(path, writeFields(options.merge ? documents.get(path) || {} : {}, data));
+    },
+    update: async data => {
+      if (!documents.has(path)) throw new Error(`No document to update: ${path}`);
+      documents.set(path, writeFields(documents.get(path), data));
+    },
+    delete: async () => {
+      documents.delete(path);
+    },
+    collection: name => collection(`${path}/${name}`)
+  };
+  return ref;
+}
+
+function collection(path) {
+  return {
+    path,
+    doc: id => doc(`${path}/${id || `auto${++nextId}`}`),
+    add: async data => {
+      const ref = doc(`${path}/auto${++nextId}`);
+      await ref.set(data);
+      return ref;
+    },
+    get: async () => {
+      const prefix = `${path}/`;
+      const docs = [...documents.keys()]
+        .filter(key => key.startsWith(prefix) && !key.slice(prefix.length).includes('/'))
+        .map(key => snapshot(doc(key)));
+      return {docs, empty: docs.length === 0, size: docs.length};
+    }
+  };
+}
+
+const firestoreInstance = {
+  collection,
+  doc,
+  runTransaction: async update => update({
+    get: ref => ref.get(),
+    set: (ref, data, options) => ref.set(data, options),
+    update: (ref, data) => ref.update(data),
+    delete: ref => ref.delete()
+  })
+};
+
+const firestore = () => firestoreInstance;
+firestore.Timestamp = Timestamp;
+firestore.FieldValue = FieldValue;
+
+const authInstance = {
+  setCustomUserClaims: async () => {},
+  verifyIdToken: async () => ({})
+};
+
+module.exports = {
+  initializeApp: () => {},
+  credential: {cert: () => ({})},
+  firestore,
+  auth: () => authInstance,
+  __documents: documents,
+  __reset: () => {
+    documents.clear();
+    nextId = 0;
+  }
+};
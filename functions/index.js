@@ -13,6 +13,7 @@ const moment = require('moment');
 const axios = require('axios');
 const nodemailer = require('nodemailer');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const os = require('os');
 const { GoogleAuth } = require('google-auth-library');
@@ -43,157 +44,6 @@ function getValidSheetRowNum(rowIndex) {
   return rowIndex + 2;
 }
 
-/**
- * Simple rate limiter for API calls
- * @param {number} maxRequestsPerMinute - Maximum requests per minute
- */
-class RateLimiter {
-  constructor(maxRequestsPerMinute = 50) {
-    this.queue = [];
-    this.processing = false;
-    this.maxRequestsPerMinute = maxRequestsPerMinute;
-    this.requestsThisMinute = 0;
-    this.resetInterval = setInterval(() => {
-      this.requestsThisMinute = 0;
-      this.processQueue();
-    }, 60 * 1000); // Reset counter every minute
-  }
-  
-  /**
-   * Add a function to the rate-limited queue
-   * @param {Function} fn - Async function to execute
-   * @returns {Promise} Promise that resolves with the function result
-   */
-  async enqueue(fn) {
-    return new Promise((resolve, reject) => {
-      this.queue.push({
-        fn,
-        resolve,
-        reject
-      });
-      
-      this.processQueue();
-    });
-  }
-  
-  /**
-   * Process items in the queue respecting rate limits
-   */
-  async processQueue() {
-    if (this.processing || this.queue.length === 0) {
-      return;
-    }
-    
-    this.processing = true;
-    
-    try {
-      while (this.queue.length > 0 && this.requestsThisMinute < this.maxRequestsPerMinute) {
-        const { fn, resolve, reject } = this.queue.shift();
-        this.requestsThisMinute++;
-        
-        try {
-          const result = await fn();
-          resolve(result);
-        } catch (error) {
-          reject(error);
-        }
-        
-        // Add a small delay between requests
-        await new Promise(r => setTimeout(r, 200));
-      }
-    } finally {
-      this.processing = false;
-      
-      // If we've hit the rate limit, set a timer to continue processing
-      if (this.queue.length > 0 && this.requestsThisMinute >= this.maxRequestsPerMinute) {
-        console.log(`Rate limit reached (${this.maxRequestsPerMinute} requests per minute), pausing for a bit`);
-        setTimeout(() => this.processQueue(), 5000);
-      }
-    }
-  }
-  
-  /**
-   * Clean up the rate limiter
-   */
-  destroy() {
-    clearInterval(this.resetInterval);
-    this.queue = [];
-  }
-}
-
-const sheetsRateLimiter = new RateLimiter(40); // Limit to 40 requests per minute
-
-
-// Example of using rate limiter with batch updates:
-async function batchUpdateRowsWithRateLimit(sheetService, config, updates) {
-  if (!updates || updates.length === 0) return;
-  
-  console.log(`Performing batch update for ${updates.length} rows with rate limiting`);
-  
-  try {
-    // The processedColumnIndex from config or default to column AK (index 36)
-    const processedColumnIndex = config.processedColumnIndex !== undefined ? 
-                                config.processedColumnIndex : 36;
-    
-    // Always use column AL (index 37) for event IDs
-    const eventIdColumnIndex = 37; // Hardcoded to AL
-    
-    // Prepare batch requests for processed status
-    if (config.updateProcessedStatus !== false) {
-      const processedUpdates = updates.map(update => {
-        const sheetRowNum = getValidSheetRowNum(rowIndex);
-        const value = update.isCancelled ? "CANCELLED" : (config.processedMarker || "PROCESSED");
-        
-        return {
-          range: `${config.sheetName}!${getColumnLetter(processedColumnIndex)}${sheetRowNum}`,
-          values: [[value]]
-        };
-      });
-      
-      // Execute batch update for processed status with rate limiting
-      if (processedUpdates.length > 0) {
-        await sheetsRateLimiter.enqueue(async () => {
-          return await sheetService.spreadsheets.values.batchUpdate({
-            spreadsheetId: config.spreadsheetId,
-            resource: {
-              valueInputOption: "RAW",
-              data: processedUpdates
-            }
-          });
-        });
-        console.log(`✓ Successfully updated processed status for ${processedUpdates.length} rows`);
-      }
-    }
-    
-    // Prepare batch requests for event IDs
-    const eventIdUpdates = updates.map(update => {
-      const sheetRowNum = getValidSheetRowNum(rowIndex);
-      
-      return {
-        range: `${config.sheetName}!${getColumnLetter(eventIdColumnIndex)}${sheetRowNum}`,
-        values: [[update.eventId]]
-      };
-    });
-    
-    // Execute batch update for event IDs with rate limiting
-    if (eventIdUpdates.length > 0) {
-      await sheetsRateLimiter.enqueue(async () => {
-        return await sheetService.spreadsheets.values.batchUpdate({
-          spreadsheetId: config.spreadsheetId,
-          resource: {
-            valueInputOption: "RAW",
-            data: eventIdUpdates
-          }
-        });
-      });
-      console.log(`✓ Successfully stored event IDs for ${eventIdUpdates.length} rows`);
-    }
-  } catch (error) {
-    console.error(`❌ Error in batch update: ${error.message}`);
-    console.error(error);
-  }
-}
-
 /**
  * Process multiple rows in a batch to avoid API quota limits
  * @param {Object} sheetService - The Google Sheets API service
@@ -206,12 +56,10 @@ async function batchUpdateRows(sheetService, config, updates) {
   console.log(`Performing batch update for ${updates.length} rows`);
   
   try {
-    // The processedColumnIndex from config or default to column AK (index 36)
-    const processedColumnIndex = config.processedColumnIndex !== undefined ? 
-                                config.processedColumnIndex : 36;
-    
-    // Always use column AL (index 37) for event IDs
-    const eventIdColumnIndex = 37; // Hardcoded to AL
+    // Processed marker and event ID columns come from the column mapping
+    const columns = resolveColumnMapping(config);
+    const processedColumnIndex = columns.processed;
+    const eventIdColumnIndex = columns.eventId;
     
     // FIXED: This code now properly uses the rowIndex from the update object
     // Prepare batch requests for processed status
@@ -270,22 +118,27 @@ async function batchUpdateRows(sheetService, config, updates) {
   }
 }
 
-function getTechnicians(row) {
+/**
+ * Extract the assigned technicians from a row
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @returns {Array} Array of technician names
+ */
+function getTechnicians(row, columns) {
   const technicians = [];
+  const { start, end } = columns.technicians;
   
-  // Columns U-AA (indices 20-26) - all 7 columns for techs
-  for (let i = 20; i <= 26; i++) {
-    if (row[i] && row[i].trim()) {
+  for (let i = start; i <= end; i++) {
+    const colLetter = getColumnLetter(i);
+    if (row[i] && String(row[i]).trim()) {
       // Create a fresh copy of the trimmed string to avoid reference issues
-      const techName = String(row[i].trim());
+      const techName = String(row[i]).trim();
       technicians.push(techName);
       
-      // Log every technician extraction for all columns U-AA
-      const colLetter = String.fromCharCode(85 + (i-20)); // U is 85 in ASCII
+      // Log every technician extraction for all technician columns
       console.log(`Extracted technician from column ${colLetter}: "${techName}"`);
     } else {
       // Log even empty cells in all columns
-      const colLetter = String.fromCharCode(85 + (i-20));
       console.log(`Column ${colLetter} is empty`);
     }
   }
@@ -298,17 +151,15 @@ function getTechnicians(row) {
 }
 
 function hasEventId(row, config) {
-  const eventIdColumnIndex = config.eventIdColumnIndex !== undefined ? 
-                             config.eventIdColumnIndex : 37; // Default to column AL
+  const eventIdColumnIndex = resolveColumnMapping(config).eventId;
   return row && row[eventIdColumnIndex];
 }
 
 async function logAllEventIds(sheetService, config) {
   console.log("Scanning for all event IDs in the sheet...");
   
-  // Use the configured eventIdColumnIndex or default to column AL (index 37)
-  const eventIdColumnIndex = config.eventIdColumnIndex !== undefined ? 
-                             config.eventIdColumnIndex : 37; // Default to column AL
+  // Use the event ID column from the column mapping
+  const eventIdColumnIndex = resolveColumnMapping(config).eventId;
   
   console.log(`Using column ${getColumnLetter(eventIdColumnIndex)} (index ${eventIdColumnIndex}) for event IDs`);
   
@@ -339,1473 +190,6528 @@ async function logAllEventIds(sheetService, config) {
   }
 }
 
-// Helper function for date parsing based on DD/MM/YY format
-function parseEventDate(dateStr, timeStr = "17:00") {
-  try {
-    // Parse DD/MM/YY format
-    const dateParts = dateStr.split('/');
-    if (dateParts.length !== 3) {
-      console.log("Date doesn't have 3 parts:", dateStr);
-      return null;
-    }
-    
-    const day = parseInt(dateParts[0], 10);
-    const month = parseInt(dateParts[1], 10) - 1; // 0-based month
-    const year = 2000 + parseInt(dateParts[2], 10); // Expand to 4-digit year
-    
-    // Parse HH:MM format for time
-    let hours = 17, minutes = 0;
-    if (timeStr && timeStr.includes(':')) {
-      const timeParts = timeStr.split(':');
-      hours = parseInt(timeParts[0], 10);
-      minutes = parseInt(timeParts[1], 10);
-    }
-    
-    // Create the date directly as an ISO string with the correct timezone
-    // Note: Manually creating the ISO string with timezone
-    const pad = (num) => String(num).padStart(2, '0');
-    
-    // Format: YYYY-MM-DDTHH:MM:00+02:00 (Israel Standard Time)
-    const isoDateString = `${year}-${pad(month + 1)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:00+02:00`;
-    
-    console.log(`Created date string with timezone: ${isoDateString}`);
-    return isoDateString;
-  } catch (error) {
-    console.error("Error parsing date:", error, dateStr, timeStr);
-    return null;
-  }
-}
+// ===== GOOGLE API CLIENT =====
+// Every Sheets and Calendar client is created with createSheetsClient or
+// createCalendarClient, which route each API call through callGoogleApi:
+// - Quota: calls take a slot from the per-minute quota of their API
+//   (API_QUOTAS). Slots are reserved in blocks from `apiQuotas/{api}`, so
+//   all function instances share one budget.
+// - Retries: rate-limit and transient errors are retried with jittered
+//   exponential backoff, waiting for Retry-After when the API sends one.
+// - Coalescing: single-range values.update calls to the same spreadsheet,
+//   made within SHEET_WRITE_COALESCE_MS of each other, are sent as one
+//   values.batchUpdate; each caller still gets its own update response.
+//   A batch the API refuses is sent again one write at a time, so a bad
+//   range only fails the caller that wrote it.
+
+// Requests per minute; Sheets allows 60 per user, and the service account is one user
+const API_QUOTAS = {
+  sheets: 60,
+  calendar: 500
+};
+const QUOTA_RESERVATION_SIZE = 10;
+const API_MAX_RETRIES = 5;
+const API_BACKOFF_BASE_MS = 500;
+const API_BACKOFF_MAX_MS = 32 * 1000;
+const SHEET_WRITE_COALESCE_MS = 50;
+const SHEET_WRITE_BATCH_LIMIT = 500;
+const RETRIABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+// Quota slots this instance reserved for the current minute, per API
+const quotaReservations = {};
+const pendingQuotaReservations = {};
+// Cell writes waiting to be coalesced, keyed by spreadsheet and input option
+const pendingSheetWrites = new Map();
 
 /**
- * Initialize the lastProcessedRow value
- * @param {Object} config - The user's configuration
- * @returns {number} The initialized lastProcessedRow value
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
  */
-function initializeLastProcessedRow(config) {
-  // Get last processed row ID from config
-  let lastProcessedRow = config.lastProcessedRow || 0;
-  
-  // Make sure we start at at least row 2 (index 1) to skip headers
-  if (lastProcessedRow < 2) {
-    lastProcessedRow = 2;
-    console.log("Adjusted lastProcessedRow to 2 to skip headers");
-  }
-  
-  return lastProcessedRow;
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Helper function for date/time formatting
-function formatDateTimeWithTZ(dateStr, timeStr) {
+/**
+ * Reserve a block of quota slots for the current minute
+ * @param {string} api - Key of API_QUOTAS
+ * @param {number} window - Minute number (ms since epoch / 60000)
+ * @returns {Promise<number>} Slots granted, 0 when the minute's quota is used up
+ */
+async function reserveApiQuota(api, window) {
+  let granted;
   try {
-    const dateParts = dateStr.split('/');
-    const day = parseInt(dateParts[0], 10);
-    const month = parseInt(dateParts[1], 10);
-    const year = 2000 + parseInt(dateParts[2], 10);
-    
-    const timeParts = timeStr.split(':');
-    const hours = parseInt(timeParts[0], 10);
-    const minutes = parseInt(timeParts[1], 10) || 0;
-    
-    // Format: YYYY-MM-DDTHH:MM:00+02:00 (Israel Standard Time)
-    const pad = (num) => String(num).padStart(2, '0');
-    return `${year}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:00+02:00`;
+    const quotaRef = db.collection('apiQuotas').doc(api);
+    granted = await db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(quotaRef);
+      const quota = snapshot.exists ? snapshot.data() : {};
+      const used = quota.window === window ? quota.used || 0 : 0;
+      const slots = Math.min(QUOTA_RESERVATION_SIZE, API_QUOTAS[api] - used);
+      if (slots > 0) {
+        transaction.set(quotaRef, {window, used: used + slots});
+      }
+      return Math.max(slots, 0);
+    });
   } catch (error) {
-    console.error('Error formatting date with timezone:', error);
-    // Return a default value
-    const now = new Date();
-    const pad = (num) => String(num).padStart(2, '0');
-    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}T17:00:00+02:00`;
+    // Quota bookkeeping must never stop a sync; retries still catch 429s
+    console.error(`Error reserving ${api} quota:`, error.message);
+    granted = QUOTA_RESERVATION_SIZE;
   }
-}
 
-// Helper function to convert column index to letter
-function getColumnLetter(index) {
-  let temp; let letter = "";
-  let i = index;
-  while (i >= 0) {
-    temp = i % 26;
-    letter = String.fromCharCode(temp + 65) + letter;
-    i = Math.floor(i / 26) - 1;
-  }
-  return letter;
+  const reservation = quotaReservations[api];
+  quotaReservations[api] = {
+    window,
+    available: (reservation && reservation.window === window ? reservation.available : 0) + granted
+  };
+  return granted;
 }
 
-// ===== FIREBASE EVENT TRACKING HELPERS =====
-// These functions manage event tracking in Firebase instead of the spreadsheet
-// to prevent accidental deletion and provide more reliable tracking
-
 /**
- * Save event tracking data to Firebase
- * @param {string} userId - User ID
- * @param {number} rowIndex - 0-based row index in the data array
- * @param {string} eventId - Calendar event ID
- * @param {string} status - Status: PROCESSED, CANCELLED, UPDATED, etc.
- * @param {Object} eventData - Additional event data (title, date, location, etc.)
+ * Take one quota slot, waiting for the next minute when the quota is used up
+ * @param {string} api - Key of API_QUOTAS
+ * @returns {Promise<void>}
  */
-async function saveEventTracking(userId, rowIndex, eventId, status, eventData = {}) {
-  try {
-    const sheetRow = rowIndex + 2; // Convert to actual sheet row number
-    const trackingData = {
-      eventId: eventId,
-      status: status,
-      sheetRow: sheetRow,
-      rowIndex: rowIndex,
-      title: eventData.title || '',
-      date: eventData.date || '',
-      location: eventData.location || '',
-      lastSync: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
+async function acquireApiQuota(api) {
+  for (;;) {
+    const window = Math.floor(Date.now() / 60000);
+    const reservation = quotaReservations[api];
+    if (reservation && reservation.window === window && reservation.available > 0) {
+      reservation.available--;
+      return;
+    }
 
-    // Create or update the tracking document
-    const docRef = db.collection('eventTracking')
-      .doc(userId)
-      .collection('events')
-      .doc(`row_${rowIndex}`);
+    // Concurrent calls share one reservation request
+    if (!pendingQuotaReservations[api]) {
+      pendingQuotaReservations[api] = reserveApiQuota(api, window).finally(() => {
+        delete pendingQuotaReservations[api];
+      });
+    }
+    const granted = await pendingQuotaReservations[api];
 
-    const doc = await docRef.get();
-    if (!doc.exists) {
-      trackingData.createdAt = admin.firestore.FieldValue.serverTimestamp();
+    if (granted === 0) {
+      const wait = (window + 1) * 60000 - Date.now() + Math.random() * 1000;
+      console.log(`${api} quota of ${API_QUOTAS[api]} requests per minute reached, waiting ${Math.round(wait / 1000)}s`);
+      await sleep(wait);
     }
+  }
+}
 
-    await docRef.set(trackingData, { merge: true });
-    console.log(`✓ Saved event tracking for row ${sheetRow} (rowIndex: ${rowIndex})`);
+/**
+ * HTTP status of a failed API call
+ * @param {Error} error - Error thrown by a googleapis call
+ * @returns {number|string|undefined} The status, or the network error code
+ */
+function getApiErrorStatus(error) {
+  return error.response ? error.response.status : error.code;
+}
 
+/**
+ * Whether a failed API call may succeed when retried
+ * @param {Error} error - Error thrown by a googleapis call
+ * @returns {boolean} True for rate limits, server errors and dropped connections
+ */
+function isRetriableApiError(error) {
+  const status = getApiErrorStatus(error);
+  if (status === 429 || (typeof status === 'number' && status >= 500)) {
     return true;
-  } catch (error) {
-    console.error(`Error saving event tracking for row ${rowIndex}:`, error.message);
-    return false;
   }
+  if (status === 403) {
+    const reason = error.errors && error.errors[0] ? error.errors[0].reason : '';
+    return reason === 'rateLimitExceeded' || reason === 'userRateLimitExceeded';
+  }
+  return RETRIABLE_NETWORK_ERRORS.includes(error.code);
 }
 
 /**
- * Get event tracking data from Firebase
- * @param {string} userId - User ID
- * @param {number} rowIndex - 0-based row index in the data array
- * @returns {Object|null} Event tracking data or null if not found
+ * How long to wait before retrying a failed call
+ * @param {Error} error - Error thrown by a googleapis call
+ * @param {number} attempt - Retries made so far
+ * @returns {number} Milliseconds to wait
  */
-async function getEventTracking(userId, rowIndex) {
-  try {
-    const docRef = db.collection('eventTracking')
-      .doc(userId)
-      .collection('events')
-      .doc(`row_${rowIndex}`);
+function getRetryDelay(error, attempt) {
+  const retryAfter = error.response && error.response.headers ? error.response.headers['retry-after'] : null;
+  if (retryAfter) {
+    // Retry-After is either a number of seconds or an HTTP date
+    const delay = isNaN(retryAfter) ? Date.parse(retryAfter) - Date.now() : Number(retryAfter) * 1000;
+    if (delay >= 0) {
+      return Math.min(delay, API_BACKOFF_MAX_MS * 2);
+    }
+  }
+  // Full jitter keeps instances that failed together from retrying together
+  return Math.random() * Math.min(API_BACKOFF_MAX_MS, API_BACKOFF_BASE_MS * 2 ** attempt);
+}
 
-    const doc = await docRef.get();
-    if (doc.exists) {
-      return doc.data();
+/**
+ * Make an API call within the API's quota, retrying transient failures
+ * @param {string} api - Key of API_QUOTAS
+ * @param {string} method - Method path, for logging
+ * @param {Function} call - Makes the request
+ * @returns {Promise<Object>} The API response
+ */
+async function callGoogleApi(api, method, call) {
+  for (let attempt = 0; ; attempt++) {
+    await acquireApiQuota(api);
+    try {
+      return await call();
+    } catch (error) {
+      if (attempt >= API_MAX_RETRIES || !isRetriableApiError(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      console.warn(`${api} ${method} failed (${error.message}), retry ${attempt + 1} in ${Math.round(delay)}ms`);
+      await sleep(delay);
     }
-    return null;
-  } catch (error) {
-    console.error(`Error getting event tracking for row ${rowIndex}:`, error.message);
-    return null;
   }
 }
 
 /**
- * Get all event tracking data for a user
- * @param {string} userId - User ID
- * @returns {Array} Array of event tracking data with rowIndex as key
+ * Queue a single-range values.update to be sent with other writes to the same spreadsheet
+ * @param {Object} send - {batchUpdate, update}, each sending its call through callGoogleApi
+ * @param {Object} params - values.update parameters
+ * @returns {Promise<Object>} Response shaped like values.update's
  */
-async function getAllEventTracking(userId) {
-  try {
-    const snapshot = await db.collection('eventTracking')
-      .doc(userId)
-      .collection('events')
-      .get();
+function queueSheetWrite(send, params) {
+  const key = `${params.spreadsheetId}|${params.valueInputOption}`;
+  let pending = pendingSheetWrites.get(key);
+  if (!pending) {
+    pending = {writes: [], timer: null};
+    pendingSheetWrites.set(key, pending);
+    pending.timer = setTimeout(() => flushSheetWrites(key, send, params), SHEET_WRITE_COALESCE_MS);
+  }
 
-    const trackingData = {};
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      trackingData[data.rowIndex] = data;
-    });
+  return new Promise((resolve, reject) => {
+    pending.writes.push({params, resolve, reject});
+    if (pending.writes.length >= SHEET_WRITE_BATCH_LIMIT) {
+      clearTimeout(pending.timer);
+      flushSheetWrites(key, send, params);
+    }
+  });
+}
 
-    console.log(`Retrieved tracking data for ${Object.keys(trackingData).length} events`);
-    return trackingData;
+/**
+ * Send the queued writes of a spreadsheet as one values.batchUpdate
+ * A batch is all or nothing, so when it fails each write is sent on its own
+ * and only the writes that fail again reject.
+ * @param {string} key - Key of pendingSheetWrites
+ * @param {Object} send - {batchUpdate, update} from queueSheetWrite
+ * @param {Object} params - Parameters of the first queued write
+ * @returns {Promise<void>}
+ */
+async function flushSheetWrites(key, send, params) {
+  const pending = pendingSheetWrites.get(key);
+  pendingSheetWrites.delete(key);
+  const writes = pending.writes;
+
+  let response;
+  try {
+    response = await send.batchUpdate({
+      spreadsheetId: params.spreadsheetId,
+      resource: {
+        valueInputOption: params.valueInputOption,
+        data: writes.map(write => ({range: write.params.range, values: write.params.resource.values}))
+      }
+    });
   } catch (error) {
-    console.error('Error getting all event tracking:', error.message);
-    return {};
+    if (writes.length === 1) {
+      writes[0].reject(error);
+      return;
+    }
+    console.warn(`Batch of ${writes.length} cell writes failed (${error.message}), sending them one by one`);
+    await Promise.all(writes.map(write => send.update(write.params).then(write.resolve, write.reject)));
+    return;
   }
+
+  if (writes.length > 1) {
+    console.log(`Coalesced ${writes.length} cell writes into one batch update`);
+  }
+  const responses = response.data.responses || [];
+  writes.forEach((write, i) => write.resolve({...response, data: responses[i] || {}}));
 }
 
 /**
- * Delete event tracking data from Firebase
- * @param {string} userId - User ID
- * @param {number} rowIndex - 0-based row index in the data array
+ * Wrap a googleapis client so every method goes through callGoogleApi
+ * @param {Object} service - Resource object of a googleapis client
+ * @param {string} api - Key of API_QUOTAS
+ * @param {string} path - Path of the resource within the client
+ * @param {Object} extras - Methods added to the wrapped client
+ * @returns {Object} The wrapped resource
  */
-async function deleteEventTracking(userId, rowIndex) {
-  try {
-    await db.collection('eventTracking')
-      .doc(userId)
-      .collection('events')
-      .doc(`row_${rowIndex}`)
-      .delete();
+function wrapGoogleService(service, api, path = '', extras = {}) {
+  const wrapped = {};
+  return new Proxy(service, {
+    get(target, property) {
+      if (Object.prototype.hasOwnProperty.call(extras, property)) {
+        return extras[property];
+      }
+      const value = target[property];
+      if (typeof property !== 'string' || property === 'context') {
+        return value;
+      }
+      const method = path ? `${path}.${property}` : property;
+
+      if (typeof value === 'function') {
+        if (!wrapped[property]) {
+          wrapped[property] = (params, ...rest) => {
+            if (method === 'spreadsheets.values.update' && rest.length === 0 && isCoalescableWrite(params)) {
+              return queueSheetWrite({
+                batchUpdate: batchParams => callGoogleApi(api, 'spreadsheets.values.batchUpdate',
+                  () => target.batchUpdate(batchParams)),
+                update: updateParams => callGoogleApi(api, method, () => target[property](updateParams))
+              }, params);
+            }
+            // Options and callbacks are passed through untouched
+            return callGoogleApi(api, method, () => target[property](params, ...rest));
+          };
+        }
+        return wrapped[property];
+      }
 
-    console.log(`✓ Deleted event tracking for row ${rowIndex + 2} (rowIndex: ${rowIndex})`);
-    return true;
-  } catch (error) {
-    console.error(`Error deleting event tracking for row ${rowIndex}:`, error.message);
+      if (value && typeof value === 'object') {
+        if (!wrapped[property]) {
+          wrapped[property] = wrapGoogleService(value, api, method);
+        }
+        return wrapped[property];
+      }
+      return value;
+    }
+  });
+}
+
+/**
+ * Whether a values.update call can be sent as part of a batch update
+ * @param {Object} params - values.update parameters
+ * @returns {boolean} True for a plain write of values to one range
+ */
+function isCoalescableWrite(params) {
+  if (!params || !params.resource || !Array.isArray(params.resource.values)) {
     return false;
   }
+  const known = ['spreadsheetId', 'range', 'valueInputOption', 'resource'];
+  return Object.keys(params).every(key => known.includes(key));
 }
 
 /**
- * Batch save event tracking data
- * @param {string} userId - User ID
- * @param {Array} trackingUpdates - Array of {rowIndex, eventId, status, eventData} objects
+ * Create a Sheets client that respects the Sheets quota
+ * @param {Object} auth - Authorized client (JWT or GoogleAuth)
+ * @returns {Object} The wrapped sheets v4 client
  */
-async function batchSaveEventTracking(userId, trackingUpdates) {
-  try {
-    console.log(`Batch saving ${trackingUpdates.length} event tracking records...`);
+function createSheetsClient(auth) {
+  return wrapGoogleService(google.sheets({version: 'v4', auth}), 'sheets');
+}
 
-    // Firestore has a limit of 500 operations per batch
-    const batchSize = 500;
-    for (let i = 0; i < trackingUpdates.length; i += batchSize) {
-      const batch = db.batch();
-      const chunk = trackingUpdates.slice(i, i + batchSize);
+/**
+ * Create a Calendar client that respects the Calendar quota
+ * Besides the calendar v3 resources, the client has batch(operations), which
+ * runs operations through the batch endpoint (see executeCalendarBatch).
+ * @param {Object} auth - Authorized client (JWT or GoogleAuth)
+ * @returns {Object} The wrapped calendar v3 client
+ */
+function createCalendarClient(auth) {
+  return wrapGoogleService(google.calendar({version: 'v3', auth}), 'calendar', '', {
+    batch: operations => executeCalendarBatch(auth, operations)
+  });
+}
 
-      for (const update of chunk) {
-        const { rowIndex, eventId, status, eventData = {} } = update;
-        const sheetRow = rowIndex + 2;
+// ===== CALENDAR BATCH =====
+// Calendar writes for many rows are sent through the batch endpoint, up to
+// CALENDAR_BATCH_SIZE operations per multipart/mixed request, instead of one
+// round-trip per row. An operation is
+//   {method: 'insert'|'update'|'patch'|'delete', calendarId, eventId, resource, sendUpdates}
+// and its result is {ok, status, data, error, reason}, in the order of the
+// operations. A failed operation never fails the others; operations refused
+// for rate limits or server errors are sent again with backoff, like single
+// calls. CALENDAR_BATCH_ENDPOINT can point at a local fake endpoint.
+
+const CALENDAR_BATCH_SIZE = 50;
+const CALENDAR_BATCH_ENDPOINT = process.env.CALENDAR_BATCH_ENDPOINT || 'https://www.googleapis.com/batch/calendar/v3';
+const CALENDAR_BATCH_METHODS = {
+  insert: 'POST',
+  update: 'PUT',
+  patch: 'PATCH',
+  delete: 'DELETE'
+};
 
-        const docRef = db.collection('eventTracking')
-          .doc(userId)
-          .collection('events')
-          .doc(`row_${rowIndex}`);
+/**
+ * Build the HTTP request of one operation, as a part of the batch body
+ * @param {Object} operation - Calendar operation
+ * @param {number} index - Position of the operation, used as its Content-ID
+ * @returns {string} The body part, without its boundary
+ */
+function buildCalendarBatchPart(operation, index) {
+  let path = `/calendar/v3/calendars/${encodeURIComponent(operation.calendarId)}/events`;
+  if (operation.method !== 'insert') {
+    path += `/${encodeURIComponent(operation.eventId)}`;
+  }
+  if (operation.sendUpdates) {
+    path += `?sendUpdates=${operation.sendUpdates}`;
+  }
 
-        const trackingData = {
-          eventId: eventId,
-          status: status,
-          sheetRow: sheetRow,
-          rowIndex: rowIndex,
-          title: eventData.title || '',
-          date: eventData.date || '',
-          location: eventData.location || '',
-          lastSync: admin.firestore.FieldValue.serverTimestamp(),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  const lines = [
+    'Content-Type: application/http',
+    `Content-ID: <item${index}>`,
+    '',
+    `${CALENDAR_BATCH_METHODS[operation.method]} ${path} HTTP/1.1`
+  ];
+  if (operation.resource) {
+    lines.push('Content-Type: application/json', '', JSON.stringify(operation.resource));
+  } else {
+    lines.push('');
+  }
+  return lines.join('\r\n');
+}
+
+/**
+ * Parse a multipart/mixed batch response
+ * @param {string} body - Response body
+ * @param {string} contentType - Response Content-Type, which names the boundary
+ * @returns {Object} {status, data} keyed by operation index
+ */
+function parseCalendarBatchResponse(body, contentType) {
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;\s]+))/.exec(contentType || '');
+  if (!boundaryMatch) {
+    throw new Error(`Batch response has no multipart boundary (${contentType})`);
+  }
+  const boundary = boundaryMatch[1] || boundaryMatch[2];
+  const responses = {};
+
+  for (const part of body.replace(/\r\n/g, '\n').split(`--${boundary}`)) {
+    const trimmed = part.trim();
+    if (!trimmed || trimmed === '--') continue;
+
+    // Outer part headers, then the HTTP response: status line, headers and body
+    const [partHeaders, ...httpSections] = trimmed.split('\n\n');
+    const idMatch = /Content-ID:\s*<response-item(\d+)>/i.exec(partHeaders);
+    const statusMatch = /^HTTP\/[\d.]+\s+(\d+)/.exec(httpSections[0] || '');
+    if (!idMatch || !statusMatch) continue;
+
+    const json = httpSections.slice(1).join('\n\n').trim();
+    let data = null;
+    if (json) {
+      try {
+        data = JSON.parse(json);
+      } catch (parseError) {
+        data = {error: {message: json}};
+      }
+    }
+    responses[Number(idMatch[1])] = {status: Number(statusMatch[1]), data};
+  }
+  return responses;
+}
+
+/**
+ * Send up to CALENDAR_BATCH_SIZE operations as one batch request
+ * @param {Object|null} auth - Authorized client; null for a fake endpoint without auth
+ * @param {Array} entries - [{index, operation}]
+ * @param {string} endpoint - Batch endpoint URL
+ * @returns {Promise<Object>} {status, data} keyed by operation index
+ */
+async function sendCalendarBatch(auth, entries, endpoint) {
+  const boundary = `batch_${crypto.randomBytes(12).toString('hex')}`;
+  const body = entries
+    .map(({ index, operation }) => `--${boundary}\r\n${buildCalendarBatchPart(operation, index)}`)
+    .join('\r\n') + `\r\n--${boundary}--`;
+
+  // Each operation counts against the Calendar quota; callGoogleApi takes the last slot
+  for (let i = 1; i < entries.length; i++) {
+    await acquireApiQuota('calendar');
+  }
+
+  const response = await callGoogleApi('calendar', 'batch', async () => {
+    const authHeaders = auth ? await auth.getRequestHeaders() : {};
+    return axios.post(endpoint, body, {
+      headers: {
+        ...authHeaders,
+        'Content-Type': `multipart/mixed; boundary=${boundary}`
+      },
+      responseType: 'text',
+      transformResponse: data => data
+    });
+  });
+  return parseCalendarBatchResponse(response.data, response.headers['content-type']);
+}
+
+/**
+ * Run Calendar operations through the batch endpoint
+ * @param {Object|null} auth - Authorized client; null for a fake endpoint without auth
+ * @param {Array} operations - Calendar operations
+ * @param {string} endpoint - Batch endpoint URL
+ * @returns {Promise<Array>} One {ok, status, data, error, reason} per operation, in order
+ */
+async function executeCalendarBatch(auth, operations, endpoint = CALENDAR_BATCH_ENDPOINT) {
+  const results = new Array(operations.length);
+  let pending = operations.map((operation, index) => ({index, operation}));
+
+  for (let attempt = 0; pending.length > 0; attempt++) {
+    const retry = [];
+    let retryError = null;
+
+    for (let i = 0; i < pending.length; i += CALENDAR_BATCH_SIZE) {
+      const entries = pending.slice(i, i + CALENDAR_BATCH_SIZE);
+      const responses = await sendCalendarBatch(auth, entries, endpoint);
+
+      for (const entry of entries) {
+        const response = responses[entry.index] || {status: 0, data: {error: {message: 'Missing from batch response'}}};
+        const apiError = response.data && response.data.error;
+        const error = {
+          code: response.status,
+          response: {status: response.status, headers: {}},
+          errors: apiError && apiError.errors
         };
 
-        batch.set(docRef, trackingData, { merge: true });
+        if (response.status >= 200 && response.status < 300) {
+          results[entry.index] = {ok: true, status: response.status, data: response.data || {}};
+        } else if (attempt < API_MAX_RETRIES && isRetriableApiError(error)) {
+          retry.push(entry);
+          retryError = error;
+        } else {
+          results[entry.index] = {
+            ok: false,
+            status: response.status,
+            data: response.data,
+            error: apiError ? apiError.message : `HTTP ${response.status}`,
+            reason: apiError && apiError.errors && apiError.errors[0] ? apiError.errors[0].reason : null
+          };
+        }
       }
+    }
 
-      await batch.commit();
-      console.log(`✓ Committed batch ${Math.floor(i / batchSize) + 1} (${chunk.length} records)`);
+    if (retry.length > 0) {
+      const delay = getRetryDelay(retryError, attempt);
+      console.warn(`${retry.length} batched calendar operations refused, retry ${attempt + 1} in ${Math.round(delay)}ms`);
+      await sleep(delay);
     }
+    pending = retry;
+  }
 
-    console.log(`✓ Batch saved all ${trackingUpdates.length} event tracking records`);
-    return true;
-  } catch (error) {
-    console.error('Error in batch save event tracking:', error.message);
-    return false;
+  return results;
+}
+
+/**
+ * Whether a failed batch result means the event is already gone
+ * @param {Object} result - Result from executeCalendarBatch
+ * @returns {boolean} True for 404 and 410
+ */
+function isEventGone(result) {
+  return result.status === 404 || result.status === 410;
+}
+
+// ===== DATE & TIME =====
+// Every event time is built here with moment-timezone, so all sync paths give
+// the same ISO string, with the correct DST offset, for the same row. The zone
+// comes from config.timezone, or from the row's timezone column for events
+// abroad (חו"ל).
+
+const DEFAULT_TIMEZONE = 'Asia/Jerusalem';
+
+// Used when a row has no start time, and for the length of rows without an end time
+const DEFAULT_START_TIME = '17:00';
+const DEFAULT_EVENT_DURATION_HOURS = 6;
+
+// How rows with an end date are synced: one spanning event, or one event per day
+const MULTI_DAY_MODES = ['span', 'series'];
+
+// Longer ranges are almost always a typo in the end date, so they are not expanded
+const MAX_EVENT_DAYS = 14;
+
+/**
+ * Check whether a string is a known IANA timezone name
+ * @param {string} timezone - e.g. 'Europe/Berlin'
+ * @returns {boolean} Whether moment-timezone knows the zone
+ */
+function isValidTimezone(timezone) {
+  return typeof timezone === 'string' && moment.tz.zone(timezone.trim()) !== null;
+}
+
+/**
+ * Get the configuration's timezone
+ * @param {Object} config - The user's configuration
+ * @returns {string} IANA timezone name
+ */
+function getConfigTimezone(config) {
+  const timezone = config && config.timezone;
+  return isValidTimezone(timezone) ? timezone.trim() : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get the timezone a row's event takes place in
+ * Rows abroad can name their zone in the timezone column; everything else
+ * uses the configuration's timezone.
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {string} IANA timezone name
+ */
+function getRowTimezone(row, columns, config) {
+  const rowTimezone = String(getCell(row, columns, 'timezone')).trim();
+  if (rowTimezone) {
+    if (isValidTimezone(rowTimezone)) {
+      return rowTimezone;
+    }
+    console.warn(`Unknown timezone "${rowTimezone}", using ${getConfigTimezone(config)}`);
   }
+  return getConfigTimezone(config);
 }
 
-// Helper functions for custom date/time handling
-function getStartDateTime(row, dateIndex) {
-  const dateStr = row[dateIndex]; // Date is in column B (index 1)
-  const timeValue = row[9] ? row[9] : '17:00'; // Time from column J
-  
-  // Get formatted ISO string with timezone
-  const isoDateString = parseEventDate(dateStr, timeValue);
-  if (isoDateString) {
-    return isoDateString; // Already in correct format with timezone
+// Sheets serial numbers count days from this date
+const SHEETS_EPOCH = { year: 1899, month: 12, day: 30 };
+
+// Start time values meaning "not decided yet"; such rows become all-day events
+const TIME_PLACEHOLDERS = ['tbd', 'tba', '?', 'טרם נקבע', 'לא ידוע'];
+
+/**
+ * Parse a sheet date into its parts
+ * Accepts DD/MM/YY, DD/MM/YYYY, dotted or dashed separators, and Sheets
+ * serial numbers (read with valueRenderOption UNFORMATTED_VALUE).
+ * @param {string|number} value - The date cell
+ * @returns {Object|null} {year, month (1-12), day}, or null if invalid
+ */
+function parseSheetDate(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 1) {
+      return null;
+    }
+    return addDaysToParts(SHEETS_EPOCH, Math.floor(value));
   }
-  
-  // Fallback with default timezone
-  const now = new Date();
-  const tomorrow = new Date(now);
-  tomorrow.setDate(now.getDate() + 1);
+
+  const match = String(value || '').trim().match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})$/);
+  if (!match) {
+    return null;
+  }
+
+  const day = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  const year = match[3].length === 2 ? 2000 + parseInt(match[3], 10) : parseInt(match[3], 10);
+
+  if (!moment({ year, month: month - 1, date: day }).isValid()) {
+    return null;
+  }
+  return { year, month, day };
+}
+
+/**
+ * Format date parts the way the sheet writes them
+ * @param {Object} dateParts - {year, month, day}
+ * @returns {string} DD/MM/YY
+ */
+function formatSheetDate(dateParts) {
   const pad = (num) => String(num).padStart(2, '0');
-  return `${tomorrow.getFullYear()}-${pad(tomorrow.getMonth() + 1)}-${pad(tomorrow.getDate())}T17:00:00+02:00`;
+  return `${pad(dateParts.day)}/${pad(dateParts.month)}/${pad(dateParts.year % 100)}`;
 }
 
-function getEndDateTime(row, dateIndex) {
-  const dateStr = row[dateIndex]; // Date is in column B (index 1)
-  const timeValue = row[10] ? row[10] : '20:00'; // Time from column K
-  
-  // Get formatted ISO string with timezone
-  const isoDateString = parseEventDate(dateStr, timeValue);
-  if (isoDateString) {
-    return isoDateString; // Already in correct format with timezone
+/**
+ * Parse a time cell
+ * Accepts HH:MM, HH:MM:SS, HH.MM and Sheets day fractions (0.75 = 18:00).
+ * @param {string|number} value - The time cell
+ * @returns {Object|null} {hours, minutes}, or null if invalid
+ */
+function parseTimeOfDay(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) {
+      return null;
+    }
+    const totalMinutes = Math.round((value % 1) * 24 * 60) % (24 * 60);
+    return { hours: Math.floor(totalMinutes / 60), minutes: totalMinutes % 60 };
   }
-  
-  // Fallback with default timezone
-  const now = new Date();
-  const tomorrow = new Date(now);
-  tomorrow.setDate(now.getDate() + 1);
+
+  const match = String(value || '').trim().match(/^(\d{1,2})[:.](\d{2})(?::\d{2})?$/);
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return { hours, minutes };
+}
+
+/**
+ * Format a parsed time as HH:MM
+ * @param {Object} time - {hours, minutes}
+ * @returns {string} HH:MM
+ */
+function formatTimeOfDay(time) {
   const pad = (num) => String(num).padStart(2, '0');
-  return `${tomorrow.getFullYear()}-${pad(tomorrow.getMonth() + 1)}-${pad(tomorrow.getDate())}T20:00:00+02:00`;
+  return `${pad(time.hours)}:${pad(time.minutes)}`;
 }
 
-function parseDate(dateStr) {
-  try {
-    const parts = dateStr.split('/');
-    return new Date(2000 + parseInt(parts[2]), parseInt(parts[1]) - 1, parseInt(parts[0]));
-  } catch (e) {
-    return new Date();
+/**
+ * Parse a time range written in one cell, e.g. "17:30-23:00"
+ * @param {string} value - The time cell
+ * @returns {Object|null} {start, end} as {hours, minutes}, or null if not a range
+ */
+function parseTimeRange(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const parts = value.split(/\s*[-–]\s*/);
+  if (parts.length !== 2) {
+    return null;
   }
+
+  const start = parseTimeOfDay(parts[0]);
+  const end = parseTimeOfDay(parts[1]);
+  return start && end ? { start, end } : null;
 }
 
 /**
- * Check if a row's date is within the scanning range (today-7days to future)
- * Used by scheduled functions to only process recent and upcoming events
+ * Check whether a time cell is a placeholder such as "TBD"
+ * @param {*} value - The time cell
+ * @returns {boolean} Whether the time is not decided yet
  */
-function isWithinScanningRange(row) {
-  const dateStr = row[1]; // Date is in column B (index 1)
-  if (!dateStr) return false;
+function isTimePlaceholder(value) {
+  return typeof value === 'string' && TIME_PLACEHOLDERS.includes(value.trim().toLowerCase());
+}
 
-  try {
-    const eventDate = parseDate(dateStr);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Start of today
+/**
+ * Build a zoned moment for a wall-clock date and time
+ * @param {Object} dateParts - {year, month (1-12), day}
+ * @param {Object} time - {hours, minutes}
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} moment in the given zone
+ */
+function toZonedMoment(dateParts, time, timezone) {
+  return moment.tz({
+    year: dateParts.year,
+    month: dateParts.month - 1,
+    date: dateParts.day,
+    hour: time.hours,
+    minute: time.minutes
+  }, timezone);
+}
 
-    const sevenDaysAgo = new Date(today);
-    sevenDaysAgo.setDate(today.getDate() - 7); // 7 days ago
+/**
+ * Get today's date in a timezone as a local-midnight Date
+ * The server runs in UTC, so "today" has to be taken from the zone.
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} Midnight (server time) of the zone's current day
+ */
+function getZonedToday(timezone) {
+  const now = moment.tz(timezone);
+  return new Date(now.year(), now.month(), now.date());
+}
 
-    // Return true if event date is from 7 days ago onwards
-    return eventDate >= sevenDaysAgo;
-  } catch (e) {
-    console.log(`Error parsing date "${dateStr}": ${e.message}`);
-    return false;
+// Helper function for date parsing based on DD/MM/YY format
+function parseEventDate(dateStr, timeStr = DEFAULT_START_TIME, timezone = DEFAULT_TIMEZONE) {
+  const dateParts = parseSheetDate(dateStr);
+  const time = parseTimeOfDay(timeStr);
+  if (!dateParts || !time) {
+    console.log("Could not parse date/time:", dateStr, timeStr);
+    return null;
   }
+
+  const isoDateString = toZonedMoment(dateParts, time, timezone).format();
+  console.log(`Created date string with timezone: ${isoDateString}`);
+  return isoDateString;
 }
 
+/**
+ * Get the multi-day mode of a configuration
+ * @param {Object} config - The user's configuration
+ * @returns {string} 'span' or 'series'
+ */
+function getMultiDayMode(config) {
+  return MULTI_DAY_MODES.includes(config && config.multiDayMode) ? config.multiDayMode : 'span';
+}
 
+/**
+ * Convert a Date to date parts
+ * @param {Date} date - A Date at local midnight
+ * @returns {Object} {year, month (1-12), day}
+ */
+function dateToParts(date) {
+  return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+}
 
 /**
- * Helper function to fetch hyperlinks from Column T for specific rows
- * @param {object} sheetService - Google Sheets API service
- * @param {string} spreadsheetId - Spreadsheet ID
- * @param {string} sheetName - Sheet name
- * @param {Array} rowIndices - Array of 0-based row indices
- * @returns {Object} Map of rowIndex to hyperlink URL
+ * Shift date parts by a number of days
+ * @param {Object} dateParts - {year, month, day}
+ * @param {number} days - Days to add
+ * @returns {Object} {year, month, day}
  */
-async function fetchCoordinationSheetLinks(sheetService, spreadsheetId, sheetName, rowIndices) {
-  const hyperlinks = {};
+function addDaysToParts(dateParts, days) {
+  const shifted = moment({ year: dateParts.year, month: dateParts.month - 1, date: dateParts.day }).add(days, 'days');
+  return { year: shifted.year(), month: shifted.month() + 1, day: shifted.date() };
+}
 
-  try {
-    // Column T is index 19 (0-based), which is column "T" in A1 notation
-    // Fetch cell data with hyperlinks for Column T
-    const batchSize = 50;
-    for (let i = 0; i < rowIndices.length; i += batchSize) {
-      const batch = rowIndices.slice(i, i + batchSize);
-      const ranges = batch.map(rowIndex => {
-        const sheetRow = rowIndex + 2; // +2 for header row
-        return `${sheetName}!T${sheetRow}`;
-      });
+/**
+ * Format date parts as YYYY-MM-DD
+ * @param {Object} dateParts - {year, month, day}
+ * @returns {string} The date string
+ */
+function formatDateParts(dateParts) {
+  const pad = (num) => String(num).padStart(2, '0');
+  return `${dateParts.year}-${pad(dateParts.month)}-${pad(dateParts.day)}`;
+}
 
-      const response = await sheetService.spreadsheets.get({
-        spreadsheetId: spreadsheetId,
-        ranges: ranges,
-        fields: 'sheets(data(rowData(values(hyperlink))))'
-      });
+/**
+ * Get the days a row covers, from its date and optional end date columns
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} [dateParts] - First day, when the caller parsed the date already
+ * @returns {Object|null} {first, last, days}, or null if the row has no date
+ */
+function getEventDateRange(row, columns, dateParts = null) {
+  const first = dateParts || parseSheetDate(getCell(row, columns, 'date'));
+  if (!first) {
+    return null;
+  }
 
-      if (response.data && response.data.sheets && response.data.sheets[0].data) {
-        response.data.sheets[0].data.forEach((rangeData, idx) => {
-          if (rangeData.rowData && rangeData.rowData[0] && rangeData.rowData[0].values) {
-            const cell = rangeData.rowData[0].values[0];
-            if (cell && cell.hyperlink) {
-              const rowIndex = batch[idx];
-              hyperlinks[rowIndex] = cell.hyperlink;
-              console.log(`Found hyperlink for row ${rowIndex + 2}: ${cell.hyperlink}`);
-            }
-          }
-        });
-      }
-    }
+  const last = parseSheetDate(getCell(row, columns, 'endDate'));
+  if (!last) {
+    return { first, last: first, days: 1 };
+  }
 
-    console.log(`Fetched ${Object.keys(hyperlinks).length} coordination sheet links`);
-  } catch (error) {
-    console.error('Error fetching coordination sheet links:', error.message);
+  const days = moment(formatDateParts(last)).diff(moment(formatDateParts(first)), 'days') + 1;
+  if (days < 1 || days > MAX_EVENT_DAYS) {
+    console.warn(`Ignoring end date ${formatDateParts(last)}: ${days} days from ${formatDateParts(first)}`);
+    return { first, last: first, days: 1 };
   }
+  return { first, last, days };
+}
 
-  return hyperlinks;
+/**
+ * Read the start and end time of a row
+ * A start cell may hold a whole range ("17:30-23:00"), in which case the end
+ * column only overrides the range's end when it is filled in.
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @returns {Object} {allDay, start, end}; start/end are {hours, minutes} or null
+ */
+function getRowTimes(row, columns) {
+  const startCell = getCell(row, columns, 'startTime');
+  const endCell = getCell(row, columns, 'endTime');
+
+  if (isTimePlaceholder(startCell)) {
+    return { allDay: true, start: null, end: null };
+  }
+
+  const range = parseTimeRange(startCell);
+  if (range) {
+    return { allDay: false, start: range.start, end: parseTimeOfDay(endCell) || range.end };
+  }
+  return { allDay: false, start: parseTimeOfDay(startCell), end: parseTimeOfDay(endCell) };
 }
 
 /**
- * Enhanced helper function for description formatting with technicians
+ * Build the start/end of a row's calendar event
+ * A missing start time defaults to 17:00 and a missing end time to six hours
+ * after the start. An end at or before the start rolls over to the next day,
+ * so 20:00-02:00 ends the following night. In 'span' mode a row with an end
+ * date ends on that date; in 'series' mode this covers the first day only.
+ * A placeholder start time ("TBD") makes an all-day event. Rows without a
+ * usable date fall back to tomorrow.
  * @param {Array} row - The row data
- * @returns {string} Formatted description
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @param {Object} [dateParts] - {year, month, day}, when the caller parsed the date already
+ * @returns {Object} {start, end} as {dateTime, timeZone}, or {date} for all-day events
  */
-function formatDescription(row, coordinationSheetUrl = null) {
-  let description = '';
+function getEventTimes(row, columns, config, dateParts = null) {
+  const timeZone = getRowTimezone(row, columns, config);
+  const range = getEventDateRange(row, columns, dateParts);
+  const times = getRowTimes(row, columns);
+  const spanning = range && range.days > 1 && getMultiDayMode(config) === 'span';
+  const lastDay = spanning ? range.last : (range && range.first);
+
+  if (range && times.allDay) {
+    return {
+      start: { date: formatDateParts(range.first) },
+      end: { date: formatDateParts(addDaysToParts(lastDay, 1)) }
+    };
+  }
 
-  // Add coordination sheet with embedded hyperlink if exists (Column T - index 19)
-  if (coordinationSheetUrl) {
-    // Make "דף תיאום" itself clickable
-    description += `<a href="${coordinationSheetUrl}">דף תיאום</a>\n\n`;
-  } else if (row[19]) {
-    // If no URL but there's text, still show it
-    description += `דף תיאום: ${row[19]}\n\n`;
+  const startTime = times.start || parseTimeOfDay(DEFAULT_START_TIME);
+
+  let start;
+  if (range) {
+    start = toZonedMoment(range.first, startTime, timeZone);
+  } else {
+    console.log(`No valid date in row, defaulting to tomorrow`);
+    start = moment.tz(timeZone).add(1, 'day')
+      .set({ hour: startTime.hours, minute: startTime.minutes, second: 0, millisecond: 0 });
   }
 
-  // Add event manager (Column L - index 11)
-  const manager = row[11] || '';
-  if (manager) {
-    description += `מנהל אירוע: ${manager}\n\n`;
+  const endTime = range ? times.end : null;
+
+  let end;
+  if (endTime) {
+    end = toZonedMoment(lastDay, endTime, timeZone);
+  } else if (spanning) {
+    end = toZonedMoment(lastDay, startTime, timeZone).add(DEFAULT_EVENT_DURATION_HOURS, 'hours');
+  } else {
+    end = start.clone().add(DEFAULT_EVENT_DURATION_HOURS, 'hours');
   }
 
-  // Add technicians section with clear separation for parsing
-  description += 'טכנאים משובצים:\n';
+  if (!end.isAfter(start)) {
+    console.log(`End ${end.format()} is not after start ${start.format()}, rolling over to the next day`);
+    end.add(1, 'day');
+  }
 
-  // Get technicians from columns U-AC (indices 20-28)
-  const technicians = [];
-  for (let i = 20; i <= 28; i++) {
-    if (row[i] && row[i].trim()) {
-      technicians.push(row[i].trim());
+  return {
+    start: { dateTime: start.format(), timeZone },
+    end: { dateTime: end.format(), timeZone }
+  };
+}
+
+// ===== SHEET VALUES =====
+// Rows are read with UNFORMATTED_VALUE so date and time cells arrive as Sheets
+// serial numbers whatever their display format. normalizeSheetRows turns every
+// recognised date into DD/MM/YY and every time into HH:MM, so the rest of the
+// engine sees one format. Cells that still cannot be read are reported back
+// with a reason by getRowDateProblem instead of being skipped silently.
+
+const SHEET_READ_OPTIONS = {
+  valueRenderOption: 'UNFORMATTED_VALUE',
+  dateTimeRenderOption: 'SERIAL_NUMBER'
+};
+
+/**
+ * Normalize the date and time cells of a row in place
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @returns {Array} The same row
+ */
+function normalizeSheetRow(row, columns) {
+  if (!row) return row;
+
+  for (const field of ['date', 'endDate', 'setupDate']) {
+    const index = columns[field];
+    if (index < 0 || row[index] === undefined || row[index] === '') continue;
+
+    const dateParts = parseSheetDate(row[index]);
+    if (dateParts) {
+      row[index] = formatSheetDate(dateParts);
     }
   }
 
-  // Add each technician to the description
-  if (technicians.length > 0) {
-    for (const tech of technicians) {
-      description += `${tech}\n`;
+  const startIndex = columns.startTime;
+  const endIndex = columns.endTime;
+  const range = startIndex >= 0 ? parseTimeRange(row[startIndex]) : null;
+  if (range) {
+    row[startIndex] = formatTimeOfDay(range.start);
+    if (endIndex >= 0 && (row[endIndex] === undefined || row[endIndex] === '')) {
+      row[endIndex] = formatTimeOfDay(range.end);
     }
-  } else {
-    description += 'אין טכנאים משובצים\n';
   }
 
-  return description;
+  for (const index of [startIndex, endIndex]) {
+    if (index >= 0 && typeof row[index] === 'number') {
+      const time = parseTimeOfDay(row[index]);
+      if (time) {
+        row[index] = formatTimeOfDay(time);
+      }
+    }
+  }
+
+  return row;
 }
 
 /**
- * Enhanced helper function to compare technician lists for equality
- * @param {Array} list1 - First list of technicians
- * @param {Array} list2 - Second list of technicians
- * @returns {boolean} Whether the lists are equal
+ * Normalize every row read from the sheet
+ * @param {Array} rows - Rows from values.get
+ * @param {Object} config - The user's configuration
+ * @returns {Array} The same rows
  */
-function areTechnicianListsEqual(list1, list2) {
-  // First, normalize both lists - trim whitespace, remove empty entries
-  const normalized1 = list1.map(tech => tech.trim()).filter(tech => tech !== '');
-  const normalized2 = list2.map(tech => tech.trim()).filter(tech => tech !== '');
-  
-  // Log normalized lists for debugging
-  console.log(`Comparing technicians - normalized lists:`);
-  console.log(`List 1: ${JSON.stringify(normalized1)}`);
-  console.log(`List 2: ${JSON.stringify(normalized2)}`);
-  
-  // Check length first
-  if (normalized1.length !== normalized2.length) {
-    console.log(`Lists have different lengths: ${normalized1.length} vs ${normalized2.length}`);
-    return false;
+function normalizeSheetRows(rows, config) {
+  const columns = resolveColumnMapping(config);
+  rows.forEach(row => normalizeSheetRow(row, columns));
+  return rows;
+}
+
+/**
+ * Find the date or time problem that keeps a row from being synced
+ * Rows with an empty date column are not bookings and are not reported.
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @returns {Object|null} {code, value, message}, or null if the row is fine
+ */
+function getRowDateProblem(row, columns) {
+  const dateCell = getCell(row, columns, 'date');
+  if (dateCell === '') {
+    return null;
   }
-  
-  // Convert to sets to ignore order
-  const set1 = new Set(normalized1);
-  const set2 = new Set(normalized2);
-  
-  // If sizes differ after set conversion, there are duplicates that were counted differently
-  if (set1.size !== set2.size) {
-    console.log(`Sets have different sizes: ${set1.size} vs ${set2.size}`);
-    return false;
+
+  const first = parseSheetDate(dateCell);
+  if (!first) {
+    return { code: 'invalid-date', value: dateCell, message: `Unrecognized date "${dateCell}"` };
   }
-  
-  // Check if every element in set1 exists in set2
-  for (const tech of set1) {
-    if (!set2.has(tech)) {
-      console.log(`Technician "${tech}" exists in list 1 but not in list 2`);
-      return false;
+
+  const endDateCell = getCell(row, columns, 'endDate');
+  if (endDateCell !== '') {
+    const last = parseSheetDate(endDateCell);
+    if (!last) {
+      return { code: 'invalid-end-date', value: endDateCell, message: `Unrecognized end date "${endDateCell}"` };
+    }
+    if (formatDateParts(last) < formatDateParts(first)) {
+      return { code: 'invalid-end-date', value: endDateCell, message: `End date "${endDateCell}" is before the date` };
     }
   }
-  
-  return true;
-}
-async function checkAndUpdateEventEnhanced(
-  sheetService,
-  calendarService, 
-  config,
-  row,
-  rowIndex,
-  updatedEvents
-) {
-  const eventId = row[config.eventIdColumnIndex];
-  console.log(`\n----- ENHANCED UPDATE CHECK for Row ${rowIndex} / Event ID: ${eventId} -----`);
-  
-  // Get the existing event from the calendar
-  let existingEvent;
-  try {
-    const eventResponse = await calendarService.events.get({
-      calendarId: config.calendarId,
-      eventId: eventId
-    });
-    existingEvent = eventResponse.data;
-    console.log(`Successfully retrieved event from calendar: ${eventId}`);
-  } catch (getError) {
-    console.error(`Error getting event ${eventId}: ${getError.message}`);
-    return; // Skip if we can't get the event
+
+  const setupDateCell = getCell(row, columns, 'setupDate');
+  if (setupDateCell !== '' && !parseSheetDate(setupDateCell)) {
+    return { code: 'invalid-setup-date', value: setupDateCell, message: `Unrecognized setup date "${setupDateCell}"` };
   }
-  
-  // Get technicians from the spreadsheet row
-  console.log(`\nEXAMINING TECHNICIANS IN ROW ${rowIndex}:`);
-  console.log(`Raw row data for technician columns U-AA:`);
-  for (let i = 20; i <= 26; i++) {
-    const colLetter = String.fromCharCode(85 + (i-20)); // U is 85 in ASCII
-    console.log(`Column ${colLetter} (index ${i}): "${row[i] || '(empty)'}""`);
+
+  const startCell = getCell(row, columns, 'startTime');
+  if (startCell !== '' && !isTimePlaceholder(startCell) &&
+      !parseTimeRange(startCell) && !parseTimeOfDay(startCell)) {
+    return { code: 'invalid-start-time', value: startCell, message: `Unrecognized start time "${startCell}"` };
   }
-  
-  const sheetTechnicians = getTechnicians(row);
-  console.log(`\nTechnicians from spreadsheet (${sheetTechnicians.length}): ${sheetTechnicians.join(', ') || 'None'}`);
-  
-  // Get technicians from the calendar event
-  console.log(`\nEXAMINING TECHNICIANS IN CALENDAR EVENT:`);
-  console.log(`Event description: "${existingEvent.description || '(no description)'}"`);
-  
-  const calendarTechnicians = extractTechniciansFromDescription(existingEvent.description);
-  console.log(`Technicians from calendar (${calendarTechnicians.length}): ${calendarTechnicians.join(', ') || 'None'}`);
-  
-  // Compare the two lists
-  console.log(`\nCOMPARING TECHNICIAN LISTS:`);
-  
-  // Check if lists have the same length
-  const sameLength = sheetTechnicians.length === calendarTechnicians.length;
-  console.log(`Lists have same length? ${sameLength}`);
-  
-  // Check if all sheet technicians exist in calendar
-  const sheetTechsInCalendar = sheetTechnicians.every(tech => 
-    calendarTechnicians.some(calTech => calTech.trim() === tech.trim())
-  );
-  console.log(`All sheet technicians exist in calendar? ${sheetTechsInCalendar}`);
-  
-  // Check if all calendar technicians exist in sheet
-  const calendarTechsInSheet = calendarTechnicians.every(tech => 
-    sheetTechnicians.some(sheetTech => sheetTech.trim() === tech.trim())
-  );
-  console.log(`All calendar technicians exist in sheet? ${calendarTechsInSheet}`);
-  
-  // Technicians need update if any of these checks fail
-  const techniciansNeedUpdate = !sameLength || !sheetTechsInCalendar || !calendarTechsInSheet;
-  console.log(`CONCLUSION: Technicians need update? ${techniciansNeedUpdate}`);
-  
-  // Check for cancellation flag
-  const shouldCancel = row[18] === true || row[18] === "true" || row[18] === "TRUE";
 
-  // Define eventName before using it
-  const eventName = `${row[4] || ''} ${row[5] || ''}`.trim();
+  const endCell = getCell(row, columns, 'endTime');
+  if (endCell !== '' && !isTimePlaceholder(endCell) && !parseTimeOfDay(endCell)) {
+    return { code: 'invalid-end-time', value: endCell, message: `Unrecognized end time "${endCell}"` };
+  }
 
-  
-  // Create the new complete description with properly formatted technicians
-  const newDescription = formatDescription(row);
-  console.log(`\nNEW FORMATTED DESCRIPTION:`);
-  console.log(newDescription);
-  
-  // Prepare the updated event data
-  const updatedEventData = {
-    summary: shouldCancel ? `Canceled: ${eventName}` : eventName,
-    description: newDescription,
-    location: row[6] || '',
-    start: {
-      dateTime: getStartDateTime(row, 1),
-      timeZone: config.timezone || "Asia/Jerusalem",
-    },
-    end: {
-      dateTime: getEndDateTime(row, 1),
-      timeZone: config.timezone || "Asia/Jerusalem",
-    },
-    status: shouldCancel ? 'cancelled' : 'confirmed'
+  return null;
+}
+
+/**
+ * Like getRowDateProblem, but an empty date is a problem too. Used where
+ * the row is already expected to be an event (it has an event ID, or was
+ * picked explicitly).
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @returns {Object|null} {code, value, message}, or null if the row is fine
+ */
+function getRequiredDateProblem(row, columns) {
+  if (getCell(row, columns, 'date') === '') {
+    return { code: 'missing-date', value: '', message: 'No date' };
+  }
+  return getRowDateProblem(row, columns);
+}
+
+/**
+ * Describe a rejected row for the UI
+ * @param {Array} row - The row data
+ * @param {number} rowIndex - The row index
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} problem - Result of getRowDateProblem
+ * @returns {Object} {rowId, rowIndex, sheetRow, title, code, value, reason}
+ */
+function buildRejectedRow(row, rowIndex, columns, problem) {
+  return {
+    rowId: getRowId(row, columns) || null,
+    rowIndex,
+    sheetRow: rowIndex + 2,
+    title: getEventName(row, columns),
+    code: problem.code,
+    value: String(problem.value),
+    reason: problem.message
   };
+}
 
+// ===== SYNC SETTINGS =====
+// Per-configuration options that change how rows become events. They are
+// stored as top-level fields on the configuration document.
+
+const DEFAULT_SYNC_SETTINGS = {
+  timezone: DEFAULT_TIMEZONE,
+  multiDayMode: 'span',
+  inviteTechnicians: false,
+  sendUpdates: 'none'
+};
+
+/**
+ * Validate sync settings and return a list of problems
+ * @param {Object} settings - Map of setting name to value
+ * @returns {Array} Array of error messages, empty if the settings are valid
+ */
+function validateSyncSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return ['Sync settings must be an object'];
+  }
+
+  const problems = [];
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in DEFAULT_SYNC_SETTINGS)) {
+      problems.push(`Unknown sync setting "${key}"`);
+    } else if (key === 'timezone' && !isValidTimezone(value)) {
+      problems.push(`Unknown timezone "${value}"`);
+    } else if (key === 'multiDayMode' && !MULTI_DAY_MODES.includes(value)) {
+      problems.push(`Multi-day mode must be one of ${MULTI_DAY_MODES.join(', ')}`);
+    } else if (key === 'inviteTechnicians' && typeof value !== 'boolean') {
+      problems.push('Invite technicians must be true or false');
+    } else if (key === 'sendUpdates' && !SEND_UPDATES_OPTIONS.includes(value)) {
+      problems.push(`Send updates must be one of ${SEND_UPDATES_OPTIONS.join(', ')}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Initialize the lastProcessedRow value
+ * @param {Object} config - The user's configuration
+ * @returns {number} The initialized lastProcessedRow value
+ */
+function initializeLastProcessedRow(config) {
+  // Get last processed row ID from config
+  let lastProcessedRow = config.lastProcessedRow || 0;
   
-  // Log reasons for changes
-  const changes = [];
-  if (existingEvent.summary !== updatedEventData.summary) changes.push('summary');
-  if (existingEvent.description !== updatedEventData.description) changes.push('description');
-  if (existingEvent.location !== updatedEventData.location) changes.push('location');
-  if (existingEvent.start.dateTime !== updatedEventData.start.dateTime) changes.push('start time');
-  if (existingEvent.end.dateTime !== updatedEventData.end.dateTime) changes.push('end time');
-  if (existingEvent.status !== updatedEventData.status) changes.push('status');
-  if (techniciansNeedUpdate) changes.push('technicians');
-  
-  console.log(`\nUPDATE REQUIRED: ${changes.length > 0 ? 'YES' : 'NO'}`);
-  if (changes.length > 0) {
-    console.log(`Changes needed: ${changes.join(', ')}`);
+  // Make sure we start at at least row 2 (index 1) to skip headers
+  if (lastProcessedRow < 2) {
+    lastProcessedRow = 2;
+    console.log("Adjusted lastProcessedRow to 2 to skip headers");
   }
   
-  // If technicians need updating or any other changes are needed, update the entire event
-  if (changes.length > 0 || techniciansNeedUpdate) {
-    console.log(`\nUPDATING EVENT ${eventId} for row ${rowIndex}...`);
-    
-    try {
-      // Update the event in the calendar
-      await calendarService.events.update({
-        calendarId: config.calendarId,
-        eventId: eventId,
-        resource: updatedEventData
-      });
-      
-      console.log(`Event ${eventId} updated successfully!`);
-      
-      updatedEvents.push({
-        rowIndex,
-        eventId,
-        summary: updatedEventData.summary,
-        changes: changes,
-        action: 'updated'
-      });
-      
-      // If the event is cancelled, update the processed marker in the sheet
-      if (shouldCancel && config.processedColumnIndex !== undefined) {
-        // SPECIAL MANUAL FIX: Add +2 to rowIndex instead of +1 for the AK column
-        const processedColumnIndex = config.processedColumnIndex;
-        const specialSheetRowNum = rowIndex + 2; // Adding +2 instead of +1
-        
-        console.log(`=== CRITICAL DEBUG FOR AK COLUMN (CANCELLED) ===`);
-        console.log(`Raw rowIndex: ${rowIndex}`);
-        console.log(`MANUALLY APPLYING +2 TO ROWINDEX for CANCELLED status`);
-        console.log(`Using sheet row ${specialSheetRowNum} (rowIndex + 2) for column AK`);
-        console.log(`Regular conversion would use: ${rowIndex + 1}`);
-        console.log(`=== END CRITICAL DEBUG ===`);
-        
-        // Add event to calendar
-const calendarResponse = await calendarService.events.insert({
-  calendarId: config.calendarId,
-  resource: eventData,
-});
+  return lastProcessedRow;
+}
+
+// Helper function to convert column index to letter
+function getColumnLetter(index) {
+  let temp; let letter = "";
+  let i = index;
+  while (i >= 0) {
+    temp = i % 26;
+    letter = String.fromCharCode(temp + 65) + letter;
+    i = Math.floor(i / 26) - 1;
+  }
+  return letter;
+}
 
-console.log(`Created calendar event: ${calendarResponse.data.id}`);
+// Helper function to convert column letter to index (inverse of getColumnLetter)
+function getColumnIndex(letter) {
+  if (typeof letter !== 'string' || !/^[A-Za-z]+$/.test(letter.trim())) {
+    return -1;
+  }
 
-// Use the fixed helper function to mark as processed and store event ID
-await markRowAsProcessed(
-  sheetService,
-  config,
-  i,  // Pass the current row index
-  calendarResponse.data.id,
-  shouldCancel
-);
-        console.log(`✓ SUCCESSFULLY MARKED ROW AK${specialSheetRowNum} AS CANCELLED`);
+  let index = 0;
+  for (const char of letter.trim().toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// ===== COLUMN MAPPING =====
+// The sheet layout is stored on the configuration document as `columnMapping`,
+// a map of named fields to column letters (technicians use a "U:AA" range).
+// Any field missing from the configuration falls back to the default layout.
+
+const DEFAULT_COLUMN_MAPPING = {
+  date: 'B',           // Date (DD/MM/YY)
+  day: 'C',            // Day of week
+  eventTypeD: 'D',     // Event type detail (used for exclusions and colors)
+  eventType: 'E',      // Event type
+  title: 'F',          // Title
+  location: 'G',       // Location
+  fee: 'H',            // Fee
+  notes: 'I',          // Notes
+  startTime: 'J',      // Start time
+  endTime: 'K',        // End time
+  manager: 'L',        // Event manager
+  status: 'N',         // Status (also holds the equipment list hyperlink)
+  cancelled: 'S',      // Cancellation checkbox
+  coordinationSheet: 'T', // Coordination sheet link
+  technicians: 'U:AA', // Assigned technicians
+  processed: 'AK',     // Processed marker
+  eventId: 'AL',       // Calendar event ID
+  rowId: 'AM',         // Persistent row ID (hidden)
+  timezone: '',        // Per-row IANA timezone for events abroad (optional)
+  endDate: '',         // Last day of a multi-day event (optional)
+  setupDate: '',       // Setup day, synced as its own event (optional)
+  conflictFlag: '',    // Double-booking warnings written by the scans (optional)
+  targetCalendar: ''   // Value matched by 'column' calendar routes (optional)
+};
+
+// Fields that may be left unmapped
+const OPTIONAL_COLUMN_FIELDS = ['timezone', 'endDate', 'setupDate', 'conflictFlag', 'targetCalendar'];
+
+/**
+ * Validate a column mapping and return a list of problems
+ * @param {Object} mapping - Map of field name to column letter (or "X:Y" range for technicians)
+ * @returns {Array} Array of error messages, empty if the mapping is valid
+ */
+function validateColumnMapping(mapping) {
+  const problems = [];
+
+  if (!mapping || typeof mapping !== 'object') {
+    return ['Column mapping must be an object'];
+  }
+
+  for (const [field, value] of Object.entries(mapping)) {
+    if (!(field in DEFAULT_COLUMN_MAPPING)) {
+      problems.push(`Unknown column field "${field}"`);
+      continue;
+    }
+
+    if (!value && OPTIONAL_COLUMN_FIELDS.includes(field)) {
+      continue;
+    }
+
+    if (field === 'technicians') {
+      const [start, end = start] = String(value).split(':');
+      if (getColumnIndex(start) < 0 || getColumnIndex(end) < 0) {
+        problems.push(`Invalid technician range "${value}"`);
+      } else if (getColumnIndex(end) < getColumnIndex(start)) {
+        problems.push(`Technician range "${value}" ends before it starts`);
       }
-      
-    } catch (updateError) {
-      console.error(`Error updating event ${eventId}: ${updateError.message}`);
-      throw updateError;
+    } else if (getColumnIndex(value) < 0) {
+      problems.push(`Invalid column letter "${value}" for field "${field}"`);
     }
-  } else {
-    console.log(`No changes needed for event ${eventId}`);
   }
-  
-  console.log(`----- END OF ENHANCED UPDATE CHECK -----\n`);
+
+  return problems;
 }
 
 /**
- * Extract technicians from event description
- * @param {string} description - The event description
- * @returns {Array} Array of technician names
+ * Resolve the configuration's column mapping into 0-based column indices
+ * @param {Object} config - The user's configuration
+ * @returns {Object} Map of field name to column index; technicians is {start, end}
  */
-function extractTechniciansFromDescription(description) {
-  let technicians = [];
-  
-  if (description) {
-    try {
-      // Use a more robust approach to extract technicians
-      const parts = description.split('טכנאים משובצים:');
-      if (parts.length > 1) {
-        const techSection = parts[1];
-        // Split by newline and filter out empty lines
-        technicians = techSection.split('\n')
-          .map(line => line.trim())
-          .filter(line => line.length > 0);
-        
-        console.log(`Successfully extracted ${technicians.length} technicians from event description`);
-        if (technicians.length > 0) {
-          console.log(`Technicians from description: ${technicians.join(', ')}`);
-        }
-      } else {
-        console.log(`No technician section found in event description`);
-      }
-    } catch (error) {
-      console.error(`Error extracting technicians from description: ${error}`);
-      // Default to empty array on error
-      technicians = [];
+function resolveColumnMapping(config) {
+  const mapping = {
+    ...DEFAULT_COLUMN_MAPPING,
+    ...((config && config.columnMapping) || {})
+  };
+
+  const columns = {};
+  for (const [field, value] of Object.entries(mapping)) {
+    if (field === 'technicians') {
+      const [start, end = start] = String(value).split(':');
+      columns.technicians = {
+        start: getColumnIndex(start),
+        end: getColumnIndex(end)
+      };
+    } else {
+      columns[field] = getColumnIndex(value);
     }
-  } else {
-    console.log(`Event has no description`);
   }
-  
-  return technicians;
+
+  // Older configurations store the processed/event ID columns as indices
+  const explicit = (config && config.columnMapping) || {};
+  if (!explicit.processed && config && Number.isInteger(config.processedColumnIndex)) {
+    columns.processed = config.processedColumnIndex;
+  }
+  if (!explicit.eventId && config && Number.isInteger(config.eventIdColumnIndex)) {
+    columns.eventId = config.eventIdColumnIndex;
+  }
+
+  return columns;
 }
 
 /**
- * Check if a row is valid for processing
+ * Read a named field from a row using the resolved column mapping
  * @param {Array} row - The row data
- * @param {number} rowIndex - The row index
- * @returns {boolean} Whether the row is valid
+ * @param {Object} columns - Resolved column mapping from resolveColumnMapping
+ * @param {string} field - Field name, e.g. 'date' or 'location'
+ * @returns {*} The cell value, or an empty string if missing
  */
-function isValidRow(row, rowIndex) {
-  // Skip empty rows or rows without date
-  if (!row || !row[1]) {
-    console.log(`Skipping row ${rowIndex}: No date found`);
-    return false;
+function getCell(row, columns, field) {
+  const index = columns[field];
+  if (!row || index === undefined || index < 0 || row.length <= index) {
+    return '';
   }
-  
-  // Skip if date is not in DD/MM/YY format
-  if (!row[1].match(/^\d{1,2}\/\d{1,2}\/\d{2}$/)) {
-    console.log(`Row ${rowIndex} has no valid date in column B (format DD/MM/YY), skipping`);
-    return false;
-  }
-  
-  return true;
+  return row[index] || '';
 }
 
 /**
- * Check if a row is already processed
+ * Check whether a row is flagged as cancelled
  * @param {Array} row - The row data
- * @param {Object} config - The user's configuration
- * @returns {boolean} Whether the row is already processed
+ * @param {Object} columns - Resolved column mapping
+ * @returns {boolean} Whether the cancellation column is checked
  */
-function isAlreadyProcessed(row, config) {
-  return config.processedColumnIndex && 
-         row[config.processedColumnIndex] === config.processedMarker;
+function isRowCancelled(row, columns) {
+  const value = getCell(row, columns, 'cancelled');
+  return value === true || value === "true" || value === "TRUE";
 }
 
 /**
- * Check if a row has an excluded event type
+ * Build the event name from the event type and title columns
  * @param {Array} row - The row data
- * @returns {boolean} Whether the row has an excluded event type
+ * @param {Object} columns - Resolved column mapping
+ * @returns {string} The event name
  */
-function isExcludedEventType(row) {
-  const eventType = row[3] || '';
-  return ["הצעת מחיר", "השכרות", "אופציה", "הפקה"].includes(eventType);
+function getEventName(row, columns) {
+  return `${getCell(row, columns, 'eventType')} ${getCell(row, columns, 'title')}`.trim();
 }
 
-// ===== CLOUD FUNCTIONS =====
+/**
+ * Check whether the row's date column holds a recognisable date
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @returns {boolean} Whether the date is valid
+ */
+function hasValidDate(row, columns) {
+  return parseSheetDate(getCell(row, columns, 'date')) !== null;
+}
 
-// Add a debug function to help the admin check event IDs
-exports.debugEventIds = functions.https.onCall(async (data, context) => {
-  // Authentication checks
-  if (!context.auth) {
-    throw new functions.https.HttpsError(
-        "unauthenticated",
-        "Authentication required"
-    );
-  }
-  
-  const userId = context.auth.uid;
-  
-  try {
-    console.log("Starting event ID debug for user", userId);
-    
-    // Get user configuration
-    const configDoc = await db.collection("configurations").doc(userId).get();
-    
-    if (!configDoc.exists) {
-      throw new functions.https.HttpsError("not-found", "Configuration not found");
-    }
-    
-    const config = configDoc.data();
-    
-    // Setup API client
-    console.log("Initializing service account auth");
-    const jwtClient = new google.auth.JWT(
-      serviceAccount.client_email,
-      null,
-      serviceAccount.private_key,
-      ['https://www.googleapis.com/auth/spreadsheets']
+// ===== ROW IDENTITY =====
+// Every booking row gets a persistent ID written to a hidden column (`rowId` in
+// the column mapping). The same ID is stored on the calendar event under
+// extendedProperties.private.rowId and keys the Firestore tracking documents,
+// so sorting or inserting rows in the sheet never re-attaches an event to the
+// wrong booking.
+// IDs start with the namespace of their sheet tab (see SHEET TABS), so the
+// same ID never shows up in two tabs.
+
+const ROW_ID_HEX_LENGTH = 16;
+
+/**
+ * Generate a new row ID
+ * The tab namespace followed by lowercase hex, so it is also valid inside a
+ * Calendar event ID
+ * @param {string} [namespace] - Namespace of the row's tab
+ * @returns {string} The namespace followed by 16 hex characters
+ */
+function generateRowId(namespace = '') {
+  return `${namespace}${crypto.randomBytes(ROW_ID_HEX_LENGTH / 2).toString('hex')}`;
+}
+
+/**
+ * Check whether a row ID was generated for a tab
+ * @param {string} rowId - Row ID read from the sheet
+ * @param {string} namespace - Namespace of the tab
+ * @returns {boolean} Whether the ID is the namespace followed by 16 hex characters
+ */
+function isRowIdInNamespace(rowId, namespace) {
+  return rowId.length === namespace.length + ROW_ID_HEX_LENGTH &&
+    rowId.startsWith(namespace) &&
+    /^[0-9a-f]+$/.test(rowId.slice(namespace.length));
+}
+
+/**
+ * Read the persistent row ID from a row
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @returns {string|null} The row ID, or null if the row has none yet
+ */
+function getRowId(row, columns) {
+  const value = String(getCell(row, columns, 'rowId')).trim();
+  return value || null;
+}
+
+/**
+ * Find the current index of a row by its persistent ID
+ * @param {Array} rows - All rows from the data range
+ * @param {Object} columns - Resolved column mapping
+ * @param {string} rowId - The row ID to look for
+ * @returns {number} 0-based row index, or -1 if not found
+ */
+function findRowIndexById(rows, columns, rowId) {
+  return rows.findIndex(row => row && getRowId(row, columns) === rowId);
+}
+
+/**
+ * Choose which of several rows carrying the same ID keeps it
+ * A copied row carries its source's ID wherever it was pasted, so sheet order
+ * says nothing. The row the ID's tracked event was built from keeps it: same
+ * fingerprint first, then same title and date, then the stored row index.
+ * Without tracking the first row in sheet order keeps it.
+ * @param {Array<number>} rowIndices - Indices of the rows sharing the ID, in sheet order
+ * @param {Array} rows - All rows from the data range
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @param {Object|null} tracking - Tracking document of the ID (from getEventTracking)
+ * @returns {number} Index of the row that keeps the ID
+ */
+function pickRowIdKeeper(rowIndices, rows, columns, config, tracking) {
+  if (!tracking) return rowIndices[0];
+
+  if (tracking.rowHash) {
+    const byHash = rowIndices.find(rowIndex =>
+      computeRowHash(rows[rowIndex], columns, config) === tracking.rowHash
     );
-    
-    // Authenticate request
-    await jwtClient.authorize();
-    console.log("Service account authenticated successfully");
-    
-    // Create API client
-    const sheetService = google.sheets({version: 'v4', auth: jwtClient});
-    
-    // Get the event ID column info
-    const eventIdColumnIndex = config.eventIdColumnIndex !== undefined ? 
-                               config.eventIdColumnIndex : 37; // Default to column AL
-    
-    const columnLetter = getColumnLetter(eventIdColumnIndex);
-    
-    // Log event IDs
-    await logAllEventIds(sheetService, config);
-    
-    return {
-      success: true,
-      message: `Checked event IDs in column ${columnLetter} (index ${eventIdColumnIndex})`,
-      columnInfo: {
-        index: eventIdColumnIndex,
-        letter: columnLetter
-      }
-    };
-    
-  } catch (error) {
-    console.error("Error in debugEventIds:", error);
-    throw new functions.https.HttpsError("internal", error.message);
+    if (byHash !== undefined) return byHash;
   }
-});
 
+  const byContent = rowIndices.find(rowIndex => {
+    const row = rows[rowIndex];
+    if (getEventName(row, columns) !== tracking.title) return false;
+    try {
+      const { start } = getEventTimes(row, columns, config);
+      return (start.dateTime || start.date).slice(0, 10) === tracking.date;
+    } catch (error) {
+      return false;
+    }
+  });
+  if (byContent !== undefined) return byContent;
+
+  return rowIndices.includes(tracking.rowIndex) ? tracking.rowIndex : rowIndices[0];
+}
 
-exports.manualScan = functions.https.onCall(async (data, context) => {
-  // Authentication checks
-  if (!context.auth) {
-    throw new functions.https.HttpsError(
-        "unauthenticated",
-        "Authentication required"
-    );
+/**
+ * Assign IDs to every dated row that does not have one yet
+ * New IDs are written to the hidden row ID column in one batch request and
+ * are also set on the in-memory rows so callers can use them straight away.
+ * @param {Object} sheetService - The Google Sheets API service
+ * @param {Object} config - The user's configuration
+ * @param {Array} rows - All rows from the data range (modified in place)
+ * @param {string} [orgId] - Organization ID, used to tell a copied row from its source
+ * @returns {number} Number of rows that received a new ID
+ */
+async function ensureRowIds(sheetService, config, rows, orgId = null) {
+  const columns = resolveColumnMapping(config);
+  const namespace = getRowNamespace(config);
+  const rowsById = new Map();
+  const needsId = [];
+
+  rows.forEach((row, rowIndex) => {
+    if (!row || !getCell(row, columns, 'date')) return;
+
+    // A row copied from another tab carries an ID of that tab's namespace
+    const rowId = getRowId(row, columns);
+    if (!rowId || !isRowIdInNamespace(rowId, namespace)) {
+      needsId.push(rowIndex);
+      return;
+    }
+    if (!rowsById.has(rowId)) rowsById.set(rowId, []);
+    rowsById.get(rowId).push(rowIndex);
+  });
+
+  // A copied row carries its source's ID; every copy but the source gets a fresh one
+  for (const [rowId, rowIndices] of rowsById) {
+    if (rowIndices.length < 2) continue;
+    const tracking = orgId ? await getEventTracking(orgId, rowId) : null;
+    const keeper = pickRowIdKeeper(rowIndices, rows, columns, config, tracking);
+    console.log(`Row ID ${rowId} is on ${rowIndices.length} rows, row ${keeper} keeps it`);
+    needsId.push(...rowIndices.filter(rowIndex => rowIndex !== keeper));
   }
-  
-  const userId = context.auth.uid;
-  
-  try {
-    console.log("Starting manual scan for user", userId, "with options:", data);
-    
-    // Get user configuration
-    const configDoc = await db.collection("configurations").doc(userId).get();
-    
-    if (!configDoc.exists) {
-      throw new functions.https.HttpsError("not-found", "Configuration not found");
+
+  if (needsId.length === 0) {
+    return 0;
+  }
+
+  const assignments = needsId.sort((a, b) => a - b).map(rowIndex => {
+    const row = rows[rowIndex];
+    const rowId = generateRowId(namespace);
+    while (row.length <= columns.rowId) row.push('');
+    row[columns.rowId] = rowId;
+    return { rowIndex, rowId };
+  });
+
+  console.log(`Assigning row IDs to ${assignments.length} rows`);
+
+  const columnLetter = getColumnLetter(columns.rowId);
+  await sheetService.spreadsheets.values.batchUpdate({
+    spreadsheetId: config.spreadsheetId,
+    resource: {
+      valueInputOption: "RAW",
+      data: assignments.map(({ rowIndex, rowId }) => ({
+        range: `${config.sheetName}!${columnLetter}${getValidSheetRowNum(rowIndex)}`,
+        values: [[rowId]]
+      }))
     }
-    
-    const config = configDoc.data();
-    console.log("Found configuration:", {
+  });
+
+  await hideRowIdColumn(sheetService, config, columns);
+
+  return assignments.length;
+}
+
+/**
+ * Hide the row ID column so coordinators don't edit it by accident
+ * Failures are logged and ignored; a visible ID column still works.
+ * @param {Object} sheetService - The Google Sheets API service
+ * @param {Object} config - The user's configuration
+ * @param {Object} columns - Resolved column mapping
+ */
+async function hideRowIdColumn(sheetService, config, columns) {
+  try {
+    const spreadsheet = await sheetService.spreadsheets.get({
       spreadsheetId: config.spreadsheetId,
-      sheetName: config.sheetName, 
-      calendarId: config.calendarId,
-      lastProcessedRow: config.lastProcessedRow,
-      processedColumnIndex: config.processedColumnIndex,
-      eventIdColumnIndex: config.eventIdColumnIndex,
-      dataRange: config.dataRange
+      fields: 'sheets.properties'
     });
-    
-    // Reset lastProcessedRow if requested
-    if (data && data.resetProcessed) {
-      await db.collection("configurations").doc(userId).update({
-        lastProcessedRow: 2, // Start at row 2 (index 1) to skip header
-      });
-      console.log("Reset lastProcessedRow to 2 for user", userId);
 
-      // Update local config
-      config.lastProcessedRow = 2;
-    }
-    
-    // Use service account for authentication
-    console.log("Initializing service account auth");
-    const jwtClient = new google.auth.JWT(
-      serviceAccount.client_email,
-      null,
-      serviceAccount.private_key,
-      [
-        'https://www.googleapis.com/auth/spreadsheets',
-        'https://www.googleapis.com/auth/calendar'
-      ]
-    );
-    
-    // Authenticate request
-    await jwtClient.authorize();
-    console.log("Service account authenticated successfully");
-    
-    // Create API clients
-    const sheetService = google.sheets({version: 'v4', auth: jwtClient});
-    const calendarService = google.calendar({version: 'v3', auth: jwtClient});
-    
-    // Read from Google Sheet
-    console.log(`Reading sheet ${config.sheetName} from spreadsheet ${config.spreadsheetId}`);
-    const dataRange = config.dataRange || "A1:AZ1000"; // Default range if not specified
-    const sheetResponse = await sheetService.spreadsheets.values.get({
+    const sheet = (spreadsheet.data.sheets || [])
+      .find(s => s.properties.title === config.sheetName);
+    if (!sheet) return;
+
+    await sheetService.spreadsheets.batchUpdate({
       spreadsheetId: config.spreadsheetId,
-      range: `${config.sheetName}!${dataRange}`,
+      resource: {
+        requests: [{
+          updateDimensionProperties: {
+            range: {
+              sheetId: sheet.properties.sheetId,
+              dimension: 'COLUMNS',
+              startIndex: columns.rowId,
+              endIndex: columns.rowId + 1
+            },
+            properties: { hiddenByUser: true },
+            fields: 'hiddenByUser'
+          }
+        }]
+      }
     });
-    
-    const allRows = sheetResponse.data.values || [];
-    console.log(`Found ${allRows.length} total rows in sheet`);
-    
-    // Get last processed row ID
-    let lastProcessedRow = config.lastProcessedRow || 0;
-    
-    // Make sure we start at at least row 2 (index 1) to skip headers
-    if (lastProcessedRow < 2) {
-      lastProcessedRow = 2;
-      console.log("Adjusted lastProcessedRow to 2 to skip headers");
+  } catch (error) {
+    console.error('Error hiding row ID column:', error.message);
+  }
+}
+
+// ===== FIREBASE EVENT TRACKING HELPERS =====
+// These functions manage event tracking in Firebase instead of the spreadsheet
+// to prevent accidental deletion and provide more reliable tracking.
+// Documents are keyed by the persistent row ID; rowIndex/sheetRow only record
+// where the row was last seen.
+
+/**
+ * Build the tracking document payload
+ * @param {string} rowId - Persistent row ID
+ * @param {number} rowIndex - 0-based row index where the row was last seen
+ * @param {string} eventId - Calendar event ID
+ * @param {string} status - Status: PROCESSED, CANCELLED, UPDATED, etc.
+ * @param {Object} eventData - Additional event data (title, date, location, rowHash, etc.)
+ * @returns {Object} Tracking document data
+ */
+function buildTrackingData(rowId, rowIndex, eventId, status, eventData = {}) {
+  const trackingData = {
+    rowId: rowId,
+    eventId: eventId,
+    status: status,
+    sheetRow: rowIndex + 2, // Convert to actual sheet row number
+    rowIndex: rowIndex,
+    title: eventData.title || '',
+    date: eventData.date || '',
+    location: eventData.location || '',
+    lastSync: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  // Only overwrite the stored fingerprint when the caller computed one
+  if (eventData.rowHash) {
+    trackingData.rowHash = eventData.rowHash;
+  }
+
+  // Calendar the event lives on, so later syncs and deletes look in the right place
+  if (eventData.calendarId) {
+    trackingData.calendarId = eventData.calendarId;
+  }
+
+  // Tentative events are removed when their row stops being synced
+  if (eventData.tentative !== undefined) {
+    trackingData.tentative = eventData.tentative;
+  }
+
+  return trackingData;
+}
+
+/**
+ * Save event tracking data to Firebase
+ * @param {string} orgId - Organization ID
+ * @param {string} rowId - Persistent row ID
+ * @param {number} rowIndex - 0-based row index in the data array
+ * @param {string} eventId - Calendar event ID
+ * @param {string} status - Status: PROCESSED, CANCELLED, UPDATED, etc.
+ * @param {Object} eventData - Additional event data (title, date, location, etc.)
+ */
+async function saveEventTracking(orgId, rowId, rowIndex, eventId, status, eventData = {}) {
+  try {
+    const trackingData = buildTrackingData(rowId, rowIndex, eventId, status, eventData);
+
+    // Create or update the tracking document
+    const docRef = db.collection('eventTracking')
+      .doc(orgId)
+      .collection('events')
+      .doc(rowId);
+
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      trackingData.createdAt = admin.firestore.FieldValue.serverTimestamp();
     }
-    
-    // Check if we're at the end of the sheet
-    if (lastProcessedRow >= allRows.length) {
-      console.log("No more rows to process");
-      
-      // Create a log entry
-      const logRef = await db.collection("processingLogs").add({
-        userId,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        manualScan: true,
-        resetProcessed: data.resetProcessed || false,
-        message: "No more rows to process",
-        lastProcessedRow
-      });
-      
-      return {
-        success: false,
-        message: "No more rows to process",
-        lastProcessedRow
-      };
+
+    await docRef.set(trackingData, { merge: true });
+    console.log(`✓ Saved event tracking for row ${rowId} (sheet row ${trackingData.sheetRow})`);
+
+    return true;
+  } catch (error) {
+    console.error(`Error saving event tracking for row ${rowId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get event tracking data from Firebase
+ * @param {string} orgId - Organization ID
+ * @param {string} rowId - Persistent row ID
+ * @returns {Object|null} Event tracking data or null if not found
+ */
+async function getEventTracking(orgId, rowId) {
+  try {
+    const docRef = db.collection('eventTracking')
+      .doc(orgId)
+      .collection('events')
+      .doc(rowId);
+
+    const doc = await docRef.get();
+    if (doc.exists) {
+      return doc.data();
     }
-    
-    // Tracking for processed events
-    const processedEvents = [];
-    const updatedEvents = [];
-    const errors = [];
-    
-    // Processing a single row at a time for simpler debugging
-    // This will process the current lastProcessedRow and then advance it by one
-    console.log(`Processing row at index ${lastProcessedRow}`);
-    
-    try {
-      const row = allRows[lastProcessedRow];
-      console.log("Row data:", JSON.stringify(row));
-      
-      // Skip if row is empty or doesn't have enough data
-      if (!row || row.length < 10) {
-        console.log(`Row ${lastProcessedRow} is empty or incomplete, skipping`);
-        
-        // Update the lastProcessedRow in the configuration
-        await db.collection("configurations").doc(userId).update({
-          lastProcessedRow: lastProcessedRow + 1,
-          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        // Create a log entry
-        const logRef = await db.collection("processingLogs").add({
-          userId,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          manualScan: true,
-          message: "Row skipped: Insufficient data",
-          rowIndex: lastProcessedRow
-        });
-        
-        return {
-          success: true,
-          message: "Row skipped: Insufficient data",
-          rowIndex: lastProcessedRow,
-          advancedToNextRow: true
-        };
-      }
-      
-      // Skip if no valid date in column B (index 1)
-      if (!row[1] || !row[1].match(/^\d{1,2}\/\d{1,2}\/\d{2}$/)) {
-        console.log(`Row ${lastProcessedRow} has no valid date in column B, skipping`);
-        
-        // Update the lastProcessedRow in the configuration
-        await db.collection("configurations").doc(userId).update({
-          lastProcessedRow: lastProcessedRow + 1,
-          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        // Create a log entry
-        const logRef = await db.collection("processingLogs").add({
-          userId,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          manualScan: true,
-          message: "Row skipped: No valid date",
-          rowIndex: lastProcessedRow
-        });
-        
-        return {
-          success: true,
-          message: "Row skipped: No valid date found",
-          rowIndex: lastProcessedRow,
-          advancedToNextRow: true
-        };
-      }
-      
-      // Skip if event type is in the excluded list (column D, index 3)
-      const eventType = row[3] || '';
-      const isExcludedType = ["הצעת מחיר", "השכרות", "אופציה", "הפקה"].includes(eventType);
+    return null;
+  } catch (error) {
+    console.error(`Error getting event tracking for row ${rowId}:`, error.message);
+    return null;
+  }
+}
 
-      if (isExcludedType) {
-        console.log(`Skipping row ${lastProcessedRow} with excluded event type: ${eventType}`);
-        
-        // Update the lastProcessedRow in the configuration
-        await db.collection("configurations").doc(userId).update({
-          lastProcessedRow: lastProcessedRow + 1,
-          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        // Create a log entry
-        const logRef = await db.collection("processingLogs").add({
-          userId,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          manualScan: true,
-          message: `Row skipped: Event type "${eventType}" is excluded`,
-          rowIndex: lastProcessedRow
-        });
-        
-        return {
-          success: true,
-          message: `Row skipped: Event type "${eventType}" is excluded`,
-          rowIndex: lastProcessedRow,
-          advancedToNextRow: true
-        };
-      }
-      
-      // Check if already processed and has an event ID
-      const isProcessed = config.processedColumnIndex && 
-                         row[config.processedColumnIndex] === config.processedMarker;
-      const hasEventId = config.eventIdColumnIndex && row[config.eventIdColumnIndex];
-      console.log(`Row status: isProcessed=${isProcessed}, hasEventId=${hasEventId}`);
-      
-      // Format the event data including detailed technician list
-      const dateStr = row[1]; // Date in column B (index 1)
-      const startTime = row[9] || '17:00'; // Start time (column J)
-      const endTime = row[10] || '20:00'; // End time (column K)
-      
-      console.log(`Event date/time: ${dateStr}, ${startTime}-${endTime}`);
-      
-      // Format the technician list - enhanced version
-      console.log(`Examining technicians in row ${lastProcessedRow}:`);
-      const techniciansList = getTechnicians(row);
-      
-      // Generate complete description with technicians
-      const eventDescription = formatDescription(row);
-      console.log(`Generated description: ${eventDescription}`);
-      
-      // Prepare complete event data
-      const eventData = {
-        summary: `${row[4] || ''} ${row[5] || ''}`.trim(), // Columns E+F for event name
-        description: eventDescription, // This includes the formatted technician list
-        location: row[6] || '', // Column G for location
-        start: {
-          dateTime: formatDateTimeWithTZ(dateStr, startTime),
-          timeZone: config.timezone || "Asia/Jerusalem",
-        },
-        end: {
-          dateTime: formatDateTimeWithTZ(dateStr, endTime),
-          timeZone: config.timezone || "Asia/Jerusalem",
-        }
-      };
-      
-      // Check for cancellation flag (column S, index 18)
-      const shouldCancel = row[18] === true || row[18] === "true" || row[18] === "TRUE";
-      const eventName = `${row[4] || ''} ${row[5] || ''}`.trim();
-      
-      if (shouldCancel) {
-        console.log(`Row ${lastProcessedRow} marked for cancellation`);
-        eventData.status = 'cancelled';
-      } else {
-        eventData.status = 'confirmed';
-      }
-      
-      // If already processed with event ID, check for changes and update
-      if (isProcessed && hasEventId && !data.resetProcessed) {
-        console.log(`\n----- CHECKING FOR UPDATES TO EXISTING EVENT -----`);
-        
-        // Use the enhanced update function with fixed row handling
-        await checkAndUpdateEventEnhanced(
-          sheetService,
-          calendarService,
-          config,
-          row,
-          lastProcessedRow,
-          updatedEvents
-        );
-        
-        // Update the lastProcessedRow in the configuration to advance to next row
-        await db.collection("configurations").doc(userId).update({
-          lastProcessedRow: lastProcessedRow + 1,
-          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        return {
-          success: true,
-          message: updatedEvents.length > 0 ? "Updated existing event" : "No changes needed",
-          rowIndex: lastProcessedRow,
-          updatedEvents,
-          advancedToNextRow: true
-        };
-        
-      } else {
-        // Create a new event
-        console.log(`Creating new event for row ${lastProcessedRow}`);
-        
-        // Add event to calendar
-        const calendarResponse = await calendarService.events.insert({
-          calendarId: config.calendarId,
-          resource: eventData,
-        });
-        
-        console.log(`Created new event: ${calendarResponse.data.id}`);
-        
-        // FIXED: Use the proper functions to mark as processed and store event ID
-        // Correctly calculate the sheet row number and mark as processed
-        const rowToUpdate = lastProcessedRow; // Keep the 0-based index for function calls
-        const sheetRowNum = getValidSheetRowNum(rowToUpdate);
-        
-        console.log(`Marking row ${sheetRowNum} as processed (from index ${rowToUpdate})`);
-        
-        // Use the fixed markRowAsProcessed function
-        await markRowAsProcessed(
-          sheetService,
-          config,
-          rowToUpdate,
-          calendarResponse.data.id,
-          shouldCancel
-        );
-        
-        processedEvents.push({
-          rowIndex: lastProcessedRow,
-          eventId: calendarResponse.data.id,
-          summary: eventData.summary,
-          action: 'created'
-        });
-        
-        // Always advance to the next row
-        await db.collection("configurations").doc(userId).update({
-          lastProcessedRow: lastProcessedRow + 1,
-          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-        });
-        console.log(`Advanced to next row: ${lastProcessedRow + 1}`);
-        
-        // Log processing results
-        const logRef = await db.collection("processingLogs").add({
-          userId,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          manualScan: true,
-          processedEvents,
-          updatedEvents,
-          errors,
-          rowsScanned: 1
-        });
-        console.log(`Created log entry: ${logRef.id}`);
-        
-        return {
-          success: true,
-          message: "Created new event",
-          rowIndex: lastProcessedRow,
-          processedEvents,
-          advancedToNextRow: true
-        };
+/**
+ * Get all event tracking data for a user
+ * Legacy `row_N` documents that have not been migrated yet are skipped.
+ * @param {string} orgId - Organization ID
+ * @returns {Object} Map of row ID to event tracking data
+ */
+async function getAllEventTracking(orgId) {
+  try {
+    const snapshot = await db.collection('eventTracking')
+      .doc(orgId)
+      .collection('events')
+      .get();
+
+    const trackingData = {};
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      if (data.rowId) {
+        trackingData[data.rowId] = data;
       }
-      
-    } catch (error) {
-      console.error(`Error processing row ${lastProcessedRow}:`, error);
-      
-      // Log error
-      const logRef = await db.collection("processingLogs").add({
-        userId,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        errors: [{
-          rowIndex: lastProcessedRow,
-          error: error.message
-        }],
-        rowsScanned: 1
-      });
-      
-      return {
-        success: false,
-        message: `Error processing row: ${error.message}`,
-        rowIndex: lastProcessedRow,
-        error: error.message
-      };
-    }
+    });
+
+    console.log(`Retrieved tracking data for ${Object.keys(trackingData).length} events`);
+    return trackingData;
   } catch (error) {
-    console.error("Error in manualScan:", error);
-    throw new functions.https.HttpsError("internal", error.message);
+    console.error('Error getting all event tracking:', error.message);
+    return {};
   }
-});
+}
 
-// Debug function to process a single row
-exports.processSingleRow = functions.https.onCall(async (data, context) => {
-  // Authentication checks remain the same
-  if (!context.auth) {
-    throw new functions.https.HttpsError(
-        "unauthenticated",
-        "Authentication required",
-    );
+/**
+ * Delete event tracking data from Firebase
+ * @param {string} orgId - Organization ID
+ * @param {string} rowId - Persistent row ID
+ */
+async function deleteEventTracking(orgId, rowId) {
+  try {
+    await db.collection('eventTracking')
+      .doc(orgId)
+      .collection('events')
+      .doc(rowId)
+      .delete();
+
+    console.log(`✓ Deleted event tracking for row ${rowId}`);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting event tracking for row ${rowId}:`, error.message);
+    return false;
   }
-  
-  const userId = context.auth.uid;
-  console.log(`Processing single row for user ${userId}`);
-  
+}
+
+/**
+ * Batch save event tracking data
+ * @param {string} orgId - Organization ID
+ * @param {Array} trackingUpdates - Array of {rowId, rowIndex, eventId, status, eventData} objects
+ */
+async function batchSaveEventTracking(orgId, trackingUpdates) {
   try {
-    // Get user configuration
-    const configDoc = await db.collection("configurations").doc(userId).get();
-    
-    if (!configDoc.exists) {
-      throw new functions.https.HttpsError(
-          "not-found",
-          "Configuration not found",
-      );
-    }
-    
-    const config = configDoc.data();
-    
-    // Use service account instead of user credentials
-    console.log("Initializing service account auth");
-    
-    // Create a JWT client using service account
-    const jwtClient = new google.auth.JWT(
-      serviceAccount.client_email,
-      null,
-      serviceAccount.private_key,
-      [
-        'https://www.googleapis.com/auth/spreadsheets',
-        'https://www.googleapis.com/auth/calendar'
-      ]
-    );
-    
-    // Authenticate request
-    await jwtClient.authorize();
-    console.log("Service account authenticated successfully");
-    
-    // Create API clients
-    const sheetService = google.sheets({version: 'v4', auth: jwtClient});
-    const calendarService = google.calendar({version: 'v3', auth: jwtClient});
-    
-    // Get last processed row ID
-    let lastProcessedRow = config.lastProcessedRow || 0;
-    
-    // Make sure we start at at least row 2 (index 1) to skip headers
-    if (lastProcessedRow < 2) {
-      lastProcessedRow = 2;
-      console.log("Adjusted lastProcessedRow to 2 to skip headers");
+    console.log(`Batch saving ${trackingUpdates.length} event tracking records...`);
+
+    // Firestore has a limit of 500 operations per batch
+    const batchSize = 500;
+    for (let i = 0; i < trackingUpdates.length; i += batchSize) {
+      const batch = db.batch();
+      const chunk = trackingUpdates.slice(i, i + batchSize);
+
+      for (const update of chunk) {
+        const { rowId, rowIndex, eventId, status, eventData = {} } = update;
+
+        const docRef = db.collection('eventTracking')
+          .doc(orgId)
+          .collection('events')
+          .doc(rowId);
+
+        batch.set(docRef, buildTrackingData(rowId, rowIndex, eventId, status, eventData), { merge: true });
+      }
+
+      await batch.commit();
+      console.log(`✓ Committed batch ${Math.floor(i / batchSize) + 1} (${chunk.length} records)`);
     }
-    
-    // Read from Google Sheet
-    console.log(`Reading sheet ${config.sheetName} from spreadsheet ${config.spreadsheetId}`);
-    const sheetResponse = await sheetService.spreadsheets.values.get({
-      spreadsheetId: config.spreadsheetId,
-      range: `${config.sheetName}!${config.dataRange}`,
-    });
-    
-    const rows = sheetResponse.data.values || [];
-    console.log(`Found ${rows.length} total rows in sheet`);
-    
-    // Check if there are more rows to process
-    if (lastProcessedRow >= rows.length) {
-      return {
-        success: false, 
-        message: "No more rows to process",
-        rowIndex: lastProcessedRow
-      };
+
+    console.log(`✓ Batch saved all ${trackingUpdates.length} event tracking records`);
+    return true;
+  } catch (error) {
+    console.error('Error in batch save event tracking:', error.message);
+    return false;
+  }
+}
+
+/**
+ * One-time migration of legacy `row_N` tracking documents to row ID keys
+ * Each legacy document is matched to its sheet row by the event ID column
+ * first (the row may have moved since it was tracked) and only falls back to
+ * the recorded index when the event ID cannot be found. The calendar event
+ * gets the row ID in its extended properties as well. The migration is only
+ * marked done once every legacy document found its row, so unmatched ones are
+ * retried by the next run instead of leaving their events orphaned.
+ * @param {string} orgId - Organization ID
+ * @param {Object} config - The user's configuration
+ * @param {Object} sheetService - The Google Sheets API service
+ * @param {Object} calendarService - The Google Calendar API service
+ * @param {Array} rows - All rows from the data range, with row IDs assigned
+ * @returns {Object} Migration stats {migrated, unmatched, unmatchedDocs}
+ */
+async function migrateLegacyTracking(orgId, config, sheetService, calendarService, rows) {
+  const columns = resolveColumnMapping(config);
+  const eventsRef = db.collection('eventTracking').doc(orgId).collection('events');
+  const snapshot = await eventsRef.get();
+  const legacyDocs = snapshot.docs.filter(doc => doc.id.startsWith('row_'));
+
+  let migrated = 0;
+  const unmatchedDocs = [];
+
+  for (const doc of legacyDocs) {
+    const data = doc.data();
+
+    let rowIndex = data.eventId
+      ? rows.findIndex(row => row && row[columns.eventId] === data.eventId)
+      : -1;
+    if (rowIndex < 0 && rows[data.rowIndex] && !rows[data.rowIndex][columns.eventId]) {
+      rowIndex = data.rowIndex;
     }
-    
-    // Process just the next row
-    const rowIndex = lastProcessedRow;
-    const row = rows[rowIndex];
-    const processedEvents = [];
-    const errors = [];
-    
-    try {
-      // Skip if row is empty or doesn't have enough data
-      if (!row || row.length < 10) {
-        console.log(`Row ${rowIndex} is empty or incomplete, skipping`);
-        
-        // Update the lastProcessedRow in the configuration
-        await db.collection("configurations").doc(userId).update({
-          lastProcessedRow: lastProcessedRow + 1,
-          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        return {
-          success: true,
-          message: "Row skipped: Insufficient data",
-          rowIndex: rowIndex,
-          rowData: row,
-          advancedToNextRow: true
-        };
-      }
-      
-      // Skip if no valid date in column B (index 1)
-      if (!row[1] || !row[1].match(/^\d{1,2}\/\d{1,2}\/\d{2}$/)) {
-        console.log(`Row ${rowIndex} has no valid date in column B, skipping`);
-        
-        // Update the lastProcessedRow in the configuration
-        await db.collection("configurations").doc(userId).update({
-          lastProcessedRow: lastProcessedRow + 1,
-          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        return {
-          success: true,
-          message: "Row skipped: No valid date found",
-          rowIndex: rowIndex,
-          rowData: row,
-          advancedToNextRow: true
-        };
-      }
-      
-      // Check if already processed and has an event ID - might need update
-      const isProcessed = config.processedColumnIndex && 
-                         row[config.processedColumnIndex] === config.processedMarker;
-      const hasEventId = config.eventIdColumnIndex && row[config.eventIdColumnIndex];
-      
-      // Skip if event type is in the excluded list
-      const eventType = row[3] || '';
-      const isExcludedType = ["הצעת מחיר", "השכרות", "אופציה", "הפקה"].includes(eventType);
-      
-      if (isExcludedType) {
-        console.log(`Skipping row ${rowIndex} with excluded event type: ${eventType}`);
-        return; // Don't process these at all
 
-        // Update the lastProcessedRow in the configuration
-        await db.collection("configurations").doc(userId).update({
-          lastProcessedRow: lastProcessedRow + 1,
-          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+    const rowId = rowIndex >= 0 ? getRowId(rows[rowIndex], columns) : null;
+    if (!rowId) {
+      console.log(`Could not match legacy tracking ${doc.id} (event ${data.eventId}) to a row`);
+      unmatchedDocs.push({
+        docId: doc.id,
+        eventId: data.eventId || null,
+        rowIndex: data.rowIndex,
+        title: data.title || ''
+      });
+      continue;
+    }
+
+    if (data.eventId) {
+      try {
+        await calendarService.events.patch({
+          calendarId: config.calendarId,
+          eventId: data.eventId,
+          resource: withRowMetadata({}, rows[rowIndex], columns, config)
         });
-        
-        return {
-          success: true,
-          message: `Row skipped: Event type "${eventType}" is excluded`,
-          rowIndex: rowIndex,
-          rowData: row,
-          advancedToNextRow: true
-        };
+      } catch (patchError) {
+        console.error(`Error tagging event ${data.eventId} with row ID:`, patchError.message);
       }
-      
-      // Check for cancellation flag
-      const shouldCancel = row[18] === true || row[18] === "true" || row[18] === "TRUE";
-      const eventName = `${row[4] || ''} ${row[5] || ''}`.trim();
-      
-      // Prepare calendar event data
-      const eventData = {
-        summary: shouldCancel ? `Canceled: ${eventName}` : eventName,
-        description: formatDescription(row),
-        location: row[6] || '', // Column G for location
-        start: {
-          dateTime: getStartDateTime(row, 1), // Date in column B (index 1)
-          timeZone: config.timezone || "Asia/Jerusalem",
-        },
-        end: {
-          dateTime: getEndDateTime(row, 1), // Date in column B (index 1)
-          timeZone: config.timezone || "Asia/Jerusalem",
-        },
-        status: shouldCancel ? 'cancelled' : 'confirmed'
-      };
+    }
 
-            // Check for cancellation flag
-      if (shouldCancel) {
-        eventData.status = 'cancelled';
-      }
-      
-      // If already processed and has event ID, update the event
-      if (isProcessed && hasEventId) {
-        console.log(`Row ${rowIndex} already has event ID ${row[config.eventIdColumnIndex]}, checking for updates`);
-        
-        try {
-          // Get the existing event
-          const eventResponse = await calendarService.events.get({
-            calendarId: config.calendarId,
-            eventId: row[config.eventIdColumnIndex]
-          });
-          
-          const existingEvent = eventResponse.data;
-          
-          // Check if any data has changed
-          const hasChanges = 
-            existingEvent.summary !== eventData.summary ||
-            existingEvent.description !== eventData.description ||
-            existingEvent.location !== eventData.location ||
-            existingEvent.start.dateTime !== eventData.start.dateTime ||
-            existingEvent.end.dateTime !== eventData.end.dateTime ||
-            existingEvent.status !== eventData.status;
-          
-          if (hasChanges) {
-            // Update the event
-            await calendarService.events.update({
-              calendarId: config.calendarId,
-              eventId: row[config.eventIdColumnIndex],
-              resource: eventData
-            });
-            
-            console.log(`Updated existing calendar event: ${row[config.eventIdColumnIndex]}`);
-            
-            // Mark as UPDATED in the log but don't change the processed marker
-            if (shouldCancel && config.processedColumnIndex !== undefined) {
-              await sheetService.spreadsheets.values.update({
-                spreadsheetId: config.spreadsheetId,
-                range: `${config.sheetName}!${getColumnLetter(config.processedColumnIndex)}${rowIndex + 1}`,
-                valueInputOption: "RAW",
-                resource: {
-                  values: [["CANCELLED"]]
-                },
-              });
-            }
-            
-            // Update the lastProcessedRow in the configuration
-            await db.collection("configurations").doc(userId).update({
-              lastProcessedRow: lastProcessedRow + 1,
-              lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-            });
-            
-            return {
-              success: true,
-              message: "Updated existing calendar event",
-              rowIndex: rowIndex,
-              rowData: row,
-              eventUpdated: {
-                id: row[config.eventIdColumnIndex],
-                summary: eventData.summary,
-                changes: hasChanges
-              },
-              advancedToNextRow: true
-            };
-          } else {
-            console.log(`No changes detected for event ${row[config.eventIdColumnIndex]}`);
-            
-            // Update the lastProcessedRow in the configuration
-            await db.collection("configurations").doc(userId).update({
-              lastProcessedRow: lastProcessedRow + 1,
-              lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-            });
-            
-            return {
-              success: true,
-              message: "No changes detected for existing event",
-              rowIndex: rowIndex,
-              rowData: row,
-              advancedToNextRow: true
-            };
-          }
-        } catch (getError) {
-          console.error(`Error getting existing event: ${getError}`);
-          
-          // Event might have been deleted in the calendar - create a new one
-          console.log(`Existing event not found in calendar, creating new event`);
-          
-          // Continue to create a new event below
-        }
-      }
-      
-      // If row is marked for cancellation, create a cancelled event or update existing
-      if (shouldCancel) {
-        console.log(`Row ${rowIndex} marked for cancellation`);
-        
-        // If there's an existing event ID stored in the row, update its status to cancelled
-        if (hasEventId) {
-          try {
-            // First get the current event
-            const eventResponse = await calendarService.events.get({
-              calendarId: config.calendarId,
-              eventId: row[config.eventIdColumnIndex]
-            });
-            
-            const existingEvent = eventResponse.data;
-            
-            // Update the event status to cancelled while preserving all other properties
-            existingEvent.status = 'cancelled';
-            
-            // Update the event in the calendar
-            await calendarService.events.update({
-              calendarId: config.calendarId,
-              eventId: row[config.eventIdColumnIndex],
-              resource: existingEvent
-            });
-            
-            console.log(`Marked event as cancelled in calendar: ${row[config.eventIdColumnIndex]}`);
-            
-            // Mark as cancelled in the spreadsheet
-            if (config.updateProcessedStatus && config.processedColumnIndex !== undefined) {
-              await sheetService.spreadsheets.values.update({
-                spreadsheetId: config.spreadsheetId,
-                range: `${config.sheetName}!${getColumnLetter(config.processedColumnIndex)}${rowIndex + 1}`,
-                valueInputOption: "RAW",
-                resource: {
-                  values: [["CANCELLED"]]
-                },
-              });
-            }
-          } catch (updateError) {
-            console.error(`Error updating event status: ${updateError}`);
-            
-            return {
-              success: false,
-              message: `Failed to cancel event: ${updateError.message}`,
+    const batch = db.batch();
+    batch.set(eventsRef.doc(rowId), {
+      ...data,
+      rowId,
+      rowIndex,
+      sheetRow: rowIndex + 2,
+      migratedFrom: doc.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    batch.delete(doc.ref);
+    await batch.commit();
+
+    migrated++;
+  }
+
+  if (unmatchedDocs.length === 0) {
+    await db.collection('configurations').doc(orgId).set({
+      rowIdentityMigratedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+
+  console.log(`Migrated ${migrated} legacy tracking documents (${unmatchedDocs.length} unmatched)`);
+  return { migrated, unmatched: unmatchedDocs.length, unmatchedDocs };
+}
+
+// ===== CHANGE DETECTION =====
+// Each synced row has a fingerprint of the cells that feed its calendar event,
+// stored as `rowHash` on the tracking document. Update scans compare it first
+// and skip the Calendar get/update entirely for rows that have not changed.
+
+// Bump to force every row to be re-checked after the event format changes
+const ROW_HASH_VERSION = 3;
+
+// Columns that never affect the calendar event
+const ROW_HASH_IGNORED_FIELDS = ['processed', 'eventId', 'rowId', 'conflictFlag'];
+
+/**
+ * Normalize a cell value for fingerprinting
+ * @param {*} value - Raw cell value
+ * @returns {string} Trimmed value with collapsed whitespace
+ */
+function normalizeCellValue(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compute the fingerprint of a row
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {string} SHA-1 hex digest of the normalized row
+ */
+function computeRowHash(row, columns, config) {
+  const fields = {};
+
+  for (const field of Object.keys(columns).sort()) {
+    if (ROW_HASH_IGNORED_FIELDS.includes(field)) continue;
+
+    if (field === 'technicians') {
+      fields.technicians = getTechnicians(row, columns).map(normalizeCellValue);
+    } else {
+      fields[field] = normalizeCellValue(getCell(row, columns, field));
+    }
+  }
+
+  const payload = JSON.stringify({
+    version: ROW_HASH_VERSION,
+    timezone: getConfigTimezone(config),
+    multiDayMode: getMultiDayMode(config),
+    inviteTechnicians: Boolean(config.inviteTechnicians),
+    eventTypeRule: getEventTypeRule(row, columns, config),
+    calendarId: getRowCalendarId(row, columns, config),
+    colorId: getRowColorId(row, columns, config) || null,
+    cancellation: isRowCancelled(row, columns) ? getCancellationPolicy(config) : null,
+    fields
+  });
+
+  return crypto.createHash('sha1').update(payload).digest('hex');
+}
+
+// ===== EVENT METADATA =====
+// Every event carries the row it was built from in extendedProperties.private:
+// rowId, technicians (JSON array), eventType, manager and rowHash. Change
+// detection reads these instead of parsing the Hebrew description, so manual
+// edits to an event's description no longer break it.
+
+// Calendar rejects private property values longer than this
+const MAX_METADATA_VALUE_LENGTH = 1024;
+
+/**
+ * Build the private extended properties for a row
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {Object} String-valued metadata
+ */
+function buildEventMetadata(row, columns, config) {
+  const metadata = {
+    rowId: getRowId(row, columns) || '',
+    technicians: JSON.stringify(getTechnicians(row, columns).map(normalizeCellValue)),
+    eventType: normalizeCellValue(getCell(row, columns, 'eventTypeD')),
+    manager: normalizeCellValue(getCell(row, columns, 'manager')),
+    endDate: normalizeCellValue(getCell(row, columns, 'endDate')),
+    setupDate: normalizeCellValue(getCell(row, columns, 'setupDate')),
+    rowHash: computeRowHash(row, columns, config)
+  };
+
+  for (const key of Object.keys(metadata)) {
+    if (metadata[key].length > MAX_METADATA_VALUE_LENGTH) {
+      console.warn(`Metadata ${key} too long for row ${metadata.rowId}, truncating`);
+      metadata[key] = metadata[key].slice(0, MAX_METADATA_VALUE_LENGTH);
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Add the row metadata to a calendar event resource
+ * Keeps any other private extended properties already on the resource
+ * @param {Object} eventResource - Calendar event resource
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {Object} The same resource, for chaining
+ */
+function withRowMetadata(eventResource, row, columns, config) {
+  const metadata = buildEventMetadata(row, columns, config);
+  if (!metadata.rowId) delete metadata.rowId;
+
+  const extendedProperties = eventResource.extendedProperties || {};
+  eventResource.extendedProperties = {
+    ...extendedProperties,
+    private: {
+      ...(extendedProperties.private || {}),
+      ...metadata
+    }
+  };
+  return eventResource;
+}
+
+/**
+ * Read the row metadata stored on a calendar event
+ * @param {Object} event - Calendar event
+ * @returns {Object} Metadata; technicians is null when the event has none
+ */
+function readEventMetadata(event) {
+  const stored = (event && event.extendedProperties && event.extendedProperties.private) || {};
+
+  let technicians = null;
+  if (stored.technicians) {
+    try {
+      const parsed = JSON.parse(stored.technicians);
+      technicians = Array.isArray(parsed) ? parsed : null;
+    } catch (parseError) {
+      console.error(`Invalid technicians metadata on event ${event.id}: ${parseError.message}`);
+    }
+  }
+
+  return {
+    rowId: stored.rowId || null,
+    technicians,
+    eventType: stored.eventType || '',
+    manager: stored.manager || '',
+    endDate: stored.endDate || '',
+    setupDate: stored.setupDate || '',
+    rowHash: stored.rowHash || null
+  };
+}
+
+/**
+ * Check whether an event already carries the full row metadata
+ * @param {Object} event - Calendar event
+ * @returns {boolean} True when the event needs no backfill
+ */
+function hasEventMetadata(event) {
+  const metadata = readEventMetadata(event);
+  return Boolean(metadata.rowHash && metadata.technicians);
+}
+
+/**
+ * Get the technicians assigned to a calendar event
+ * Events created before the metadata existed fall back to the description.
+ * @param {Object} event - Calendar event
+ * @returns {Array} Technician names
+ */
+function getEventTechnicians(event) {
+  const metadata = readEventMetadata(event);
+  if (metadata.technicians) return metadata.technicians;
+  return extractTechniciansFromDescription(event && event.description);
+}
+
+// ===== EVENT IDENTITY =====
+// A row's events get IDs derived from the spreadsheet and the row's
+// persistent ID (plus the link key for linked events) instead of random IDs
+// from Calendar. Creating the same event twice - a retry after the sheet
+// write failed, or two scans overlapping - then hits the existing event, and
+// the 409 conflict becomes an update of it. The update also restores an
+// event that was deleted, since Calendar keeps the IDs of deleted events.
+// Events created before this have random IDs; findDuplicateEvents groups
+// the copies left behind by row ID, or by title and date without one.
+
+/**
+ * Deterministic Calendar event ID for a row's event
+ * Calendar IDs use base32hex (0-9, a-v); a hex digest is a subset of it.
+ * @param {Object} config - The user's configuration
+ * @param {string} rowId - Persistent row ID
+ * @param {string} [linkKey] - Link key of a linked event
+ * @returns {string|null} The event ID, or null for a row without an ID
+ */
+function getRowEventId(config, rowId, linkKey = '') {
+  if (!rowId) return null;
+  const hash = crypto.createHash('sha256')
+    .update(`${config.spreadsheetId}|${rowId}|${linkKey}`)
+    .digest('hex');
+  return `s2c${hash.slice(0, 40)}`;
+}
+
+/**
+ * Deterministic event ID for an event resource, from its row metadata
+ * @param {Object} config - The user's configuration
+ * @param {Object} resource - Event resource built with withRowMetadata
+ * @returns {string|null} The event ID, or null when the resource has no row ID
+ */
+function getResourceEventId(config, resource) {
+  const stored = (resource.extendedProperties && resource.extendedProperties.private) || {};
+  return getRowEventId(config, stored.rowId, stored.linkKey);
+}
+
+/**
+ * Resource for updating an event that already holds a row's ID
+ * A deleted event is restored by setting its status.
+ * @param {Object} resource - Event resource
+ * @returns {Object} The resource with a status
+ */
+function toConflictUpdate(resource) {
+  return {...resource, status: resource.status || 'confirmed'};
+}
+
+/**
+ * Create a row's event under its deterministic ID, updating it if it exists
+ * @param {Object} calendarService - The Google Calendar API service
+ * @param {Object} config - The user's configuration
+ * @param {Object} params - events.insert parameters: {calendarId, sendUpdates, resource}
+ * @returns {Promise<Object>} The insert or update response
+ */
+async function insertRowEvent(calendarService, config, params) {
+  const eventId = getResourceEventId(config, params.resource);
+  if (!eventId) {
+    return calendarService.events.insert(params);
+  }
+
+  try {
+    return await calendarService.events.insert({...params, resource: {...params.resource, id: eventId}});
+  } catch (error) {
+    if (getApiErrorStatus(error) !== 409) throw error;
+
+    console.log(`Event ${eventId} already exists, updating it instead`);
+    return calendarService.events.update({
+      calendarId: params.calendarId,
+      sendUpdates: params.sendUpdates,
+      eventId,
+      resource: toConflictUpdate(params.resource)
+    });
+  }
+}
+
+/**
+ * Batch version of insertRowEvent
+ * An operation may name the `eventId` its row is already tracked under; it
+ * is used instead of the derived ID, so a row whose event was created before
+ * IDs were derived updates that event rather than getting a second one.
+ * @param {Object} calendarService - The Google Calendar API service
+ * @param {Object} config - The user's configuration
+ * @param {Array} operations - Insert operations for calendarService.batch, with an optional eventId
+ * @returns {Promise<Array>} One batch result per operation
+ */
+async function batchInsertRowEvents(calendarService, config, operations) {
+  const inserts = operations.map(({ eventId: trackedEventId, ...operation }) => {
+    const eventId = trackedEventId || getResourceEventId(config, operation.resource);
+    return eventId ? {...operation, resource: {...operation.resource, id: eventId}} : operation;
+  });
+  const results = await calendarService.batch(inserts);
+
+  const conflicts = [];
+  results.forEach((result, i) => {
+    if (result.status === 409 && inserts[i].resource.id) conflicts.push(i);
+  });
+  if (conflicts.length > 0) {
+    console.log(`${conflicts.length} events already exist, updating them instead`);
+    const updates = await calendarService.batch(conflicts.map(i => ({
+      method: 'update',
+      calendarId: inserts[i].calendarId,
+      sendUpdates: inserts[i].sendUpdates,
+      eventId: inserts[i].resource.id,
+      resource: toConflictUpdate(inserts[i].resource)
+    })));
+    conflicts.forEach((i, j) => {
+      results[i] = updates[j];
+    });
+  }
+  return results;
+}
+
+/**
+ * Group events that are copies of one another
+ * Events with row metadata are copies when they share the row ID and link
+ * key; events without it when they share the title and start date.
+ * @param {Array} events - Calendar events
+ * @returns {Array} Groups of two or more events
+ */
+function groupDuplicateEvents(events) {
+  const groups = {};
+  for (const event of events) {
+    if (event.status === 'cancelled') continue;
+
+    const stored = (event.extendedProperties && event.extendedProperties.private) || {};
+    const start = event.start ? (event.start.date || (event.start.dateTime || '').slice(0, 10)) : '';
+    const key = stored.rowId
+      ? `row|${stored.rowId}|${stored.linkKey || ''}`
+      : `title|${(event.summary || '').trim().toLowerCase()}|${start}`;
+    (groups[key] = groups[key] || []).push(event);
+  }
+  return Object.values(groups).filter(group => group.length > 1);
+}
+
+/**
+ * Choose the copy to keep from a group of duplicates
+ * The tracked event wins, then the one with the row's deterministic ID, then
+ * the oldest.
+ * @param {Array} group - Duplicate events
+ * @param {Object} config - The user's configuration
+ * @param {Object} trackingData - Tracking documents keyed by row ID
+ * @returns {Object} The event to keep
+ */
+function pickDuplicateKeeper(group, config, trackingData) {
+  const stored = (group[0].extendedProperties && group[0].extendedProperties.private) || {};
+  const tracking = stored.rowId && !stored.linkKey ? trackingData[stored.rowId] : null;
+  const deterministicId = getRowEventId(config, stored.rowId, stored.linkKey);
+
+  return group.find(event => tracking && event.id === tracking.eventId) ||
+    group.find(event => event.id === deterministicId) ||
+    [...group].sort((a, b) => (a.created || '').localeCompare(b.created || ''))[0];
+}
+
+/**
+ * Plan the merge of a group of duplicates into the copy kept
+ * Every removed copy is planned against its own row, found from its metadata
+ * or else from the tracking that points at it. That row's tracking moves to
+ * the kept copy when the kept copy belongs to the same row (or to none yet),
+ * and is cleared otherwise so the next sync creates the row's event again.
+ * @param {Array} group - Duplicate events
+ * @param {Object} keeper - The event to keep (see pickDuplicateKeeper)
+ * @param {string} calendarId - Calendar the group is in
+ * @param {Object} trackingData - Tracking documents keyed by row ID
+ * @returns {Object} {plan, removals, repoints, clears}: removals are {calendarId, eventId}, repoints {rowId, eventId, calendarId}, clears row IDs
+ */
+function planDuplicateMerge(group, keeper, calendarId, trackingData) {
+  const plan = [];
+  const removals = [];
+  const repoints = [];
+  const clears = [];
+
+  // Linked events have no tracking document of their own
+  const getRowOf = event => {
+    const stored = (event.extendedProperties && event.extendedProperties.private) || {};
+    const rowId = stored.rowId ||
+      Object.keys(trackingData).find(trackedRowId => trackingData[trackedRowId].eventId === event.id) || null;
+    return {rowId, tracking: rowId && !stored.linkKey ? trackingData[rowId] : null};
+  };
+
+  const kept = getRowOf(keeper);
+  let keeperRowId = kept.tracking ? kept.rowId : null;
+
+  for (const event of group) {
+    if (event.id === keeper.id) continue;
+
+    const { rowId, tracking } = getRowOf(event);
+    let warning = `Duplicate of ${keeper.id}`;
+    if (tracking && tracking.eventId === event.id) {
+      if (!keeperRowId || keeperRowId === rowId) {
+        keeperRowId = rowId;
+        repoints.push({ rowId, eventId: keeper.id, calendarId });
+        warning += `; the row now tracks ${keeper.id}`;
+      } else {
+        clears.push(rowId);
+        warning += `; its row's tracking is cleared so the next sync creates its event again`;
+      }
+    }
+
+    plan.push(planEntry('delete', {
+      rowId,
+      eventId: event.id,
+      title: event.summary || 'Unknown',
+      date: (event.start.date || event.start.dateTime || '').slice(0, 10),
+      warning
+    }));
+    removals.push({ calendarId, eventId: event.id });
+  }
+
+  // Tracking of the kept copy's row that points at an event outside the group
+  if (kept.tracking && kept.tracking.eventId !== keeper.id &&
+      !repoints.some(repoint => repoint.rowId === kept.rowId)) {
+    repoints.push({ rowId: kept.rowId, eventId: keeper.id, calendarId });
+  }
+
+  return { plan, removals, repoints, clears };
+}
+
+// ===== LINKED EVENTS =====
+// Besides the event in its event ID column, a row can own a setup day event
+// (setupDate column) and, in 'series' mode, one event for each further day of
+// a multi-day booking. These carry the row metadata plus a `linkKey` ('setup',
+// 'day-2', ...) and are found again by querying the calendar for the row ID,
+// so they need no sheet column or tracking document of their own.
+
+/**
+ * Build the linked events a row should have
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @param {Object} baseEvent - The row's main event resource
+ * @param {Object} [dateParts] - First day, when the caller parsed the date already
+ * @returns {Array} Array of {linkKey, resource}
+ */
+function buildLinkedEvents(row, columns, config, baseEvent, dateParts = null) {
+  const linked = [];
+  const base = withRowEventState({
+    summary: baseEvent.summary,
+    description: baseEvent.description,
+    location: baseEvent.location
+  }, row, columns, config);
+
+  const range = getEventDateRange(row, columns, dateParts);
+  if (range && range.days > 1 && getMultiDayMode(config) === 'series') {
+    for (let day = 1; day < range.days; day++) {
+      linked.push({
+        linkKey: `day-${day + 1}`,
+        resource: {
+          ...base,
+          summary: `${base.summary} (יום ${day + 1}/${range.days})`,
+          ...getEventTimes(row, columns, config, addDaysToParts(range.first, day))
+        }
+      });
+    }
+  }
+
+  const setupDate = parseSheetDate(getCell(row, columns, 'setupDate'));
+  if (setupDate) {
+    linked.push({
+      linkKey: 'setup',
+      resource: {
+        ...base,
+        summary: `הקמה: ${base.summary}`,
+        start: { date: formatDateParts(setupDate) },
+        end: { date: formatDateParts(addDaysToParts(setupDate, 1)) }
+      }
+    });
+  }
+
+  for (const { linkKey, resource } of linked) {
+    withRowMetadata(resource, row, columns, config);
+    resource.extendedProperties.private.linkKey = linkKey;
+  }
+  return linked;
+}
+
+/**
+ * List a row's linked events in the calendar
+ * @param {Object} calendarService - The Google Calendar API service
+ * @param {Object} config - The user's configuration
+ * @param {string} rowId - The row ID
+ * @param {string} [calendarId] - Calendar holding the row's events
+ * @returns {Promise<Object>} Map of linkKey to calendar event
+ */
+async function listLinkedEvents(calendarService, config, rowId, calendarId = config.calendarId) {
+  const response = await calendarService.events.list({
+    calendarId,
+    privateExtendedProperty: [`rowId=${rowId}`],
+    maxResults: 250
+  });
+
+  const linked = {};
+  for (const event of response.data.items || []) {
+    const linkKey = event.extendedProperties?.private?.linkKey;
+    if (linkKey) {
+      linked[linkKey] = event;
+    }
+  }
+  return linked;
+}
+
+/**
+ * Create, update or delete a row's linked events so they match the row
+ * Rows cancelled under the delete policy lose their linked events.
+ * @param {Object} calendarService - The Google Calendar API service
+ * @param {Object} config - The user's configuration
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} baseEvent - The row's main event resource
+ * @param {Object} [options] - {plan, dateParts, rowIndex}; with a plan nothing is written
+ * @returns {Promise<Object>} {created, updated, deleted}
+ */
+async function syncLinkedEvents(calendarService, config, row, columns, baseEvent, options = {}) {
+  const { plan = null, dateParts = null, rowIndex = null } = options;
+  const rowId = getRowId(row, columns);
+  const calendarId = getRowCalendarId(row, columns, config);
+  const wanted = getRowEventStatus(row, columns, config) === 'cancelled'
+    ? []
+    : buildLinkedEvents(row, columns, config, baseEvent, dateParts);
+  const existing = rowId ? await listLinkedEvents(calendarService, config, rowId, calendarId) : {};
+  const stats = { created: 0, updated: 0, deleted: 0 };
+
+  const entryFor = (event, extra) => ({
+    rowId,
+    rowIndex,
+    eventId: event.id || null,
+    title: event.summary,
+    date: event.start.date || event.start.dateTime.slice(0, 10),
+    ...extra
+  });
+
+  for (const { linkKey, resource } of wanted) {
+    const current = existing[linkKey];
+    delete existing[linkKey];
+
+    if (current) {
+      const changes = diffEventFields(current, resource);
+      if (changes.length === 0) continue;
+
+      if (plan) {
+        plan.push(planEntry('update', entryFor({ ...resource, id: current.id }, { changes })));
+        continue;
+      }
+      await calendarService.events.update({
+        calendarId,
+        sendUpdates: getSendUpdates(config),
+        eventId: current.id,
+        resource
+      });
+      stats.updated++;
+    } else {
+      if (plan) {
+        plan.push(planEntry('create', entryFor(resource)));
+        continue;
+      }
+      await insertRowEvent(calendarService, config, {
+        calendarId,
+        sendUpdates: getSendUpdates(config),
+        resource
+      });
+      stats.created++;
+    }
+  }
+
+  for (const stale of Object.values(existing)) {
+    if (plan) {
+      plan.push(planEntry('delete', entryFor(stale)));
+      continue;
+    }
+    await calendarService.events.delete({
+      calendarId,
+      sendUpdates: getSendUpdates(config),
+      eventId: stale.id
+    });
+    stats.deleted++;
+  }
+
+  if (stats.created || stats.updated || stats.deleted) {
+    console.log(`Linked events for row ${rowId}: ${stats.created} created, ${stats.updated} updated, ${stats.deleted} deleted`);
+  }
+  return stats;
+}
+
+/**
+ * Delete all linked events of a row
+ * @param {Object} calendarService - The Google Calendar API service
+ * @param {Object} config - The user's configuration
+ * @param {string} rowId - The row ID
+ * @param {string} [calendarId] - Calendar holding the row's events
+ * @returns {Promise<number>} Number of events deleted
+ */
+async function deleteLinkedEvents(calendarService, config, rowId, calendarId = config.calendarId) {
+  if (!rowId) return 0;
+
+  const linked = await listLinkedEvents(calendarService, config, rowId, calendarId);
+  let deleted = 0;
+  for (const event of Object.values(linked)) {
+    try {
+      await calendarService.events.delete({
+        calendarId,
+        sendUpdates: getSendUpdates(config),
+        eventId: event.id
+      });
+      deleted++;
+    } catch (deleteError) {
+      console.error(`Error deleting linked event ${event.id}: ${deleteError.message}`);
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Parse a sheet date into a Date at local midnight
+ * @param {string|number} value - The date cell
+ * @returns {Date|null} The date, or null if invalid
+ */
+function parseDate(value) {
+  const dateParts = parseSheetDate(value);
+  return dateParts ? new Date(dateParts.year, dateParts.month - 1, dateParts.day) : null;
+}
+
+/**
+ * Check if a row's date is within the scanning range (today-7days to future)
+ * Used by scheduled functions to only process recent and upcoming events
+ */
+function isWithinScanningRange(row, columns) {
+  const dateStr = getCell(row, columns, 'date');
+  if (!dateStr) return false;
+
+  try {
+    const eventDate = parseDate(dateStr);
+    if (!eventDate) return false;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0); // Start of today
+
+    const sevenDaysAgo = new Date(today);
+    sevenDaysAgo.setDate(today.getDate() - 7); // 7 days ago
+
+    // Return true if event date is from 7 days ago onwards
+    return eventDate >= sevenDaysAgo;
+  } catch (e) {
+    console.log(`Error parsing date "${dateStr}": ${e.message}`);
+    return false;
+  }
+}
+
+
+
+/**
+ * Helper function to fetch hyperlinks from Column T for specific rows
+ * @param {object} sheetService - Google Sheets API service
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @param {string} sheetName - Sheet name
+ * @param {Array} rowIndices - Array of 0-based row indices
+ * @param {number} columnIndex - Coordination sheet column index from the column mapping
+ * @returns {Object} Map of rowIndex to hyperlink URL
+ */
+async function fetchCoordinationSheetLinks(sheetService, spreadsheetId, sheetName, rowIndices, columnIndex) {
+  const hyperlinks = {};
+  const columnLetter = getColumnLetter(columnIndex);
+
+  try {
+    // Fetch cell data with hyperlinks for the coordination sheet column
+    const batchSize = 50;
+    for (let i = 0; i < rowIndices.length; i += batchSize) {
+      const batch = rowIndices.slice(i, i + batchSize);
+      const ranges = batch.map(rowIndex => {
+        const sheetRow = rowIndex + 2; // +2 for header row
+        return `${sheetName}!${columnLetter}${sheetRow}`;
+      });
+
+      const response = await sheetService.spreadsheets.get({
+        spreadsheetId: spreadsheetId,
+        ranges: ranges,
+        fields: 'sheets(data(rowData(values(hyperlink))))'
+      });
+
+      if (response.data && response.data.sheets && response.data.sheets[0].data) {
+        response.data.sheets[0].data.forEach((rangeData, idx) => {
+          if (rangeData.rowData && rangeData.rowData[0] && rangeData.rowData[0].values) {
+            const cell = rangeData.rowData[0].values[0];
+            if (cell && cell.hyperlink) {
+              const rowIndex = batch[idx];
+              hyperlinks[rowIndex] = cell.hyperlink;
+              console.log(`Found hyperlink for row ${rowIndex + 2}: ${cell.hyperlink}`);
+            }
+          }
+        });
+      }
+    }
+
+    console.log(`Fetched ${Object.keys(hyperlinks).length} coordination sheet links`);
+  } catch (error) {
+    console.error('Error fetching coordination sheet links:', error.message);
+  }
+
+  return hyperlinks;
+}
+
+/**
+ * Enhanced helper function for description formatting with technicians
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {string} coordinationSheetUrl - Optional hyperlink for the coordination sheet
+ * @returns {string} Formatted description
+ */
+function formatDescription(row, columns, coordinationSheetUrl = null) {
+  let description = '';
+
+  // Add coordination sheet with embedded hyperlink if exists
+  const coordinationSheet = getCell(row, columns, 'coordinationSheet');
+  if (coordinationSheetUrl) {
+    // Make "דף תיאום" itself clickable
+    description += `<a href="${coordinationSheetUrl}">דף תיאום</a>\n\n`;
+  } else if (coordinationSheet) {
+    // If no URL but there's text, still show it
+    description += `דף תיאום: ${coordinationSheet}\n\n`;
+  }
+
+  // Add event manager
+  const manager = getCell(row, columns, 'manager');
+  if (manager) {
+    description += `מנהל אירוע: ${manager}\n\n`;
+  }
+
+  // Add technicians section with clear separation for parsing
+  description += 'טכנאים משובצים:\n';
+
+  // Get technicians from the mapped technician columns
+  const technicians = [];
+  for (let i = columns.technicians.start; i <= columns.technicians.end; i++) {
+    if (row[i] && String(row[i]).trim()) {
+      technicians.push(String(row[i]).trim());
+    }
+  }
+
+  // Add each technician to the description
+  if (technicians.length > 0) {
+    for (const tech of technicians) {
+      description += `${tech}\n`;
+    }
+  } else {
+    description += 'אין טכנאים משובצים\n';
+  }
+
+  return description;
+}
+
+/**
+ * Build the calendar event resource for a row picked by a month scan or a
+ * manual selection (scanMonthEvents / reprocessSelectedRows)
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @param {Date} eventDate - The parsed event date
+ * @param {string|null} coordinationUrl - Coordination sheet hyperlink, if any
+ * @returns {Object} {event, finalTitle, shouldCancel}
+ */
+function buildEventFromRow(row, columns, config, eventDate, coordinationUrl = null) {
+  const shouldCancel = isRowCancelled(row, columns);
+  const dateParts = dateToParts(eventDate);
+
+  // The summary gets its cancellation and tentative prefixes from withRowEventState
+  const event = withRowEventState({
+    summary: getCell(row, columns, 'title'),
+    location: getCell(row, columns, 'location'),
+    description: formatDescription(row, columns, coordinationUrl), // Use formatted description with hyperlink
+    ...getEventTimes(row, columns, config, dateParts)
+  }, row, columns, config);
+
+  return { event, finalTitle: event.summary, shouldCancel };
+}
+
+/**
+ * Compare the technicians stored on a calendar event with the sheet's list
+ * @param {Object} existingEvent - The calendar event
+ * @param {Array} techniciansList - Technicians from the spreadsheet row
+ * @returns {boolean} Whether the lists are equal
+ */
+function areTechnicianListsEqual(existingEvent, techniciansList) {
+  const list1 = getEventTechnicians(existingEvent);
+  const list2 = techniciansList;
+
+  // First, normalize both lists - trim whitespace, remove empty entries
+  const normalized1 = list1.map(tech => tech.trim()).filter(tech => tech !== '');
+  const normalized2 = list2.map(tech => tech.trim()).filter(tech => tech !== '');
+  
+  // Log normalized lists for debugging
+  console.log(`Comparing technicians - normalized lists:`);
+  console.log(`List 1: ${JSON.stringify(normalized1)}`);
+  console.log(`List 2: ${JSON.stringify(normalized2)}`);
+  
+  // Check length first
+  if (normalized1.length !== normalized2.length) {
+    console.log(`Lists have different lengths: ${normalized1.length} vs ${normalized2.length}`);
+    return false;
+  }
+  
+  // Convert to sets to ignore order
+  const set1 = new Set(normalized1);
+  const set2 = new Set(normalized2);
+  
+  // If sizes differ after set conversion, there are duplicates that were counted differently
+  if (set1.size !== set2.size) {
+    console.log(`Sets have different sizes: ${set1.size} vs ${set2.size}`);
+    return false;
+  }
+  
+  // Check if every element in set1 exists in set2
+  for (const tech of set1) {
+    if (!set2.has(tech)) {
+      console.log(`Technician "${tech}" exists in list 1 but not in list 2`);
+      return false;
+    }
+  }
+  
+  return true;
+}
+async function checkAndUpdateEventEnhanced(
+  sheetService,
+  calendarService, 
+  config,
+  row,
+  rowIndex,
+  updatedEvents
+) {
+  const columns = resolveColumnMapping(config);
+  const eventId = row[columns.eventId];
+  const calendarId = getRowCalendarId(row, columns, config);
+  console.log(`\n----- ENHANCED UPDATE CHECK for Row ${rowIndex} / Event ID: ${eventId} -----`);
+  
+  // Get the existing event from the calendar
+  // (moving it first if the row now routes to another calendar)
+  let existingEvent;
+  try {
+    ({ event: existingEvent } = await locateRowEvent(calendarService, config, row, columns, eventId));
+    console.log(`Successfully retrieved event from calendar: ${eventId}`);
+  } catch (getError) {
+    console.error(`Error getting event ${eventId}: ${getError.message}`);
+    return; // Skip if we can't get the event
+  }
+  
+  // Check for cancellation flag
+  const shouldCancel = isRowCancelled(row, columns);
+
+  // Define eventName before using it
+  const eventName = getEventName(row, columns);
+
+  
+  // Create the new complete description with properly formatted technicians
+  const newDescription = formatDescription(row, columns);
+  console.log(`\nNEW FORMATTED DESCRIPTION:`);
+  console.log(newDescription);
+  
+  // Prepare the updated event data
+  const updatedEventData = withRowEventState({
+    summary: eventName,
+    description: newDescription,
+    location: getCell(row, columns, 'location'),
+    ...getEventTimes(row, columns, config)
+  }, row, columns, config);
+  await withAttendees(updatedEventData, row, columns, config, existingEvent);
+  
+  // Log reasons for changes
+  const changes = detectChanges(existingEvent, updatedEventData, row, rowIndex, columns, config)
+    .map(change => change.field);
+  
+  console.log(`\nUPDATE REQUIRED: ${changes.length > 0 ? 'YES' : 'NO'}`);
+  if (changes.length > 0) {
+    console.log(`Changes needed: ${changes.join(', ')}`);
+  }
+  
+  // If any changes are needed, update the entire event
+  if (changes.length > 0) {
+    console.log(`\nUPDATING EVENT ${eventId} for row ${rowIndex}...`);
+    
+    try {
+      // Update the event in the calendar
+      await calendarService.events.update({
+        calendarId,
+        sendUpdates: getSendUpdates(config, row, columns),
+        eventId: eventId,
+        resource: withRowMetadata(updatedEventData, row, columns, config)
+      });
+      
+      console.log(`Event ${eventId} updated successfully!`);
+      
+      try {
+        await syncLinkedEvents(calendarService, config, row, columns, updatedEventData, { rowIndex });
+      } catch (linkedError) {
+        console.error(`Error syncing linked events for row ${rowIndex}: ${linkedError.message}`);
+      }
+      
+      updatedEvents.push({
+        rowIndex,
+        eventId,
+        summary: updatedEventData.summary,
+        changes: changes,
+        action: 'updated'
+      });
+      
+      // Keep the processed marker in line with the cancellation column, so
+      // cancelled rows read CANCELLED and restored rows read as processed again
+      if (columns.processed >= 0 && getCell(row, columns, 'processed') !== getProcessedMarker(config, shouldCancel)) {
+        await markRowAsProcessed(sheetService, config, rowIndex, eventId, shouldCancel);
+      }
+      
+    } catch (updateError) {
+      console.error(`Error updating event ${eventId}: ${updateError.message}`);
+      throw updateError;
+    }
+  } else {
+    console.log(`No changes needed for event ${eventId}`);
+  }
+  
+  console.log(`----- END OF ENHANCED UPDATE CHECK -----\n`);
+}
+
+/**
+ * Extract technicians from event description
+ * @param {string} description - The event description
+ * @returns {Array} Array of technician names
+ */
+function extractTechniciansFromDescription(description) {
+  let technicians = [];
+  
+  if (description) {
+    try {
+      // Use a more robust approach to extract technicians
+      const parts = description.split('טכנאים משובצים:');
+      if (parts.length > 1) {
+        const techSection = parts[1];
+        // Split by newline and filter out empty lines
+        technicians = techSection.split('\n')
+          .map(line => line.trim())
+          .filter(line => line.length > 0);
+        
+        console.log(`Successfully extracted ${technicians.length} technicians from event description`);
+        if (technicians.length > 0) {
+          console.log(`Technicians from description: ${technicians.join(', ')}`);
+        }
+      } else {
+        console.log(`No technician section found in event description`);
+      }
+    } catch (error) {
+      console.error(`Error extracting technicians from description: ${error}`);
+      // Default to empty array on error
+      technicians = [];
+    }
+  } else {
+    console.log(`Event has no description`);
+  }
+  
+  return technicians;
+}
+
+/**
+ * Check if a row is valid for processing
+ * @param {Array} row - The row data
+ * @param {number} rowIndex - The row index
+ * @param {Object} columns - Resolved column mapping
+ * @param {Array} [rejected] - Collects rows rejected for a date or time problem
+ * @returns {boolean} Whether the row is valid
+ */
+function isValidRow(row, rowIndex, columns, rejected = null) {
+  // Skip empty rows or rows without date
+  if (!row || !getCell(row, columns, 'date')) {
+    console.log(`Skipping row ${rowIndex}: No date found`);
+    return false;
+  }
+  
+  const problem = getRowDateProblem(row, columns);
+  if (problem) {
+    console.log(`Row ${rowIndex} rejected: ${problem.message}`);
+    if (rejected) rejected.push(buildRejectedRow(row, rowIndex, columns, problem));
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Check if a row is already processed
+ * @param {Array} row - The row data
+ * @param {Object} config - The user's configuration
+ * @returns {boolean} Whether the row is already processed
+ */
+function isAlreadyProcessed(row, config) {
+  const columns = resolveColumnMapping(config);
+  return columns.processed >= 0 &&
+         row[columns.processed] === config.processedMarker;
+}
+
+// ===== EVENT TYPE RULES =====
+// Each configuration holds `eventTypeRules`, a list of {type, action} matched
+// against the event type detail column. The action decides what happens to
+// rows of that type:
+//   skip      - ignored everywhere, not shown in the app
+//   app-only  - shown in the app, never written to a calendar
+//   tentative - synced as a pencilled-in event (see TENTATIVE EVENTS)
+//   calendar  - synced to the rule's own `calendarId`
+// Types without a rule sync normally to the configuration's calendar.
+
+const EVENT_TYPE_ACTIONS = ['skip', 'app-only', 'tentative', 'calendar'];
+
+// Used until a configuration saves its own rules
+const DEFAULT_EVENT_TYPE_RULES = [
+  {type: 'הצעת מחיר', action: 'skip'},
+  {type: 'השכרות', action: 'skip'},
+  {type: 'אופציה', action: 'tentative'},
+  {type: 'הפקה', action: 'skip'}
+];
+
+/**
+ * Validate event type rules and return a list of problems
+ * @param {Array} rules - Array of {type, action, calendarId}
+ * @returns {Array} Array of error messages, empty if the rules are valid
+ */
+function validateEventTypeRules(rules) {
+  if (!Array.isArray(rules)) {
+    return ['Event type rules must be an array'];
+  }
+
+  const problems = [];
+  const seen = new Set();
+  rules.forEach((rule, index) => {
+    const type = rule && typeof rule.type === 'string' ? rule.type.trim() : '';
+    if (!type) {
+      problems.push(`Rule ${index + 1} has no event type`);
+      return;
+    }
+    if (seen.has(type)) {
+      problems.push(`Event type "${type}" has more than one rule`);
+    }
+    seen.add(type);
+
+    if (!EVENT_TYPE_ACTIONS.includes(rule.action)) {
+      problems.push(`Rule for "${type}" must use one of ${EVENT_TYPE_ACTIONS.join(', ')}`);
+    } else if (rule.action === 'calendar' && !(typeof rule.calendarId === 'string' && rule.calendarId.trim())) {
+      problems.push(`Rule for "${type}" needs a calendar ID`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Clean up rules before they are stored
+ * @param {Array} rules - Validated rules
+ * @returns {Array} Rules with trimmed values and a calendarId only where used
+ */
+function normalizeEventTypeRules(rules) {
+  return rules.map(rule => {
+    const normalized = {type: rule.type.trim(), action: rule.action};
+    if (rule.action === 'calendar') {
+      normalized.calendarId = rule.calendarId.trim();
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Get the event type rules of a configuration
+ * @param {Object} config - The user's configuration
+ * @returns {Array} The rules
+ */
+function getEventTypeRules(config) {
+  return (config && Array.isArray(config.eventTypeRules))
+    ? config.eventTypeRules
+    : DEFAULT_EVENT_TYPE_RULES;
+}
+
+/**
+ * Find the rule that applies to a row
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {Object|null} The matching rule, or null if the type has none
+ */
+function getEventTypeRule(row, columns, config) {
+  const eventType = String(getCell(row, columns, 'eventTypeD')).trim();
+  if (!eventType) return null;
+  return getEventTypeRules(config).find(rule => rule.type === eventType) || null;
+}
+
+/**
+ * Check if a row's event type is skipped entirely
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {boolean} Whether the row has an excluded event type
+ */
+function isExcludedEventType(row, columns, config) {
+  const rule = getEventTypeRule(row, columns, config);
+  return Boolean(rule && rule.action === 'skip');
+}
+
+/**
+ * Check if a row's event type is written to a calendar
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {boolean} False for skipped and app-only types
+ */
+function isSyncedEventType(row, columns, config) {
+  const rule = getEventTypeRule(row, columns, config);
+  return !rule || (rule.action !== 'skip' && rule.action !== 'app-only');
+}
+
+/**
+ * Calendar event status for a row
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {string} 'cancelled' (cancelled rows under the delete policy), 'tentative' or 'confirmed'
+ */
+function getRowEventStatus(row, columns, config) {
+  if (isRowCancelled(row, columns) && getCancellationPolicy(config).mode === 'delete') return 'cancelled';
+  const rule = getEventTypeRule(row, columns, config);
+  return rule && rule.action === 'tentative' ? 'tentative' : 'confirmed';
+}
+
+// ===== CALENDAR ROUTING =====
+// `calendarRoutes` on the configuration sends rows to other calendars. Each
+// route is {match, value, calendarId}; `match` names what is compared with
+// the value: the event type (detail or main column), the event manager, or
+// the optional `targetCalendar` column. Routes are tried in order and the
+// first match wins, then event type rules with the 'calendar' action, then
+// the configuration's own calendar. Tracking documents record the calendar
+// an event was written to; when a row's calendar changes, its events are
+// moved with events.move rather than recreated.
+
+const CALENDAR_ROUTE_MATCHES = ['eventType', 'manager', 'column'];
+
+/**
+ * Normalize a route value or cell for comparison
+ * @param {*} value - Route value or cell value
+ * @returns {string} Lower case text with collapsed whitespace
+ */
+function normalizeRouteValue(value) {
+  return normalizeCellValue(value).toLowerCase();
+}
+
+/**
+ * Validate calendar routes and return a list of problems
+ * @param {Array} routes - Array of {match, value, calendarId}
+ * @returns {Array} Array of error messages, empty if the routes are valid
+ */
+function validateCalendarRoutes(routes) {
+  if (!Array.isArray(routes)) {
+    return ['Calendar routes must be an array'];
+  }
+
+  const problems = [];
+  routes.forEach((route, index) => {
+    if (!route || !CALENDAR_ROUTE_MATCHES.includes(route.match)) {
+      problems.push(`Route ${index + 1} must match one of ${CALENDAR_ROUTE_MATCHES.join(', ')}`);
+      return;
+    }
+    if (!normalizeRouteValue(route.value)) {
+      problems.push(`Route ${index + 1} has no value to match`);
+    }
+    if (!(typeof route.calendarId === 'string' && route.calendarId.trim())) {
+      problems.push(`Route ${index + 1} needs a calendar ID`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Clean up routes before they are stored
+ * @param {Array} routes - Validated routes
+ * @returns {Array} Routes with trimmed values
+ */
+function normalizeCalendarRoutes(routes) {
+  return routes.map(route => ({
+    match: route.match,
+    value: normalizeCellValue(route.value),
+    calendarId: route.calendarId.trim()
+  }));
+}
+
+/**
+ * Get the calendar routes of a configuration
+ * @param {Object} config - The user's configuration
+ * @returns {Array} The routes
+ */
+function getCalendarRoutes(config) {
+  return (config && Array.isArray(config.calendarRoutes)) ? config.calendarRoutes : [];
+}
+
+/**
+ * Check whether a route applies to a row
+ * @param {Object} route - {match, value, calendarId}
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @returns {boolean} Whether the row matches
+ */
+function routeMatchesRow(route, row, columns) {
+  const fields = {
+    eventType: ['eventTypeD', 'eventType'],
+    manager: ['manager'],
+    column: ['targetCalendar']
+  }[route.match] || [];
+  const wanted = normalizeRouteValue(route.value);
+  return fields.some(field => normalizeRouteValue(getCell(row, columns, field)) === wanted);
+}
+
+/**
+ * Calendar a row's events belong in
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {string} The calendar ID
+ */
+function getRowCalendarId(row, columns, config) {
+  const policy = getCancellationPolicy(config);
+  if (policy.mode === 'archive' && policy.archiveCalendarId && isRowCancelled(row, columns)) {
+    return policy.archiveCalendarId;
+  }
+
+  const route = getCalendarRoutes(config).find(candidate => routeMatchesRow(candidate, row, columns));
+  if (route) return route.calendarId;
+
+  const rule = getEventTypeRule(row, columns, config);
+  return rule && rule.action === 'calendar' ? rule.calendarId : config.calendarId;
+}
+
+/**
+ * Every calendar the configuration can write to
+ * @param {Object} config - The user's configuration
+ * @returns {Array} Unique calendar IDs, the configuration's calendar first
+ */
+function getConfiguredCalendarIds(config) {
+  const calendarIds = [
+    config.calendarId,
+    ...getCalendarRoutes(config).map(route => route.calendarId),
+    ...getEventTypeRules(config).filter(rule => rule.action === 'calendar').map(rule => rule.calendarId),
+    getCancellationPolicy(config).archiveCalendarId
+  ];
+  return [...new Set(calendarIds.filter(Boolean))];
+}
+
+/**
+ * Calendar a tracked event was written to
+ * @param {Object} tracking - Tracking document, may be null
+ * @param {Object} config - The user's configuration
+ * @returns {string} The calendar ID; events tracked before routing use the configuration's calendar
+ */
+function getTrackedCalendarId(tracking, config) {
+  return (tracking && tracking.calendarId) || config.calendarId;
+}
+
+/**
+ * Move a row's linked events to another calendar
+ * @param {Object} calendarService - The Google Calendar API service
+ * @param {Object} config - The user's configuration
+ * @param {string} rowId - The row ID
+ * @param {string} from - Calendar the events are in
+ * @param {string} to - Calendar to move them to
+ * @returns {Promise<number>} Number of events moved
+ */
+async function moveLinkedEvents(calendarService, config, rowId, from, to) {
+  if (!rowId) return 0;
+
+  const linked = await listLinkedEvents(calendarService, config, rowId, from);
+  let moved = 0;
+  for (const event of Object.values(linked)) {
+    try {
+      await calendarService.events.move({
+        calendarId: from,
+        eventId: event.id,
+        destination: to,
+        sendUpdates: getSendUpdates(config)
+      });
+      moved++;
+    } catch (moveError) {
+      console.error(`Error moving linked event ${event.id} to ${to}: ${moveError.message}`);
+    }
+  }
+  return moved;
+}
+
+/**
+ * Find a row's event and make sure it lives in the row's calendar
+ * The event is looked up in the tracked calendar, the row's calendar and then
+ * every other configured calendar. If it is found anywhere but the row's
+ * calendar, it is moved there together with its linked events.
+ * @param {Object} calendarService - The Google Calendar API service
+ * @param {Object} config - The user's configuration
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {string} eventId - The calendar event ID
+ * @param {Object} [options] - {trackedCalendarId, move}; move: false only locates the event
+ * @returns {Promise<Object>} {event, calendarId, movedFrom}; calendarId is where the event is now
+ */
+async function locateRowEvent(calendarService, config, row, columns, eventId, options = {}) {
+  const { trackedCalendarId = null, move = true } = options;
+  const target = getRowCalendarId(row, columns, config);
+  const candidates = [...new Set([trackedCalendarId, target, ...getConfiguredCalendarIds(config)].filter(Boolean))];
+
+  let found = null;
+  let lastError = null;
+  for (const calendarId of candidates) {
+    try {
+      const response = await calendarService.events.get({ calendarId, eventId });
+      found = { event: response.data, calendarId };
+      break;
+    } catch (getError) {
+      if (getError.code !== 404 && getError.code !== 410) throw getError;
+      lastError = getError;
+    }
+  }
+  if (!found) {
+    throw lastError || new Error(`Event ${eventId} not found`);
+  }
+
+  if (found.calendarId === target || !move) {
+    return { ...found, movedFrom: null };
+  }
+
+  console.log(`Moving event ${eventId} from ${found.calendarId} to ${target}`);
+  const moveResponse = await calendarService.events.move({
+    calendarId: found.calendarId,
+    eventId,
+    destination: target,
+    sendUpdates: getSendUpdates(config)
+  });
+
+  try {
+    await moveLinkedEvents(calendarService, config, getRowId(row, columns), found.calendarId, target);
+  } catch (linkedError) {
+    console.error(`Error moving linked events of event ${eventId}: ${linkedError.message}`);
+  }
+
+  return { event: moveResponse.data, calendarId: target, movedFrom: found.calendarId };
+}
+
+// ===== EVENT COLORS =====
+// `eventColors` on the configuration maps an event type (detail column) to
+// the colors used for it: `color` and `textColor` for the app's badges, and
+// the Google Calendar `colorId` ("1"-"11") set on the synced events. The app
+// reads the same map through getEventColors, so the calendar and the app show
+// an event type the same way. Types without an entry use the calendar default.
+
+const CALENDAR_COLOR_IDS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11'];
+
+// Used until a configuration saves its own map
+const DEFAULT_EVENT_COLORS = [
+  {type: 'סטנדאפ', color: '#E6D4F0', textColor: '#000000', colorId: '1'},
+  {type: 'מצלמות', color: '#FFF2CC', textColor: '#000000', colorId: '5'},
+  {type: 'כנס', color: '#F8CEBD', textColor: '#000000', colorId: '6'},
+  {type: 'אולפן', color: '#E2F0D9', textColor: '#000000', colorId: '2'},
+  {type: 'שטח', color: '#5C3317', textColor: '#FFFFFF', colorId: '8'},
+  {type: 'חו"ל', color: '#FADBD8', textColor: '#000000', colorId: '4'}
+];
+
+const HEX_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+/**
+ * Validate an event color map and return a list of problems
+ * @param {Array} colors - Array of {type, color, textColor, colorId}
+ * @returns {Array} Array of error messages, empty if the map is valid
+ */
+function validateEventColors(colors) {
+  if (!Array.isArray(colors)) {
+    return ['Event colors must be an array'];
+  }
+
+  const problems = [];
+  const seen = new Set();
+  colors.forEach((entry, index) => {
+    const type = entry && typeof entry.type === 'string' ? entry.type.trim() : '';
+    if (!type) {
+      problems.push(`Color ${index + 1} has no event type`);
+      return;
+    }
+    if (seen.has(type)) {
+      problems.push(`Event type "${type}" has more than one color`);
+    }
+    seen.add(type);
+
+    if (!HEX_COLOR_PATTERN.test(entry.color)) {
+      problems.push(`Color for "${type}" must be a #RRGGBB value`);
+    }
+    if (entry.textColor && !HEX_COLOR_PATTERN.test(entry.textColor)) {
+      problems.push(`Text color for "${type}" must be a #RRGGBB value`);
+    }
+    if (entry.colorId && !CALENDAR_COLOR_IDS.includes(String(entry.colorId))) {
+      problems.push(`Calendar color for "${type}" must be one of ${CALENDAR_COLOR_IDS.join(', ')}`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Clean up a color map before it is stored
+ * @param {Array} colors - Validated color map
+ * @returns {Array} Entries with trimmed types, upper case colors and a colorId only where set
+ */
+function normalizeEventColors(colors) {
+  return colors.map(entry => {
+    const normalized = {
+      type: entry.type.trim(),
+      color: entry.color.toUpperCase(),
+      textColor: (entry.textColor || '#000000').toUpperCase()
+    };
+    if (entry.colorId) {
+      normalized.colorId = String(entry.colorId);
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Get the event color map of a configuration
+ * @param {Object} config - The user's configuration
+ * @returns {Array} The color map
+ */
+function getEventColors(config) {
+  return (config && Array.isArray(config.eventColors))
+    ? config.eventColors
+    : DEFAULT_EVENT_COLORS;
+}
+
+/**
+ * Calendar color for a row's events
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {string|undefined} The colorId, or undefined for the calendar default
+ */
+function getRowColorId(row, columns, config) {
+  const eventType = String(getCell(row, columns, 'eventTypeD')).trim();
+  if (!eventType) return undefined;
+  const entry = getEventColors(config).find(candidate => candidate.type === eventType);
+  return (entry && entry.colorId) || undefined;
+}
+
+// ===== TENTATIVE EVENTS =====
+// Rows whose type rule is 'tentative' (by default אופציה) are synced as
+// pencilled-in bookings: status "tentative", transparent so they do not block
+// the crew's free/busy, and a summary prefix. When the row's type changes to
+// a confirmed one, the next update builds the event without these and it is
+// promoted in place. Tracking remembers which events are tentative, so the
+// full update scans can remove them once their row reverts to a type that is
+// not synced or disappears from the sheet.
+
+const TENTATIVE_SUMMARY_PREFIX = 'אופציה: ';
+
+/**
+ * Set a row's status, color, tentative styling and cancellation on an event resource
+ * The summary is rebuilt from its bare form each time, so promoted and
+ * restored events lose the prefixes they no longer need.
+ * @param {Object} eventResource - Calendar event resource with its summary set
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {Object} The same resource, for chaining
+ */
+function withRowEventState(eventResource, row, columns, config) {
+  const policy = getCancellationPolicy(config);
+  eventResource.status = getRowEventStatus(row, columns, config);
+  eventResource.colorId = getRowColorId(row, columns, config);
+
+  let summary = eventResource.summary || '';
+  for (const prefix of [policy.prefix, TENTATIVE_SUMMARY_PREFIX]) {
+    if (prefix && summary.startsWith(prefix)) {
+      summary = summary.slice(prefix.length);
+    }
+  }
+
+  if (eventResource.status === 'tentative') {
+    eventResource.transparency = 'transparent';
+    summary = `${TENTATIVE_SUMMARY_PREFIX}${summary}`;
+  } else {
+    delete eventResource.transparency;
+  }
+
+  if (isRowCancelled(row, columns)) {
+    summary = `${policy.prefix}${summary}`;
+    if (policy.mode !== 'delete' && policy.colorId) {
+      eventResource.colorId = policy.colorId;
+    }
+  }
+
+  eventResource.summary = summary;
+  return eventResource;
+}
+
+/**
+ * Remove tentative events whose row reverted to a type that is not synced or was deleted
+ * Only events of the tab being scanned are considered.
+ * @param {Object} sheetService - The Google Sheets API service
+ * @param {Object} calendarService - The Google Calendar API service
+ * @param {Object} config - The user's configuration
+ * @param {string} orgId - Organization ID
+ * @param {Array} rows - All sheet rows, as read by the scan
+ * @param {Object} trackingData - Tracking documents keyed by row ID (from getAllEventTracking)
+ * @param {Array|null} plan - Dry run: when given, nothing is removed and planned deletes are collected here
+ * @returns {Promise<Array>} Removed events as {rowId, rowIndex, eventId, title, reason}
+ */
+async function removeStaleTentativeEvents(sheetService, calendarService, config, orgId, rows, trackingData, plan = null) {
+  const columns = resolveColumnMapping(config);
+  const namespace = getRowNamespace(config);
+  const rowIndexById = {};
+  rows.forEach((row, rowIndex) => {
+    const rowId = getRowId(row, columns);
+    if (rowId) rowIndexById[rowId] = rowIndex;
+  });
+
+  const removed = [];
+  const clearedCells = [];
+  for (const [rowId, tracking] of Object.entries(trackingData)) {
+    if (!tracking.tentative || !tracking.eventId) continue;
+    if (!isRowIdInNamespace(rowId, namespace)) continue;
+
+    const rowIndex = rowIndexById[rowId];
+    const row = rowIndex === undefined ? null : rows[rowIndex];
+    let reason = null;
+    if (!row) {
+      reason = 'Row was deleted from the sheet';
+    } else if (!isSyncedEventType(row, columns, config)) {
+      reason = `Event type "${getCell(row, columns, 'eventTypeD')}" is not synced`;
+    }
+    if (!reason) continue;
+
+    const entry = {
+      rowId,
+      rowIndex: row ? rowIndex : tracking.rowIndex,
+      eventId: tracking.eventId,
+      title: tracking.title || 'Unknown',
+      reason
+    };
+
+    if (plan) {
+      plan.push(planEntry('delete', {...entry, date: tracking.date, warning: reason}));
+      continue;
+    }
+
+    const calendarId = getTrackedCalendarId(tracking, config);
+    try {
+      await calendarService.events.delete({
+        calendarId,
+        sendUpdates: getSendUpdates(config),
+        eventId: tracking.eventId
+      });
+    } catch (deleteError) {
+      if (deleteError.code !== 404 && deleteError.code !== 410) {
+        console.error(`Error removing tentative event ${tracking.eventId}: ${deleteError.message}`);
+        continue;
+      }
+    }
+    await deleteLinkedEvents(calendarService, config, rowId, calendarId);
+    await deleteEventTracking(orgId, rowId);
+    console.log(`Removed tentative event ${tracking.eventId} (${reason})`);
+    removed.push(entry);
+
+    // The row stays in the sheet; clear its markers so it reads as never synced
+    if (row) {
+      for (const field of ['processed', 'eventId']) {
+        if (columns[field] < 0) continue;
+        clearedCells.push({
+          range: `${config.sheetName}!${getColumnLetter(columns[field])}${getValidSheetRowNum(rowIndex)}`,
+          values: [['']]
+        });
+      }
+    }
+  }
+
+  if (clearedCells.length > 0) {
+    try {
+      await sheetService.spreadsheets.values.batchUpdate({
+        spreadsheetId: config.spreadsheetId,
+        resource: {
+          valueInputOption: "RAW",
+          data: clearedCells
+        }
+      });
+    } catch (sheetError) {
+      console.error(`Error clearing markers of removed tentative events: ${sheetError.message}`);
+    }
+  }
+
+  return removed;
+}
+
+// ===== CANCELLATION POLICY =====
+// Rows checked in the cancellation column are handled the same way on every
+// sync path, following `cancellationPolicy` on the configuration:
+//   delete  - the event gets the status "cancelled", which removes it from
+//             the calendar while keeping its ID so it can be restored
+//   mark    - the event stays, with the prefix and the policy's colorId
+//   archive - the event moves to `archiveCalendarId`, with the prefix
+//   notify  - the event stays with the prefix and the change is emailed to
+//             all attendees, whatever the configuration's sendUpdates is
+// The policy is applied by withRowEventState and getRowCalendarId, so the
+// event built from a row always reflects it. Un-cancelling a row rebuilds the
+// event without it: confirmed again, without prefix and color, and moved back
+// from the archive calendar.
+
+const CANCELLATION_MODES = ['delete', 'mark', 'archive', 'notify'];
+
+// Used for any setting a configuration has not saved
+const DEFAULT_CANCELLATION_POLICY = {
+  mode: 'delete',
+  prefix: 'Canceled: ',
+  colorId: '11',
+  archiveCalendarId: ''
+};
+
+/**
+ * Validate a cancellation policy and return a list of problems
+ * @param {Object} policy - {mode, prefix, colorId, archiveCalendarId}
+ * @returns {Array} Array of error messages, empty if the policy is valid
+ */
+function validateCancellationPolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    return ['Cancellation policy must be an object'];
+  }
+
+  const problems = [];
+  if (!CANCELLATION_MODES.includes(policy.mode)) {
+    problems.push(`Cancellation mode must be one of ${CANCELLATION_MODES.join(', ')}`);
+  }
+  if (policy.prefix !== undefined && typeof policy.prefix !== 'string') {
+    problems.push('Cancellation prefix must be text');
+  }
+  if (policy.colorId && !CALENDAR_COLOR_IDS.includes(String(policy.colorId))) {
+    problems.push(`Cancellation color must be one of ${CALENDAR_COLOR_IDS.join(', ')}`);
+  }
+  if (policy.mode === 'archive' && !(typeof policy.archiveCalendarId === 'string' && policy.archiveCalendarId.trim())) {
+    problems.push('The archive mode needs an archive calendar ID');
+  }
+  return problems;
+}
+
+/**
+ * Clean up a cancellation policy before it is stored
+ * @param {Object} policy - Validated policy
+ * @returns {Object} The policy with every setting present
+ */
+function normalizeCancellationPolicy(policy) {
+  return {
+    mode: policy.mode,
+    prefix: policy.prefix !== undefined ? policy.prefix : DEFAULT_CANCELLATION_POLICY.prefix,
+    colorId: policy.colorId ? String(policy.colorId) : '',
+    archiveCalendarId: (policy.archiveCalendarId || '').trim()
+  };
+}
+
+/**
+ * Get the cancellation policy of a configuration
+ * @param {Object} config - The user's configuration
+ * @returns {Object} The policy, with defaults for unsaved settings
+ */
+function getCancellationPolicy(config) {
+  return {
+    ...DEFAULT_CANCELLATION_POLICY,
+    ...((config && config.cancellationPolicy) || {})
+  };
+}
+
+/**
+ * Check whether an event currently shows as cancelled
+ * @param {Object} event - Calendar event
+ * @param {Object} config - The user's configuration
+ * @returns {boolean} Whether the event is cancelled or carries the cancellation prefix
+ */
+function isEventCancelled(event, config) {
+  const { prefix } = getCancellationPolicy(config);
+  return event.status === 'cancelled' || Boolean(prefix && (event.summary || '').startsWith(prefix));
+}
+
+/**
+ * Value of the processed column for a row
+ * @param {Object} config - The user's configuration
+ * @param {boolean} isCancelled - Whether the row is cancelled
+ * @returns {string} CANCELLED, or the configured processed marker
+ */
+function getProcessedMarker(config, isCancelled) {
+  return isCancelled ? "CANCELLED" : (config.processedMarker || "PROCESSED");
+}
+
+/**
+ * Bring a cancelled row's existing event in line with the cancellation policy
+ * The event is located first, so the archive mode moves it.
+ * @param {Object} calendarService - The Google Calendar API service
+ * @param {Object} config - The user's configuration
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {string} eventId - The calendar event ID
+ * @param {Object} eventData - The event built from the row
+ * @returns {Promise<string>} The calendar the event is in
+ */
+async function applyRowCancellation(calendarService, config, row, columns, eventId, eventData) {
+  const { calendarId } = await locateRowEvent(calendarService, config, row, columns, eventId);
+  await calendarService.events.update({
+    calendarId,
+    sendUpdates: getSendUpdates(config, row, columns),
+    eventId,
+    resource: eventData
+  });
+
+  try {
+    await syncLinkedEvents(calendarService, config, row, columns, eventData);
+  } catch (linkedError) {
+    console.error(`Error syncing linked events of cancelled event ${eventId}: ${linkedError.message}`);
+  }
+
+  console.log(`Applied cancellation policy "${getCancellationPolicy(config).mode}" to event ${eventId}`);
+  return calendarId;
+}
+
+// ===== SHEET TABS =====
+// A configuration can sync several tabs of its spreadsheet, e.g. one tab per
+// year plus a "Next Year" tab. `sheetTabs` lists them as
+// {sheetName, namespace, archived}; `sheetName` stays the primary tab, the one
+// the app's views and the row-by-row debug functions read.
+// Each tab has its own row ID namespace (see ROW IDENTITY). The tab that was
+// configured before tabs existed keeps the empty namespace, so its IDs and
+// tracking documents stay valid; tabs added later get "t1", "t2", ...
+// Scheduled scans cover every tab that is not archived. Archived tabs keep
+// their events and tracking, they are just no longer scanned.
+
+/**
+ * Get the tabs of a configuration
+ * @param {Object} config - The user's configuration
+ * @returns {Array} Tabs as {sheetName, namespace, archived}, the primary tab included
+ */
+function getSheetTabs(config) {
+  const tabs = ((config && Array.isArray(config.sheetTabs)) ? config.sheetTabs : [])
+    .map(tab => ({ namespace: '', archived: false, ...tab }));
+
+  if (config && config.sheetName && !tabs.some(tab => tab.sheetName === config.sheetName)) {
+    tabs.unshift({ sheetName: config.sheetName, namespace: '', archived: false });
+  }
+  return tabs;
+}
+
+/**
+ * Find a tab of a configuration by name
+ * @param {Object} config - The user's configuration
+ * @param {string} sheetName - Tab name
+ * @returns {Object|null} The tab, or null if the configuration does not list it
+ */
+function findSheetTab(config, sheetName) {
+  return getSheetTabs(config).find(tab => tab.sheetName === sheetName) || null;
+}
+
+/**
+ * Get the row ID namespace of the tab a configuration reads
+ * @param {Object} config - The user's configuration, or a tab configuration from getTabConfig
+ * @returns {string} The namespace, empty for the original tab
+ */
+function getRowNamespace(config) {
+  const tab = findSheetTab(config, config.sheetName);
+  return tab ? tab.namespace : '';
+}
+
+/**
+ * Key of a tab in `lastProcessedRows`
+ * @param {Object} tab - Tab from getSheetTabs
+ * @returns {string} The namespace, or "main" for the original tab
+ */
+function getTabKey(tab) {
+  return tab.namespace || 'main';
+}
+
+/**
+ * Pick the namespace for a newly added tab
+ * @param {Array} tabs - Tabs already in the configuration
+ * @returns {string} The first unused "t<n>" namespace
+ */
+function nextTabNamespace(tabs) {
+  const used = new Set(tabs.map(tab => tab.namespace));
+  let n = 1;
+  while (used.has(`t${n}`)) n++;
+  return `t${n}`;
+}
+
+/**
+ * Build the configuration used to read and sync one tab
+ * Everything that takes a configuration then works on that tab: sheetName is
+ * the tab's and lastProcessedRow is the tab's own progress.
+ * @param {Object} config - The user's configuration
+ * @param {Object} tab - Tab from getSheetTabs
+ * @returns {Object} The configuration for the tab
+ */
+function getTabConfig(config, tab) {
+  const isPrimaryTab = tab.sheetName === config.sheetName;
+  return {
+    ...config,
+    sheetName: tab.sheetName,
+    isPrimaryTab,
+    lastProcessedRow: isPrimaryTab
+      ? config.lastProcessedRow
+      : ((config.lastProcessedRows || {})[getTabKey(tab)] || 0)
+  };
+}
+
+/**
+ * Get the configurations of every tab the scheduled scans cover
+ * @param {Object} config - The user's configuration
+ * @returns {Array} Tab configurations, primary tab first
+ */
+function getScannedTabConfigs(config) {
+  return getSheetTabs(config)
+    .filter(tab => !tab.archived)
+    .sort((a, b) => (b.sheetName === config.sheetName) - (a.sheetName === config.sheetName))
+    .map(tab => getTabConfig(config, tab));
+}
+
+/**
+ * Store how far the new-row scan got in a tab
+ * @param {string} orgId - Organization ID
+ * @param {Object} tabConfig - Tab configuration from getTabConfig
+ * @param {number} lastProcessedRow - Index of the next row to process
+ */
+async function saveTabProgress(orgId, tabConfig, lastProcessedRow) {
+  const update = { lastScanTime: admin.firestore.FieldValue.serverTimestamp() };
+  if (tabConfig.isPrimaryTab === false) {
+    update[`lastProcessedRows.${getTabKey(findSheetTab(tabConfig, tabConfig.sheetName))}`] = lastProcessedRow;
+  } else {
+    update.lastProcessedRow = lastProcessedRow;
+  }
+  await db.collection("configurations").doc(orgId).update(update);
+}
+
+/**
+ * List the tab names of a spreadsheet
+ * @param {Object} sheetService - The Google Sheets API service
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @returns {Promise<Array>} Tab names in spreadsheet order
+ */
+async function listSheetTitles(sheetService, spreadsheetId) {
+  const spreadsheet = await sheetService.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets.properties.title'
+  });
+  return (spreadsheet.data.sheets || []).map(sheet => sheet.properties.title);
+}
+
+/**
+ * Validate the tabs sent by the app and return a list of problems
+ * @param {Array} tabs - Array of {sheetName, namespace, archived}
+ * @param {Object} config - The user's configuration
+ * @param {Array} titles - Tab names of the spreadsheet
+ * @returns {Array} Array of error messages, empty if the tabs are valid
+ */
+function validateSheetTabs(tabs, config, titles) {
+  if (!Array.isArray(tabs) || tabs.length === 0) {
+    return ['At least one tab is required'];
+  }
+
+  const problems = [];
+  const known = new Set(getSheetTabs(config).map(tab => tab.namespace));
+  const primary = findSheetTab(config, config.sheetName);
+  const names = new Set();
+  const namespaces = new Set();
+
+  tabs.forEach((tab, index) => {
+    const sheetName = tab && typeof tab.sheetName === 'string' ? tab.sheetName.trim() : '';
+    if (!sheetName) {
+      problems.push(`Tab ${index + 1}: name is required`);
+      return;
+    }
+    if (names.has(sheetName)) {
+      problems.push(`Tab "${sheetName}" is listed twice`);
+    }
+    names.add(sheetName);
+    if (!titles.includes(sheetName)) {
+      problems.push(`Tab "${sheetName}" not found in the spreadsheet`);
+    }
+
+    // Namespaces are assigned by the server; the app only sends back existing ones
+    if (tab.namespace !== undefined && tab.namespace !== null) {
+      if (!known.has(tab.namespace)) {
+        problems.push(`Tab "${sheetName}" has an unknown namespace`);
+      } else if (namespaces.has(tab.namespace)) {
+        problems.push(`Tab "${sheetName}" reuses the namespace of another tab`);
+      }
+      namespaces.add(tab.namespace);
+    }
+  });
+
+  const primaryTab = primary && tabs.find(tab => tab && tab.namespace === primary.namespace);
+  if (primary && !primaryTab) {
+    problems.push('The primary tab cannot be removed; use the year rollover to switch to another tab');
+  } else if (primaryTab && primaryTab.archived) {
+    problems.push('The primary tab cannot be archived');
+  }
+  return problems;
+}
+
+/**
+ * Clean up validated tabs before they are stored
+ * @param {Array} tabs - Validated tabs
+ * @returns {Array} Tabs with trimmed names, and namespaces for the new ones
+ */
+function normalizeSheetTabs(tabs) {
+  const normalized = [];
+  for (const tab of tabs) {
+    const hasNamespace = tab.namespace !== undefined && tab.namespace !== null;
+    normalized.push({
+      sheetName: tab.sheetName.trim(),
+      namespace: hasNamespace ? tab.namespace : null,
+      archived: Boolean(tab.archived)
+    });
+  }
+  for (const tab of normalized) {
+    if (tab.namespace === null) {
+      tab.namespace = nextTabNamespace(normalized);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Switch the primary tab, e.g. from "This Year" to the tab of the new year
+ * Rows of the new tab that came from the current primary tab (copied with
+ * their row ID, or carrying one of its event IDs) take over that row's event:
+ * they get an ID in the new tab's namespace, and the tracking document and the
+ * row ID on the events move with it, so the event is neither created again
+ * nor left without a row. The previous primary tab is then archived.
+ * @param {Object} sheetService - The Google Sheets API service
+ * @param {Object} calendarService - The Google Calendar API service
+ * @param {string} orgId - Organization ID
+ * @param {Object} config - The user's configuration
+ * @param {string} sheetName - Tab to switch to
+ * @param {boolean} dryRun - Only report what would happen
+ * @returns {Promise<Object>} {from, to, adopted, added}
+ */
+async function rolloverToSheetTab(sheetService, calendarService, orgId, config, sheetName, dryRun) {
+  const columns = resolveColumnMapping(config);
+  const tabs = getSheetTabs(config);
+  const from = findSheetTab(config, config.sheetName);
+  let to = tabs.find(tab => tab.sheetName === sheetName) || null;
+  const added = !to;
+
+  if (added) {
+    const titles = await listSheetTitles(sheetService, config.spreadsheetId);
+    if (!titles.includes(sheetName)) {
+      throw new functions.https.HttpsError("not-found", `Tab "${sheetName}" not found in the spreadsheet`);
+    }
+    to = { sheetName, namespace: nextTabNamespace(tabs), archived: false };
+    tabs.push(to);
+  }
+
+  const sheetResponse = await sheetService.spreadsheets.values.get({
+    spreadsheetId: config.spreadsheetId,
+    range: `${sheetName}!${config.dataRange || "A1:AZ1000"}`,
+    ...SHEET_READ_OPTIONS
+  });
+  const rows = normalizeSheetRows(sheetResponse.data.values || [], config);
+
+  // Events of the current primary tab, by row ID and by event ID
+  const trackingData = await getAllEventTracking(orgId);
+  const fromByEventId = {};
+  for (const [rowId, tracking] of Object.entries(trackingData)) {
+    if (tracking.eventId && isRowIdInNamespace(rowId, from.namespace)) {
+      fromByEventId[tracking.eventId] = tracking;
+    }
+  }
+
+  const adopted = [];
+  const claimed = new Set();
+  rows.forEach((row, rowIndex) => {
+    if (!row || !getCell(row, columns, 'date')) return;
+
+    const rowId = getRowId(row, columns);
+    const eventId = String(getCell(row, columns, 'eventId')).trim();
+    const source = (rowId && isRowIdInNamespace(rowId, from.namespace) && trackingData[rowId]) ||
+      (eventId && fromByEventId[eventId]) ||
+      null;
+    if (!source || !source.eventId || claimed.has(source.rowId)) return;
+    claimed.add(source.rowId);
+
+    adopted.push({
+      row,
+      rowIndex,
+      sheetRow: getValidSheetRowNum(rowIndex),
+      fromRowId: source.rowId,
+      rowId: rowId && isRowIdInNamespace(rowId, to.namespace) ? rowId : generateRowId(to.namespace),
+      eventId: source.eventId,
+      calendarId: getTrackedCalendarId(source, config),
+      title: getEventName(row, columns) || source.title,
+      date: getCell(row, columns, 'date'),
+      tracking: source
+    });
+  });
+
+  const summary = {
+    from: from.sheetName,
+    to: to.sheetName,
+    added,
+    adopted: adopted.map(({ rowIndex, sheetRow, eventId, title, date }) => ({ rowIndex, sheetRow, eventId, title, date }))
+  };
+  if (dryRun) {
+    return summary;
+  }
+
+  // Write the new row IDs, and the event ID and processed marker for rows that lack them
+  if (adopted.length > 0) {
+    const cells = [];
+    for (const entry of adopted) {
+      cells.push({ range: `${sheetName}!${getColumnLetter(columns.rowId)}${entry.sheetRow}`, values: [[entry.rowId]] });
+      if (columns.eventId >= 0) {
+        cells.push({ range: `${sheetName}!${getColumnLetter(columns.eventId)}${entry.sheetRow}`, values: [[entry.eventId]] });
+      }
+      if (columns.processed >= 0) {
+        const marker = getProcessedMarker(config, isRowCancelled(entry.row, columns));
+        cells.push({ range: `${sheetName}!${getColumnLetter(columns.processed)}${entry.sheetRow}`, values: [[marker]] });
+      }
+    }
+    await sheetService.spreadsheets.values.batchUpdate({
+      spreadsheetId: config.spreadsheetId,
+      resource: { valueInputOption: "RAW", data: cells }
+    });
+  }
+
+  // Move the tracking documents to the new row IDs (two writes per row, 500 per batch)
+  const eventsRef = db.collection('eventTracking').doc(orgId).collection('events');
+  for (let i = 0; i < adopted.length; i += 250) {
+    const batch = db.batch();
+    for (const entry of adopted.slice(i, i + 250)) {
+      batch.set(eventsRef.doc(entry.rowId), {
+        ...entry.tracking,
+        rowId: entry.rowId,
+        rowIndex: entry.rowIndex,
+        sheetRow: entry.rowIndex + 2,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      if (entry.fromRowId !== entry.rowId) {
+        batch.delete(eventsRef.doc(entry.fromRowId));
+      }
+    }
+    await batch.commit();
+  }
+
+  // The main and linked events carry the row ID as well
+  const errors = [];
+  for (const entry of adopted) {
+    try {
+      const response = await calendarService.events.list({
+        calendarId: entry.calendarId,
+        privateExtendedProperty: [`rowId=${entry.fromRowId}`],
+        maxResults: 250
+      });
+      for (const event of response.data.items || []) {
+        await calendarService.events.patch({
+          calendarId: entry.calendarId,
+          eventId: event.id,
+          resource: { extendedProperties: { private: { rowId: entry.rowId } } }
+        });
+      }
+    } catch (error) {
+      console.error(`Error moving the row ID of event ${entry.eventId}: ${error.message}`);
+      errors.push({ rowIndex: entry.rowIndex, error: error.message });
+    }
+  }
+
+  // The new tab becomes primary and takes over the primary progress counter
+  await db.collection("configurations").doc(orgId).update({
+    sheetName: to.sheetName,
+    sheetTabs: tabs.map(tab => ({
+      sheetName: tab.sheetName,
+      namespace: tab.namespace,
+      archived: tab.sheetName === from.sheetName ? true : tab.sheetName === to.sheetName ? false : tab.archived
+    })),
+    lastProcessedRow: added ? 0 : ((config.lastProcessedRows || {})[getTabKey(to)] || 0),
+    [`lastProcessedRows.${getTabKey(from)}`]: config.lastProcessedRow || 0,
+    [`lastProcessedRows.${getTabKey(to)}`]: admin.firestore.FieldValue.delete(),
+    sheetTabsUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  await db.collection("processingLogs").add({
+    orgId,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    scanType: "tab-rollover",
+    from: from.sheetName,
+    to: to.sheetName,
+    adopted: summary.adopted,
+    errors
+  });
+
+  console.log(`Rolled over from "${from.sheetName}" to "${to.sheetName}", ${adopted.length} rows took over their events`);
+  return { ...summary, errors };
+}
+
+// ===== ORGANIZATIONS =====
+// A sync setup belongs to an organization rather than to the coordinator who
+// created it. `organizations/{orgId}` holds {name, allowedDomains,
+// invitedEmails, members, memberIds}: members maps uid -> {email,
+// displayName, role, joinedAt} and memberIds lists the same uids for lookups.
+// The organization's configuration is `configurations/{orgId}`; event
+// tracking (`eventTracking/{orgId}`) and processing logs (their `orgId` field)
+// are scoped to it too, so every member sees and drives the same sync and the
+// scheduled functions run each organization's sheet once.
+// A caller joins on first use when their address was invited or their email
+// domain is allowed. A configuration still stored under a member's uid is
+// moved to the organization when that member joins.
+// Organizations and their first admin are only ever created by
+// scripts/assignOrganizationAdmin.js; until then nobody can join them.
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+/**
+ * Shape an organization document for the callables
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object} {id, name, allowedDomains, invitedEmails, members}
+ */
+function organizationToJSON(doc) {
+  const data = doc.data() || {};
+  return {
+    id: doc.id,
+    name: data.name || '',
+    allowedDomains: data.allowedDomains || [],
+    invitedEmails: data.invitedEmails || [],
+    members: data.members || {}
+  };
+}
+
+/**
+ * Find the organization of a user, adding them to it when they were invited
+ * or their email domain is allowed
+ * @param {Object} user - {uid, email, emailVerified, displayName}
+ * @returns {Promise<Object|null>} The organization (see organizationToJSON), or null if the user has none
+ */
+async function resolveOrganization(user) {
+  const organizations = db.collection('organizations');
+
+  const membership = await organizations.where('memberIds', 'array-contains', user.uid).limit(1).get();
+  if (!membership.empty) {
+    return organizationToJSON(membership.docs[0]);
+  }
+
+  // Invites and domains are matched on the email, so it must be verified
+  const email = String(user.email || '').toLowerCase();
+  const domain = email.split('@')[1] || '';
+  if (!domain || !user.emailVerified) {
+    return null;
+  }
+
+  let orgRef = null;
+  const invited = await organizations.where('invitedEmails', 'array-contains', email).limit(1).get();
+  if (!invited.empty) {
+    orgRef = invited.docs[0].ref;
+  } else {
+    const allowed = await organizations.where('allowedDomains', 'array-contains', domain).limit(1).get();
+    if (!allowed.empty) {
+      orgRef = allowed.docs[0].ref;
+    }
+  }
+  if (!orgRef) {
+    return null;
+  }
+
+  // Admins are appointed by the bootstrap script; everyone who joins gets the default role
+  await orgRef.update({
+    memberIds: admin.firestore.FieldValue.arrayUnion(user.uid),
+    [`members.${user.uid}`]: {
+      email,
+      displayName: user.displayName || '',
+      role: DEFAULT_MEMBER_ROLE,
+      joinedAt: admin.firestore.FieldValue.serverTimestamp()
+    },
+    invitedEmails: admin.firestore.FieldValue.arrayRemove(email)
+  });
+  await setMemberClaims(user.uid, orgRef.id, DEFAULT_MEMBER_ROLE);
+  console.log(`User ${user.uid} (${email}) joined organization ${orgRef.id} as ${DEFAULT_MEMBER_ROLE}`);
+
+  await migrateUserConfiguration(user.uid, orgRef.id);
+
+  return organizationToJSON(await orgRef.get());
+}
+
+/**
+ * Resolve the organization of a callable's caller and check their role
+ * @param {Object} context - Callable context
+ * @param {string} [permission] - Permission the call needs (see ROLE_PERMISSIONS); any member when omitted
+ * @returns {Promise<Object>} The organization, with its ID also as orgId and the caller's role
+ * @throws {functions.https.HttpsError} When the caller is signed out, belongs to no organization or lacks the permission
+ */
+async function requireOrgMember(context, permission) {
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Authentication required");
+  }
+
+  const org = await resolveOrganization({
+    uid: context.auth.uid,
+    email: context.auth.token.email,
+    emailVerified: context.auth.token.email_verified,
+    displayName: context.auth.token.name
+  });
+  if (!org) {
+    throw new functions.https.HttpsError("permission-denied", "Not a member of any organization");
+  }
+
+  const role = getMemberRole(org, context.auth.uid);
+  if (permission && !hasPermission(role, permission)) {
+    throw new functions.https.HttpsError("permission-denied", `The ${role} role does not allow this action`);
+  }
+  return {...org, orgId: org.id, role};
+}
+
+/**
+ * Move a configuration stored under a user's uid to their organization
+ * The organization takes the configuration and its event tracking when it has
+ * none yet; otherwise the organization's own setup wins. Either way the uid
+ * configuration is disabled so its sheet is not synced twice.
+ * @param {string} uid - User ID the configuration was stored under
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<boolean>} Whether a configuration was found and moved or disabled
+ */
+async function migrateUserConfiguration(uid, orgId) {
+  const userConfigRef = db.collection('configurations').doc(uid);
+  const userConfig = await userConfigRef.get();
+  if (uid === orgId || !userConfig.exists || userConfig.data().migratedTo) {
+    return false;
+  }
+
+  const orgConfigRef = db.collection('configurations').doc(orgId);
+  const orgConfig = await orgConfigRef.get();
+  if (!orgConfig.exists) {
+    await orgConfigRef.set({...userConfig.data(), migratedFrom: uid});
+
+    const tracking = await db.collection('eventTracking').doc(uid).collection('events').get();
+    const eventsRef = db.collection('eventTracking').doc(orgId).collection('events');
+    for (let i = 0; i < tracking.docs.length; i += 500) {
+      const batch = db.batch();
+      tracking.docs.slice(i, i + 500).forEach(doc => batch.set(eventsRef.doc(doc.id), doc.data()));
+      await batch.commit();
+    }
+
+    const logs = await db.collection('processingLogs').where('userId', '==', uid).get();
+    for (let i = 0; i < logs.docs.length; i += 500) {
+      const batch = db.batch();
+      logs.docs.slice(i, i + 500).forEach(doc => batch.update(doc.ref, {orgId}));
+      await batch.commit();
+    }
+
+    console.log(`Moved configuration, ${tracking.size} tracked events and ${logs.size} logs of user ${uid} to organization ${orgId}`);
+  } else {
+    console.log(`Organization ${orgId} already has a configuration; disabling the one of user ${uid}`);
+  }
+
+  await userConfigRef.update({
+    enabled: false,
+    migratedTo: orgId,
+    migratedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return true;
+}
+
+/**
+ * Load the configurations the scheduled functions run, one per organization
+ * Configurations still stored under a uid are first moved to their owner's
+ * organization, so no sheet is synced twice.
+ * @returns {Promise<Array>} Configuration document snapshots, keyed by organization ID
+ */
+async function getOrganizationConfigDocs() {
+  const organizations = await db.collection('organizations').get();
+  const orgIds = new Set(organizations.docs.map(doc => doc.id));
+
+  const configs = await db.collection('configurations').get();
+  for (const configDoc of configs.docs) {
+    if (orgIds.has(configDoc.id) || configDoc.data().migratedTo) continue;
+
+    try {
+      const user = await admin.auth().getUser(configDoc.id);
+      const org = await resolveOrganization(user);
+      if (org) {
+        await migrateUserConfiguration(configDoc.id, org.id);
+        orgIds.add(org.id);
+      } else {
+        console.log(`Configuration ${configDoc.id} belongs to no organization, skipping`);
+      }
+    } catch (error) {
+      console.error(`Error moving configuration ${configDoc.id} to an organization:`, error.message);
+    }
+  }
+
+  const docs = [];
+  for (const orgId of orgIds) {
+    const configDoc = await db.collection('configurations').doc(orgId).get();
+    if (configDoc.exists) docs.push(configDoc);
+  }
+  return docs;
+}
+
+/**
+ * Validate organization settings and return a list of problems
+ * @param {Object} settings - {name, allowedDomains, invitedEmails}
+ * @returns {Array} Array of error messages, empty if the settings are valid
+ */
+function validateOrganizationSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return ['Organization settings must be an object'];
+  }
+
+  const problems = [];
+  if (typeof settings.name !== 'string' || !settings.name.trim()) {
+    problems.push('Organization name is required');
+  }
+  if (!Array.isArray(settings.allowedDomains)) {
+    problems.push('Allowed domains must be a list');
+  } else {
+    settings.allowedDomains.forEach(domain => {
+      if (!DOMAIN_PATTERN.test(String(domain).trim().toLowerCase())) {
+        problems.push(`"${domain}" is not a valid domain`);
+      }
+    });
+  }
+  if (!Array.isArray(settings.invitedEmails)) {
+    problems.push('Invited emails must be a list');
+  } else {
+    settings.invitedEmails.forEach(email => {
+      if (!EMAIL_PATTERN.test(String(email).trim())) {
+        problems.push(`"${email}" is not a valid email address`);
+      }
+    });
+  }
+  return problems;
+}
+
+/**
+ * Clean up validated organization settings before they are stored
+ * @param {Object} settings - Validated settings
+ * @returns {Object} {name, allowedDomains, invitedEmails}, lowercase and without duplicates
+ */
+function normalizeOrganizationSettings(settings) {
+  const unique = values => [...new Set(values.map(value => String(value).trim().toLowerCase()))];
+  return {
+    name: settings.name.trim(),
+    allowedDomains: unique(settings.allowedDomains),
+    invitedEmails: unique(settings.invitedEmails)
+  };
+}
+
+// ===== ROLES =====
+// Each member of an organization has one role, stored on their entry in the
+// organization's members map. Callables name the permission they need and
+// requireOrgMember checks it against ROLE_PERMISSIONS:
+//   schedule           - see the schedule views (technicians only their own rows)
+//   view               - see all events, settings, logs and the sheet preview
+//   sync               - run scans, row syncs and maintenance
+//   configure          - change the sync settings, tabs and technician directory
+//   delete             - delete events from the calendar
+//   reports            - workload and payroll reports
+//   quotes             - open and edit quotes in the app (checked by firestore.rules)
+//   manageOrganization - domains, invites, members and their roles
+// The role and organization are mirrored into the member's custom claims so
+// firestore.rules can check them without reading the organization.
+// Admins are only assigned with scripts/assignOrganizationAdmin.js, which also
+// creates organizations; those created before roles existed have no admin.
+
+const ROLES = ['admin', 'coordinator', 'technician', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  admin: ['schedule', 'view', 'sync', 'configure', 'delete', 'reports', 'quotes', 'manageOrganization'],
+  coordinator: ['schedule', 'view', 'sync', 'configure', 'reports', 'quotes'],
+  technician: ['schedule'],
+  viewer: ['schedule', 'view']
+};
+
+// Role of members who join an organization; domain users have always run the
+// sync, so they still can (an admin changes roles in the organization dialog)
+const DEFAULT_MEMBER_ROLE = 'coordinator';
+
+// Members who joined before roles existed keep running the sync
+const LEGACY_MEMBER_ROLE = 'coordinator';
+
+/**
+ * Get the role of an organization member
+ * @param {Object} org - Organization (see organizationToJSON)
+ * @param {string} uid - Member's user ID
+ * @returns {string} One of ROLES
+ */
+function getMemberRole(org, uid) {
+  const member = org.members[uid];
+  return member && ROLES.includes(member.role) ? member.role : LEGACY_MEMBER_ROLE;
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - One of ROLES
+ * @param {string} permission - Permission name
+ * @returns {boolean} Whether the role has the permission
+ */
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Mirror a member's organization and role into their custom claims
+ * @param {string} uid - Member's user ID
+ * @param {string|null} orgId - Organization ID, or null to clear the claims
+ * @param {string|null} role - One of ROLES, or null to clear the claims
+ * @returns {Promise<void>}
+ */
+async function setMemberClaims(uid, orgId, role) {
+  try {
+    await admin.auth().setCustomUserClaims(uid, orgId ? {orgId, role} : null);
+  } catch (error) {
+    // The callables read the role from Firestore, so only the rules lag behind
+    console.error(`Error setting claims for user ${uid}:`, error.message);
+  }
+}
+
+/**
+ * Find the directory entry of a technician member by their email
+ * @param {Array} directory - Entries from loadTechnicianDirectory
+ * @param {string} email - Member's email
+ * @returns {Object|null} The directory entry, or null if the email is not in the directory
+ */
+function findTechnicianByEmail(directory, email) {
+  const key = String(email || '').toLowerCase();
+  return (key && directory.find(entry => entry.email.toLowerCase() === key)) || null;
+}
+
+/**
+ * Check whether a technician is assigned to a row
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Array} directory - Entries from loadTechnicianDirectory
+ * @param {Object|null} technician - Directory entry of the technician
+ * @returns {boolean} Whether one of the row's technician cells resolves to them
+ */
+function isTechnicianOnRow(row, columns, directory, technician) {
+  if (!technician) return false;
+  return resolveTechnicians(row, columns, directory)
+    .some(result => result.technician && result.technician.id === technician.id);
+}
+
+// ===== JOBS =====
+// Scanning a month, deleting a month and adding selected rows run as
+// documents in the `jobs` collection rather than inside one callable:
+//   {orgId, type, params, status, items, cursor, progress, createdBy, ...}
+// The handler's `prepare` turns the params into a list of items once; the
+// worker then processes them in chunks. After every item it saves the cursor
+// and the counters (progress: {total, done, succeeded, skipped, failed}) and
+// the item's result under `jobs/{jobId}/results`, so the app can follow a job
+// live and a resumed job never repeats finished items. A handler either has
+// `processItem`, called per item, or `processBatch`, called with the whole
+// chunk so its Calendar writes can share one batch request.
+// A chunk ends after JOB_CHUNK_SIZE items or JOB_CHUNK_MS; the job goes back
+// to 'queued' and a new document in `jobs/{jobId}/runs` starts the next chunk
+// in a fresh invocation, far from the function timeout.
+// Statuses: queued -> running -> ... -> completed | failed | cancelled.
+// Cancelling stops before the next item; resuming a cancelled or failed job
+// continues from its cursor. Jobs whose worker died are queued again by
+// requeueStalledJobs once their lease runs out.
+// A job holds its configuration's sync lease (see SYNC ORCHESTRATOR) from
+// creation until it completes, fails or is cancelled, renewing it with every
+// chunk. A job that lost the lease while stalled waits, queued, until
+// requeueStalledJobs finds it free again.
+
+// A chunk of inserts fills exactly one Calendar batch request
+const JOB_CHUNK_SIZE = CALENDAR_BATCH_SIZE;
+const JOB_CHUNK_MS = 4 * 60 * 1000;
+const JOB_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Create a job and queue its first run
+ * @param {string} orgId - Organization ID
+ * @param {string} uid - User who started the job
+ * @param {string} type - Key of JOB_HANDLERS
+ * @param {Object} params - Parameters for the handler
+ * @returns {Promise<string>} The job ID
+ */
+async function createJob(orgId, uid, type, params) {
+  const jobRef = db.collection('jobs').doc();
+  await requireSyncLock(orgId, getJobLockOwner(jobRef));
+  await jobRef.set({
+    orgId,
+    type,
+    params,
+    status: 'queued',
+    items: null,
+    cursor: 0,
+    progress: {total: 0, done: 0, succeeded: 0, skipped: 0, failed: 0},
+    cancelRequested: false,
+    error: null,
+    createdBy: uid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  await queueJobRun(jobRef);
+  console.log(`Created ${type} job ${jobRef.id} for organization ${orgId}`);
+  return jobRef.id;
+}
+
+/**
+ * Start the next chunk of a job in a new invocation
+ * @param {Object} jobRef - Job document reference
+ * @returns {Promise<void>}
+ */
+async function queueJobRun(jobRef) {
+  await jobRef.collection('runs').add({
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Claim a queued job for this invocation
+ * @param {Object} jobRef - Job document reference
+ * @returns {Promise<Object|null>} The job data, or null if it is not queued
+ */
+async function claimJob(jobRef) {
+  return db.runTransaction(async transaction => {
+    const snapshot = await transaction.get(jobRef);
+    if (!snapshot.exists || snapshot.data().status !== 'queued') {
+      return null;
+    }
+    transaction.update(jobRef, {
+      status: 'running',
+      waitingForSyncLock: false,
+      leaseUntil: admin.firestore.Timestamp.fromMillis(Date.now() + JOB_LEASE_MS),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return snapshot.data();
+  });
+}
+
+/**
+ * Run one chunk of a job
+ * @param {Object} jobRef - Job document reference
+ * @returns {Promise<void>}
+ */
+async function runJobChunk(jobRef) {
+  const job = await claimJob(jobRef);
+  if (!job) {
+    console.log(`Job ${jobRef.id} is not queued, nothing to run`);
+    return;
+  }
+
+  // Renew the job's sync lease for this chunk
+  if (!(await acquireSyncLock(job.orgId, getJobLockOwner(jobRef)))) {
+    await jobRef.update({
+      status: 'queued',
+      waitingForSyncLock: true,
+      leaseUntil: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    console.log(`Job ${jobRef.id} waits for the sync lease of ${job.orgId}`);
+    return;
+  }
+
+  const handler = JOB_HANDLERS[job.type];
+  const startedAt = Date.now();
+
+  try {
+    const configDoc = await db.collection('configurations').doc(job.orgId).get();
+    if (!configDoc.exists) {
+      throw new Error('Configuration not found');
+    }
+    const config = configDoc.data();
+    const { sheetService, calendarService } = await setupApiClients();
+    const ctx = {
+      jobRef,
+      job,
+      orgId: job.orgId,
+      config,
+      columns: resolveColumnMapping(config),
+      sheetService,
+      calendarService
+    };
+
+    // The item list is fixed on the first run, so resuming continues the same work
+    let items = job.items;
+    if (!items) {
+      const prepared = await handler.prepare(ctx);
+      items = prepared.items;
+      await jobRef.update({
+        items,
+        summary: prepared.summary || {},
+        'progress.total': items.length,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      console.log(`Job ${jobRef.id} prepared ${items.length} items`);
+    }
+
+    let cursor = job.cursor || 0;
+    const chunk = items.slice(cursor, cursor + JOB_CHUNK_SIZE);
+    const state = chunk.length > 0 && handler.loadChunk ? await handler.loadChunk(ctx, chunk) : {};
+
+    if (handler.processBatch) {
+      // The chunk is sent as one batch, so it is also the unit of cancelling
+      if (chunk.length > 0) {
+        if (await cancelJobIfRequested(jobRef, cursor, items.length)) return;
+
+        let results;
+        try {
+          results = await handler.processBatch(ctx, chunk, state);
+        } catch (batchError) {
+          console.error(`Job ${jobRef.id} items ${cursor}-${cursor + chunk.length - 1} failed:`, batchError.message);
+          results = chunk.map(() => ({status: 'failed', error: batchError.message}));
+        }
+        await recordJobResults(jobRef, cursor, chunk, results);
+        cursor += chunk.length;
+      }
+    } else {
+      for (const item of chunk) {
+        if (await cancelJobIfRequested(jobRef, cursor, items.length)) return;
+
+        let result;
+        try {
+          result = await handler.processItem(ctx, item, state);
+        } catch (itemError) {
+          console.error(`Job ${jobRef.id} item ${cursor} failed:`, itemError.message);
+          result = {status: 'failed', error: itemError.message};
+        }
+        await recordJobResults(jobRef, cursor, [item], [result]);
+        cursor++;
+
+        if (Date.now() - startedAt > JOB_CHUNK_MS) break;
+      }
+    }
+
+    if (cursor < items.length) {
+      await jobRef.update({
+        status: 'queued',
+        leaseUntil: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await queueJobRun(jobRef);
+      return;
+    }
+
+    const finalJob = (await jobRef.get()).data();
+    const outcome = handler.finish ? await handler.finish(ctx, finalJob) : {};
+    await jobRef.update({
+      ...outcome,
+      status: 'completed',
+      leaseUntil: null,
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await releaseSyncLock(job.orgId, getJobLockOwner(jobRef));
+    console.log(`Job ${jobRef.id} completed:`, finalJob.progress);
+  } catch (error) {
+    console.error(`Job ${jobRef.id} failed:`, error);
+    await jobRef.update({
+      status: 'failed',
+      error: error.message,
+      leaseUntil: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await releaseSyncLock(job.orgId, getJobLockOwner(jobRef));
+  }
+}
+
+/**
+ * Owner under which a job holds its configuration's sync lease
+ * @param {Object} jobRef - Job document reference
+ * @returns {string} Lock owner
+ */
+function getJobLockOwner(jobRef) {
+  return `job-${jobRef.id}`;
+}
+
+/**
+ * Stop a job whose cancellation was requested
+ * @param {Object} jobRef - Job document reference
+ * @param {number} cursor - Index of the next item
+ * @param {number} total - Number of items
+ * @returns {Promise<boolean>} True if the job was cancelled
+ */
+async function cancelJobIfRequested(jobRef, cursor, total) {
+  const current = await jobRef.get();
+  if (!current.data().cancelRequested) {
+    return false;
+  }
+  await jobRef.update({
+    status: 'cancelled',
+    cancelRequested: false,
+    leaseUntil: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  await releaseSyncLock(current.data().orgId, getJobLockOwner(jobRef));
+  console.log(`Job ${jobRef.id} cancelled at item ${cursor} of ${total}`);
+  return true;
+}
+
+/**
+ * Store the results of processed items and move the job's cursor past them
+ * @param {Object} jobRef - Job document reference
+ * @param {number} start - Index of the first item
+ * @param {Array} items - The processed items
+ * @param {Array} results - One {status, ...} per item
+ * @returns {Promise<void>}
+ */
+async function recordJobResults(jobRef, start, items, results) {
+  const batch = db.batch();
+  const counts = {};
+  results.forEach((result, i) => {
+    batch.set(jobRef.collection('results').doc(String(start + i).padStart(5, '0')), {
+      ...result,
+      item: items[i],
+      at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    counts[result.status] = (counts[result.status] || 0) + 1;
+  });
+
+  const cursor = start + items.length;
+  const update = {
+    cursor,
+    'progress.done': cursor,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  for (const [status, count] of Object.entries(counts)) {
+    update[`progress.${status}`] = admin.firestore.FieldValue.increment(count);
+  }
+  batch.update(jobRef, update);
+  await batch.commit();
+}
+
+/**
+ * Read the primary sheet tab with row IDs assigned
+ * @param {Object} ctx - Job context from runJobChunk
+ * @returns {Promise<Array>} Normalized rows
+ */
+async function readJobRows(ctx) {
+  const { sheetService, config } = ctx;
+  const response = await sheetService.spreadsheets.values.get({
+    spreadsheetId: config.spreadsheetId,
+    range: `${config.sheetName}!${config.dataRange}`,
+    ...SHEET_READ_OPTIONS
+  });
+  const rows = response.data.values || [];
+  normalizeSheetRows(rows, config);
+  return rows;
+}
+
+/**
+ * Prepare the sheet for a job that creates events
+ * Row IDs are assigned and legacy tracking migrated before the item list is
+ * built, so every item can be found again by its row ID.
+ * @param {Object} ctx - Job context from runJobChunk
+ * @returns {Promise<Array>} Normalized rows
+ */
+async function prepareInsertJobRows(ctx) {
+  const rows = await readJobRows(ctx);
+  await ensureRowIds(ctx.sheetService, ctx.config, rows, ctx.orgId);
+  if (!ctx.config.rowIdentityMigratedAt) {
+    await migrateLegacyTracking(ctx.orgId, ctx.config, ctx.sheetService, ctx.calendarService, rows);
+  }
+  return rows;
+}
+
+/**
+ * Load the rows of a chunk of row IDs with their coordination sheet links
+ * @param {Object} ctx - Job context from runJobChunk
+ * @param {Array} rowIds - Row IDs of the chunk
+ * @returns {Promise<Object>} {rows, indexById, coordinationLinks}
+ */
+async function loadInsertJobChunk(ctx, rowIds) {
+  const rows = await readJobRows(ctx);
+  const indexById = {};
+  rowIds.forEach(rowId => {
+    indexById[rowId] = findRowIndexById(rows, ctx.columns, rowId);
+  });
+
+  const coordinationLinks = await fetchCoordinationSheetLinks(
+    ctx.sheetService,
+    ctx.config.spreadsheetId,
+    ctx.config.sheetName,
+    Object.values(indexById).filter(rowIndex => rowIndex >= 0),
+    ctx.columns.coordinationSheet
+  );
+  // Rows that already have an event update it instead of creating another
+  const trackingById = {};
+  await Promise.all(rowIds.map(async rowId => {
+    trackingById[rowId] = await getEventTracking(ctx.orgId, rowId);
+  }));
+  return {rows, indexById, coordinationLinks, trackingById};
+}
+
+/**
+ * Create the calendar events of a chunk of rows and record them
+ * The inserts go out as one Calendar batch; a row whose insert failed gets no
+ * tracking and no event ID in the sheet, so it is created again on resume or
+ * by the next scan.
+ * @param {Object} ctx - Job context from runJobChunk
+ * @param {Array} rowIds - Row IDs of the chunk
+ * @param {Object} state - Chunk state from loadInsertJobChunk
+ * @returns {Promise<Array>} One result per row: {status, rowIndex, title, eventId} or a skip or failure reason
+ */
+async function insertJobRowEvents(ctx, rowIds, state) {
+  const { config, columns, sheetService, calendarService, orgId } = ctx;
+  const results = new Array(rowIds.length);
+  const inserts = [];
+
+  for (const [i, rowId] of rowIds.entries()) {
+    const rowIndex = state.indexById[rowId];
+    const row = rowIndex >= 0 ? state.rows[rowIndex] : null;
+
+    if (!row || row.length === 0) {
+      results[i] = {status: 'skipped', rowId, reason: 'Row not found in sheet'};
+      continue;
+    }
+
+    const dateProblem = getRequiredDateProblem(row, columns);
+    if (dateProblem) {
+      results[i] = {status: 'skipped', rowId, rowIndex, reason: dateProblem.message};
+      continue;
+    }
+
+    // Event types kept off the calendar are not synced, even when selected
+    if (!isSyncedEventType(row, columns, config)) {
+      results[i] = {status: 'skipped', rowId, rowIndex, reason: `Event type "${getCell(row, columns, 'eventTypeD')}" is not synced`};
+      continue;
+    }
+
+    try {
+      const eventDate = parseDate(getCell(row, columns, 'date'));
+      const coordinationUrl = state.coordinationLinks[rowIndex] || null;
+      const { event, finalTitle, shouldCancel } = buildEventFromRow(row, columns, config, eventDate, coordinationUrl);
+      await withAttendees(event, row, columns, config);
+      const calendarId = getRowCalendarId(row, columns, config);
+      const tracking = state.trackingById[rowId];
+
+      inserts.push({
+        i, rowId, rowIndex, row, event, eventDate, finalTitle, shouldCancel, calendarId,
+        operation: {
+          method: 'insert',
+          eventId: tracking && tracking.eventId ? tracking.eventId : undefined,
+          calendarId,
+          sendUpdates: getSendUpdates(config, row, columns),
+          resource: withRowMetadata(event, row, columns, config)
+        }
+      });
+    } catch (rowError) {
+      results[i] = {status: 'failed', rowId, rowIndex, error: rowError.message};
+    }
+  }
+
+  if (inserts.length === 0) {
+    return results;
+  }
+
+  const insertResults = await batchInsertRowEvents(calendarService, config, inserts.map(insert => insert.operation));
+  const trackingUpdates = [];
+  const sheetWrites = [];
+
+  for (const [j, insert] of inserts.entries()) {
+    const { i, rowId, rowIndex, row, event, eventDate, finalTitle, shouldCancel, calendarId } = insert;
+    const insertResult = insertResults[j];
+
+    if (!insertResult.ok) {
+      console.error(`Error creating event for row ${rowIndex + 2}: ${insertResult.error}`);
+      results[i] = {status: 'failed', rowId, rowIndex, title: finalTitle, error: insertResult.error};
+      continue;
+    }
+
+    const eventId = insertResult.data.id;
+    try {
+      await syncLinkedEvents(calendarService, config, row, columns, event, {
+        dateParts: dateToParts(eventDate),
+        rowIndex
+      });
+    } catch (linkedError) {
+      console.error(`Error syncing linked events for row ${rowIndex}: ${linkedError.message}`);
+    }
+
+    trackingUpdates.push({
+      rowId,
+      rowIndex,
+      eventId,
+      status: getProcessedMarker(config, shouldCancel),
+      eventData: {
+        title: finalTitle,
+        date: eventDate ? eventDate.toISOString().split('T')[0] : '',
+        location: event.location,
+        calendarId,
+        tentative: event.status === 'tentative',
+        rowHash: computeRowHash(row, columns, config)
+      }
+    });
+
+    // The event ID column backs up the tracking in case rows move; the
+    // client coalesces these writes into one batch update
+    sheetWrites.push(sheetService.spreadsheets.values.update({
+      spreadsheetId: config.spreadsheetId,
+      range: `${config.sheetName}!${getColumnLetter(columns.eventId)}${rowIndex + 2}`,
+      valueInputOption: "RAW",
+      resource: { values: [[eventId]] },
+    }).catch(writeError => {
+      console.error(`Error writing event ID to sheet row ${rowIndex + 2}:`, writeError.message);
+    }));
+
+    console.log(`Processed row ${rowIndex + 2}: ${finalTitle} (Event ID: ${eventId})`);
+    results[i] = {status: 'succeeded', rowId, rowIndex, title: finalTitle, eventId};
+  }
+
+  if (trackingUpdates.length > 0) {
+    await batchSaveEventTracking(orgId, trackingUpdates);
+  }
+  await Promise.all(sheetWrites);
+
+  return results;
+}
+
+const JOB_HANDLERS = {
+  // Create the events of every synced row dated in a month
+  scanMonth: {
+    permission: 'sync',
+    async prepare(ctx) {
+      const { month, year } = ctx.job.params;
+      const { columns, config } = ctx;
+      const rows = await prepareInsertJobRows(ctx);
+      const items = [];
+      const rejected = [];
+
+      rows.forEach((row, rowIndex) => {
+        if (!row || row.length <= columns.date) return;
+
+        const dateValue = getCell(row, columns, 'date');
+        if (!dateValue) return;
+
+        // Unreadable dates can't be placed in a month, so they are always
+        // reported; other problems only for rows in the scanned month
+        const dateProblem = getRowDateProblem(row, columns);
+        const eventDate = parseDate(dateValue);
+        const inMonth = eventDate &&
+          eventDate.getMonth() + 1 === month && eventDate.getFullYear() === year;
+        const excluded = !isSyncedEventType(row, columns, config);
+
+        if (dateProblem) {
+          if (!excluded && (!eventDate || inMonth)) {
+            rejected.push(buildRejectedRow(row, rowIndex, columns, dateProblem));
+          }
+          return;
+        }
+        if (inMonth && !excluded) {
+          items.push(getRowId(row, columns));
+        }
+      });
+
+      return {items, summary: {rejected}};
+    },
+    loadChunk: loadInsertJobChunk,
+    processBatch: insertJobRowEvents,
+    async finish(ctx) {
+      const rows = await readJobRows(ctx);
+      const conflicts = await checkTechnicianConflicts(ctx.sheetService, ctx.config, rows, { write: true });
+      return {'summary.conflicts': conflicts};
+    }
+  },
+
+  // Create the events of rows picked in the app
+  reprocessRows: {
+    permission: 'sync',
+    async prepare(ctx) {
+      await prepareInsertJobRows(ctx);
+      return {items: ctx.job.params.rowIds};
+    },
+    loadChunk: loadInsertJobChunk,
+    processBatch: insertJobRowEvents,
+    async finish(ctx, job) {
+      await db.collection("processingLogs").add({
+        orgId: ctx.orgId,
+        jobId: ctx.jobRef.id,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        operation: "reprocess-selected-rows",
+        rowCount: job.progress.total,
+        processedCount: job.progress.succeeded,
+        skippedCount: job.progress.skipped,
+        errorCount: job.progress.failed
+      });
+      return {};
+    }
+  },
+
+  // Delete every event of a month, tracked by the sync or not
+  deleteMonth: {
+    permission: 'delete',
+    async prepare(ctx) {
+      const { month, year } = ctx.job.params;
+      const { calendarService, config, orgId } = ctx;
+      if (!config.calendarId) {
+        throw new Error('Calendar ID not configured');
+      }
+      const items = [];
+      const trackedIds = new Set();
+
+      const trackingData = await getAllEventTracking(orgId);
+      for (const [rowId, tracking] of Object.entries(trackingData)) {
+        if (!tracking.eventId || !tracking.date) continue;
+        const eventDate = new Date(tracking.date);
+        if (eventDate.getMonth() + 1 === month && eventDate.getFullYear() === year) {
+          trackedIds.add(tracking.eventId);
+          items.push({
+            rowId,
+            eventId: tracking.eventId,
+            calendarId: getTrackedCalendarId(tracking, config),
+            title: tracking.title || 'Unknown'
+          });
+        }
+      }
+
+      // Events created before tracking existed are only found in the calendar
+      const monthStart = moment.tz({ year, month: month - 1, date: 1 }, getConfigTimezone(config));
+      let pageToken = null;
+      do {
+        const response = await calendarService.events.list({
+          calendarId: config.calendarId,
+          timeMin: monthStart.format(),
+          timeMax: monthStart.clone().endOf('month').format(),
+          singleEvents: true,
+          pageToken: pageToken,
+          maxResults: 100
+        });
+        pageToken = response.data.nextPageToken;
+
+        for (const event of response.data.items || []) {
+          if (trackedIds.has(event.id)) continue;
+          items.push({
+            rowId: null,
+            eventId: event.id,
+            calendarId: config.calendarId,
+            title: event.summary || 'Unknown'
+          });
+        }
+      } while (pageToken);
+
+      return {items};
+    },
+    async processItem(ctx, item) {
+      const { calendarService, config, orgId } = ctx;
+      let deleted = 0;
+      try {
+        await calendarService.events.delete({
+          calendarId: item.calendarId,
+          sendUpdates: getSendUpdates(config),
+          eventId: item.eventId
+        });
+        deleted++;
+      } catch (deleteError) {
+        // An event deleted by hand is gone all the same
+        if (!(deleteError.code === 404 || deleteError.code === 410 || deleteError.message.includes('Not Found'))) {
+          throw deleteError;
+        }
+      }
+
+      if (item.rowId) {
+        deleted += await deleteLinkedEvents(calendarService, config, item.rowId, item.calendarId);
+        await deleteEventTracking(orgId, item.rowId);
+      }
+      console.log(`Deleted event ${item.eventId} - ${item.title}`);
+      return {status: 'succeeded', eventId: item.eventId, title: item.title, deleted};
+    },
+    async finish(ctx, job) {
+      const { month, year } = ctx.job.params;
+      await db.collection("processingLogs").add({
+        orgId: ctx.orgId,
+        jobId: ctx.jobRef.id,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        operation: "delete-month-events",
+        year,
+        month,
+        totalEvents: job.progress.total,
+        eventsDeleted: job.progress.succeeded
+      });
+      return {};
+    }
+  }
+};
+
+// ===== SYNC ORCHESTRATOR =====
+// One scheduled pass (scheduledSync) keeps every configuration in sync.
+// Before touching a configuration it takes a lease on `syncLocks/{orgId}`:
+//   {owner, leaseUntil, acquiredAt}
+// Every other writer takes the same lease - manual scans and maintenance
+// callables for the length of the call, jobs from creation until they stop -
+// so an overlapping pass skips the configuration and an overlapping callable
+// is refused, instead of writing the same rows twice. Each synced tab is
+// read once and goes through two phases over those rows: create events for
+// new rows, then update rows that already have an event. Configurations run
+// side by side, at most SYNC_CONCURRENCY at a time. A lease outlives the
+// longest invocation, so the lock of a pass that died simply runs out.
+
+const SYNC_CONCURRENCY = 3;
+const SYNC_LOCK_MS = 10 * 60 * 1000;
+// Rows handed to processBatchUpdates at a time
+const SYNC_UPDATE_BATCH_SIZE = 10;
+
+/**
+ * Take the sync lease of a configuration
+ * @param {string} orgId - Organization ID (the configuration document ID)
+ * @param {string} owner - Unique ID of the pass or scan taking the lease
+ * @returns {Promise<boolean>} Whether the lease was taken
+ */
+async function acquireSyncLock(orgId, owner) {
+  const lockRef = db.collection('syncLocks').doc(orgId);
+  return db.runTransaction(async transaction => {
+    const snapshot = await transaction.get(lockRef);
+    const lock = snapshot.exists ? snapshot.data() : null;
+    if (lock && lock.owner !== owner && lock.leaseUntil.toMillis() > Date.now()) {
+      return false;
+    }
+    transaction.set(lockRef, {
+      owner,
+      leaseUntil: admin.firestore.Timestamp.fromMillis(Date.now() + SYNC_LOCK_MS),
+      acquiredAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+}
+
+/**
+ * Give back a sync lease, unless another owner has taken it since
+ * @param {string} orgId - Organization ID
+ * @param {string} owner - Owner passed to acquireSyncLock
+ * @returns {Promise<void>}
+ */
+async function releaseSyncLock(orgId, owner) {
+  const lockRef = db.collection('syncLocks').doc(orgId);
+  try {
+    await db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(lockRef);
+      if (snapshot.exists && snapshot.data().owner === owner) {
+        transaction.delete(lockRef);
+      }
+    });
+  } catch (error) {
+    // The lease runs out on its own
+    console.error(`Error releasing sync lock of ${orgId}: ${error.message}`);
+  }
+}
+
+/**
+ * Take the sync lease for a callable that writes, or refuse the call
+ * @param {string} orgId - Organization ID
+ * @param {string} [owner] - Owner of the lease; a new one per call by default
+ * @returns {Promise<string>} Owner to pass to releaseSyncLock
+ */
+async function requireSyncLock(orgId, owner = `manual-${crypto.randomUUID()}`) {
+  if (!(await acquireSyncLock(orgId, owner))) {
+    throw new functions.https.HttpsError(
+      "failed-precondition",
+      "A sync of this configuration is already running, try again in a few minutes"
+    );
+  }
+  return owner;
+}
+
+/**
+ * Run a worker over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - async (item) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Sync every tab of one configuration under its lease
+ * @param {string} orgId - Organization ID
+ * @param {Object} clients - {sheetService, calendarService} from setupApiClients
+ * @returns {Promise<Object>} {orgId, status, tabs} - status is synced, locked or disabled
+ */
+async function syncConfiguration(orgId, clients) {
+  const owner = `scheduled-${crypto.randomUUID()}`;
+  if (!(await acquireSyncLock(orgId, owner))) {
+    console.log(`Configuration ${orgId} is being synced elsewhere, skipping`);
+    return { orgId, status: 'locked', tabs: [] };
+  }
+
+  try {
+    // Read under the lease so lastProcessedRow is not stale
+    const configDoc = await db.collection("configurations").doc(orgId).get();
+    const savedConfig = configDoc.exists ? configDoc.data() : null;
+    if (!savedConfig || !savedConfig.enabled) {
+      console.log(`Configuration ${orgId} is disabled, skipping`);
+      return { orgId, status: 'disabled', tabs: [] };
+    }
+
+    const tabs = [];
+    for (const config of getScannedTabConfigs(savedConfig)) {
+      try {
+        tabs.push(await syncSheetTab(orgId, config, clients));
+      } catch (error) {
+        console.error(`Error syncing organization ${orgId}, tab "${config.sheetName}":`, error);
+        tabs.push({ sheetName: config.sheetName, error: error.message });
+      }
+    }
+    return { orgId, status: 'synced', tabs };
+  } finally {
+    await releaseSyncLock(orgId, owner);
+  }
+}
+
+/**
+ * One pass over a tab: a single sheet read, then the create phase for new
+ * rows and the update phase for rows that already have an event
+ * @param {string} orgId - Organization ID
+ * @param {Object} config - Tab configuration from getTabConfig
+ * @param {Object} clients - {sheetService, calendarService}
+ * @returns {Promise<Object>} Stats of the pass
+ */
+async function syncSheetTab(orgId, config, { sheetService, calendarService }) {
+  const columns = resolveColumnMapping(config);
+  console.log(`Syncing organization ${orgId}, tab "${config.sheetName}"`);
+
+  const dataRange = config.dataRange || "A1:AZ1000"; // Default range if not specified
+  const sheetResponse = await sheetService.spreadsheets.values.get({
+    spreadsheetId: config.spreadsheetId,
+    range: `${config.sheetName}!${dataRange}`,
+    ...SHEET_READ_OPTIONS
+  });
+  const allRows = sheetResponse.data.values || [];
+  normalizeSheetRows(allRows, config);
+  console.log(`Found ${allRows.length} total rows in sheet`);
+  await ensureRowIds(sheetService, config, allRows, orgId);
+
+  // Stored row fingerprints let unchanged rows skip the Calendar API
+  const trackingData = await getAllEventTracking(orgId);
+
+  const processedEvents = [];
+  const updatedEvents = [];
+  const skippedRows = [];
+  const rejected = [];
+  const errors = [];
+
+  // CREATE PHASE: rows past lastProcessedRow that are not on the calendar yet.
+  // Rows with an event ID belong to the update phase; rows created here have
+  // no event ID in allRows, so the update phase skips them in turn.
+  let lastProcessedRow = initializeLastProcessedRow(config);
+  for (let i = lastProcessedRow; i < allRows.length; i++) {
+    const row = allRows[i];
+    try {
+      if (row && (row[columns.eventId] || isAlreadyProcessed(row, config))) continue;
+      if (!isValidRow(row, i, columns, rejected)) continue;
+      if (!isWithinScanningRange(row, columns)) continue;
+      if (!isSyncedEventType(row, columns, config)) {
+        skippedRows.push({ row: i, reason: `Event type "${getCell(row, columns, 'eventTypeD')}" is not synced` });
+        continue;
+      }
+
+      await processNewRow(sheetService, calendarService, config, row, i, processedEvents);
+      lastProcessedRow = i + 1;
+    } catch (error) {
+      console.error(`Error creating event for row ${i}:`, error);
+      errors.push({ rowIndex: i, error: error.message });
+    }
+  }
+
+  // UPDATE PHASE: rows in scanning range that already have an event
+  const candidates = [];
+  let rowsWithEventIds = 0;
+  for (let i = 2; i < allRows.length; i++) {
+    const row = allRows[i];
+    if (!row || !row[columns.eventId] || !isWithinScanningRange(row, columns)) continue;
+    rowsWithEventIds++;
+
+    const problem = getRequiredDateProblem(row, columns);
+    if (problem) {
+      skippedRows.push({ row: i, reason: problem.message });
+      rejected.push(buildRejectedRow(row, i, columns, problem));
+      continue;
+    }
+    if (!isSyncedEventType(row, columns, config)) {
+      skippedRows.push({ row: i, reason: `Event type "${getCell(row, columns, 'eventTypeD')}" is not synced` });
+      continue;
+    }
+    candidates.push({ row, rowIndex: i });
+  }
+
+  let rowsUpdated = 0;
+  let rowsUnchanged = 0;
+  for (let start = 0; start < candidates.length; start += SYNC_UPDATE_BATCH_SIZE) {
+    const batchResults = await processBatchUpdates(
+      sheetService,
+      calendarService,
+      config,
+      candidates.slice(start, start + SYNC_UPDATE_BATCH_SIZE),
+      columns.eventId,
+      updatedEvents,
+      errors,
+      orgId,
+      trackingData
+    );
+    rowsUpdated += batchResults.updated;
+    rowsUnchanged += batchResults.unchanged;
+  }
+
+  // Tentative events whose row reverted or was deleted
+  const removedTentative = await removeStaleTentativeEvents(
+    sheetService, calendarService, config, orgId, allRows, trackingData
+  );
+  const conflicts = await checkTechnicianConflicts(sheetService, config, allRows);
+
+  await saveTabProgress(orgId, config, lastProcessedRow);
+
+  const stats = {
+    totalRows: allRows.length,
+    rowsCreated: processedEvents.length,
+    rowsWithEventIds,
+    rowsCheckedForUpdate: candidates.length,
+    rowsUpdated,
+    rowsUnchanged,
+    tentativeRemoved: removedTentative.length,
+    errorCount: errors.length
+  };
+  await db.collection("processingLogs").add({
+    orgId,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    scanType: "scheduled-sync",
+    sheetName: config.sheetName,
+    processedEvents,
+    updatedEvents,
+    removedTentative,
+    skippedRows,
+    rejected,
+    conflicts,
+    errors,
+    stats
+  });
+
+  console.log(`Synced organization ${orgId}, tab "${config.sheetName}": ` +
+    `${stats.rowsCreated} created, ${rowsUpdated} updated, ${errors.length} errors`);
+  return { sheetName: config.sheetName, ...stats };
+}
+
+// ===== TECHNICIAN DIRECTORY =====
+// The `technicians` collection holds one document per person:
+// {displayName, aliases, email, phone, active}. Technician cells in the sheet
+// are free text, so they are matched to the directory by normalized name,
+// then by alias, then by edit distance to tolerate typos.
+
+const TECHNICIAN_FIELDS = ['displayName', 'aliases', 'email', 'phone', 'active'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Hebrew final letters are compared as their regular forms
+const FINAL_LETTERS = {'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ'};
+
+/**
+ * Normalize a technician name for comparison: case, niqqud, punctuation,
+ * final letters and repeated whitespace are ignored
+ * @param {string} name - Name as typed in the sheet or the directory
+ * @returns {string} Normalized name
+ */
+function normalizeTechnicianName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[\u0591-\u05C7]/g, '')
+    .replace(/[ךםןףץ]/g, letter => FINAL_LETTERS[letter])
+    .replace(/['"`׳״.,\-_()]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({length: b.length + 1}, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Largest edit distance still accepted as a typo of a name
+ * @param {string} name - Normalized name
+ * @returns {number} Allowed distance
+ */
+function maxTypoDistance(name) {
+  if (name.length <= 3) return 0;
+  if (name.length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Validate a technician document before saving it
+ * @param {Object} technician - Technician fields
+ * @returns {Array} List of problems (empty if valid)
+ */
+function validateTechnician(technician) {
+  const problems = [];
+  if (!technician || typeof technician !== 'object') {
+    return ['Technician must be an object'];
+  }
+  if (!normalizeTechnicianName(technician.displayName)) {
+    problems.push('Display name is required');
+  }
+  if (technician.aliases !== undefined &&
+      (!Array.isArray(technician.aliases) || technician.aliases.some(alias => typeof alias !== 'string'))) {
+    problems.push('Aliases must be a list of names');
+  }
+  if (technician.email && !EMAIL_PATTERN.test(technician.email)) {
+    problems.push(`Invalid email "${technician.email}"`);
+  }
+  if (technician.phone && typeof technician.phone !== 'string') {
+    problems.push('Phone must be text');
+  }
+  if (technician.active !== undefined && typeof technician.active !== 'boolean') {
+    problems.push('Active must be true or false');
+  }
+  return problems;
+}
+
+/**
+ * Load the technician directory with the normalized names used for matching
+ * @returns {Promise<Array>} Directory entries
+ */
+async function loadTechnicianDirectory() {
+  const snapshot = await db.collection('technicians').get();
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    const aliases = Array.isArray(data.aliases) ? data.aliases : [];
+    return {
+      id: doc.id,
+      displayName: data.displayName || '',
+      aliases,
+      email: data.email || '',
+      phone: data.phone || '',
+      active: data.active !== false,
+      keys: [data.displayName, ...aliases].map(normalizeTechnicianName).filter(Boolean)
+    };
+  });
+}
+
+/**
+ * Find the directory entry for a name typed in the sheet
+ * @param {string} name - Cell text
+ * @param {Array} directory - Entries from loadTechnicianDirectory
+ * @returns {Object} {name, technician, match, suggestions}. match is 'exact',
+ *   'alias', 'fuzzy' or null; suggestions lists near misses for unknown names
+ */
+function matchTechnician(name, directory) {
+  const key = normalizeTechnicianName(name);
+  const result = {name, technician: null, match: null, suggestions: []};
+  if (!key) return result;
+
+  for (const entry of directory) {
+    const index = entry.keys.indexOf(key);
+    if (index !== -1) {
+      return {...result, technician: entry, match: index === 0 ? 'exact' : 'alias'};
+    }
+  }
+
+  // Closest entry by edit distance; a tie between two people is not a match
+  const scored = directory
+    .map(entry => ({entry, distance: Math.min(...entry.keys.map(k => editDistance(key, k)))}))
+    .sort((a, b) => a.distance - b.distance);
+  const best = scored[0];
+  const allowed = maxTypoDistance(key);
+
+  if (best && best.distance <= allowed && !(scored[1] && scored[1].distance === best.distance)) {
+    return {...result, technician: best.entry, match: 'fuzzy'};
+  }
+
+  result.suggestions = scored
+    .filter(item => item.distance <= allowed + 2)
+    .slice(0, 3)
+    .map(item => item.entry.displayName);
+  return result;
+}
+
+/**
+ * Resolve the technician cells of a row to directory entries
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Array} directory - Entries from loadTechnicianDirectory
+ * @returns {Array} One matchTechnician result per technician cell
+ */
+function resolveTechnicians(row, columns, directory) {
+  return getTechnicians(row, columns).map(name => matchTechnician(name, directory));
+}
+
+/**
+ * Public view of a directory entry (without the matching keys)
+ * @param {Object} entry - Directory entry
+ * @returns {Object} Technician fields with the document id
+ */
+function technicianToJSON(entry) {
+  const {keys, ...technician} = entry;
+  return technician;
+}
+
+/**
+ * Build the validation report of technician names used in the sheet
+ * @param {Array} rows - Normalized sheet rows
+ * @param {Object} columns - Resolved column mapping
+ * @param {Array} directory - Entries from loadTechnicianDirectory
+ * @returns {Object} {unknown, fuzzy, inactive, stats}; each item lists the
+ *   cell text, the sheet rows it appears in and the matched or suggested names
+ */
+function buildTechnicianReport(rows, columns, directory) {
+  const unknown = {};
+  const fuzzy = {};
+  const inactive = {};
+  const stats = {rowsChecked: 0, names: 0, matched: 0, unknown: 0};
+
+  const addTo = (group, result, sheetRow) => {
+    const item = group[result.name] || (group[result.name] = {
+      name: result.name,
+      technician: result.technician ? result.technician.displayName : null,
+      suggestions: result.suggestions,
+      count: 0,
+      rows: []
+    });
+    item.count++;
+    if (!item.rows.includes(sheetRow)) item.rows.push(sheetRow);
+  };
+
+  rows.forEach((row, rowIndex) => {
+    if (!row || !hasValidDate(row, columns) || !isWithinScanningRange(row, columns)) return;
+    stats.rowsChecked++;
+
+    for (const result of resolveTechnicians(row, columns, directory)) {
+      stats.names++;
+      const sheetRow = rowIndex + 2;
+      if (!result.technician) {
+        stats.unknown++;
+        addTo(unknown, result, sheetRow);
+        continue;
+      }
+      stats.matched++;
+      if (result.match === 'fuzzy') addTo(fuzzy, result, sheetRow);
+      if (!result.technician.active) addTo(inactive, result, sheetRow);
+    }
+  });
+
+  const byCount = (a, b) => b.count - a.count;
+  return {
+    unknown: Object.values(unknown).sort(byCount),
+    fuzzy: Object.values(fuzzy).sort(byCount),
+    inactive: Object.values(inactive).sort(byCount),
+    stats
+  };
+}
+
+// Technicians with an email in the directory can be invited to their events
+// as attendees (the `inviteTechnicians` sync setting), so bookings show up in
+// their own calendars. Attendees that are not in the directory, e.g. guests
+// added by hand in Calendar, are left alone.
+
+const SEND_UPDATES_OPTIONS = ['all', 'externalOnly', 'none'];
+
+// The directory is cached per function instance and reloaded after a while
+const TECHNICIAN_DIRECTORY_TTL_MS = 5 * 60 * 1000;
+let technicianDirectoryCache = null;
+
+/**
+ * Get the technician directory, reusing a recent copy
+ * @returns {Promise<Array>} Directory entries
+ */
+async function getCachedTechnicianDirectory() {
+  if (!technicianDirectoryCache ||
+      Date.now() - technicianDirectoryCache.loadedAt > TECHNICIAN_DIRECTORY_TTL_MS) {
+    technicianDirectoryCache = {
+      entries: await loadTechnicianDirectory(),
+      loadedAt: Date.now()
+    };
+  }
+  return technicianDirectoryCache.entries;
+}
+
+/**
+ * Forget the cached directory after it was edited
+ */
+function clearTechnicianDirectoryCache() {
+  technicianDirectoryCache = null;
+}
+
+/**
+ * Get the sendUpdates value for Calendar writes from the configuration
+ * Writes for a cancelled row notify everyone under the notify cancellation policy.
+ * @param {Object} config - The user's configuration
+ * @param {Array} [row] - The row being written, if any
+ * @param {Object} [columns] - Resolved column mapping, given with the row
+ * @returns {string} all, externalOnly or none
+ */
+function getSendUpdates(config, row = null, columns = null) {
+  if (row && columns && isRowCancelled(row, columns) && getCancellationPolicy(config).mode === 'notify') {
+    return 'all';
+  }
+  return SEND_UPDATES_OPTIONS.includes(config.sendUpdates) ? config.sendUpdates : 'none';
+}
+
+/**
+ * Build the attendees for a row's technicians
+ * Only active technicians with an email are invited.
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Array} directory - Entries from loadTechnicianDirectory
+ * @returns {Array} Calendar attendees as {email, displayName}
+ */
+function buildAttendees(row, columns, directory) {
+  const attendees = [];
+  for (const { technician } of resolveTechnicians(row, columns, directory)) {
+    if (!technician || !technician.active || !technician.email) continue;
+    if (attendees.some(attendee => attendee.email === technician.email)) continue;
+    attendees.push({email: technician.email, displayName: technician.displayName});
+  }
+  return attendees;
+}
+
+/**
+ * Set the technician attendees on an event resource
+ * Directory technicians no longer on the row are removed, other attendees
+ * and existing responses are kept. With invitations turned off the event
+ * keeps only its non-technician attendees.
+ * @param {Object} eventResource - Event resource to modify
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @param {Object} [existingEvent] - The event currently in the calendar
+ * @returns {Promise<Object>} The same event resource
+ */
+async function withAttendees(eventResource, row, columns, config, existingEvent = null) {
+  const existing = (existingEvent && existingEvent.attendees) || [];
+  if (!config.inviteTechnicians && existing.length === 0) {
+    return eventResource;
+  }
+
+  const directory = await getCachedTechnicianDirectory();
+  const technicianEmails = new Set(directory.map(entry => entry.email).filter(Boolean));
+  const wanted = config.inviteTechnicians ? buildAttendees(row, columns, directory) : [];
+
+  const attendees = existing.filter(attendee =>
+    !technicianEmails.has((attendee.email || '').toLowerCase()));
+  for (const attendee of wanted) {
+    const current = existing.find(item => (item.email || '').toLowerCase() === attendee.email);
+    attendees.push(current ? {...attendee, responseStatus: current.responseStatus} : attendee);
+  }
+
+  eventResource.attendees = attendees;
+  return eventResource;
+}
+
+// ===== CONFLICT DETECTION =====
+// A technician is double-booked when two rows that share them overlap in
+// time. Technicians are compared by directory entry, so spelling variants of
+// one name still collide; names missing from the directory are compared by
+// their normalized text. When the optional `conflictFlag` column is mapped,
+// scans write a short warning into it and clear it once the clash is gone.
+
+/**
+ * Get the time intervals a row occupies
+ * In 'series' mode a multi-day row occupies each of its days separately.
+ * @param {Array} row - The row data
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {Array} Intervals as {start, end} in epoch milliseconds
+ */
+function getRowIntervals(row, columns, config) {
+  const range = getEventDateRange(row, columns);
+  if (!range) return [];
+
+  const timeZone = getRowTimezone(row, columns, config);
+  const days = getMultiDayMode(config) === 'series' ? range.days : 1;
+  const intervals = [];
+
+  for (let day = 0; day < days; day++) {
+    const times = getEventTimes(row, columns, config, addDaysToParts(range.first, day));
+    const read = point => point.dateTime
+      ? moment(point.dateTime).valueOf()
+      : moment.tz(point.date, timeZone).valueOf();
+    intervals.push({ start: read(times.start), end: read(times.end) });
+  }
+  return intervals;
+}
+
+/**
+ * Find technicians booked on overlapping rows
+ * Cancelled rows, excluded event types and rows with date problems are ignored.
+ * @param {Array} rows - Normalized sheet rows
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @param {Array} directory - Entries from loadTechnicianDirectory
+ * @param {Function} [inRange] - Row filter, defaults to the scanning range
+ * @returns {Array} Conflicts as {technician, technicianId, rows: [a, b]}
+ */
+function detectTechnicianConflicts(rows, columns, config, directory, inRange = null) {
+  const include = inRange || (row => isWithinScanningRange(row, columns));
+  const bookings = {};
+
+  rows.forEach((row, rowIndex) => {
+    if (!row || getRequiredDateProblem(row, columns) || !include(row)) return;
+    if (isRowCancelled(row, columns) || isExcludedEventType(row, columns, config)) return;
+
+    const intervals = getRowIntervals(row, columns, config);
+    const seen = new Set();
+
+    for (const result of resolveTechnicians(row, columns, directory)) {
+      const key = result.technician
+        ? `id:${result.technician.id}`
+        : `name:${normalizeTechnicianName(result.name)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const list = bookings[key] || (bookings[key] = []);
+      for (const interval of intervals) {
+        list.push({
+          ...interval,
+          rowIndex,
+          technician: result.technician ? result.technician.displayName : result.name,
+          technicianId: result.technician ? result.technician.id : null
+        });
+      }
+    }
+  });
+
+  const conflicts = [];
+  const reported = new Set();
+  const describe = booking => {
+    const row = rows[booking.rowIndex];
+    return {
+      rowId: getRowId(row, columns) || null,
+      rowIndex: booking.rowIndex,
+      sheetRow: booking.rowIndex + 2,
+      title: getEventName(row, columns),
+      date: getCell(row, columns, 'date'),
+      start: new Date(booking.start).toISOString(),
+      end: new Date(booking.end).toISOString()
+    };
+  };
+
+  for (const list of Object.values(bookings)) {
+    list.sort((a, b) => a.start - b.start);
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length && list[j].start < list[i].end; j++) {
+        const a = list[i];
+        const b = list[j];
+        if (a.rowIndex === b.rowIndex) continue;
+
+        // Multi-day series rows can clash on several days; report the pair once
+        const pairKey = `${a.technician}|${Math.min(a.rowIndex, b.rowIndex)}|${Math.max(a.rowIndex, b.rowIndex)}`;
+        if (reported.has(pairKey)) continue;
+        reported.add(pairKey);
+
+        conflicts.push({
+          technician: a.technician,
+          technicianId: a.technicianId,
+          rows: [describe(a), describe(b)]
+        });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Index conflicts by the rows they involve
+ * @param {Array} conflicts - Result of detectTechnicianConflicts
+ * @returns {Object} Map of rowIndex to [{technician, rowId, sheetRow, title, date}]
+ */
+function groupConflictsByRow(conflicts) {
+  const byRow = {};
+  for (const conflict of conflicts) {
+    const [a, b] = conflict.rows;
+    for (const [self, other] of [[a, b], [b, a]]) {
+      (byRow[self.rowIndex] = byRow[self.rowIndex] || []).push({
+        technician: conflict.technician,
+        rowId: other.rowId,
+        sheetRow: other.sheetRow,
+        title: other.title,
+        date: other.date
+      });
+    }
+  }
+  return byRow;
+}
+
+/**
+ * Text written to the conflict flag column of a row
+ * @param {Array} rowConflicts - The row's entries from groupConflictsByRow
+ * @returns {string} Warning text, or an empty string without conflicts
+ */
+function formatConflictFlag(rowConflicts) {
+  if (!rowConflicts || rowConflicts.length === 0) return '';
+  return rowConflicts
+    .map(item => `כפילות: ${item.technician} (שורה ${item.sheetRow})`)
+    .join('; ');
+}
+
+/**
+ * Detect double bookings for a scan and flag them in the sheet
+ * Flags are only written when the conflictFlag column is mapped, and only to
+ * rows in range whose flag actually changes.
+ * @param {Object} sheetService - The Google Sheets API service
+ * @param {Object} config - The user's configuration
+ * @param {Array} rows - Normalized sheet rows
+ * @param {Object} options - {write}; false detects without touching the sheet
+ * @returns {Promise<Array>} Conflicts found (empty if the check itself failed)
+ */
+async function checkTechnicianConflicts(sheetService, config, rows, options = {}) {
+  const { write = true } = options;
+  const columns = resolveColumnMapping(config);
+
+  let conflicts;
+  try {
+    const directory = await getCachedTechnicianDirectory();
+    conflicts = detectTechnicianConflicts(rows, columns, config, directory);
+  } catch (error) {
+    // A failed check must not fail the scan it runs in
+    console.error(`Error detecting technician conflicts: ${error.message}`);
+    return [];
+  }
+
+  if (conflicts.length > 0) {
+    console.log(`Found ${conflicts.length} technician double bookings`);
+    for (const conflict of conflicts) {
+      const [a, b] = conflict.rows;
+      console.log(`  ${conflict.technician}: row ${a.sheetRow} overlaps row ${b.sheetRow}`);
+    }
+  }
+
+  if (!write || columns.conflictFlag < 0) {
+    return conflicts;
+  }
+
+  const byRow = groupConflictsByRow(conflicts);
+  const columnLetter = getColumnLetter(columns.conflictFlag);
+  const data = [];
+
+  rows.forEach((row, rowIndex) => {
+    if (!row || !hasValidDate(row, columns) || !isWithinScanningRange(row, columns)) return;
+    const flag = formatConflictFlag(byRow[rowIndex]);
+    if (String(getCell(row, columns, 'conflictFlag')) === flag) return;
+    data.push({
+      range: `${config.sheetName}!${columnLetter}${rowIndex + 2}`,
+      values: [[flag]]
+    });
+  });
+
+  if (data.length > 0) {
+    try {
+      await sheetService.spreadsheets.values.batchUpdate({
+        spreadsheetId: config.spreadsheetId,
+        resource: { valueInputOption: 'RAW', data }
+      });
+      console.log(`Updated the conflict flag on ${data.length} rows`);
+    } catch (error) {
+      console.error(`Error writing conflict flags: ${error.message}`);
+    }
+  }
+
+  return conflicts;
+}
+
+// ===== WORKLOAD REPORT =====
+// Monthly hours per technician, read from the same sheet rows the events view
+// shows. Every day of a row is one shift: multi-day rows count each day from
+// its start to its end time, whatever the multi-day mode. Shifts belong to the
+// month they start in. Rows without a start time ("TBD") count as events but
+// add no hours. Payroll rates are stored on the configuration as
+// `payrollRates`; overtime is counted per shift.
+
+const DEFAULT_PAYROLL_RATES = {
+  hourlyRate: 0,          // Pay per regular hour
+  overtimeRate: 0,        // Pay per hour beyond overtimeAfterHours in one shift
+  overtimeAfterHours: 8,  // Shift length after which overtime starts
+  nightBonusRate: 0       // Extra pay per night hour, on top of the hourly pay
+};
+
+// Night hours run from 22:00 to 06:00 in the row's timezone
+const NIGHT_START_HOUR = 22;
+const NIGHT_END_HOUR = 6;
+
+/**
+ * Validate payroll rates and return a list of problems
+ * @param {Object} rates - Map of rate name to value
+ * @returns {Array} Array of error messages, empty if the rates are valid
+ */
+function validatePayrollRates(rates) {
+  if (!rates || typeof rates !== 'object') {
+    return ['Payroll rates must be an object'];
+  }
+
+  const problems = [];
+  for (const [key, value] of Object.entries(rates)) {
+    if (!(key in DEFAULT_PAYROLL_RATES)) {
+      problems.push(`Unknown payroll rate "${key}"`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      problems.push(`Payroll rate "${key}" must be a number of at least 0`);
+    } else if (key === 'overtimeAfterHours' && value > 24) {
+      problems.push('Overtime must start within 24 hours');
+    }
+  }
+  return problems;
+}
+
+/**
+ * Get the payroll rates of a configuration, filled in with the defaults
+ * @param {Object} config - The user's configuration
+ * @returns {Object} The rates
+ */
+function getPayrollRates(config) {
+  return {...DEFAULT_PAYROLL_RATES, ...((config && config.payrollRates) || {})};
+}
+
+/**
+ * Hours of an interval that fall between NIGHT_START_HOUR and NIGHT_END_HOUR
+ * @param {number} start - Start in epoch milliseconds
+ * @param {number} end - End in epoch milliseconds
+ * @param {string} timeZone - IANA timezone the night is measured in
+ * @returns {number} Night hours
+ */
+function getNightHours(start, end, timeZone) {
+  let total = 0;
+  // Start from the night that began the evening before the shift
+  const night = moment.tz(start, timeZone).subtract(1, 'day')
+    .set({hour: NIGHT_START_HOUR, minute: 0, second: 0, millisecond: 0});
+
+  while (night.valueOf() < end) {
+    const nightStart = night.valueOf();
+    const nightEnd = night.clone().add(1, 'day').set({hour: NIGHT_END_HOUR}).valueOf();
+    total += Math.max(0, Math.min(end, nightEnd) - Math.max(start, nightStart));
+    night.add(1, 'day').set({hour: NIGHT_START_HOUR});
+  }
+  return total / 3600000;
+}
+
+/**
+ * Round an amount to two decimals
+ * @param {number} value - The amount
+ * @returns {number} The rounded amount
+ */
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Aggregate the workload of every technician for one month
+ * Cancelled rows, excluded event types and rows with date problems are skipped.
+ * @param {Array} rows - Normalized sheet rows
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @param {Array} directory - Entries from loadTechnicianDirectory
+ * @param {number} year - Four digit year
+ * @param {number} month - Month (1-12)
+ * @returns {Object} {technicians, totals, eventTypes, rates}; each technician
+ *   has events, shifts, hours, nightHours, overtimeHours, hoursByType and pay
+ */
+function buildWorkloadReport(rows, columns, config, directory, year, month) {
+  const rates = getPayrollRates(config);
+  const seriesConfig = {...config, multiDayMode: 'series'};
+  const byTechnician = {};
+  const eventTypes = new Set();
+
+  rows.forEach((row, rowIndex) => {
+    if (!row || getRequiredDateProblem(row, columns)) return;
+    if (isRowCancelled(row, columns) || isExcludedEventType(row, columns, config)) return;
+
+    const timeZone = getRowTimezone(row, columns, config);
+    const untimed = getRowTimes(row, columns).allDay;
+    const shifts = getRowIntervals(row, columns, seriesConfig).filter(interval => {
+      const start = moment.tz(interval.start, timeZone);
+      return start.year() === year && start.month() + 1 === month;
+    });
+    if (shifts.length === 0) return;
+
+    const eventType = getCell(row, columns, 'eventTypeD') || getCell(row, columns, 'eventType') || '';
+    eventTypes.add(eventType);
+
+    const seen = new Set();
+    for (const result of resolveTechnicians(row, columns, directory)) {
+      const key = result.technician
+        ? `id:${result.technician.id}`
+        : `name:${normalizeTechnicianName(result.name)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const entry = byTechnician[key] || (byTechnician[key] = {
+        technician: result.technician ? result.technician.displayName : result.name,
+        technicianId: result.technician ? result.technician.id : null,
+        events: 0,
+        untimedEvents: 0,
+        shifts: 0,
+        hours: 0,
+        nightHours: 0,
+        overtimeHours: 0,
+        hoursByType: {},
+        rows: []
+      });
+
+      entry.events++;
+      entry.rows.push(rowIndex + 2);
+      if (untimed) {
+        entry.untimedEvents++;
+        continue;
+      }
+
+      for (const shift of shifts) {
+        const hours = (shift.end - shift.start) / 3600000;
+        entry.shifts++;
+        entry.hours += hours;
+        entry.nightHours += getNightHours(shift.start, shift.end, timeZone);
+        entry.overtimeHours += Math.max(0, hours - rates.overtimeAfterHours);
+        entry.hoursByType[eventType] = (entry.hoursByType[eventType] || 0) + hours;
+      }
+    }
+  });
+
+  const totals = {events: 0, shifts: 0, hours: 0, nightHours: 0, overtimeHours: 0, pay: 0};
+  const technicians = Object.values(byTechnician).map(entry => {
+    const regularHours = entry.hours - entry.overtimeHours;
+    const pay = {
+      regular: roundAmount(regularHours * rates.hourlyRate),
+      overtime: roundAmount(entry.overtimeHours * rates.overtimeRate),
+      night: roundAmount(entry.nightHours * rates.nightBonusRate)
+    };
+    pay.total = roundAmount(pay.regular + pay.overtime + pay.night);
+
+    totals.events += entry.events;
+    totals.shifts += entry.shifts;
+    totals.hours += entry.hours;
+    totals.nightHours += entry.nightHours;
+    totals.overtimeHours += entry.overtimeHours;
+    totals.pay += pay.total;
+
+    const hoursByType = {};
+    for (const [type, hours] of Object.entries(entry.hoursByType)) {
+      hoursByType[type] = roundAmount(hours);
+    }
+
+    return {
+      ...entry,
+      hours: roundAmount(entry.hours),
+      nightHours: roundAmount(entry.nightHours),
+      overtimeHours: roundAmount(entry.overtimeHours),
+      hoursByType,
+      pay
+    };
+  }).sort((a, b) => b.hours - a.hours || a.technician.localeCompare(b.technician, 'he'));
+
+  for (const key of ['hours', 'nightHours', 'overtimeHours', 'pay']) {
+    totals[key] = roundAmount(totals[key]);
+  }
+
+  return {
+    year,
+    month,
+    technicians,
+    totals,
+    eventTypes: [...eventTypes].sort((a, b) => a.localeCompare(b, 'he')),
+    rates
+  };
+}
+
+// ===== SYNC PLAN (DRY RUN) =====
+// Scan functions accept `dryRun: true`. In that mode nothing is written to
+// Sheets, Calendar or the tracking collection; the function returns a `plan`
+// array describing what a real run would do, so the Control Center can show
+// it for approval first.
+
+/**
+ * Describe one planned action
+ * @param {string} action - create, update, cancel, restore or delete
+ * @param {Object} details - rowId, rowIndex, eventId, title, date, changes, warning
+ * @returns {Object} Plan entry
+ */
+function planEntry(action, details = {}) {
+  return {
+    action,
+    rowId: details.rowId || null,
+    rowIndex: details.rowIndex !== undefined ? details.rowIndex : null,
+    sheetRow: details.rowIndex !== undefined ? details.rowIndex + 2 : null,
+    eventId: details.eventId || null,
+    title: details.title || '',
+    date: details.date || '',
+    changes: details.changes || [],
+    warning: details.warning || null
+  };
+}
+
+/**
+ * Compare an existing calendar event with the event built from the sheet
+ * @param {Object} existingEvent - Event as returned by the Calendar API
+ * @param {Object} updatedEvent - Event resource built from the row
+ * @returns {Array} Array of {field, from, to} for every field that differs
+ */
+function diffEventFields(existingEvent, updatedEvent) {
+  const fields = {
+    summary: event => event.summary || '',
+    description: event => event.description || '',
+    location: event => event.location || '',
+    'start time': event => (event.start && (event.start.dateTime || event.start.date)) || '',
+    'end time': event => (event.end && (event.end.dateTime || event.end.date)) || '',
+    status: event => event.status || '',
+    attendees: event => (event.attendees || []).map(attendee => attendee.email).sort().join(', '),
+    color: event => event.colorId || '',
+    transparency: event => event.transparency || 'opaque'
+  };
+
+  const changes = [];
+  for (const [field, read] of Object.entries(fields)) {
+    const from = read(existingEvent);
+    const to = read(updatedEvent);
+    if (from !== to) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+// ===== CLOUD FUNCTIONS =====
+
+// Add a debug function to help the admin check event IDs
+exports.debugEventIds = functions.https.onCall(async (data, context) => {
+  // Check authentication and organization membership
+  const { orgId } = await requireOrgMember(context, 'sync');
+  
+  try {
+    console.log("Starting event ID debug for organization", orgId);
+    
+    // Get user configuration
+    const configDoc = await db.collection("configurations").doc(orgId).get();
+    
+    if (!configDoc.exists) {
+      throw new functions.https.HttpsError("not-found", "Configuration not found");
+    }
+    
+    const config = configDoc.data();
+    
+    // Setup API client
+    console.log("Initializing service account auth");
+    const jwtClient = new google.auth.JWT(
+      serviceAccount.client_email,
+      null,
+      serviceAccount.private_key,
+      ['https://www.googleapis.com/auth/spreadsheets']
+    );
+    
+    // Authenticate request
+    await jwtClient.authorize();
+    console.log("Service account authenticated successfully");
+    
+    // Create API client
+    const sheetService = createSheetsClient(jwtClient);
+    
+    // Get the event ID column info
+    const eventIdColumnIndex = resolveColumnMapping(config).eventId;
+    
+    const columnLetter = getColumnLetter(eventIdColumnIndex);
+    
+    // Log event IDs
+    await logAllEventIds(sheetService, config);
+    
+    return {
+      success: true,
+      message: `Checked event IDs in column ${columnLetter} (index ${eventIdColumnIndex})`,
+      columnInfo: {
+        index: eventIdColumnIndex,
+        letter: columnLetter
+      }
+    };
+    
+  } catch (error) {
+    console.error("Error in debugEventIds:", error);
+    throw new functions.https.HttpsError("internal", error.message);
+  }
+});
+
+
+exports.manualScan = functions.https.onCall(async (data, context) => {
+  // Check authentication and organization membership
+  const { orgId } = await requireOrgMember(context, 'sync');
+  // Scheduled syncs and other scans of this configuration wait for this one
+  const lockOwner = await requireSyncLock(orgId);
+  
+  try {
+    console.log("Starting manual scan for organization", orgId, "with options:", data);
+    
+    // Get user configuration
+    const configDoc = await db.collection("configurations").doc(orgId).get();
+    
+    if (!configDoc.exists) {
+      throw new functions.https.HttpsError("not-found", "Configuration not found");
+    }
+    
+    const config = configDoc.data();
+    const columns = resolveColumnMapping(config);
+    console.log("Found configuration:", {
+      spreadsheetId: config.spreadsheetId,
+      sheetName: config.sheetName, 
+      calendarId: config.calendarId,
+      lastProcessedRow: config.lastProcessedRow,
+      columnMapping: config.columnMapping || DEFAULT_COLUMN_MAPPING,
+      dataRange: config.dataRange
+    });
+    
+    // Reset lastProcessedRow if requested
+    if (data && data.resetProcessed) {
+      await db.collection("configurations").doc(orgId).update({
+        lastProcessedRow: 2, // Start at row 2 (index 1) to skip header
+      });
+      console.log("Reset lastProcessedRow to 2 for organization", orgId);
+
+      // Update local config
+      config.lastProcessedRow = 2;
+    }
+    
+    // Use service account for authentication
+    console.log("Initializing service account auth");
+    const jwtClient = new google.auth.JWT(
+      serviceAccount.client_email,
+      null,
+      serviceAccount.private_key,
+      [
+        'https://www.googleapis.com/auth/spreadsheets',
+        'https://www.googleapis.com/auth/calendar'
+      ]
+    );
+    
+    // Authenticate request
+    await jwtClient.authorize();
+    console.log("Service account authenticated successfully");
+    
+    // Create API clients
+    const sheetService = createSheetsClient(jwtClient);
+    const calendarService = createCalendarClient(jwtClient);
+    
+    // Read from Google Sheet
+    console.log(`Reading sheet ${config.sheetName} from spreadsheet ${config.spreadsheetId}`);
+    const dataRange = config.dataRange || "A1:AZ1000"; // Default range if not specified
+    const sheetResponse = await sheetService.spreadsheets.values.get({
+      spreadsheetId: config.spreadsheetId,
+      range: `${config.sheetName}!${dataRange}`,
+      ...SHEET_READ_OPTIONS
+    });
+    
+    const allRows = sheetResponse.data.values || [];
+    normalizeSheetRows(allRows, config);
+    console.log(`Found ${allRows.length} total rows in sheet`);
+    await ensureRowIds(sheetService, config, allRows, orgId);
+    
+    // Get last processed row ID
+    let lastProcessedRow = config.lastProcessedRow || 0;
+    
+    // Make sure we start at at least row 2 (index 1) to skip headers
+    if (lastProcessedRow < 2) {
+      lastProcessedRow = 2;
+      console.log("Adjusted lastProcessedRow to 2 to skip headers");
+    }
+    
+    // Check if we're at the end of the sheet
+    if (lastProcessedRow >= allRows.length) {
+      console.log("No more rows to process");
+      
+      // Create a log entry
+      const logRef = await db.collection("processingLogs").add({
+        orgId,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        manualScan: true,
+        resetProcessed: data.resetProcessed || false,
+        message: "No more rows to process",
+        lastProcessedRow
+      });
+      
+      return {
+        success: false,
+        message: "No more rows to process",
+        lastProcessedRow
+      };
+    }
+    
+    // Tracking for processed events
+    const processedEvents = [];
+    const updatedEvents = [];
+    const errors = [];
+    
+    // Processing a single row at a time for simpler debugging
+    // This will process the current lastProcessedRow and then advance it by one
+    console.log(`Processing row at index ${lastProcessedRow}`);
+    
+    try {
+      const row = allRows[lastProcessedRow];
+      console.log("Row data:", JSON.stringify(row));
+      
+      // Skip if row is empty or doesn't have enough data
+      if (!row || row.length < 10) {
+        console.log(`Row ${lastProcessedRow} is empty or incomplete, skipping`);
+        
+        // Update the lastProcessedRow in the configuration
+        await db.collection("configurations").doc(orgId).update({
+          lastProcessedRow: lastProcessedRow + 1,
+          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+        });
+        
+        // Create a log entry
+        const logRef = await db.collection("processingLogs").add({
+          orgId,
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          manualScan: true,
+          message: "Row skipped: Insufficient data",
+          rowIndex: lastProcessedRow
+        });
+        
+        return {
+          success: true,
+          message: "Row skipped: Insufficient data",
+          rowIndex: lastProcessedRow,
+          advancedToNextRow: true
+        };
+      }
+      
+      // Skip if no valid date in the date column
+      const dateProblem = getRequiredDateProblem(row, columns);
+      if (dateProblem) {
+        console.log(`Row ${lastProcessedRow} rejected: ${dateProblem.message}, skipping`);
+        const rejectedRow = buildRejectedRow(row, lastProcessedRow, columns, dateProblem);
+        
+        // Update the lastProcessedRow in the configuration
+        await db.collection("configurations").doc(orgId).update({
+          lastProcessedRow: lastProcessedRow + 1,
+          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+        });
+        
+        // Create a log entry
+        const logRef = await db.collection("processingLogs").add({
+          orgId,
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          manualScan: true,
+          message: `Row skipped: ${dateProblem.message}`,
+          rowIndex: lastProcessedRow,
+          rejected: [rejectedRow]
+        });
+        
+        return {
+          success: true,
+          message: `Row skipped: ${dateProblem.message}`,
+          rowIndex: lastProcessedRow,
+          rejected: [rejectedRow],
+          advancedToNextRow: true
+        };
+      }
+      
+      // Skip event types whose rule keeps them off the calendar
+      const eventType = getCell(row, columns, 'eventTypeD');
+      const isExcludedType = !isSyncedEventType(row, columns, config);
+
+      if (isExcludedType) {
+        console.log(`Skipping row ${lastProcessedRow} with excluded event type: ${eventType}`);
+        
+        // Update the lastProcessedRow in the configuration
+        await db.collection("configurations").doc(orgId).update({
+          lastProcessedRow: lastProcessedRow + 1,
+          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+        });
+        
+        // Create a log entry
+        const logRef = await db.collection("processingLogs").add({
+          orgId,
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          manualScan: true,
+          message: `Row skipped: Event type "${eventType}" is excluded`,
+          rowIndex: lastProcessedRow
+        });
+        
+        return {
+          success: true,
+          message: `Row skipped: Event type "${eventType}" is excluded`,
+          rowIndex: lastProcessedRow,
+          advancedToNextRow: true
+        };
+      }
+      
+      // Check if already processed and has an event ID
+      const isProcessed = row[columns.processed] === config.processedMarker;
+      const hasEventId = row[columns.eventId];
+      console.log(`Row status: isProcessed=${isProcessed}, hasEventId=${hasEventId}`);
+      
+      // Format the event data including detailed technician list
+      const dateStr = getCell(row, columns, 'date');
+      const startTime = getCell(row, columns, 'startTime') || DEFAULT_START_TIME;
+      const endTime = getCell(row, columns, 'endTime') || '(default)';
+      
+      console.log(`Event date/time: ${dateStr}, ${startTime}-${endTime}`);
+      
+      // Format the technician list - enhanced version
+      console.log(`Examining technicians in row ${lastProcessedRow}:`);
+      const techniciansList = getTechnicians(row, columns);
+      
+      // Generate complete description with technicians
+      const eventDescription = formatDescription(row, columns);
+      console.log(`Generated description: ${eventDescription}`);
+      
+      // Prepare complete event data
+      const eventData = {
+        summary: getEventName(row, columns),
+        description: eventDescription, // This includes the formatted technician list
+        location: getCell(row, columns, 'location'),
+        ...getEventTimes(row, columns, config)
+      };
+      
+      // Check for cancellation flag
+      const shouldCancel = isRowCancelled(row, columns);
+      const eventName = getEventName(row, columns);
+      
+      if (shouldCancel) {
+        console.log(`Row ${lastProcessedRow} marked for cancellation`);
+      }
+      eventData.status = getRowEventStatus(row, columns, config);
+      
+      // If already processed with event ID, check for changes and update
+      if (isProcessed && hasEventId && !data.resetProcessed) {
+        console.log(`\n----- CHECKING FOR UPDATES TO EXISTING EVENT -----`);
+        
+        // Use the enhanced update function with fixed row handling
+        await checkAndUpdateEventEnhanced(
+          sheetService,
+          calendarService,
+          config,
+          row,
+          lastProcessedRow,
+          updatedEvents
+        );
+        
+        // Update the lastProcessedRow in the configuration to advance to next row
+        await db.collection("configurations").doc(orgId).update({
+          lastProcessedRow: lastProcessedRow + 1,
+          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+        });
+        
+        return {
+          success: true,
+          message: updatedEvents.length > 0 ? "Updated existing event" : "No changes needed",
+          rowIndex: lastProcessedRow,
+          updatedEvents,
+          advancedToNextRow: true
+        };
+        
+      } else {
+        // Create a new event
+        console.log(`Creating new event for row ${lastProcessedRow}`);
+        await withAttendees(eventData, row, columns, config);
+        
+        // Add event to calendar
+        const calendarResponse = await insertRowEvent(calendarService, config, {
+          calendarId: getRowCalendarId(row, columns, config),
+          sendUpdates: getSendUpdates(config, row, columns),
+          resource: withRowMetadata(eventData, row, columns, config),
+        });
+        
+        console.log(`Created new event: ${calendarResponse.data.id}`);
+        
+        // FIXED: Use the proper functions to mark as processed and store event ID
+        // Correctly calculate the sheet row number and mark as processed
+        const rowToUpdate = lastProcessedRow; // Keep the 0-based index for function calls
+        const sheetRowNum = getValidSheetRowNum(rowToUpdate);
+        
+        console.log(`Marking row ${sheetRowNum} as processed (from index ${rowToUpdate})`);
+        
+        // Use the fixed markRowAsProcessed function
+        await markRowAsProcessed(
+          sheetService,
+          config,
+          rowToUpdate,
+          calendarResponse.data.id,
+          shouldCancel
+        );
+        
+        processedEvents.push({
+          rowIndex: lastProcessedRow,
+          eventId: calendarResponse.data.id,
+          summary: eventData.summary,
+          action: 'created'
+        });
+        
+        // Always advance to the next row
+        await db.collection("configurations").doc(orgId).update({
+          lastProcessedRow: lastProcessedRow + 1,
+          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.log(`Advanced to next row: ${lastProcessedRow + 1}`);
+        
+        // Log processing results
+        const logRef = await db.collection("processingLogs").add({
+          orgId,
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          manualScan: true,
+          processedEvents,
+          updatedEvents,
+          errors,
+          rowsScanned: 1
+        });
+        console.log(`Created log entry: ${logRef.id}`);
+        
+        return {
+          success: true,
+          message: "Created new event",
+          rowIndex: lastProcessedRow,
+          processedEvents,
+          advancedToNextRow: true
+        };
+      }
+      
+    } catch (error) {
+      console.error(`Error processing row ${lastProcessedRow}:`, error);
+      
+      // Log error
+      const logRef = await db.collection("processingLogs").add({
+        orgId,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        errors: [{
+          rowIndex: lastProcessedRow,
+          error: error.message
+        }],
+        rowsScanned: 1
+      });
+      
+      return {
+        success: false,
+        message: `Error processing row: ${error.message}`,
+        rowIndex: lastProcessedRow,
+        error: error.message
+      };
+    }
+  } catch (error) {
+    console.error("Error in manualScan:", error);
+    throw new functions.https.HttpsError("internal", error.message);
+  } finally {
+    await releaseSyncLock(orgId, lockOwner);
+  }
+});
+
+// Debug function to process a single row
+exports.processSingleRow = functions.https.onCall(async (data, context) => {
+  // Check authentication and organization membership
+  const { orgId } = await requireOrgMember(context, 'sync');
+  const lockOwner = await requireSyncLock(orgId);
+  console.log(`Processing single row for organization ${orgId}`);
+  
+  try {
+    // Get user configuration
+    const configDoc = await db.collection("configurations").doc(orgId).get();
+    
+    if (!configDoc.exists) {
+      throw new functions.https.HttpsError(
+          "not-found",
+          "Configuration not found",
+      );
+    }
+    
+    const config = configDoc.data();
+    const columns = resolveColumnMapping(config);
+    
+    // Use service account instead of user credentials
+    console.log("Initializing service account auth");
+    
+    // Create a JWT client using service account
+    const jwtClient = new google.auth.JWT(
+      serviceAccount.client_email,
+      null,
+      serviceAccount.private_key,
+      [
+        'https://www.googleapis.com/auth/spreadsheets',
+        'https://www.googleapis.com/auth/calendar'
+      ]
+    );
+    
+    // Authenticate request
+    await jwtClient.authorize();
+    console.log("Service account authenticated successfully");
+    
+    // Create API clients
+    const sheetService = createSheetsClient(jwtClient);
+    const calendarService = createCalendarClient(jwtClient);
+    
+    // Get last processed row ID
+    let lastProcessedRow = config.lastProcessedRow || 0;
+    
+    // Make sure we start at at least row 2 (index 1) to skip headers
+    if (lastProcessedRow < 2) {
+      lastProcessedRow = 2;
+      console.log("Adjusted lastProcessedRow to 2 to skip headers");
+    }
+    
+    // Read from Google Sheet
+    console.log(`Reading sheet ${config.sheetName} from spreadsheet ${config.spreadsheetId}`);
+    const sheetResponse = await sheetService.spreadsheets.values.get({
+      spreadsheetId: config.spreadsheetId,
+      range: `${config.sheetName}!${config.dataRange}`,
+      ...SHEET_READ_OPTIONS
+    });
+    
+    const rows = sheetResponse.data.values || [];
+    normalizeSheetRows(rows, config);
+    console.log(`Found ${rows.length} total rows in sheet`);
+    await ensureRowIds(sheetService, config, rows, orgId);
+    
+    // Check if there are more rows to process
+    if (lastProcessedRow >= rows.length) {
+      return {
+        success: false, 
+        message: "No more rows to process",
+        rowIndex: lastProcessedRow
+      };
+    }
+    
+    // Process just the next row
+    const rowIndex = lastProcessedRow;
+    const row = rows[rowIndex];
+    const processedEvents = [];
+    const errors = [];
+    
+    try {
+      // Skip if row is empty or doesn't have enough data
+      if (!row || row.length < 10) {
+        console.log(`Row ${rowIndex} is empty or incomplete, skipping`);
+        
+        // Update the lastProcessedRow in the configuration
+        await db.collection("configurations").doc(orgId).update({
+          lastProcessedRow: lastProcessedRow + 1,
+          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+        });
+        
+        return {
+          success: true,
+          message: "Row skipped: Insufficient data",
+          rowIndex: rowIndex,
+          rowData: row,
+          advancedToNextRow: true
+        };
+      }
+      
+      // Skip if no valid date in the date column
+      const dateProblem = getRequiredDateProblem(row, columns);
+      if (dateProblem) {
+        console.log(`Row ${rowIndex} rejected: ${dateProblem.message}, skipping`);
+        
+        // Update the lastProcessedRow in the configuration
+        await db.collection("configurations").doc(orgId).update({
+          lastProcessedRow: lastProcessedRow + 1,
+          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+        });
+        
+        return {
+          success: true,
+          message: `Row skipped: ${dateProblem.message}`,
+          rowIndex: rowIndex,
+          rowData: row,
+          rejected: [buildRejectedRow(row, rowIndex, columns, dateProblem)],
+          advancedToNextRow: true
+        };
+      }
+      
+      // Check if already processed and has an event ID - might need update
+      const isProcessed = row[columns.processed] === config.processedMarker;
+      const hasEventId = row[columns.eventId];
+      
+      // Skip event types whose rule keeps them off the calendar
+      const eventType = getCell(row, columns, 'eventTypeD');
+      const isExcludedType = !isSyncedEventType(row, columns, config);
+      
+      if (isExcludedType) {
+        console.log(`Skipping row ${rowIndex} with excluded event type: ${eventType}`);
+        return; // Don't process these at all
+
+        // Update the lastProcessedRow in the configuration
+        await db.collection("configurations").doc(orgId).update({
+          lastProcessedRow: lastProcessedRow + 1,
+          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+        });
+        
+        return {
+          success: true,
+          message: `Row skipped: Event type "${eventType}" is excluded`,
+          rowIndex: rowIndex,
+          rowData: row,
+          advancedToNextRow: true
+        };
+      }
+      
+      // Check for cancellation flag
+      const shouldCancel = isRowCancelled(row, columns);
+      const eventName = getEventName(row, columns);
+      const calendarId = getRowCalendarId(row, columns, config);
+      
+      // Prepare calendar event data
+      const eventData = withRowEventState({
+        summary: eventName,
+        description: formatDescription(row, columns),
+        location: getCell(row, columns, 'location'),
+        ...getEventTimes(row, columns, config)
+      }, row, columns, config);
+      withRowMetadata(eventData, row, columns, config);
+      await withAttendees(eventData, row, columns, config);
+      
+      // If already processed and has event ID, update the event
+      if (isProcessed && hasEventId) {
+        console.log(`Row ${rowIndex} already has event ID ${row[columns.eventId]}, checking for updates`);
+        
+        try {
+          // Get the existing event, moving it if the row now routes to another calendar
+          const { event: existingEvent, calendarId: eventCalendarId } = await locateRowEvent(
+            calendarService, config, row, columns, row[columns.eventId]
+          );
+          await withAttendees(eventData, row, columns, config, existingEvent);
+          
+          // Check if any data has changed
+          const hasChanges = 
+            existingEvent.summary !== eventData.summary ||
+            existingEvent.description !== eventData.description ||
+            existingEvent.location !== eventData.location ||
+            existingEvent.start.dateTime !== eventData.start.dateTime ||
+            existingEvent.end.dateTime !== eventData.end.dateTime ||
+            existingEvent.status !== eventData.status ||
+            diffEventFields(existingEvent, eventData).some(change => ['attendees', 'color', 'transparency'].includes(change.field));
+          
+          if (hasChanges) {
+            // Update the event
+            await calendarService.events.update({
+              calendarId: eventCalendarId,
+              sendUpdates: getSendUpdates(config, row, columns),
+              eventId: row[columns.eventId],
+              resource: eventData
+            });
+            
+            console.log(`Updated existing calendar event: ${row[columns.eventId]}`);
+            
+            // Keep the processed marker in line with the cancellation column
+            // (CANCELLED when cancelled, back to processed when restored)
+            const processedMarker = getProcessedMarker(config, shouldCancel);
+            if (columns.processed >= 0 && getCell(row, columns, 'processed') !== processedMarker) {
+              await sheetService.spreadsheets.values.update({
+                spreadsheetId: config.spreadsheetId,
+                range: `${config.sheetName}!${getColumnLetter(columns.processed)}${rowIndex + 1}`,
+                valueInputOption: "RAW",
+                resource: {
+                  values: [[processedMarker]]
+                },
+              });
+            }
+            
+            // Update the lastProcessedRow in the configuration
+            await db.collection("configurations").doc(orgId).update({
+              lastProcessedRow: lastProcessedRow + 1,
+              lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+            });
+            
+            return {
+              success: true,
+              message: "Updated existing calendar event",
+              rowIndex: rowIndex,
+              rowData: row,
+              eventUpdated: {
+                id: row[columns.eventId],
+                summary: eventData.summary,
+                changes: hasChanges
+              },
+              advancedToNextRow: true
+            };
+          } else {
+            console.log(`No changes detected for event ${row[columns.eventId]}`);
+            
+            // Update the lastProcessedRow in the configuration
+            await db.collection("configurations").doc(orgId).update({
+              lastProcessedRow: lastProcessedRow + 1,
+              lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+            });
+            
+            return {
+              success: true,
+              message: "No changes detected for existing event",
+              rowIndex: rowIndex,
+              rowData: row,
+              advancedToNextRow: true
+            };
+          }
+        } catch (getError) {
+          console.error(`Error getting existing event: ${getError}`);
+          
+          // Event might have been deleted in the calendar - create a new one
+          console.log(`Existing event not found in calendar, creating new event`);
+          
+          // Continue to create a new event below
+        }
+      }
+      
+      // If row is marked for cancellation, create a cancelled event or update existing
+      if (shouldCancel) {
+        console.log(`Row ${rowIndex} marked for cancellation`);
+        
+        // If there's an existing event ID stored in the row, apply the cancellation policy to it
+        if (hasEventId) {
+          try {
+            await applyRowCancellation(
+              calendarService, config, row, columns, row[columns.eventId], eventData
+            );
+            
+            console.log(`Applied cancellation to calendar event: ${row[columns.eventId]}`);
+            
+            // Mark as cancelled in the spreadsheet
+            if (config.updateProcessedStatus && columns.processed >= 0) {
+              await sheetService.spreadsheets.values.update({
+                spreadsheetId: config.spreadsheetId,
+                range: `${config.sheetName}!${getColumnLetter(columns.processed)}${rowIndex + 1}`,
+                valueInputOption: "RAW",
+                resource: {
+                  values: [["CANCELLED"]]
+                },
+              });
+            }
+          } catch (updateError) {
+            console.error(`Error updating event status: ${updateError}`);
+            
+            return {
+              success: false,
+              message: `Failed to cancel event: ${updateError.message}`,
               rowIndex: rowIndex,
               rowData: row
             };
@@ -1813,19 +6719,20 @@ exports.processSingleRow = functions.https.onCall(async (data, context) => {
         } else {
           // Create new cancelled event
           try {
-            // Add event to calendar with cancelled status
-            const calendarResponse = await calendarService.events.insert({
-              calendarId: config.calendarId,
+            // Add event to calendar as the cancellation policy shapes it
+            const calendarResponse = await insertRowEvent(calendarService, config, {
+              calendarId,
+              sendUpdates: getSendUpdates(config, row, columns),
               resource: eventData
             });
             
             console.log(`Created cancelled calendar event: ${calendarResponse.data.htmlLink}`);
             
             // Mark as cancelled in the spreadsheet
-            if (config.updateProcessedStatus && config.processedColumnIndex !== undefined) {
+            if (config.updateProcessedStatus && columns.processed >= 0) {
               await sheetService.spreadsheets.values.update({
                 spreadsheetId: config.spreadsheetId,
-                range: `${config.sheetName}!${getColumnLetter(config.processedColumnIndex)}${rowIndex + 1}`,
+                range: `${config.sheetName}!${getColumnLetter(columns.processed)}${rowIndex + 1}`,
                 valueInputOption: "RAW",
                 resource: {
                   values: [["CANCELLED"]]
@@ -1834,10 +6741,10 @@ exports.processSingleRow = functions.https.onCall(async (data, context) => {
             }
             
             // Store event ID if configured
-            if (config.eventIdColumnIndex !== undefined) {
+            if (columns.eventId >= 0) {
               await sheetService.spreadsheets.values.update({
                 spreadsheetId: config.spreadsheetId,
-                range: `${config.sheetName}!${getColumnLetter(config.eventIdColumnIndex)}${rowIndex + 1}`,
+                range: `${config.sheetName}!${getColumnLetter(columns.eventId)}${rowIndex + 1}`,
                 valueInputOption: "RAW",
                 resource: {
                   values: [[calendarResponse.data.id]]
@@ -1854,193 +6761,1002 @@ exports.processSingleRow = functions.https.onCall(async (data, context) => {
             };
           }
         }
-        
-        // Update the lastProcessedRow in the configuration
-        await db.collection("configurations").doc(userId).update({
-          lastProcessedRow: lastProcessedRow + 1,
-          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
+        
+        // Update the lastProcessedRow in the configuration
+        await db.collection("configurations").doc(orgId).update({
+          lastProcessedRow: lastProcessedRow + 1,
+          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+        });
+        
+        return {
+          success: true,
+          message: "Event marked as cancelled in the calendar",
+          rowIndex: rowIndex,
+          rowData: row,
+          cancelled: true,
+          advancedToNextRow: true
+        };
+      }
+      
+      // Create a new event if not cancelled and not already existing
+      console.log(`Creating new event for row ${rowIndex}`);
+      
+      // Add event to calendar
+      const calendarResponse = await insertRowEvent(calendarService, config, {
+        calendarId,
+        sendUpdates: getSendUpdates(config),
+        resource: eventData
+      });
+      
+      console.log(`Created calendar event: ${calendarResponse.data.htmlLink}`);
+      
+      // Mark as processed in the spreadsheet if configured
+      if (config.updateProcessedStatus && columns.processed >= 0) {
+        await sheetService.spreadsheets.values.update({
+          spreadsheetId: config.spreadsheetId,
+          range: `${config.sheetName}!${getColumnLetter(columns.processed)}${rowIndex + 1}`,
+          valueInputOption: "RAW",
+          resource: {
+            values: [[config.processedMarker || "PROCESSED"]]
+          },
+        });
+        
+        // Store the event ID if configured
+        if (columns.eventId >= 0) {
+          // Use this single call:
+        await markRowAsProcessed(
+          sheetService,
+          config,
+          i,  // Pass the row index
+          calendarResponse.data.id,
+          shouldCancel
+        );
+        }
+      }
+      
+      // Update the lastProcessedRow in the configuration
+      await db.collection("configurations").doc(orgId).update({
+        lastProcessedRow: lastProcessedRow + 1,
+        lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+      });
+      
+      // Log processing results
+      await db.collection("processingLogs").add({
+        orgId,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        processedEvents: [{
+          rowIndex,
+          eventId: calendarResponse.data.id,
+          summary: eventData.summary
+        }],
+        errors,
+        rowsScanned: 1,
+        debugMode: true
+      });
+      
+      return {
+        success: true,
+        message: "Processed one row successfully",
+        rowIndex: rowIndex,
+        rowData: row,
+        parsedStartTime: eventData.start.dateTime,
+        parsedEndTime: eventData.end.dateTime,
+        eventCreated: {
+          id: calendarResponse.data.id,
+          summary: eventData.summary,
+          link: calendarResponse.data.htmlLink
+        }
+      };
+      
+    } catch (error) {
+      console.error(`Error processing row ${rowIndex}:`, error);
+      errors.push({
+        rowIndex,
+        error: error.message
+      });
+      
+      // Log error
+      await db.collection("processingLogs").add({
+        orgId,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        processedEvents: [],
+        errors,
+        rowsScanned: 1,
+        debugMode: true
+      });
+      
+      return {
+        success: false,
+        message: `Error processing row: ${error.message}`,
+        rowIndex: rowIndex,
+        rowData: row
+      };
+    }
+  } catch (error) {
+    console.error('Error in processSingleRow:', error);
+    throw new functions.https.HttpsError("internal", error.message);
+  } finally {
+    await releaseSyncLock(orgId, lockOwner);
+  }
+});
+
+// API endpoint to save configuration
+exports.saveConfiguration = functions.https.onCall(async (data, context) => {
+  // Check authentication and organization membership
+  const { orgId } = await requireOrgMember(context, 'configure');
+  
+  // Reject malformed column mappings before anything is written
+  if (data.columnMapping !== undefined) {
+    const problems = validateColumnMapping(data.columnMapping);
+    if (problems.length > 0) {
+      throw new functions.https.HttpsError("invalid-argument", problems.join("; "));
+    }
+  }
+  if (data.timezone !== undefined && !isValidTimezone(data.timezone)) {
+    throw new functions.https.HttpsError("invalid-argument", `Unknown timezone "${data.timezone}"`);
+  }
+  
+  try {
+    // Validate required fields
+    if (!data.spreadsheetId || !data.sheetName || !data.calendarId) {
+      throw new functions.https.HttpsError(
+          "invalid-argument",
+          "Missing required configuration fields",
+      );
+    }
+    
+    // Ensure lastProcessedRow is at least 3 to skip headers
+    if (!data.lastProcessedRow || data.lastProcessedRow < 3) {
+      data.lastProcessedRow = 3;
+    }
+    
+    // Save the configuration
+    await db.collection("configurations").doc(orgId).set(data, {merge: true});
+    
+    return {success: true};
+  } catch (error) {
+    console.error("Error in saveConfiguration:", error);
+    throw new functions.https.HttpsError("internal", error.message);
+  }
+});
+
+// API endpoint to get the sheet column mapping (defaults merged with the saved one)
+exports.getColumnMapping = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'view');
+  const configDoc = await db.collection("configurations").doc(orgId).get();
+  const saved = (configDoc.exists && configDoc.data().columnMapping) || {};
+  
+  return {
+    success: true,
+    defaults: DEFAULT_COLUMN_MAPPING,
+    columnMapping: {...DEFAULT_COLUMN_MAPPING, ...saved}
+  };
+});
+
+// API endpoint to save the sheet column mapping
+exports.saveColumnMapping = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'configure');
+  const columnMapping = data && data.columnMapping;
+  const problems = validateColumnMapping(columnMapping);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError("invalid-argument", problems.join("; "));
+  }
+  
+  // Replace the whole mapping so removed fields fall back to the defaults
+  await db.collection("configurations").doc(orgId).set({
+    columnMapping,
+    columnMappingUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, {mergeFields: ["columnMapping", "columnMappingUpdatedAt"]});
+  
+  console.log(`Column mapping updated for organization ${orgId}:`, columnMapping);
+  
+  return {success: true, columnMapping};
+});
+
+// API endpoint to get the sync settings (defaults merged with the saved ones)
+exports.getSyncSettings = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'view');
+  const configDoc = await db.collection("configurations").doc(orgId).get();
+  const config = configDoc.exists ? configDoc.data() : {};
+  
+  const settings = {};
+  for (const [key, value] of Object.entries(DEFAULT_SYNC_SETTINGS)) {
+    settings[key] = config[key] !== undefined ? config[key] : value;
+  }
+  
+  return {success: true, defaults: DEFAULT_SYNC_SETTINGS, settings};
+});
+
+// API endpoint to save the sync settings
+exports.saveSyncSettings = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'configure');
+  const settings = data && data.settings;
+  const problems = validateSyncSettings(settings);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError("invalid-argument", problems.join("; "));
+  }
+  
+  await db.collection("configurations").doc(orgId).set({
+    ...settings,
+    syncSettingsUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, {merge: true});
+  
+  console.log(`Sync settings updated for organization ${orgId}:`, settings);
+  
+  return {success: true, settings};
+});
+
+// API endpoint to get the event type rules
+exports.getEventTypeRules = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'view');
+  const configDoc = await db.collection("configurations").doc(orgId).get();
+  const config = configDoc.exists ? configDoc.data() : {};
+  
+  return {
+    success: true,
+    actions: EVENT_TYPE_ACTIONS,
+    defaults: DEFAULT_EVENT_TYPE_RULES,
+    rules: getEventTypeRules(config),
+    calendarId: config.calendarId || null
+  };
+});
+
+// API endpoint to save the event type rules
+exports.saveEventTypeRules = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'configure');
+  const rules = data && data.rules;
+  const problems = validateEventTypeRules(rules);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError("invalid-argument", problems.join("; "));
+  }
+  
+  const eventTypeRules = normalizeEventTypeRules(rules);
+  await db.collection("configurations").doc(orgId).set({
+    eventTypeRules,
+    eventTypeRulesUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, {merge: true});
+  
+  console.log(`Event type rules updated for organization ${orgId}:`, eventTypeRules);
+  
+  return {success: true, rules: eventTypeRules};
+});
+
+// API endpoint to get the calendar routes
+exports.getCalendarRoutes = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'view');
+  const configDoc = await db.collection("configurations").doc(orgId).get();
+  const config = configDoc.exists ? configDoc.data() : {};
+  
+  return {
+    success: true,
+    matches: CALENDAR_ROUTE_MATCHES,
+    routes: getCalendarRoutes(config),
+    calendarId: config.calendarId || null,
+    targetCalendarColumn: resolveColumnMapping(config).targetCalendar >= 0
+  };
+});
+
+// API endpoint to save the calendar routes
+// Rows whose calendar changes are moved on the next update scan
+exports.saveCalendarRoutes = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'configure');
+  const routes = data && data.routes;
+  const problems = validateCalendarRoutes(routes);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError("invalid-argument", problems.join("; "));
+  }
+  
+  const calendarRoutes = normalizeCalendarRoutes(routes);
+  await db.collection("configurations").doc(orgId).set({
+    calendarRoutes,
+    calendarRoutesUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, {merge: true});
+  
+  console.log(`Calendar routes updated for organization ${orgId}:`, calendarRoutes);
+  
+  return {success: true, routes: calendarRoutes};
+});
+
+// API endpoint to get the event color map
+exports.getEventColors = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'schedule');
+  const configDoc = await db.collection("configurations").doc(orgId).get();
+  const config = configDoc.exists ? configDoc.data() : {};
+  
+  return {
+    success: true,
+    colorIds: CALENDAR_COLOR_IDS,
+    defaults: DEFAULT_EVENT_COLORS,
+    colors: getEventColors(config)
+  };
+});
+
+// API endpoint to save the event color map
+// Synced events pick up their new colorId on the next update scan
+exports.saveEventColors = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'configure');
+  const colors = data && data.colors;
+  const problems = validateEventColors(colors);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError("invalid-argument", problems.join("; "));
+  }
+  
+  const eventColors = normalizeEventColors(colors);
+  await db.collection("configurations").doc(orgId).set({
+    eventColors,
+    eventColorsUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, {merge: true});
+  
+  console.log(`Event colors updated for organization ${orgId}:`, eventColors);
+  
+  return {success: true, colors: eventColors};
+});
+
+// API endpoint to get the cancellation policy
+exports.getCancellationPolicy = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'view');
+  const configDoc = await db.collection("configurations").doc(orgId).get();
+  const config = configDoc.exists ? configDoc.data() : {};
+  
+  return {
+    success: true,
+    modes: CANCELLATION_MODES,
+    colorIds: CALENDAR_COLOR_IDS,
+    defaults: DEFAULT_CANCELLATION_POLICY,
+    policy: getCancellationPolicy(config)
+  };
+});
+
+// API endpoint to save the cancellation policy
+// Events of cancelled rows are brought in line with it on the next update scan
+exports.saveCancellationPolicy = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'configure');
+  const policy = data && data.policy;
+  const problems = validateCancellationPolicy(policy);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError("invalid-argument", problems.join("; "));
+  }
+  
+  const cancellationPolicy = normalizeCancellationPolicy(policy);
+  await db.collection("configurations").doc(orgId).set({
+    cancellationPolicy,
+    cancellationPolicyUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, {merge: true});
+  
+  console.log(`Cancellation policy updated for organization ${orgId}:`, cancellationPolicy);
+  
+  return {success: true, policy: cancellationPolicy};
+});
+
+// API endpoint to get the synced sheet tabs and the tabs of the spreadsheet
+exports.getSheetTabs = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'view');
+  const configDoc = await db.collection("configurations").doc(orgId).get();
+  if (!configDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "Configuration not found");
+  }
+  const config = configDoc.data();
+  
+  const { sheetService } = await setupApiClients();
+  const titles = await listSheetTitles(sheetService, config.spreadsheetId);
+  
+  return {
+    success: true,
+    primary: config.sheetName,
+    tabs: getSheetTabs(config),
+    titles
+  };
+});
+
+// API endpoint to save the synced sheet tabs
+// The primary tab only changes through rolloverSheetTab
+exports.saveSheetTabs = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'configure');
+  const configDoc = await db.collection("configurations").doc(orgId).get();
+  if (!configDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "Configuration not found");
+  }
+  const config = configDoc.data();
+  
+  const { sheetService } = await setupApiClients();
+  const titles = await listSheetTitles(sheetService, config.spreadsheetId);
+  
+  const tabs = data && data.tabs;
+  const problems = validateSheetTabs(tabs, config, titles);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError("invalid-argument", problems.join("; "));
+  }
+  
+  const sheetTabs = normalizeSheetTabs(tabs);
+  
+  // The primary tab may have been renamed in the spreadsheet
+  const primaryNamespace = findSheetTab(config, config.sheetName).namespace;
+  const primary = sheetTabs.find(tab => tab.namespace === primaryNamespace);
+  
+  await db.collection("configurations").doc(orgId).set({
+    sheetName: primary.sheetName,
+    sheetTabs,
+    sheetTabsUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, {merge: true});
+  
+  console.log(`Sheet tabs updated for organization ${orgId}:`, sheetTabs);
+  
+  return {success: true, primary: primary.sheetName, tabs: sheetTabs};
+});
+
+// API endpoint for the guided year rollover: make another tab the primary one
+// With dryRun it only lists the rows that would take over an existing event
+exports.rolloverSheetTab = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'configure');
+  const sheetName = data && typeof data.sheetName === 'string' ? data.sheetName.trim() : '';
+  if (!sheetName) {
+    throw new functions.https.HttpsError("invalid-argument", "Choose the tab to switch to");
+  }
+  const dryRun = !!(data && data.dryRun);
+  
+  const configDoc = await db.collection("configurations").doc(orgId).get();
+  if (!configDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "Configuration not found");
+  }
+  const config = configDoc.data();
+  if (sheetName === config.sheetName) {
+    throw new functions.https.HttpsError("failed-precondition", `"${sheetName}" is already the primary tab`);
+  }
+  
+  // The rollover rewrites rows and events, so no sync may run alongside it
+  const lockOwner = dryRun ? null : await requireSyncLock(orgId);
+  try {
+    const { sheetService, calendarService } = await setupApiClients();
+    const result = await rolloverToSheetTab(
+      sheetService, calendarService, orgId, config, sheetName, dryRun
+    );
+    
+    return {success: true, dryRun, ...result};
+  } finally {
+    if (lockOwner) await releaseSyncLock(orgId, lockOwner);
+  }
+});
+
+// API endpoint to get the caller's organization, joining it on first sign-in
+exports.getOrganization = functions.https.onCall(async (data, context) => {
+  const org = await requireOrgMember(context);
+  
+  // Members from before the claims existed get them here; the app then refreshes its token
+  if (context.auth.token.orgId !== org.id || context.auth.token.role !== org.role) {
+    await setMemberClaims(context.auth.uid, org.id, org.role);
+  }
+  
+  return {
+    id: org.id,
+    name: org.name,
+    role: org.role,
+    permissions: ROLE_PERMISSIONS[org.role],
+    roles: ROLES,
+    allowedDomains: org.allowedDomains,
+    invitedEmails: org.invitedEmails,
+    members: Object.entries(org.members).map(([uid, member]) => ({
+      uid,
+      email: member.email,
+      displayName: member.displayName,
+      role: getMemberRole(org, uid),
+      joinedAt: member.joinedAt && member.joinedAt.toDate ? member.joinedAt.toDate().toISOString() : null
+    }))
+  };
+});
+
+// API endpoint to save the organization's name, allowed domains and invited emails
+exports.saveOrganization = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'manageOrganization');
+  
+  const problems = validateOrganizationSettings(data && data.organization);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError("invalid-argument", problems.join("; "));
+  }
+  const settings = normalizeOrganizationSettings(data.organization);
+  
+  await db.collection("organizations").doc(orgId).update({
+    ...settings,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  
+  console.log(`Organization ${orgId} updated:`, settings);
+  
+  return {success: true, organization: settings};
+});
+
+// API endpoint to remove a member from the organization
+exports.removeOrganizationMember = functions.https.onCall(async (data, context) => {
+  const { orgId, members, allowedDomains } = await requireOrgMember(context, 'manageOrganization');
+  const uid = data && data.uid;
+  if (!uid || !members[uid]) {
+    throw new functions.https.HttpsError("not-found", "Not a member of this organization");
+  }
+  if (uid === context.auth.uid) {
+    throw new functions.https.HttpsError("failed-precondition", "You cannot remove yourself");
+  }
+  
+  // A member of an allowed domain would rejoin on their next call
+  const domain = String(members[uid].email || '').split('@')[1];
+  if (allowedDomains.includes(domain)) {
+    throw new functions.https.HttpsError("failed-precondition",
+      `${members[uid].email} would rejoin through the allowed domain ${domain}`);
+  }
+  
+  await db.collection("organizations").doc(orgId).update({
+    memberIds: admin.firestore.FieldValue.arrayRemove(uid),
+    [`members.${uid}`]: admin.firestore.FieldValue.delete()
+  });
+  await setMemberClaims(uid, null, null);
+  
+  console.log(`Member ${uid} removed from organization ${orgId}`);
+  
+  return {success: true, uid};
+});
+
+// API endpoint to change the role of an organization member
+exports.setMemberRole = functions.https.onCall(async (data, context) => {
+  const org = await requireOrgMember(context, 'manageOrganization');
+  const uid = data && data.uid;
+  const role = data && data.role;
+  if (!uid || !org.members[uid]) {
+    throw new functions.https.HttpsError("not-found", "Not a member of this organization");
+  }
+  if (!ROLES.includes(role)) {
+    throw new functions.https.HttpsError("invalid-argument", `Role must be one of: ${ROLES.join(', ')}`);
+  }
+  
+  // Someone must be left to manage the organization
+  const admins = Object.keys(org.members).filter(memberId => getMemberRole(org, memberId) === 'admin');
+  if (role !== 'admin' && admins.length === 1 && admins[0] === uid) {
+    throw new functions.https.HttpsError("failed-precondition", "The organization needs at least one admin");
+  }
+  
+  await db.collection("organizations").doc(org.orgId).update({
+    [`members.${uid}.role`]: role
+  });
+  await setMemberClaims(uid, org.orgId, role);
+  
+  console.log(`Member ${uid} of organization ${org.orgId} is now ${role}`);
+  
+  return {success: true, uid, role};
+});
+
+/**
+ * Load a job of the caller's organization, checking the permission its type needs
+ * @param {Object} context - Callable context
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} {jobRef, job}
+ */
+async function requireJobAccess(context, jobId) {
+  const org = await requireOrgMember(context, 'view');
+  if (!jobId || typeof jobId !== 'string') {
+    throw new functions.https.HttpsError("invalid-argument", "jobId is required");
+  }
+
+  const jobRef = db.collection('jobs').doc(jobId);
+  const jobDoc = await jobRef.get();
+  if (!jobDoc.exists || jobDoc.data().orgId !== org.orgId) {
+    throw new functions.https.HttpsError("not-found", "Job not found");
+  }
+
+  const job = jobDoc.data();
+  if (!hasPermission(org.role, JOB_HANDLERS[job.type].permission)) {
+    throw new functions.https.HttpsError("permission-denied", `The ${org.role} role does not allow this action`);
+  }
+  return {jobRef, job};
+}
+
+// API endpoint to cancel a job; a running job stops before its next item
+exports.cancelJob = functions.https.onCall(async (data, context) => {
+  const { jobRef, job } = await requireJobAccess(context, data && data.jobId);
+
+  if (job.status === 'queued') {
+    await jobRef.update({
+      status: 'cancelled',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await releaseSyncLock(job.orgId, getJobLockOwner(jobRef));
+  } else if (job.status === 'running') {
+    await jobRef.update({
+      cancelRequested: true,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } else {
+    throw new functions.https.HttpsError("failed-precondition", `A ${job.status} job can't be cancelled`);
+  }
+
+  console.log(`Cancel requested for job ${jobRef.id}`);
+
+  return {success: true, jobId: jobRef.id};
+});
+
+// API endpoint to continue a cancelled or failed job from where it stopped
+exports.resumeJob = functions.https.onCall(async (data, context) => {
+  const { jobRef, job } = await requireJobAccess(context, data && data.jobId);
+
+  if (job.status !== 'cancelled' && job.status !== 'failed') {
+    throw new functions.https.HttpsError("failed-precondition", `A ${job.status} job can't be resumed`);
+  }
+  await requireSyncLock(job.orgId, getJobLockOwner(jobRef));
+
+  await jobRef.update({
+    status: 'queued',
+    cancelRequested: false,
+    error: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  await queueJobRun(jobRef);
+
+  console.log(`Resumed job ${jobRef.id} at item ${job.cursor}`);
+
+  return {success: true, jobId: jobRef.id};
+});
+
+// API endpoint to find duplicate events in a month and merge them
+// With dryRun the copies that would be deleted are returned as a plan.
+exports.findDuplicateEvents = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '1GB'
+  })
+  .https.onCall(async (data, context) => {
+    const { orgId } = await requireOrgMember(context, 'delete');
+    // A dry run writes nothing, so only a real run needs the sync lease
+    const lockOwner = data && data.dryRun ? null : await requireSyncLock(orgId);
+
+    try {
+      const month = data.month;
+      const year = data.year;
+      const dryRun = !!data.dryRun;
+      if (!(month >= 1 && month <= 12) || !year) {
+        throw new functions.https.HttpsError("invalid-argument", "month and year required");
+      }
+
+      const configDoc = await db.collection("configurations").doc(orgId).get();
+      if (!configDoc.exists) {
+        throw new functions.https.HttpsError("not-found", "Configuration not found");
+      }
+
+      const config = configDoc.data();
+      const { sheetService, calendarService } = await setupApiClients();
+      const trackingData = await getAllEventTracking(orgId);
+      const monthStart = moment.tz({ year, month: month - 1, date: 1 }, getConfigTimezone(config));
+
+      // Copies can only be in the same calendar, so each calendar is grouped on its own
+      const plan = [];
+      const removals = [];
+      const repoints = [];
+      const clears = [];
+      for (const calendarId of getConfiguredCalendarIds(config)) {
+        const events = [];
+        let pageToken = null;
+        do {
+          const response = await calendarService.events.list({
+            calendarId,
+            timeMin: monthStart.format(),
+            timeMax: monthStart.clone().endOf('month').format(),
+            singleEvents: true,
+            pageToken,
+            maxResults: 250
+          });
+          events.push(...(response.data.items || []));
+          pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        for (const group of groupDuplicateEvents(events)) {
+          const keeper = pickDuplicateKeeper(group, config, trackingData);
+          const merge = planDuplicateMerge(group, keeper, calendarId, trackingData);
+          plan.push(...merge.plan);
+          removals.push(...merge.removals);
+          repoints.push(...merge.repoints);
+          clears.push(...merge.clears);
+        }
+      }
+
+      if (dryRun) {
         return {
           success: true,
-          message: "Event marked as cancelled in the calendar",
-          rowIndex: rowIndex,
-          rowData: row,
-          cancelled: true,
-          advancedToNextRow: true
+          dryRun: true,
+          message: `Dry run: ${plan.length} duplicate events would be deleted from ${month}/${year}`,
+          plan
         };
       }
-      
-      // Create a new event if not cancelled and not already existing
-      console.log(`Creating new event for row ${rowIndex}`);
-      
-      // Add event to calendar
-      const calendarResponse = await calendarService.events.insert({
-        calendarId: config.calendarId,
-        resource: eventData
+
+      const deleteResults = await calendarService.batch(removals.map(removal => ({
+        method: 'delete',
+        calendarId: removal.calendarId,
+        eventId: removal.eventId,
+        sendUpdates: getSendUpdates(config)
+      })));
+      const errors = [];
+      deleteResults.forEach((result, i) => {
+        if (!result.ok && !isEventGone(result)) {
+          errors.push({ eventId: removals[i].eventId, error: result.error });
+        }
       });
-      
-      console.log(`Created calendar event: ${calendarResponse.data.htmlLink}`);
-      
-      // Mark as processed in the spreadsheet if configured
-      if (config.updateProcessedStatus && config.processedColumnIndex !== undefined) {
-        await sheetService.spreadsheets.values.update({
+
+      if (repoints.length > 0 || clears.length > 0) {
+        const trackingRef = db.collection('eventTracking').doc(orgId).collection('events');
+        const batch = db.batch();
+        for (const { rowId, eventId, calendarId } of repoints) {
+          batch.update(trackingRef.doc(rowId), {
+            eventId,
+            calendarId,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
+        for (const rowId of clears) {
+          batch.delete(trackingRef.doc(rowId));
+        }
+        await batch.commit();
+
+        // The event ID column backs up the tracking, so it follows too
+        const response = await sheetService.spreadsheets.values.get({
           spreadsheetId: config.spreadsheetId,
-          range: `${config.sheetName}!${getColumnLetter(config.processedColumnIndex)}${rowIndex + 1}`,
-          valueInputOption: "RAW",
-          resource: {
-            values: [[config.processedMarker || "PROCESSED"]]
-          },
+          range: `${config.sheetName}!${config.dataRange}`,
+          ...SHEET_READ_OPTIONS
         });
-        
-        // Store the event ID if configured
-        if (config.eventIdColumnIndex !== undefined) {
-          // Use this single call:
-        await markRowAsProcessed(
-          sheetService,
-          config,
-          i,  // Pass the row index
-          calendarResponse.data.id,
-          shouldCancel
-        );
-        }
+        const rows = response.data.values || [];
+        normalizeSheetRows(rows, config);
+        const columns = resolveColumnMapping(config);
+        const cleared = clears.map(rowId => ({ rowId, eventId: '' }));
+        await Promise.all([...repoints, ...cleared].map(({ rowId, eventId }) => {
+          const rowIndex = findRowIndexById(rows, columns, rowId);
+          if (rowIndex < 0) return null;
+          return sheetService.spreadsheets.values.update({
+            spreadsheetId: config.spreadsheetId,
+            range: `${config.sheetName}!${getColumnLetter(columns.eventId)}${rowIndex + 2}`,
+            valueInputOption: "RAW",
+            resource: { values: [[eventId]] },
+          }).catch(writeError => {
+            console.error(`Error writing event ID to sheet row ${rowIndex + 2}:`, writeError.message);
+          });
+        }));
       }
-      
-      // Update the lastProcessedRow in the configuration
-      await db.collection("configurations").doc(userId).update({
-        lastProcessedRow: lastProcessedRow + 1,
-        lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-      });
-      
-      // Log processing results
+
+      const mergedCount = removals.length - errors.length;
       await db.collection("processingLogs").add({
-        userId,
+        orgId,
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        processedEvents: [{
-          rowIndex,
-          eventId: calendarResponse.data.id,
-          summary: eventData.summary
-        }],
-        errors,
-        rowsScanned: 1,
-        debugMode: true
+        operation: "merge-duplicate-events",
+        year,
+        month,
+        duplicatesDeleted: mergedCount,
+        trackingRepointed: repoints.length,
+        trackingCleared: clears.length,
+        errorCount: errors.length
       });
-      
+
       return {
         success: true,
-        message: "Processed one row successfully",
-        rowIndex: rowIndex,
-        rowData: row,
-        parsedStartTime: eventData.start.dateTime,
-        parsedEndTime: eventData.end.dateTime,
-        eventCreated: {
-          id: calendarResponse.data.id,
-          summary: eventData.summary,
-          link: calendarResponse.data.htmlLink
-        }
+        message: `Deleted ${mergedCount} duplicate events from ${month}/${year}`,
+        stats: {
+          duplicates: removals.length,
+          deleted: mergedCount,
+          repointed: repoints.length,
+          cleared: clears.length,
+          errors: errors.length
+        },
+        errors: errors.length > 0 ? errors : undefined
       };
-      
     } catch (error) {
-      console.error(`Error processing row ${rowIndex}:`, error);
-      errors.push({
-        rowIndex,
-        error: error.message
-      });
-      
-      // Log error
-      await db.collection("processingLogs").add({
-        userId,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        processedEvents: [],
-        errors,
-        rowsScanned: 1,
-        debugMode: true
-      });
-      
-      return {
-        success: false,
-        message: `Error processing row: ${error.message}`,
-        rowIndex: rowIndex,
-        rowData: row
-      };
+      console.error("Error in findDuplicateEvents:", error);
+      throw new functions.https.HttpsError("internal", error.message);
+    } finally {
+      if (lockOwner) await releaseSyncLock(orgId, lockOwner);
     }
-  } catch (error) {
-    console.error('Error in processSingleRow:', error);
-    throw new functions.https.HttpsError("internal", error.message);
-  }
+  });
+
+// API endpoint to list the technician directory
+exports.getTechnicianDirectory = functions.https.onCall(async (data, context) => {
+  await requireOrgMember(context, 'view');
+  const directory = await loadTechnicianDirectory();
+  const technicians = directory
+    .map(technicianToJSON)
+    .sort((a, b) => a.displayName.localeCompare(b.displayName, 'he'));
+  
+  return {success: true, technicians};
 });
 
-// API endpoint to save configuration
-exports.saveConfiguration = functions.https.onCall(async (data, context) => {
-  // Check authentication
-  if (!context.auth) {
-    throw new functions.https.HttpsError(
-        "unauthenticated",
-        "Authentication required",
-    );
+// API endpoint to create or update a technician (an id updates that document)
+exports.saveTechnician = functions.https.onCall(async (data, context) => {
+  await requireOrgMember(context, 'configure');
+  const email = context.auth.token.email || "";
+  const input = (data && data.technician) || {};
+  const problems = validateTechnician(input);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError("invalid-argument", problems.join("; "));
+  }
+  
+  const technician = {
+    displayName: input.displayName.trim(),
+    aliases: [...new Set((input.aliases || []).map(alias => alias.trim()).filter(Boolean))],
+    email: (input.email || '').trim().toLowerCase(),
+    phone: (input.phone || '').trim(),
+    active: input.active !== false
+  };
+  
+  // A name or alias may belong to one technician only
+  const directory = await loadTechnicianDirectory();
+  const keys = [technician.displayName, ...technician.aliases].map(normalizeTechnicianName);
+  const clash = directory.find(entry =>
+    entry.id !== input.id && entry.keys.some(key => keys.includes(key)));
+  if (clash) {
+    throw new functions.https.HttpsError("already-exists",
+      `A name or alias is already used by ${clash.displayName}`);
   }
   
-  // Check domain
+  const collection = db.collection("technicians");
+  const docRef = input.id ? collection.doc(input.id) : collection.doc();
+  await docRef.set({
+    ...technician,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedBy: email,
+    ...(input.id ? {} : {createdAt: admin.firestore.FieldValue.serverTimestamp()})
+  }, {mergeFields: [...TECHNICIAN_FIELDS, 'updatedAt', 'updatedBy', ...(input.id ? [] : ['createdAt'])]});
+  
+  clearTechnicianDirectoryCache();
+  console.log(`Technician ${docRef.id} saved by ${email}:`, technician);
+  
+  return {success: true, technician: {id: docRef.id, ...technician}};
+});
+
+// API endpoint to remove a technician from the directory
+exports.deleteTechnician = functions.https.onCall(async (data, context) => {
+  await requireOrgMember(context, 'configure');
   const email = context.auth.token.email || "";
-  if (!email.endsWith("@hakolsound.co.il")) {
-    throw new functions.https.HttpsError(
-        "permission-denied",
-        "Only hakolsound.co.il organization members allowed",
-    );
+  const id = data && data.id;
+  if (!id || typeof id !== 'string') {
+    throw new functions.https.HttpsError("invalid-argument", "Technician id is required");
   }
   
-  const userId = context.auth.uid;
+  await db.collection("technicians").doc(id).delete();
+  clearTechnicianDirectoryCache();
+  console.log(`Technician ${id} deleted by ${email}`);
   
+  return {success: true, id};
+});
+
+// API endpoint to check the sheet's technician names against the directory
+exports.getTechnicianReport = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'view');
   try {
-    // Validate required fields
-    if (!data.spreadsheetId || !data.sheetName || !data.calendarId) {
-      throw new functions.https.HttpsError(
-          "invalid-argument",
-          "Missing required configuration fields",
-      );
+    const configDoc = await db.collection("configurations").doc(orgId).get();
+    if (!configDoc.exists) {
+      throw new functions.https.HttpsError("not-found", "Configuration not found");
     }
     
-    // Ensure lastProcessedRow is at least 3 to skip headers
-    if (!data.lastProcessedRow || data.lastProcessedRow < 3) {
-      data.lastProcessedRow = 3;
+    const config = configDoc.data();
+    const columns = resolveColumnMapping(config);
+    const { sheetService } = await setupApiClients();
+    
+    const response = await sheetService.spreadsheets.values.get({
+      spreadsheetId: config.spreadsheetId,
+      range: `${config.sheetName}!${config.dataRange}`,
+      ...SHEET_READ_OPTIONS
+    });
+    
+    const rows = response.data.values || [];
+    normalizeSheetRows(rows, config);
+    
+    const directory = await loadTechnicianDirectory();
+    const report = buildTechnicianReport(rows, columns, directory);
+    
+    console.log(`Technician report: ${report.stats.unknown} unknown of ${report.stats.names} names`);
+    
+    return {success: true, ...report};
+  } catch (error) {
+    console.error("Error in getTechnicianReport:", error);
+    throw new functions.https.HttpsError("internal", error.message);
+  }
+});
+
+// API endpoint to check the sheet for double-booked technicians on demand
+exports.checkTechnicianConflicts = functions.https.onCall(async (data, context) => {
+  // Writes the conflict flags into the sheet
+  const { orgId } = await requireOrgMember(context, 'sync');
+  const lockOwner = await requireSyncLock(orgId);
+  try {
+    const configDoc = await db.collection("configurations").doc(orgId).get();
+    if (!configDoc.exists) {
+      throw new functions.https.HttpsError("not-found", "Configuration not found");
     }
     
-    // Save the configuration
-    await db.collection("configurations").doc(userId).set(data, {merge: true});
+    const config = configDoc.data();
+    const { sheetService } = await setupApiClients();
     
-    return {success: true};
+    const response = await sheetService.spreadsheets.values.get({
+      spreadsheetId: config.spreadsheetId,
+      range: `${config.sheetName}!${config.dataRange}`,
+      ...SHEET_READ_OPTIONS
+    });
+    
+    const rows = response.data.values || [];
+    normalizeSheetRows(rows, config);
+    
+    const conflicts = await checkTechnicianConflicts(sheetService, config, rows);
+    
+    return {success: true, conflicts};
   } catch (error) {
-    console.error("Error in saveConfiguration:", error);
+    console.error("Error in checkTechnicianConflicts:", error);
     throw new functions.https.HttpsError("internal", error.message);
+  } finally {
+    await releaseSyncLock(orgId, lockOwner);
   }
 });
 
-// API endpoint to get logs
-exports.getLogs = functions.https.onCall(async (data, context) => {
-  // Check authentication
-  if (!context.auth) {
-    throw new functions.https.HttpsError(
-        "unauthenticated",
-        "Authentication required",
-    );
+// API endpoint to get the monthly workload and payroll report of the technicians
+exports.getWorkloadReport = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'reports');
+  try {
+    const configDoc = await db.collection("configurations").doc(orgId).get();
+    if (!configDoc.exists) {
+      throw new functions.https.HttpsError("not-found", "Configuration not found");
+    }
+    
+    const config = configDoc.data();
+    const columns = resolveColumnMapping(config);
+    
+    // Default to the current month in the configured zone
+    const today = moment.tz(getConfigTimezone(config));
+    const year = Number((data && data.year) || today.year());
+    const month = Number((data && data.month) || today.month() + 1);
+    if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+      throw new functions.https.HttpsError("invalid-argument", "A valid month (1-12) and year are required");
+    }
+    
+    const { sheetService } = await setupApiClients();
+    
+    const response = await sheetService.spreadsheets.values.get({
+      spreadsheetId: config.spreadsheetId,
+      range: `${config.sheetName}!${config.dataRange}`,
+      ...SHEET_READ_OPTIONS
+    });
+    
+    const rows = response.data.values || [];
+    normalizeSheetRows(rows, config);
+    
+    const directory = await getCachedTechnicianDirectory();
+    const report = buildWorkloadReport(rows, columns, config, directory, year, month);
+    
+    console.log(`Workload report for ${month}/${year}: ${report.technicians.length} technicians, ${report.totals.hours} hours`);
+    
+    return {success: true, ...report};
+  } catch (error) {
+    console.error("Error in getWorkloadReport:", error);
+    throw new functions.https.HttpsError("internal", error.message);
   }
-  
-  // Check domain
-  const email = context.auth.token.email || "";
-  if (!email.endsWith("@hakolsound.co.il")) {
-    throw new functions.https.HttpsError(
-        "permission-denied",
-        "Only hakolsound.co.il organization members allowed",
-    );
+});
+
+// API endpoint to save the payroll rates used by the workload report
+exports.savePayrollRates = functions.https.onCall(async (data, context) => {
+  const { orgId } = await requireOrgMember(context, 'reports');
+  const rates = data && data.rates;
+  const problems = validatePayrollRates(rates);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError("invalid-argument", problems.join("; "));
   }
   
-  const userId = context.auth.uid;
+  await db.collection("configurations").doc(orgId).set({
+    payrollRates: rates,
+    payrollRatesUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, {merge: true});
+  
+  console.log(`Payroll rates updated for organization ${orgId}:`, rates);
+  
+  return {success: true, rates: {...DEFAULT_PAYROLL_RATES, ...rates}};
+});
+
+// API endpoint to get logs
+exports.getLogs = functions.https.onCall(async (data, context) => {
+  // Check authentication and organization membership
+  const { orgId } = await requireOrgMember(context, 'view');
   const limit = data.limit || 20;
   
   try {
     // Get logs for the user
     const logsSnapshot = await db.collection("processingLogs")
-        .where("userId", "==", userId)
+        .where("orgId", "==", orgId)
         .orderBy("timestamp", "desc")
         .limit(limit)
         .get();
@@ -2073,16 +7789,36 @@ exports.getSheetPreview = functions.https.onCall(async (data, context) => {
     );
     
     await jwtClient.authorize();
-    const sheetsApi = google.sheets({version: 'v4', auth: jwtClient});
+    const sheetsApi = createSheetsClient(jwtClient);
+    
+    // Read the caller's spreadsheet, with their column mapping
+    let config = null;
+    if (context.auth) {
+      const { orgId } = await requireOrgMember(context, 'view');
+      const configDoc = await db.collection("configurations").doc(orgId).get();
+      config = configDoc.exists ? configDoc.data() : null;
+    }
+    if (!config || !config.spreadsheetId || !config.sheetName) {
+      throw new Error("Configuration not found");
+    }
+    
+    // Any synced tab can be previewed; the primary tab by default
+    const tab = findSheetTab(config, (data && data.sheetName) || config.sheetName);
+    if (!tab) {
+      throw new Error(`Tab "${data.sheetName}" is not synced`);
+    }
+    const tabConfig = getTabConfig(config, tab);
+    const columns = resolveColumnMapping(tabConfig);
     
-    // Get spreadsheet data - include all columns from A to AZ to capture technicians
-    console.log("Fetching spreadsheet data");
+    // Get spreadsheet data - the configured range covers all columns, technicians included
+    console.log(`Fetching spreadsheet data from tab ${tabConfig.sheetName}`);
     const sheetResponse = await sheetsApi.spreadsheets.values.get({
-      spreadsheetId: "1p3XgwnFOb6lxaAo0ysZH-prVNggOgksH-FE8clEoO1U",
-      range: "This Year!A3:AZ200" // Get more rows with all columns
+      spreadsheetId: tabConfig.spreadsheetId,
+      range: `${tabConfig.sheetName}!${tabConfig.dataRange || "A1:AZ1000"}`,
+      ...SHEET_READ_OPTIONS
     });
     
-    const rows = sheetResponse.data.values || [];
+    const rows = normalizeSheetRows(sheetResponse.data.values || [], tabConfig);
     console.log(`Found ${rows.length} rows for preview`);
     
     // Get today's date for filtering
@@ -2091,65 +7827,51 @@ exports.getSheetPreview = functions.https.onCall(async (data, context) => {
     
     // Filter for rows with valid future dates
     const futureEvents = rows.filter(row => {
-      // Check if we have a valid date in column B (index 1)
-      if (!row || row.length < 2 || !row[1] || !row[1].match(/^\d{1,2}\/\d{1,2}\/\d{2}$/)) {
+      // Check if we have a valid date in the date column
+      if (!row || !hasValidDate(row, columns)) {
         return false;
       }
       
-      // Parse the date
-      try {
-        const dateParts = row[1].split('/');
-        const day = parseInt(dateParts[0], 10);
-        const month = parseInt(dateParts[1], 10) - 1; // 0-based month
-        const year = 2000 + parseInt(dateParts[2], 10);
-        
-        const eventDate = new Date(year, month, day);
-        eventDate.setHours(0, 0, 0, 0);
-        
-        // Keep only future dates (today or later)
-        return eventDate >= today;
-      } catch (e) {
-        console.error("Error parsing date:", e);
-        return false;
-      }
+      // Keep only future dates (today or later)
+      return parseDate(getCell(row, columns, 'date')) >= today;
     });
     
     console.log(`Found ${futureEvents.length} future events`);
     
     // Sort by date
     futureEvents.sort((a, b) => {
-      const dateA = parseDate(a[1]);
-      const dateB = parseDate(b[1]);
+      const dateA = parseDate(getCell(a, columns, 'date'));
+      const dateB = parseDate(getCell(b, columns, 'date'));
       return dateA - dateB;
     });
     
     // Format for display with enhanced data
     const formattedEvents = futureEvents.slice(0, 20).map(row => {
-      // Extract technicians from columns U-AA (indices 20-26)
+      // Extract technicians from the mapped technician columns
       const technicians = [];
-      for (let i = 20; i <= 26; i++) {
-        if (row[i] && row[i].trim()) {
-          technicians.push(row[i].trim());
+      for (let i = columns.technicians.start; i <= columns.technicians.end; i++) {
+        if (row[i] && String(row[i]).trim()) {
+          technicians.push(String(row[i]).trim());
         }
       }
       
       // Log technicians found for debugging
       if (technicians.length > 0) {
-        console.log(`Found ${technicians.length} technicians for event on ${row[1]}: ${technicians.join(', ')}`);
+        console.log(`Found ${technicians.length} technicians for event on ${getCell(row, columns, 'date')}: ${technicians.join(', ')}`);
       }
       
       return {
-        date: row[1] || '',
-        day: row[2] || '',
-        eventTypeD: row[3] || '', // Event type from column D
-        eventType: row[4] || '',  // Original eventType from column E
-        title: row[5] || '',
-        location: row[6] || '',
-        fee: row[7] || '',
-        notes: row[8] || '',
-        startTime: row[9] || '17:00',
-        endTime: row[10] || '20:00',
-        manager: row[11] || '',
+        date: getCell(row, columns, 'date'),
+        day: getCell(row, columns, 'day'),
+        eventTypeD: getCell(row, columns, 'eventTypeD'),
+        eventType: getCell(row, columns, 'eventType'),
+        title: getCell(row, columns, 'title'),
+        location: getCell(row, columns, 'location'),
+        fee: getCell(row, columns, 'fee'),
+        notes: getCell(row, columns, 'notes'),
+        startTime: getCell(row, columns, 'startTime') || '17:00',
+        endTime: getCell(row, columns, 'endTime') || '20:00',
+        manager: getCell(row, columns, 'manager'),
         technicians: technicians
       };
     });
@@ -2171,6 +7893,7 @@ exports.getSheetPreview = functions.https.onCall(async (data, context) => {
     
     return {
       success: true,
+      sheetName: tabConfig.sheetName,
       rows: formattedEvents,
       dateStats: dateStats,
       futureCount: futureEvents.length
@@ -2187,32 +7910,35 @@ exports.getSheetPreview = functions.https.onCall(async (data, context) => {
 
 // Add this new scan function that specifically checks all rows regardless of lastProcessedRow
 exports.scanAllRowsForUpdates = functions.https.onCall(async (data, context) => {
-  // Authentication checks
-  if (!context.auth) {
-    throw new functions.https.HttpsError(
-        "unauthenticated",
-        "Authentication required"
-    );
-  }
-  
-  const userId = context.auth.uid;
+  // Check authentication and organization membership
+  const { orgId } = await requireOrgMember(context, 'sync');
+  const dryRun = !!(data && data.dryRun);
+  // A dry run writes nothing, so only a real scan needs the sync lease
+  const lockOwner = dryRun ? null : await requireSyncLock(orgId);
   
   try {
-    console.log("Starting full update scan for user", userId);
+    console.log(`Starting full update scan for organization ${orgId}${dryRun ? ' (dry run)' : ''}`);
     
     // Get user configuration
-    const configDoc = await db.collection("configurations").doc(userId).get();
+    const configDoc = await db.collection("configurations").doc(orgId).get();
     
     if (!configDoc.exists) {
       throw new functions.https.HttpsError("not-found", "Configuration not found");
     }
     
-    const config = configDoc.data();
+    // Another synced tab can be scanned by name; the primary tab by default
+    const savedConfig = configDoc.data();
+    const tab = findSheetTab(savedConfig, (data && data.sheetName) || savedConfig.sheetName);
+    if (!tab) {
+      throw new functions.https.HttpsError("not-found", `Tab "${data.sheetName}" is not synced`);
+    }
+    const config = getTabConfig(savedConfig, tab);
+    const columns = resolveColumnMapping(config);
     console.log("Found configuration:", {
       spreadsheetId: config.spreadsheetId,
       sheetName: config.sheetName, 
       calendarId: config.calendarId,
-      eventIdColumnIndex: config.eventIdColumnIndex || 37, // Default to AL
+      columnMapping: config.columnMapping || DEFAULT_COLUMN_MAPPING,
       dataRange: config.dataRange
     });
     
@@ -2233,34 +7959,38 @@ exports.scanAllRowsForUpdates = functions.https.onCall(async (data, context) =>
     console.log("Service account authenticated successfully");
     
     // Create API clients
-    const sheetService = google.sheets({version: 'v4', auth: jwtClient});
-    const calendarService = google.calendar({version: 'v3', auth: jwtClient});
-    
-    // Create rate limiter for Google Sheets API
-    const sheetsRateLimiter = new RateLimiter(40); // Limit to 40 requests per minute
+    const sheetService = createSheetsClient(jwtClient);
+    const calendarService = createCalendarClient(jwtClient);
     
     // Read from Google Sheet - ensure we get all columns
     console.log(`Reading sheet ${config.sheetName} from spreadsheet ${config.spreadsheetId}`);
     const dataRange = config.dataRange || "A1:AZ1000"; // Default range if not specified
-    const sheetResponse = await sheetsRateLimiter.enqueue(async () => {
-      return await sheetService.spreadsheets.values.get({
-        spreadsheetId: config.spreadsheetId,
-        range: `${config.sheetName}!${dataRange}`,
-      });
+    const sheetResponse = await sheetService.spreadsheets.values.get({
+      spreadsheetId: config.spreadsheetId,
+      range: `${config.sheetName}!${dataRange}`,
+      ...SHEET_READ_OPTIONS
     });
     
     const allRows = sheetResponse.data.values || [];
+    normalizeSheetRows(allRows, config);
     console.log(`Found ${allRows.length} total rows in sheet`);
+    if (!dryRun) {
+      await ensureRowIds(sheetService, config, allRows, orgId);
+    }
+    
+    // Stored row fingerprints let unchanged rows skip the Calendar API
+    const trackingData = await getAllEventTracking(orgId);
     
     // Tracking for processing results
     const updatedEvents = [];
     const skippedRows = [];
+    const rejected = [];
     const errors = [];
     const pendingUpdates = []; // For batch updates
+    const plan = dryRun ? [] : null; // Planned changes when running dry
     
-    // The eventIdColumnIndex is either from config or defaults to column AL (index 37)
-    const eventIdColumnIndex = config.eventIdColumnIndex !== undefined ? 
-                              config.eventIdColumnIndex : 37;
+    // The event ID column comes from the column mapping
+    const eventIdColumnIndex = columns.eventId;
     
     console.log(`\n===== SCANNING ALL ROWS FOR EVENT IDS =====`);
     console.log(`Using column ${getColumnLetter(eventIdColumnIndex)} (index ${eventIdColumnIndex}) for event IDs`);
@@ -2270,6 +8000,7 @@ exports.scanAllRowsForUpdates = functions.https.onCall(async (data, context) =>
     let rowsWithEventIds = 0;
     let rowsCheckedForUpdate = 0;
     let rowsUpdated = 0;
+    let rowsUnchanged = 0;
     
     // Process rows in smaller batches to prevent memory issues
     const BATCH_SIZE = 10;
@@ -2288,7 +8019,7 @@ exports.scanAllRowsForUpdates = functions.https.onCall(async (data, context) =>
         // Skip rows without event IDs
         if (!row[eventIdColumnIndex]) {
           // Only log this for rows that should have an event ID
-          if (row[1] && row[1].match(/^\d{1,2}\/\d{1,2}\/\d{2}$/)) {
+          if (hasValidDate(row, columns)) {
             console.log(`Row ${i} has a valid date but no event ID - needs processing`);
           }
           continue;
@@ -2297,9 +8028,17 @@ exports.scanAllRowsForUpdates = functions.https.onCall(async (data, context) =>
         rowsWithEventIds++;
         
         // Skip invalid rows - must have a valid date
-        if (!row[1] || !row[1].match(/^\d{1,2}\/\d{1,2}\/\d{2}$/)) {
-          console.log(`Row ${i} has an event ID but no valid date, skipping update check`);
-          skippedRows.push({ row: i, reason: "no valid date" });
+        const problem = getRequiredDateProblem(row, columns);
+        if (problem) {
+          console.log(`Row ${i} has an event ID but was rejected (${problem.message}), skipping update check`);
+          skippedRows.push({ row: i, reason: problem.message });
+          rejected.push(buildRejectedRow(row, i, columns, problem));
+          continue;
+        }
+        
+        // Rows whose type rule keeps them off the calendar are left alone
+        if (!isSyncedEventType(row, columns, config)) {
+          skippedRows.push({ row: i, reason: `Event type "${getCell(row, columns, 'eventTypeD')}" is not synced` });
           continue;
         }
         
@@ -2318,10 +8057,13 @@ exports.scanAllRowsForUpdates = functions.https.onCall(async (data, context) =>
             eventIdColumnIndex,
             updatedEvents,
             errors,
-            sheetsRateLimiter
+            orgId,
+            trackingData,
+            plan
           );
           
           rowsUpdated += batchResults.updated;
+          rowsUnchanged += batchResults.unchanged;
           currentBatch = []; // Clear the batch
         }
       } catch (error) {
@@ -2343,25 +8085,60 @@ exports.scanAllRowsForUpdates = functions.https.onCall(async (data, context) =>
         eventIdColumnIndex,
         updatedEvents,
         errors,
-        sheetsRateLimiter
+        orgId,
+        trackingData,
+        plan
       );
       
       rowsUpdated += batchResults.updated;
+      rowsUnchanged += batchResults.unchanged;
+    }
+    
+    // Tentative events whose row reverted or was deleted
+    const removedTentative = await removeStaleTentativeEvents(
+      sheetService, calendarService, config, orgId, allRows, trackingData, plan
+    );
+    
+    const conflicts = await checkTechnicianConflicts(sheetService, config, allRows, { write: !dryRun });
+    
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        message: `Dry run: ${plan.length} events would change`,
+        plan,
+        rejected,
+        conflicts,
+        stats: {
+          totalRows: allRows.length,
+          rowsWithEventIds,
+          rowsCheckedForUpdate,
+          rowsUnchanged,
+          errorCount: errors.length
+        },
+        errors: errors.length > 0 ? errors : undefined
+      };
     }
     
     // Log processing results
     await db.collection("processingLogs").add({
-      userId,
+      orgId,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
       scanType: "full-update-scan",
+      sheetName: config.sheetName,
       updatedEvents,
+      removedTentative,
       skippedRows,
+      rejected,
+      conflicts,
       errors,
       stats: {
         totalRows: allRows.length,
         rowsWithEventIds,
         rowsCheckedForUpdate,
         rowsUpdated,
+        rowsUnchanged,
+        tentativeRemoved: removedTentative.length,
         errorCount: errors.length
       }
     });
@@ -2375,11 +8152,16 @@ exports.scanAllRowsForUpdates = functions.https.onCall(async (data, context) =>
     return {
       success: true,
       message: `Scan completed. Updated ${rowsUpdated} events.`,
+      removedTentative,
+      rejected,
+      conflicts,
       stats: {
         totalRows: allRows.length,
         rowsWithEventIds,
         rowsCheckedForUpdate,
         rowsUpdated,
+        rowsUnchanged,
+        tentativeRemoved: removedTentative.length,
         errorCount: errors.length
       }
     };
@@ -2387,215 +8169,13 @@ exports.scanAllRowsForUpdates = functions.https.onCall(async (data, context) =>
   } catch (error) {
     console.error("Error in scanAllRowsForUpdates:", error);
     throw new functions.https.HttpsError("internal", error.message);
+  } finally {
+    if (lockOwner) await releaseSyncLock(orgId, lockOwner);
   }
 });
 
 /**
- * Scheduled version of scanAllRowsForUpdates
- * Runs every 15 minutes to ensure all calendar events stay in sync
- * Scans events from today-7days to the end of the spreadsheet
- */
-exports.scheduledScanAllRowsForUpdates = onSchedule({
-  schedule: 'every 15 minutes',
-  region: 'us-central1',
-  timeZone: 'Asia/Jerusalem'
-}, async (_context) => {
-  try {
-    console.log("Starting scheduled full update scan for all users");
-    
-    // Get all user configurations
-    const configsSnapshot = await db.collection("configurations").get();
-    
-    for (const configDoc of configsSnapshot.docs) {
-      const config = configDoc.data();
-      const userId = configDoc.id;
-      
-      // Skip disabled configurations
-      if (!config.enabled) {
-        console.log(`Configuration ${configDoc.id} is disabled, skipping`);
-        continue;
-      }
-      
-      try {
-        console.log(`Running full update scan for user ${userId}`);
-        
-        // Use service account for authentication
-        console.log("Initializing service account auth");
-        const jwtClient = new google.auth.JWT(
-          serviceAccount.client_email,
-          null,
-          serviceAccount.private_key,
-          [
-            'https://www.googleapis.com/auth/spreadsheets',
-            'https://www.googleapis.com/auth/calendar'
-          ]
-        );
-        
-        // Authenticate request
-        await jwtClient.authorize();
-        console.log("Service account authenticated successfully");
-        
-        // Create API clients
-        const sheetService = google.sheets({version: 'v4', auth: jwtClient});
-        const calendarService = google.calendar({version: 'v3', auth: jwtClient});
-        
-        // Create rate limiter for Google Sheets API
-        const sheetsRateLimiter = new RateLimiter(40); // Limit to 40 requests per minute
-        
-        // Read from Google Sheet - ensure we get all columns
-        console.log(`Reading sheet ${config.sheetName} from spreadsheet ${config.spreadsheetId}`);
-        const dataRange = config.dataRange || "A1:AZ1000"; // Default range if not specified
-        const sheetResponse = await sheetsRateLimiter.enqueue(async () => {
-          return await sheetService.spreadsheets.values.get({
-            spreadsheetId: config.spreadsheetId,
-            range: `${config.sheetName}!${dataRange}`,
-          });
-        });
-        
-        const allRows = sheetResponse.data.values || [];
-        console.log(`Found ${allRows.length} total rows in sheet`);
-        
-        // Tracking for processing results
-        const updatedEvents = [];
-        const skippedRows = [];
-        const errors = [];
-        
-        // The eventIdColumnIndex is either from config or defaults to column AL (index 37)
-        const eventIdColumnIndex = config.eventIdColumnIndex !== undefined ? 
-                                 config.eventIdColumnIndex : 37;
-        
-        console.log(`\n===== SCANNING ALL ROWS FOR EVENT IDS (user: ${userId}) =====`);
-        console.log(`Using column ${getColumnLetter(eventIdColumnIndex)} (index ${eventIdColumnIndex}) for event IDs`);
-        
-        // SCAN PHASE: Check ALL rows with event IDs for updates
-        console.log("\n----- CHECKING ALL ROWS FOR UPDATES -----");
-        let rowsWithEventIds = 0;
-        let rowsCheckedForUpdate = 0;
-        let rowsUpdated = 0;
-        
-        // Process rows in smaller batches to prevent memory issues
-        const BATCH_SIZE = 10;
-        let currentBatch = [];
-        
-        for (let i = 2; i < allRows.length; i++) {  // Start from row 2 (index 1) to skip header
-          const row = allRows[i];
-
-          try {
-            // Skip empty rows
-            if (!row || row.length < 10) {
-              skippedRows.push({ row: i, reason: "insufficient data" });
-              continue;
-            }
-
-            // Skip rows that are outside the scanning range (today-7days to future)
-            if (!isWithinScanningRange(row)) {
-              console.log(`Row ${i} date is outside scanning range (today-7days to future), skipping update check`);
-              continue;
-            }
-
-            // Skip rows without event IDs
-            if (!row[eventIdColumnIndex]) {
-              // Only log this for rows that should have an event ID
-              if (row[1] && row[1].match(/^\d{1,2}\/\d{1,2}\/\d{2}$/)) {
-                console.log(`Row ${i} has a valid date but no event ID - needs processing`);
-              }
-              continue;
-            }
-            
-            rowsWithEventIds++;
-            
-            // Skip invalid rows - must have a valid date
-            if (!row[1] || !row[1].match(/^\d{1,2}\/\d{1,2}\/\d{2}$/)) {
-              console.log(`Row ${i} has an event ID but no valid date, skipping update check`);
-              skippedRows.push({ row: i, reason: "no valid date" });
-              continue;
-            }
-            
-            rowsCheckedForUpdate++;
-            
-            // Add to current batch for processing
-            currentBatch.push({ row, rowIndex: i });
-            
-            // Process batch when it reaches the batch size
-            if (currentBatch.length >= BATCH_SIZE) {
-              const batchResults = await processBatchUpdates(
-                sheetService,
-                calendarService,
-                config,
-                currentBatch,
-                eventIdColumnIndex,
-                updatedEvents,
-                errors,
-                sheetsRateLimiter
-              );
-              
-              rowsUpdated += batchResults.updated;
-              currentBatch = []; // Clear the batch
-            }
-          } catch (error) {
-            console.error(`Error preparing row ${i} for batch update:`, error);
-            errors.push({
-              rowIndex: i,
-              error: error.message
-            });
-          }
-        }
-        
-        // Process any remaining rows in the final batch
-        if (currentBatch.length > 0) {
-          const batchResults = await processBatchUpdates(
-            sheetService,
-            calendarService,
-            config,
-            currentBatch,
-            eventIdColumnIndex,
-            updatedEvents,
-            errors,
-            sheetsRateLimiter
-          );
-          
-          rowsUpdated += batchResults.updated;
-        }
-        
-        // Log processing results
-        await db.collection("processingLogs").add({
-          userId,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          scanType: "scheduled-full-update-scan",
-          updatedEvents,
-          skippedRows,
-          errors,
-          stats: {
-            totalRows: allRows.length,
-            rowsWithEventIds,
-            rowsCheckedForUpdate,
-            rowsUpdated,
-            errorCount: errors.length
-          }
-        });
-        
-        console.log(`\n===== SCAN COMPLETED FOR USER ${userId} =====`);
-        console.log(`Found ${rowsWithEventIds} rows with event IDs`);
-        console.log(`Checked ${rowsCheckedForUpdate} rows for updates`);
-        console.log(`Updated ${rowsUpdated} events`);
-        console.log(`Encountered ${errors.length} errors`);
-        
-      } catch (userError) {
-        console.error(`Error processing user ${userId} in scheduled update:`, userError);
-        // Continue with next user even if one fails
-      }
-    }
-    
-    console.log("Scheduled full update scan completed for all users");
-    return null;
-  } catch (error) {
-    console.error("Error in scheduledScanAllRowsForUpdates:", error);
-    throw error;
-  }
-});
-
-/**
- * Process a batch of updates with rate limiting
+ * Process a batch of updates
  * @param {Object} sheetService - The Google Sheets API service
  * @param {Object} calendarService - The Google Calendar API service
  * @param {Object} config - The user's configuration
@@ -2603,8 +8183,10 @@ exports.scheduledScanAllRowsForUpdates = onSchedule({
  * @param {number} eventIdColumnIndex - The column index for event IDs
  * @param {Array} updatedEvents - Array to collect updated event info
  * @param {Array} errors - Array to collect errors
- * @param {RateLimiter} rateLimiter - Rate limiter for API calls
- * @returns {Object} Results with count of updated rows
+ * @param {string} orgId - Organization ID, used to store row fingerprints
+ * @param {Object} trackingData - Tracking documents keyed by row ID (from getAllEventTracking)
+ * @param {Array|null} plan - Dry run: when given, nothing is written and planned updates are collected here
+ * @returns {Object} Results with counts of updated and unchanged rows
  */
 async function processBatchUpdates(
   sheetService,
@@ -2614,11 +8196,16 @@ async function processBatchUpdates(
   eventIdColumnIndex,
   updatedEvents,
   errors,
-  rateLimiter
+  orgId,
+  trackingData = {},
+  plan = null
 ) {
   console.log(`Processing batch of ${batch.length} rows`);
+  const columns = resolveColumnMapping(config);
   let updatedCount = 0;
+  let unchangedCount = 0;
   const sheetUpdates = [];
+  const trackingUpdates = [];
   
   // Process each row in the batch
   for (const { row, rowIndex } of batch) {
@@ -2626,14 +8213,27 @@ async function processBatchUpdates(
       console.log(`\n===== CHECKING ROW ${rowIndex} FOR UPDATES =====`);
       console.log(`Event ID: ${row[eventIdColumnIndex]}`);
       
-      // Get the existing event from the calendar
+      // Skip the Calendar API entirely when the row's fingerprint is unchanged
+      const rowId = getRowId(row, columns);
+      const rowHash = computeRowHash(row, columns, config);
+      const tracking = rowId ? trackingData[rowId] : null;
+      if (tracking && tracking.rowHash === rowHash && tracking.eventId === row[eventIdColumnIndex]) {
+        console.log(`Row ${rowIndex} unchanged since last sync, skipping`);
+        unchangedCount++;
+        continue;
+      }
+      
+      // Get the existing event from the calendar, moving it when the row now
+      // routes to another calendar (a dry run only reports the move)
+      const calendarId = getRowCalendarId(row, columns, config);
       let existingEvent;
+      let located;
       try {
-        const eventResponse = await calendarService.events.get({
-          calendarId: config.calendarId,
-          eventId: row[eventIdColumnIndex]
+        located = await locateRowEvent(calendarService, config, row, columns, row[eventIdColumnIndex], {
+          trackedCalendarId: tracking && tracking.calendarId,
+          move: !plan
         });
-        existingEvent = eventResponse.data;
+        existingEvent = located.event;
         console.log(`Successfully retrieved event from calendar: ${row[eventIdColumnIndex]}`);
       } catch (getError) {
         console.error(`Error getting event ${row[eventIdColumnIndex]}: ${getError.message}`);
@@ -2644,60 +8244,74 @@ async function processBatchUpdates(
         continue; // Skip to next row
       }
       
-      // Get technicians from the spreadsheet row
-      const sheetTechnicians = getTechnicians(row);
-      console.log(`Technicians from spreadsheet (${sheetTechnicians.length}): ${sheetTechnicians.join(', ') || 'None'}`);
-      
-      // Get technicians from the calendar event
-      const calendarTechnicians = extractTechniciansFromDescription(existingEvent.description);
-      console.log(`Technicians from calendar (${calendarTechnicians.length}): ${calendarTechnicians.join(', ') || 'None'}`);
-      
-      // Check if technicians need updating
-      const techniciansNeedUpdate = !areTechnicianListsEqual(calendarTechnicians, sheetTechnicians);
-      
       // Check for cancellation flag
-      const shouldCancel = row[18] === true || row[18] === "true" || row[18] === "TRUE";
-      const eventName = `${row[4] || ''} ${row[5] || ''}`.trim(); // Columns E+F for event name
+      const shouldCancel = isRowCancelled(row, columns);
+      const eventName = getEventName(row, columns);
       
       // Create the new description with technicians
-      const newDescription = formatDescription(row);
+      const newDescription = formatDescription(row, columns);
       
       // Prepare the updated event data
-      const updatedEventData = {
-        summary: shouldCancel ? `Canceled: ${eventName}` : eventName,
+      const updatedEventData = withRowEventState({
+        summary: eventName,
         description: newDescription,
-        location: row[6] || '',
-        start: {
-          dateTime: getStartDateTime(row, 1),
-          timeZone: config.timezone || "Asia/Jerusalem",
-        },
-        end: {
-          dateTime: getEndDateTime(row, 1),
-          timeZone: config.timezone || "Asia/Jerusalem",
-        },
-        status: shouldCancel ? 'cancelled' : 'confirmed'
-      };
-
-  
+        location: getCell(row, columns, 'location'),
+        ...getEventTimes(row, columns, config)
+      }, row, columns, config);
+      await withAttendees(updatedEventData, row, columns, config, existingEvent);
       
       // Check for any changes
-      const changes = [];
-      if (existingEvent.summary !== updatedEventData.summary) changes.push('summary');
-      if (existingEvent.description !== updatedEventData.description) changes.push('description');
-      if (existingEvent.location !== updatedEventData.location) changes.push('location');
-      if (existingEvent.start.dateTime !== updatedEventData.start.dateTime) changes.push('start time');
-      if (existingEvent.end.dateTime !== updatedEventData.end.dateTime) changes.push('end time');
-      if (existingEvent.status !== updatedEventData.status) changes.push('status');
-      if (techniciansNeedUpdate) changes.push('technicians');
+      const fieldChanges = detectChanges(existingEvent, updatedEventData, row, rowIndex, columns, config);
+      if (located.calendarId !== calendarId || located.movedFrom) {
+        fieldChanges.push({ field: 'calendar', from: located.movedFrom || located.calendarId, to: calendarId });
+      }
+      const changes = fieldChanges.map(change => change.field);
+      
+      // Remember the fingerprint so the next scan can skip this row
+      const trackingUpdate = rowId ? {
+        rowId,
+        rowIndex,
+        eventId: row[eventIdColumnIndex],
+        status: shouldCancel ? "CANCELLED" : "PROCESSED",
+        eventData: {
+          title: updatedEventData.summary,
+          date: (updatedEventData.start.dateTime || updatedEventData.start.date).slice(0, 10),
+          location: updatedEventData.location,
+          calendarId,
+          tentative: updatedEventData.status === 'tentative',
+          rowHash
+        }
+      } : null;
+      
+      if (changes.length === 0) {
+        console.log(`No changes needed for event ${row[eventIdColumnIndex]}`);
+        if (trackingUpdate) trackingUpdates.push(trackingUpdate);
+        continue;
+      }
+      
+      if (plan) {
+        const wasCancelled = isEventCancelled(existingEvent, config);
+        const action = shouldCancel && !wasCancelled ? 'cancel' : !shouldCancel && wasCancelled ? 'restore' : 'update';
+        plan.push(planEntry(action, {
+          rowId,
+          rowIndex,
+          eventId: row[eventIdColumnIndex],
+          title: updatedEventData.summary,
+          date: getCell(row, columns, 'date'),
+          changes: fieldChanges
+        }));
+        await syncLinkedEvents(calendarService, config, row, columns, updatedEventData, { plan, rowIndex });
+        continue;
+      }
       
-      // Always update calendar events regardless of detected changes
-      console.log(`Updating event ${row[eventIdColumnIndex]} for row ${rowIndex}`);
+      console.log(`Updating event ${row[eventIdColumnIndex]} for row ${rowIndex}: ${changes.join(', ')}`);
       
       try {
         await calendarService.events.update({
-          calendarId: config.calendarId,
+          calendarId,
+          sendUpdates: getSendUpdates(config, row, columns),
           eventId: row[eventIdColumnIndex],
-          resource: updatedEventData
+          resource: withRowMetadata(updatedEventData, row, columns, config)
         });
         
         console.log(`Event ${row[eventIdColumnIndex]} updated successfully`);
@@ -2706,350 +8320,127 @@ async function processBatchUpdates(
           rowIndex,
           eventId: row[eventIdColumnIndex],
           summary: updatedEventData.summary,
-          changes: changes.length > 0 ? changes : ['forced update'],
+          changes: changes,
           action: 'updated'
         });
         
         updatedCount++;
+        if (trackingUpdate) trackingUpdates.push(trackingUpdate);
         
-        // If the event is cancelled, update the processed marker in the sheet
-        if (shouldCancel && config.processedColumnIndex !== undefined) {
-          sheetUpdates.push({
-            rowIndex: rowIndex, // Use the actual rowIndex from the loop
-            columnIndex: config.processedColumnIndex,
-            value: "CANCELLED"
-          });
-        }
-      } catch (updateError) {
-        console.error(`Error updating event ${row[eventIdColumnIndex]}: ${updateError.message}`);
-        errors.push({
-          rowIndex,
-          error: `Failed to update event: ${updateError.message}`
-        });
-      }
-    } catch (error) {
-      console.error(`Error processing row ${rowIndex} in batch:`, error);
-      errors.push({
-        rowIndex,
-        error: error.message
-      });
-    }
-  }
-  
-  // Process any sheet updates in a batch using rate limiter
-  if (sheetUpdates.length > 0) {
-    try {
-      console.log(`Performing batch update for ${sheetUpdates.length} sheet cells`);
-      
-      // Group updates by column to reduce API calls
-      const updatesByColumn = {};
-      
-      for (const update of sheetUpdates) {
-        const columnKey = update.columnIndex.toString();
-        if (!updatesByColumn[columnKey]) {
-          updatesByColumn[columnKey] = [];
-        }
-        updatesByColumn[columnKey].push(update);
-      }
-      
-      // Process each column's updates as a batch
-      for (const [columnIndex, updates] of Object.entries(updatesByColumn)) {
-        const columnLetter = getColumnLetter(parseInt(columnIndex));
-        const batchData = updates.map(update => ({
-          range: `${config.sheetName}!${columnLetter}${getValidSheetRowNum(update.rowIndex)}`,
-          values: [[update.value]]
-        }));
-        
-        await rateLimiter.enqueue(async () => {
-          return await sheetService.spreadsheets.values.batchUpdate({
-            spreadsheetId: config.spreadsheetId,
-            resource: {
-              valueInputOption: "RAW",
-              data: batchData
-            }
-          });
-        });
-        
-        console.log(`✓ Successfully updated ${updates.length} cells in column ${columnLetter}`);
-      }
-    } catch (error) {
-      console.error(`Error in batch sheet update: ${error.message}`);
-    }
-  }
-  
-  return { updated: updatedCount };
-}
-
-/**
- * Scheduled function to sync spreadsheet data with calendar events
- * Runs every 15 minutes to check for new events and updates to existing events
- * Scans events from today-7days to the end of the spreadsheet
- */
-// 1. Replace the existing update functions in scanSheetsAndUpdateCalendar with this:
-
-exports.scanSheetsAndUpdateCalendar = onSchedule({
-  schedule: 'every 15 minutes',
-  region: 'us-central1',
-  timeZone: 'Asia/Jerusalem'
-
-}, async (_context) => {
-  try {
-    console.log("Starting scheduled sheet scan");
-    
-    // Get all user configurations
-    const configsSnapshot = await db.collection("configurations").get();
-    
-    for (const configDoc of configsSnapshot.docs) {
-      const config = configDoc.data();
-      const userId = configDoc.id;
-      
-      // Skip disabled configurations
-      if (!config.enabled) {
-        console.log(`Configuration ${configDoc.id} is disabled, skipping`);
-        continue;
-      }
-      
-      try {
-        // Setup API clients
-        console.log("Initializing service account auth");
-        
-        const jwtClient = new google.auth.JWT(
-          serviceAccount.client_email,
-          null,
-          serviceAccount.private_key,
-          [
-            'https://www.googleapis.com/auth/spreadsheets',
-            'https://www.googleapis.com/auth/calendar'
-          ]
-        );
-        
-        // Authenticate request
-        await jwtClient.authorize();
-        console.log("Service account authenticated successfully");
-        
-        // Create API clients
-        const sheetService = google.sheets({version: 'v4', auth: jwtClient});
-        const calendarService = google.calendar({version: 'v3', auth: jwtClient});
-        
-        // Read from Google Sheet
-        console.log(`Reading sheet ${config.sheetName} from spreadsheet ${config.spreadsheetId}`);
-        const dataRange = config.dataRange || "A1:AZ1000"; // Default range if not specified
-        const sheetResponse = await sheetService.spreadsheets.values.get({
-          spreadsheetId: config.spreadsheetId,
-          range: `${config.sheetName}!${dataRange}`,
-        });
-        
-        const allRows = sheetResponse.data.values || [];
-        console.log(`Found ${allRows.length} total rows in sheet`);
-        
-        // Initialize tracking variables
-        let lastProcessedRow = initializeLastProcessedRow(config);
-        const processedEvents = [];
-        const updatedEvents = [];
-        const errors = [];
-        
-        // FIRST PHASE: Process new unprocessed rows
-        console.log(`Processing new rows starting from index ${lastProcessedRow}`);
-        
-        for (let i = lastProcessedRow; i < allRows.length; i++) {
-          const row = allRows[i];
-
-          try {
-            // Skip invalid rows
-            if (!isValidRow(row, i)) {
-              continue;
-            }
-
-            // Skip rows that are outside the scanning range (today-7days to future)
-            if (!isWithinScanningRange(row)) {
-              console.log(`Row ${i} date is outside scanning range (today-7days to future), skipping`);
-              continue;
-            }
-
-            // Skip if already processed - will check for updates later
-            if (isAlreadyProcessed(row, config)) {
-              console.log(`Row ${i} already processed, will check for updates later`);
-              continue;
-            }
-
-            // Skip excluded event types (for new entries only)
-            if (isExcludedEventType(row)) {
-              console.log(`Skipping row ${i}: Event type "${row[3]}" is excluded`);
-              continue;
-            }
-            
-            // Process this row (create a new event)
-            console.log(`Creating new event for row ${i}`);
-            
-            // Format event data
-            const eventData = {
-              summary: `${row[4] || ''} ${row[5] || ''}`.trim(), // Columns E+F for event name
-              description: formatDescription(row),
-              location: row[6] || '', // Column G for location
-              start: {
-                dateTime: getStartDateTime(row, 1), // Date in column B (index 1)
-                timeZone: config.timezone || "Asia/Jerusalem",
-              },
-              end: {
-                dateTime: getEndDateTime(row, 1), // Date in column B (index 1)
-                timeZone: config.timezone || "Asia/Jerusalem",
-              }
-            };
-            
-            // Check for cancellation flag
-            const shouldCancel = row[18] === true || row[18] === "true" || row[18] === "TRUE";
-            if (shouldCancel) {
-              eventData.status = 'cancelled';
-            }
-            
-            // Add event to calendar
-            const calendarResponse = await calendarService.events.insert({
-              calendarId: config.calendarId,
-              resource: eventData,
-            });
-            
-            console.log(`Created calendar event: ${calendarResponse.data.id}`);
-            // After creating the calendar event:
-        
-
-        
-        // Add detailed logging:
-        console.log(`EVENT ID DEBUGGING: Need to save event ID ${calendarResponse.data.id} to spreadsheet`);
-
-        // Explicitly set the event ID column to AL (index 37) and store the ID
         try {
-          const eventIdColumnIndex = 37; // Column AL
-          const sheetRowNum = i + 2; // Use i directly (the loop variable) + 1 for 1-based indexing
-          const columnLetter = getColumnLetter(eventIdColumnIndex);
-          
-          console.log(`Storing event ID in column ${columnLetter} (index ${eventIdColumnIndex}) for row ${sheetRowNum}`);
-          
-          // Direct API call to update the cell
-          await sheetService.spreadsheets.values.update({
-            spreadsheetId: config.spreadsheetId,
-            range: `${config.sheetName}!${columnLetter}${sheetRowNum}`,
-            valueInputOption: "RAW",
-            resource: {
-              values: [[calendarResponse.data.id]]
-            },
-          });
-          
-          console.log(`✓ Successfully stored event ID in spreadsheet`);
-        } catch (error) {
-          console.error(`❌ Failed to store event ID in spreadsheet: ${error.message}`);
-        }
-            
-            // Mark as processed in the spreadsheet
-            if (config.updateProcessedStatus && config.processedColumnIndex !== undefined) {
-              await markRowAsProcessed(
-                sheetService,
-                config,
-                i,  // Pass the row index
-                calendarResponse.data.id,
-                shouldCancel
-              );
-              
-              // Store the event ID
-              if (config.eventIdColumnIndex !== undefined) {
-                await sheetService.spreadsheets.values.update({
-                  spreadsheetId: config.spreadsheetId,
-                  range: `${config.sheetName}!${getColumnLetter(config.eventIdColumnIndex)}${i + 1}`,
-                  valueInputOption: "RAW",
-                  resource: {
-                    values: [[calendarResponse.data.id]]
-                  },
-                });
-              }
-            }
-            
-            processedEvents.push({
-              rowIndex: i,
-              eventId: calendarResponse.data.id,
-              summary: eventData.summary,
-              action: 'created'
-            });
-            
-            // Update lastProcessedRow if this is the highest index processed
-            if (i >= lastProcessedRow) {
-              lastProcessedRow = i + 1;
-            }
-            
-          } catch (error) {
-            console.error(`Error processing new row ${i}:`, error);
-            errors.push({
-              rowIndex: i,
-              error: error.message
-            });
-          }
+          await syncLinkedEvents(calendarService, config, row, columns, updatedEventData, { rowIndex });
+        } catch (linkedError) {
+          console.error(`Error syncing linked events for row ${rowIndex}: ${linkedError.message}`);
         }
         
-        // SECOND PHASE: Check for updates to all rows with event IDs
-        console.log("\n----- CHECKING ALL ROWS FOR UPDATES -----");
-        
-        for (let i = 2; i < allRows.length; i++) {  // Start from row 2 (index 1) to skip header
-          const row = allRows[i];
-          
-          try {
-            // Skip rows without event IDs
-            if (!config.eventIdColumnIndex || !row[config.eventIdColumnIndex]) {
-              continue;
-            }
-            
-            // Skip invalid rows
-            if (!isValidRow(row, i)) {
-              continue;
-            }
-            
-            // Check and update this event using our enhanced function
-            await checkAndUpdateEventEnhanced(
-              sheetService,
-              calendarService, 
-              config,
-              row,
-              i,
-              updatedEvents
-            );
-            
-          } catch (error) {
-            console.error(`Error checking for updates to row ${i}:`, error);
-            errors.push({
-              rowIndex: i,
-              error: error.message
-            });
-          }
+        // Keep the processed marker in line with the cancellation column
+        // (CANCELLED when cancelled, back to processed when restored)
+        const processedMarker = getProcessedMarker(config, shouldCancel);
+        if (columns.processed >= 0 && getCell(row, columns, 'processed') !== processedMarker) {
+          sheetUpdates.push({
+            rowIndex: rowIndex, // Use the actual rowIndex from the loop
+            columnIndex: columns.processed,
+            value: processedMarker
+          });
         }
-        
-        // Update the lastProcessedRow in the configuration
-        await db.collection("configurations").doc(userId).update({
-          lastProcessedRow: lastProcessedRow,
-          lastScanTime: admin.firestore.FieldValue.serverTimestamp()
+      } catch (updateError) {
+        console.error(`Error updating event ${row[eventIdColumnIndex]}: ${updateError.message}`);
+        errors.push({
+          rowIndex,
+          error: `Failed to update event: ${updateError.message}`
         });
+      }
+    } catch (error) {
+      console.error(`Error processing row ${rowIndex} in batch:`, error);
+      errors.push({
+        rowIndex,
+        error: error.message
+      });
+    }
+  }
+  
+  // Process any sheet updates in one batch per column
+  if (sheetUpdates.length > 0) {
+    try {
+      console.log(`Performing batch update for ${sheetUpdates.length} sheet cells`);
+      
+      // Group updates by column to reduce API calls
+      const updatesByColumn = {};
+      
+      for (const update of sheetUpdates) {
+        const columnKey = update.columnIndex.toString();
+        if (!updatesByColumn[columnKey]) {
+          updatesByColumn[columnKey] = [];
+        }
+        updatesByColumn[columnKey].push(update);
+      }
+      
+      // Process each column's updates as a batch
+      for (const [columnIndex, updates] of Object.entries(updatesByColumn)) {
+        const columnLetter = getColumnLetter(parseInt(columnIndex));
+        const batchData = updates.map(update => ({
+          range: `${config.sheetName}!${columnLetter}${getValidSheetRowNum(update.rowIndex)}`,
+          values: [[update.value]]
+        }));
         
-        // Log processing results
-        await db.collection("processingLogs").add({
-          userId,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          processedEvents,
-          updatedEvents,
-          errors,
-          rowsScanned: allRows.length
+        await sheetService.spreadsheets.values.batchUpdate({
+          spreadsheetId: config.spreadsheetId,
+          resource: {
+            valueInputOption: "RAW",
+            data: batchData
+          }
         });
         
-        console.log(`Completed processing for user ${userId}:`);
-        console.log(`  Processed ${processedEvents.length} new events`);
-        console.log(`  Updated ${updatedEvents.length} existing events`);
-        console.log(`  Encountered ${errors.length} errors`);
-        
-      } catch (userError) {
-        console.error(`Error processing configuration for user ${userId}:`, userError);
-        // Continue with next user even if one fails
+        console.log(`✓ Successfully updated ${updates.length} cells in column ${columnLetter}`);
       }
+    } catch (error) {
+      console.error(`Error in batch sheet update: ${error.message}`);
     }
+  }
+  
+  // Store fingerprints for rows that were checked
+  if (!plan && orgId && trackingUpdates.length > 0) {
+    await batchSaveEventTracking(orgId, trackingUpdates);
+  }
+  
+  return { updated: updatedCount, unchanged: unchangedCount };
+}
+
+/**
+ * Scheduled sync of every configuration: creates events for new rows and
+ * updates rows that changed, one configuration per lease (see SYNC ORCHESTRATOR)
+ * Runs every 15 minutes and scans events from today-7days to the end of the spreadsheet
+ */
+exports.scheduledSync = onSchedule({
+  schedule: 'every 15 minutes',
+  region: 'us-central1',
+  timeZone: 'Asia/Jerusalem',
+  timeoutSeconds: 540,
+  memory: '1GiB'
+}, async (_context) => {
+  try {
+    console.log("Starting scheduled sync");
+    
+    // One configuration per organization
+    const configDocs = await getOrganizationConfigDocs();
+    const clients = await setupApiClients();
+    
+    const results = await mapWithConcurrency(configDocs, SYNC_CONCURRENCY, async configDoc => {
+      try {
+        return await syncConfiguration(configDoc.id, clients);
+      } catch (error) {
+        // One failing configuration does not stop the others
+        console.error(`Error syncing organization ${configDoc.id}:`, error);
+        return { orgId: configDoc.id, status: 'failed', tabs: [] };
+      }
+    });
     
-    console.log("Sheet scan and update completed");
+    const synced = results.filter(result => result.status === 'synced').length;
+    const locked = results.filter(result => result.status === 'locked').length;
+    console.log(`Scheduled sync completed: ${synced} synced, ${locked} locked, ${results.length} configurations`);
     return null;
   } catch (error) {
-    console.error("Error in scanSheetsAndUpdateCalendar:", error);
+    console.error("Error in scheduledSync:", error);
     throw error;
   }
 });
@@ -3067,10 +8458,15 @@ async function readAndStructureSpreadsheetData(sheetService, config) {
   const sheetResponse = await sheetService.spreadsheets.values.get({
     spreadsheetId: config.spreadsheetId,
     range: `${config.sheetName}!${dataRange}`,
+    ...SHEET_READ_OPTIONS
   });
   
   const rawRows = sheetResponse.data.values || [];
+  normalizeSheetRows(rawRows, config);
   console.log(`Found ${rawRows.length} total rows in sheet`);
+  await ensureRowIds(sheetService, config, rawRows);
+  
+  const columns = resolveColumnMapping(config);
   
   // Process the raw rows into a structured format
   const structuredRows = [];
@@ -3085,69 +8481,47 @@ async function readAndStructureSpreadsheetData(sheetService, config) {
     }
     
     // Basic validation for date column
-    if (!row[1] || !row[1].match(/^\d{1,2}\/\d{1,2}\/\d{2}$/)) {
-      console.log(`Row ${i+2} has no valid date in column B (format DD/MM/YY), skipping`);
+    const dateProblem = getRequiredDateProblem(row, columns);
+    if (dateProblem) {
+      console.log(`Row ${i+2} rejected: ${dateProblem.message}, skipping`);
       continue;
     }
     
-    // Get event type from column D (index 3)
-   // In functions that handle processing
-    const eventType = row[3] || '';
-    const isExcludedType = ["הצעת מחיר", "השכרות", "אופציה", "הפקה"].includes(eventType);
-
-   if (isExcludedType) {
-  console.log(`Skipping row ${rowIndex} with excluded event type: ${eventType}`);
-  
-  // Update the lastProcessedRow in the configuration
-  await db.collection("configurations").doc(userId).update({
-    lastProcessedRow: lastProcessedRow + 1,
-    lastScanTime: admin.firestore.FieldValue.serverTimestamp()
-  });
-  
-  // Create a log entry
-  await db.collection("processingLogs").add({
-    userId,
-    timestamp: admin.firestore.FieldValue.serverTimestamp(),
-    manualScan: true,
-    message: `Row skipped: Event type "${eventType}" is excluded`,
-    rowIndex: lastProcessedRow
-  });
-  
-  return {
-    success: true,
-    message: `Row skipped: Event type "${eventType}" is excluded`,
-    rowIndex: lastProcessedRow,
-    advancedToNextRow: true
-  };
-}
+    // Rows whose type rule skips them entirely are left out
+    const eventType = getCell(row, columns, 'eventTypeD');
+    if (isExcludedEventType(row, columns, config)) {
+      console.log(`Skipping row ${i+2} with excluded event type: ${eventType}`);
+      continue;
+    }
     
-    // Extract technicians from columns U-AA (indices 20-26)
+    // Extract technicians from the mapped technician columns
     const technicians = [];
-    for (let j = 20; j <= Math.min(26, row.length - 1); j++) {
-      if (row[j] && row[j].trim()) {
-        technicians.push(row[j].trim());
+    for (let j = columns.technicians.start; j <= Math.min(columns.technicians.end, row.length - 1); j++) {
+      if (row[j] && String(row[j]).trim()) {
+        technicians.push(String(row[j]).trim());
       }
     }
     
     // Create a structured representation of the row
     const structuredRow = {
       rawIndex: i + 2,  // 0-based index + 2 (to account for sheet header)
+      rowId: getRowId(row, columns),
       rawData: row,
-      date: row[1],
-      day: row[2] || '',
+      date: getCell(row, columns, 'date'),
+      day: getCell(row, columns, 'day'),
       eventType: eventType,
-      eventName: `${row[4] || ''} ${row[5] || ''}`.trim(),
-      location: row[6] || '',
-      fee: row[7] || '',
-      notes: row[8] || '',
-      startTime: row[9] || '17:00',
-      endTime: row[10] || '20:00',
-      manager: row[11] || '',
-      shouldCancel: row[18] === true || row[18] === "true" || row[18] === "TRUE",
+      eventName: getEventName(row, columns),
+      location: getCell(row, columns, 'location'),
+      fee: getCell(row, columns, 'fee'),
+      notes: getCell(row, columns, 'notes'),
+      startTime: getCell(row, columns, 'startTime') || '17:00',
+      endTime: getCell(row, columns, 'endTime') || '20:00',
+      manager: getCell(row, columns, 'manager'),
+      shouldCancel: isRowCancelled(row, columns),
       technicians: technicians,
-      isProcessed: row[config.processedColumnIndex] === config.processedMarker,
-      eventId: row[config.eventIdColumnIndex] || null,
-      isExcludedType: isExcluded
+      isProcessed: row[columns.processed] === config.processedMarker,
+      eventId: row[columns.eventId] || null,
+      isExcludedType: !isSyncedEventType(row, columns, config)
     };
     
     structuredRows.push(structuredRow);
@@ -3191,8 +8565,8 @@ async function setupApiClients() {
   console.log("Service account authenticated successfully");
   
   // Create API clients
-  const sheetService = google.sheets({version: 'v4', auth: jwtClient});
-  const calendarService = google.calendar({version: 'v3', auth: jwtClient});
+  const sheetService = createSheetsClient(jwtClient);
+  const calendarService = createCalendarClient(jwtClient);
   
   return { sheetService, calendarService };
 }
@@ -3220,17 +8594,15 @@ async function batchUpdateRows(sheetService, config, updates) {
   console.log(`Performing batch update for ${updates.length} rows`);
   
   try {
-    // The processedColumnIndex from config or default to column AK (index 36)
-    const processedColumnIndex = config.processedColumnIndex !== undefined ? 
-                                config.processedColumnIndex : 36;
-    
-    // Always use column AL (index 37) for event IDs
-    const eventIdColumnIndex = 37; // Hardcoded to AL
+    // Processed marker and event ID columns come from the column mapping
+    const columns = resolveColumnMapping(config);
+    const processedColumnIndex = columns.processed;
+    const eventIdColumnIndex = columns.eventId;
     
     // Prepare batch requests for processed status
     if (config.updateProcessedStatus !== false) {
       const processedUpdates = updates.map(update => {
-        const sheetRowNum = getValidSheetRowNum(rowIndex);
+        const sheetRowNum = getValidSheetRowNum(update.rowIndex);
         const value = update.isCancelled ? "CANCELLED" : (config.processedMarker || "PROCESSED");
         
         return {
@@ -3254,7 +8626,7 @@ async function batchUpdateRows(sheetService, config, updates) {
     
     // Prepare batch requests for event IDs
     const eventIdUpdates = updates.map(update => {
-      const sheetRowNum = getValidSheetRowNum(rowIndex);
+      const sheetRowNum = getValidSheetRowNum(update.rowIndex);
       
       return {
         range: `${config.sheetName}!${getColumnLetter(eventIdColumnIndex)}${sheetRowNum}`,
@@ -3296,27 +8668,24 @@ async function processNewRow(
   rowIndex, 
   processedEvents
 ) {
+  const columns = resolveColumnMapping(config);
+  
   // Format the technician list
-  const techniciansList = getTechnicians(row);
+  const techniciansList = getTechnicians(row, columns);
   console.log(`Row ${rowIndex}: ${techniciansList.length} technicians assigned`);
   
   // Prepare event data
-  const event = {
-    summary: `${row[4] || ''} ${row[5] || ''}`.trim(), // Columns E+F for event name
-    description: formatDescription(row),
-    location: row[6] || '', // Column G for location
-    start: {
-      dateTime: getStartDateTime(row, 1), // Date in column B (index 1)
-      timeZone: config.timezone || "Asia/Jerusalem",
-    },
-    end: {
-      dateTime: getEndDateTime(row, 1), // Date in column B (index 1)
-      timeZone: config.timezone || "Asia/Jerusalem",
-    },
-  };
+  const event = withRowEventState({
+    summary: getEventName(row, columns),
+    description: formatDescription(row, columns),
+    location: getCell(row, columns, 'location'),
+    ...getEventTimes(row, columns, config)
+  }, row, columns, config);
+  withRowMetadata(event, row, columns, config);
+  await withAttendees(event, row, columns, config);
   
-  // Check for cancellation flag (column S, index 18)
-  const shouldCancel = row[18] === true || row[18] === "true" || row[18] === "TRUE";
+  // Check for cancellation flag
+  const shouldCancel = isRowCancelled(row, columns);
   
   if (shouldCancel) {
     await handleCancelledEvent(
@@ -3330,8 +8699,9 @@ async function processNewRow(
     );
   } else {
     // Add new event to calendar
-    const calendarResponse = await calendarService.events.insert({
-      calendarId: config.calendarId,
+    const calendarResponse = await insertRowEvent(calendarService, config, {
+      calendarId: getRowCalendarId(row, columns, config),
+      sendUpdates: getSendUpdates(config),
       resource: event,
     });
     
@@ -3353,16 +8723,24 @@ async function processNewRow(
       action: 'created'
     });
   }
+  
+  // Setup day and extra days of a multi-day booking
+  try {
+    await syncLinkedEvents(calendarService, config, row, columns, event, { rowIndex });
+  } catch (linkedError) {
+    console.error(`Error syncing linked events for row ${rowIndex}: ${linkedError.message}`);
+  }
 }
 
 /**
- * Handle a cancelled event (either create cancelled or update existing to cancelled)
+ * Handle a cancelled row: apply the configuration's cancellation policy to
+ * its existing event, or create the event already shaped by the policy
  * @param {Object} sheetService - The Google Sheets API service
  * @param {Object} calendarService - The Google Calendar API service
  * @param {Object} config - The user's configuration
  * @param {Array} row - The row data
  * @param {number} rowIndex - The row index
- * @param {Object} event - The event data
+ * @param {Object} event - The event data, built with withRowEventState
  * @param {Array} processedEvents - Array to collect processed event info
  */
 async function handleCancelledEvent(
@@ -3374,241 +8752,112 @@ async function handleCancelledEvent(
   event, 
   processedEvents
 ) {
-  console.log(`Row ${rowIndex}: Event marked for cancellation`);
+  console.log(`Row ${rowIndex}: Event marked for cancellation (policy: ${getCancellationPolicy(config).mode})`);
+  const columns = resolveColumnMapping(config);
+  let eventId = row[columns.eventId];
   
-  // If there's an existing event ID stored in the row, update its status to cancelled
-  if (config.eventIdColumnIndex && row[config.eventIdColumnIndex]) {
+  // If there's an existing event ID stored in the row, apply the policy to it
+  if (eventId) {
     try {
-      // First, get the current event
-      const eventResponse = await calendarService.events.get({
-        calendarId: config.calendarId,
-        eventId: row[config.eventIdColumnIndex]
-      });
-      
-      const existingEvent = eventResponse.data;
+      // Locate the event, moving it to the archive calendar when the policy asks for it
+      const { calendarId } = await locateRowEvent(calendarService, config, row, columns, eventId);
       
-      // Update the event status to cancelled and add "Canceled:" to the summary
-      existingEvent.status = 'cancelled';
-      
-      // Only add "Canceled:" prefix if it's not already there
-      if (!existingEvent.summary.startsWith('Canceled:')) {
-        existingEvent.summary = `Canceled: ${existingEvent.summary}`;
-      }
-      
-      // Update the event in the calendar
       await calendarService.events.update({
-        calendarId: config.calendarId,
-        eventId: row[config.eventIdColumnIndex],
-        resource: existingEvent
+        calendarId,
+        sendUpdates: getSendUpdates(config, row, columns),
+        eventId,
+        resource: event
       });
       
-      console.log(`Marked event as cancelled in calendar: ${row[config.eventIdColumnIndex]}`);
-      
-      // Mark as cancelled in the spreadsheet
-      await markRowAsProcessed(
-        sheetService, 
-        config, 
-        rowIndex, 
-        row[config.eventIdColumnIndex], 
-        true
-      );
-      
-      processedEvents.push({
-        rowIndex,
-        eventId: row[config.eventIdColumnIndex],
-        summary: existingEvent.summary,
-        status: 'cancelled'
-      });
+      console.log(`Applied cancellation to calendar event: ${eventId}`);
     } catch (updateError) {
       console.error(`Error updating event status: ${updateError}`);
       throw new Error(`Failed to cancel event: ${updateError.message}`);
     }
   } else {
-    // No existing event ID found - create a new cancelled event
+    // No existing event ID found - create the event as the policy shapes it
     console.log(`No existing event ID found. Creating new cancelled event.`);
     
-    // Set the event status to cancelled and add "Canceled:" to the summary
-    event.status = 'cancelled';
-    
-    // Only add "Canceled:" prefix if it's not already there
-    if (!event.summary.startsWith('Canceled:')) {
-      event.summary = `Canceled: ${event.summary}`;
-    }
-    
-    // Add event to calendar
-    const calendarResponse = await calendarService.events.insert({
-      calendarId: config.calendarId,
+    const calendarResponse = await insertRowEvent(calendarService, config, {
+      calendarId: getRowCalendarId(row, columns, config),
+      sendUpdates: getSendUpdates(config, row, columns),
       resource: event,
     });
     
     console.log(`Created cancelled calendar event: ${calendarResponse.data.htmlLink}`);
-    
-    // Mark as cancelled in the spreadsheet
-    await markRowAsProcessed(
-      sheetService, 
-      config, 
-      rowIndex, 
-      calendarResponse.data.id, 
-      true
-    );
-    
-    processedEvents.push({
-      rowIndex,
-      eventId: calendarResponse.data.id,
-      summary: event.summary,
-      status: 'cancelled'
-    });
-  }
-}
-
-
-
-/**
- * Handle cancellation of an existing event
- * @param {Object} sheetService - The Google Sheets API service
- * @param {Object} calendarService - The Google Calendar API service
- * @param {Object} config - The user's configuration
- * @param {Object} existingEvent - The existing event data
- * @param {number} rowIndex - The row index
- * @param {string} eventId - The event ID
- * @param {Array} updatedEvents - Array to collect updated event info
- */
-async function handleExistingEventCancellation(
-  sheetService,
-  calendarService,
-  config,
-  existingEvent,
-  rowIndex,
-  eventId,
-  updatedEvents
-) {
-  console.log(`Row ${rowIndex}: Marking existing event as cancelled`);
-  existingEvent.status = 'cancelled';
-  
-  // Only add "Canceled:" prefix if it's not already there
-  if (!existingEvent.summary.startsWith('Canceled:')) {
-    existingEvent.summary = `Canceled: ${existingEvent.summary}`;
+    eventId = calendarResponse.data.id;
   }
   
-  await calendarService.events.update({
-    calendarId: config.calendarId,
-    eventId: eventId,
-    resource: existingEvent
-  });
-  
   // Mark as cancelled in the spreadsheet
-  if (config.updateProcessedStatus && config.processedColumnIndex !== undefined) {
-    const sheetRowNum = getValidSheetRowNum(rowIndex);
-    console.log(`Marking cancellation in sheet row ${sheetRowNum}`);
-    
-    await sheetService.spreadsheets.values.update({
-      spreadsheetId: config.spreadsheetId,
-      range: `${config.sheetName}!${getColumnLetter(config.processedColumnIndex)}${sheetRowNum}`,
-      valueInputOption: "RAW",
-      resource: {
-        values: [["CANCELLED"]]
-      },
-    });
-    console.log(`Marked row ${sheetRowNum} as CANCELLED in column ${getColumnLetter(config.processedColumnIndex)}`);
-  }
+  await markRowAsProcessed(
+    sheetService, 
+    config, 
+    rowIndex, 
+    eventId, 
+    true
+  );
   
-  updatedEvents.push({
+  processedEvents.push({
     rowIndex,
     eventId,
-    summary: existingEvent.summary,
-    action: 'cancelled'
+    summary: event.summary,
+    status: 'cancelled'
   });
 }
 
 /**
- * Detect changes between existing event and new data
- * @param {Object} existingEvent - The existing event data
- * @param {Object} updatedEventData - The updated event data
- * @param {Array} currentTechnicians - Current technicians in the event
- * @param {Array} techniciansList - New technicians from the row
+ * Detect changes between an existing event and the row it was built from
+ * Events with row metadata are compared by fingerprint first, so manual edits
+ * to their description are ignored until the row itself changes. Events
+ * without metadata are compared field by field and always get it backfilled.
+ * @param {Object} existingEvent - The existing calendar event
+ * @param {Object} updatedEventData - The event data built from the row
  * @param {Array} row - The row data
  * @param {number} rowIndex - The row index
- * @returns {Array} Array of detected changes
+ * @param {Object} columns - Resolved column mapping
+ * @param {Object} config - The user's configuration
+ * @returns {Array} Detected changes as { field, from, to }
  */
 function detectChanges(
   existingEvent,
   updatedEventData,
-  currentTechnicians,
-  techniciansList,
   row,
-  rowIndex
+  rowIndex,
+  columns,
+  config
 ) {
-  const changes = [];
-  
-  if (existingEvent.summary !== updatedEventData.summary) changes.push('summary');
-  if (existingEvent.location !== updatedEventData.location) changes.push('location');
-  if (existingEvent.start.dateTime !== updatedEventData.start.dateTime) changes.push('start time');
-  if (existingEvent.end.dateTime !== updatedEventData.end.dateTime) changes.push('end time');
-  if (existingEvent.status !== updatedEventData.status) changes.push('status');
-  
-  // Special check for technicians - more detailed logging
-  // Always log technician data for debugging
-  console.log(`Row ${rowIndex} - Technician data check:`);
-  console.log(`Current techs in calendar: ${JSON.stringify(currentTechnicians)}`);
-  console.log(`New techs from sheet: ${JSON.stringify(techniciansList)}`);
-  
-  // First check if the description has changed at all
-  const descriptionChanged = existingEvent.description !== updatedEventData.description;
-  if (descriptionChanged) {
-    console.log(`Row ${rowIndex} - Description changed`);
+  const stored = readEventMetadata(existingEvent);
+  const current = buildEventMetadata(row, columns, config);
+  const hasMetadata = hasEventMetadata(existingEvent);
+
+  if (hasMetadata && stored.rowHash === current.rowHash) {
+    console.log(`Row ${rowIndex} - fingerprint matches event metadata, no changes`);
+    return [];
   }
-  
-  // Then check if the technician lists are different (comparing sets)
-  const techListsEqual = areTechnicianListsEqual(currentTechnicians, techniciansList);
-  if (!techListsEqual) {
+
+  const changes = diffEventFields(existingEvent, updatedEventData);
+
+  const sheetTechnicians = getTechnicians(row, columns);
+  if (!areTechnicianListsEqual(existingEvent, sheetTechnicians)) {
     console.log(`Row ${rowIndex} - Technician lists are different`);
+    changes.push({
+      field: 'technicians',
+      from: getEventTechnicians(existingEvent).join(', '),
+      to: sheetTechnicians.join(', ')
+    });
   }
-  
-  // Log the actual cells for all technician columns U-AA (indices 20-26)
-  console.log(`Row ${rowIndex} - All technician cells U-AA:`, 
-    row.slice(20, 27).map((cell, idx) => {
-      const colLetter = String.fromCharCode(85 + idx); // U is 85 in ASCII
-      return `${colLetter}: ${cell || '(empty)'}`;
-    }).join(', '));
-  
-  const techsChanged = descriptionChanged || !techListsEqual;
-  
-  if (techsChanged) {
-    changes.push('technicians');
-    console.log(`Technicians changed in row ${rowIndex} - updating calendar event`);
-  }
-  
-  // If still no changes detected, force a deep comparison on technician data
-  if (changes.length === 0) {
-    console.log(`No standard changes detected for row ${rowIndex}, performing deep technician comparison`);
-    
-    // Get the raw technician data from both sources
-    const rowTechs = row.slice(20, 27).map(cell => cell?.trim() || '');
-    const calendarTechs = currentTechnicians.map(tech => tech?.trim() || '');
-    
-    // Log the raw data for comparison
-    console.log(`Row techs (U-AA): ${JSON.stringify(rowTechs)}`);
-    console.log(`Calendar techs: ${JSON.stringify(calendarTechs)}`);
-    
-    // Force update if there's any difference in the raw technician data
-    const forceUpdate = !rowTechs.every((tech, idx) => {
-      const hasData = tech !== '';
-      const matchesCalendar = idx < calendarTechs.length && 
-                             tech === calendarTechs[idx];
-      
-      if (hasData && !matchesCalendar) {
-        console.log(`Force update: column ${String.fromCharCode(85 + idx)} has changed`);
-        return false;
+
+  if (hasMetadata) {
+    for (const field of ['eventType', 'manager', 'endDate', 'setupDate']) {
+      if (stored[field] !== current[field]) {
+        changes.push({ field, from: stored[field], to: current[field] });
       }
-      return true;
-    });
-    
-    if (forceUpdate) {
-      changes.push('technician data (forced update)');
-      console.log(`Forcing update due to technician data differences`);
     }
+  } else {
+    console.log(`Row ${rowIndex} - event has no row metadata, backfilling`);
+    changes.push({ field: 'metadata', from: '', to: current.rowId });
   }
-  
+
   return changes;
 }
 
@@ -3621,56 +8870,37 @@ function detectChanges(
  * @param {boolean} isCancelled - Whether the event is cancelled
  */
 
-// Modify markRowAsProcessed to use rate limiting
 async function markRowAsProcessed(sheetService, config, rowIndex, eventId, isCancelled) {
   try {
-    // Create these values outside API calls
-    const processedColumnIndex = config.processedColumnIndex !== undefined ? 
-                               config.processedColumnIndex : 36;
-    const eventIdColumnIndex = config.eventIdColumnIndex !== undefined ? 
-                             config.eventIdColumnIndex : 37;
-    const processedSheetRowNum = rowIndex + 2; 
-    const eventIdSheetRowNum = getValidSheetRowNum(rowIndex);
-    const processedValue = isCancelled ? "CANCELLED" : (config.processedMarker || "PROCESSED");
-    
-    console.log(`=== CRITICAL DEBUG FOR AK COLUMN (PROCESSED STATUS) ===`);
-    console.log(`Raw rowIndex value: ${rowIndex}`);
-    console.log(`FIXING PROCESSED COLUMN: Using sheet row ${processedSheetRowNum} (rowIndex + 2) for column AK`);
-    console.log(`For event ID column: Using sheet row ${eventIdSheetRowNum}`);
-    console.log(`=== END CRITICAL DEBUG ===`);
-    
-    // Use a delay between API calls to prevent quota issues
+    const columns = resolveColumnMapping(config);
+    const sheetRowNum = getValidSheetRowNum(rowIndex);
+    const writes = [];
+    
+    // Both cells are written together; the client coalesces them into one batch update
     if (config.updateProcessedStatus !== false) {
-      console.log(`WRITING TO AK: Marking row ${processedSheetRowNum} as "${processedValue}" in column ${getColumnLetter(processedColumnIndex)}`);
-      
-      // First API call with rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500)); // Add 500ms delay
-      
-      await sheetService.spreadsheets.values.update({
+      const processedValue = getProcessedMarker(config, isCancelled);
+      console.log(`Marking row ${sheetRowNum} as "${processedValue}" in column ${getColumnLetter(columns.processed)}`);
+      writes.push(sheetService.spreadsheets.values.update({
         spreadsheetId: config.spreadsheetId,
-        range: `${config.sheetName}!${getColumnLetter(processedColumnIndex)}${processedSheetRowNum}`,
+        range: `${config.sheetName}!${getColumnLetter(columns.processed)}${sheetRowNum}`,
         valueInputOption: "RAW",
         resource: {
           values: [[processedValue]]
         },
-      });
-      console.log(`✓ SUCCESSFULLY WROTE TO AK${processedSheetRowNum}`);
+      }));
     }
     
-    // Add delay before second API call
-    await new Promise(resolve => setTimeout(resolve, 1000)); // Add 1s delay
-    
-    // Store the event ID with delay
-    console.log(`Storing event ID ${eventId} in row ${eventIdSheetRowNum}, column ${getColumnLetter(eventIdColumnIndex)}`);
-    
-    await sheetService.spreadsheets.values.update({
+    console.log(`Storing event ID ${eventId} in row ${sheetRowNum}, column ${getColumnLetter(columns.eventId)}`);
+    writes.push(sheetService.spreadsheets.values.update({
       spreadsheetId: config.spreadsheetId,
-      range: `${config.sheetName}!${getColumnLetter(eventIdColumnIndex)}${eventIdSheetRowNum}`,
+      range: `${config.sheetName}!${getColumnLetter(columns.eventId)}${sheetRowNum}`,
       valueInputOption: "RAW",
       resource: {
         values: [[eventId]]
       },
-    });
+    }));
+    
+    await Promise.all(writes);
   } catch (error) {
     console.error(`Error in markRowAsProcessed for row ${rowIndex}: ${error.message}`);
     throw error;
@@ -3685,39 +8915,23 @@ exports.deleteEventsInMonth = functions
     memory: '1GB'
   })
   .https.onCall(async (data, context) => {
-    // Authentication checks
-    if (!context.auth) {
-      throw new functions.https.HttpsError(
-        "unauthenticated",
-        "Authentication required"
-      );
-    }
-    
-    // Check domain
-    const email = context.auth.token.email || "";
-    if (!email.endsWith("@hakolsound.co.il")) {
-      throw new functions.https.HttpsError(
-        "permission-denied",
-        "Only hakolsound.co.il organization members allowed"
-      );
-    }
-    
-    const userId = context.auth.uid;
+    // Check authentication and organization membership
+    const { orgId } = await requireOrgMember(context, 'delete');
     
     try {
-      console.log(`Starting deletion of events for month ${data.month}/${data.year} for user ${userId}`);
+      console.log(`Starting deletion of events for month ${data.month}/${data.year} for organization ${orgId}`);
       
       // Validate parameters
       const year = data.year || new Date().getFullYear();
       const month = data.month || new Date().getMonth() + 1; // 1-12
-      const includeDuplicates = !!data.includeDuplicates;
+      const dryRun = !!data.dryRun;
       
       if (month < 1 || month > 12) {
         throw new functions.https.HttpsError("invalid-argument", "Month must be between 1 and 12");
       }
       
       // Get user configuration
-      const configDoc = await db.collection("configurations").doc(userId).get();
+      const configDoc = await db.collection("configurations").doc(orgId).get();
       
       if (!configDoc.exists) {
         throw new functions.https.HttpsError("not-found", "Configuration not found");
@@ -3730,6 +8944,16 @@ exports.deleteEventsInMonth = functions
         throw new functions.https.HttpsError("failed-precondition", "Calendar ID not configured");
       }
 
+      // The deletion itself runs as a job the app follows until it completes
+      if (!dryRun) {
+        const jobId = await createJob(orgId, context.auth.uid, 'deleteMonth', { month, year });
+        return {
+          success: true,
+          jobId,
+          message: `Deleting the events of ${month}/${year}`
+        };
+      }
+
       console.log(`Using calendar ID: ${calendarId}`);
 
       // Setup API client
@@ -3746,28 +8970,23 @@ exports.deleteEventsInMonth = functions
       console.log("Service account authenticated successfully");
       
       // Create API client
-      const calendarService = google.calendar({version: 'v3', auth: jwtClient});
+      const calendarService = createCalendarClient(jwtClient);
       
-      // Create date range for the specific month
-      // Use the first day of the month at 00:00:00 and last day at 23:59:59
-      // Important: Don't convert to ISO string yet - keep as Date objects
-      const startDate = new Date(year, month - 1, 1, 0, 0, 0);
-      const endDate = new Date(year, month, 0, 23, 59, 59);
-
-      // Format for Google Calendar API - it expects ISO strings
-      const timeMin = startDate.toISOString();
-      const timeMax = endDate.toISOString();
+      // Create date range for the specific month in the configured timezone
+      const monthStart = moment.tz({ year, month: month - 1, date: 1 }, getConfigTimezone(config));
+      const timeMin = monthStart.format();
+      const timeMax = monthStart.clone().endOf('month').format();
 
       console.log(`Searching for events from ${timeMin} to ${timeMax}`);
 
       // Get Firebase tracking data for this user to find events to delete
       console.log('Loading event tracking data from Firebase...');
-      const trackingData = await getAllEventTracking(userId);
+      const trackingData = await getAllEventTracking(orgId);
       console.log(`Loaded tracking for ${Object.keys(trackingData).length} events`);
 
       // Filter tracking data to only include events in the target month
       const eventsToDelete = [];
-      for (const [rowIndex, tracking] of Object.entries(trackingData)) {
+      for (const [rowId, tracking] of Object.entries(trackingData)) {
         if (tracking.eventId && tracking.date) {
           // Parse the date (format: YYYY-MM-DD)
           const eventDate = new Date(tracking.date);
@@ -3777,7 +8996,10 @@ exports.deleteEventsInMonth = functions
           if (eventMonth === month && eventYear === year) {
             eventsToDelete.push({
               eventId: tracking.eventId,
-              rowIndex: parseInt(rowIndex),
+              rowId: rowId,
+              rowIndex: tracking.rowIndex,
+              calendarId: getTrackedCalendarId(tracking, config),
+              date: tracking.date,
               title: tracking.title || 'Unknown'
             });
           }
@@ -3786,109 +9008,40 @@ exports.deleteEventsInMonth = functions
 
       console.log(`Found ${eventsToDelete.length} tracked events to delete for ${month}/${year}`);
 
-      // Delete each tracked event from the calendar
-      let eventsDeleted = 0;
-      const deletedRowIndices = [];
-      const trackedEventIds = new Set();
+      const plan = eventsToDelete.map(eventInfo => planEntry('delete', eventInfo));
+      const trackedIds = new Set(eventsToDelete.map(eventInfo => eventInfo.eventId));
 
-      for (const eventInfo of eventsToDelete) {
-        trackedEventIds.add(eventInfo.eventId);
-        try {
-          await calendarService.events.delete({
-            calendarId: calendarId,
-            eventId: eventInfo.eventId
-          });
-          eventsDeleted++;
-          deletedRowIndices.push(eventInfo.rowIndex);
-          console.log(`Deleted tracked event: ${eventInfo.eventId} - ${eventInfo.title}`);
-        } catch (deleteError) {
-          // Event might have been already deleted or not found
-          console.error(`Error deleting event ${eventInfo.eventId}: ${deleteError.message}`);
-
-          // Still remove from tracking if it's a 404 (not found) error
-          if (deleteError.code === 404 || deleteError.message.includes('Not Found')) {
-            deletedRowIndices.push(eventInfo.rowIndex);
-          }
-        }
-      }
-
-      // Also query the calendar directly for any untracked events in this month
-      // This handles events created before Firebase tracking was implemented or by manualScan
-      console.log(`Searching calendar directly for untracked events in ${month}/${year}...`);
-      console.log(`Query params: calendarId=${calendarId}, timeMin=${timeMin}, timeMax=${timeMax}`);
+      // Untracked events in the month would be deleted too
       let pageToken = null;
-      let untrackedDeleted = 0;
-
       do {
-        try {
-          const response = await calendarService.events.list({
-            calendarId: calendarId,
-            timeMin: timeMin,
-            timeMax: timeMax,
-            singleEvents: true,
-            pageToken: pageToken,
-            maxResults: 100
-          });
-
-          const events = response.data.items || [];
-          pageToken = response.data.nextPageToken;
-
-          console.log(`Found ${events.length} calendar events in batch (page token: ${pageToken || 'none'})`);
-          if (events.length > 0) {
-            console.log(`Sample event: ${JSON.stringify(events[0])}`);
-          }
-
-          // Delete events that aren't in our tracking
-          for (const event of events) {
-            if (!trackedEventIds.has(event.id)) {
-              try {
-                await calendarService.events.delete({
-                  calendarId: calendarId,
-                  eventId: event.id
-                });
-                untrackedDeleted++;
-                eventsDeleted++;
-                console.log(`Deleted untracked event: ${event.id} - ${event.summary || 'Unknown'}`);
-              } catch (deleteError) {
-                console.error(`Error deleting untracked event ${event.id}: ${deleteError.message}`);
-              }
-            }
-          }
-        } catch (listError) {
-          console.error(`Error listing calendar events: ${listError.message}`);
-          console.error(`Error details: ${JSON.stringify(listError)}`);
-          break; // Exit loop on error
+        const response = await calendarService.events.list({
+          calendarId: calendarId,
+          timeMin: timeMin,
+          timeMax: timeMax,
+          singleEvents: true,
+          pageToken: pageToken,
+          maxResults: 100
+        });
+        pageToken = response.data.nextPageToken;
+
+        for (const event of response.data.items || []) {
+          if (trackedIds.has(event.id)) continue;
+          plan.push(planEntry('delete', {
+            eventId: event.id,
+            rowId: event.extendedProperties?.private?.rowId,
+            title: event.summary || 'Unknown',
+            date: (event.start && (event.start.dateTime || event.start.date) || '').slice(0, 10),
+            warning: 'Not tracked by the sync'
+          }));
         }
       } while (pageToken);
 
-      console.log(`Deleted ${untrackedDeleted} untracked events from calendar`);
-
-      // Remove deleted events from Firebase tracking
-      if (deletedRowIndices.length > 0) {
-        console.log(`Removing ${deletedRowIndices.length} events from Firebase tracking...`);
-        for (const rowIndex of deletedRowIndices) {
-          await deleteEventTracking(userId, rowIndex);
-        }
-      }
-
-      const totalEvents = eventsToDelete.length + untrackedDeleted;
-
-      // Log the deletion
-      await db.collection("processingLogs").add({
-        userId,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        operation: "delete-month-events",
-        year: year,
-        month: month,
-        totalEvents: totalEvents,
-        eventsDeleted: eventsDeleted
-      });
-      
       return {
         success: true,
-        message: `Successfully deleted ${eventsDeleted} out of ${totalEvents} events from ${month}/${year}`,
-        eventsDeleted: eventsDeleted,
-        totalEvents: totalEvents
+        dryRun: true,
+        message: `Dry run: ${plan.length} events would be deleted from ${month}/${year}`,
+        plan,
+        totalEvents: plan.length
       };
       
     } catch (error) {
@@ -3904,34 +9057,37 @@ exports.reprocessSelectedRows = functions
     memory: '512MB'
   })
   .https.onCall(async (data, context) => {
-    // Authentication checks
-    if (!context.auth) {
-      throw new functions.https.HttpsError("unauthenticated", "Authentication required");
-    }
-
-    const email = context.auth.token.email || "";
-    if (!email.endsWith("@hakolsound.co.il")) {
-      throw new functions.https.HttpsError("permission-denied", "Only hakolsound.co.il organization members allowed");
-    }
-
-    const userId = context.auth.uid;
+    // Check authentication and organization membership
+    const { orgId } = await requireOrgMember(context, 'sync');
 
     try {
-      const { rowIndices } = data; // Array of row indices to reprocess
+      const { rowIds } = data; // Array of persistent row IDs to reprocess
+      const dryRun = !!data.dryRun;
 
-      if (!rowIndices || !Array.isArray(rowIndices) || rowIndices.length === 0) {
-        throw new functions.https.HttpsError("invalid-argument", "rowIndices must be a non-empty array");
+      if (!rowIds || !Array.isArray(rowIds) || rowIds.length === 0) {
+        throw new functions.https.HttpsError("invalid-argument", "rowIds must be a non-empty array");
       }
 
-      console.log(`Reprocessing ${rowIndices.length} rows for user ${userId}`);
+      console.log(`Reprocessing ${rowIds.length} rows for organization ${orgId}${dryRun ? ' (dry run)' : ''}`);
 
       // Get user configuration
-      const configDoc = await db.collection("configurations").doc(userId).get();
+      const configDoc = await db.collection("configurations").doc(orgId).get();
       if (!configDoc.exists) {
         throw new functions.https.HttpsError("not-found", "Configuration not found");
       }
 
+      // Adding the rows runs as a job the app follows until it completes
+      if (!dryRun) {
+        const jobId = await createJob(orgId, context.auth.uid, 'reprocessRows', { rowIds });
+        return {
+          success: true,
+          jobId,
+          message: `Adding ${rowIds.length} rows`
+        };
+      }
+
       const config = configDoc.data();
+      const columns = resolveColumnMapping(config);
       console.log("Config:", { spreadsheetId: config.spreadsheetId, calendarId: config.calendarId });
 
       // Setup service account
@@ -3944,20 +9100,37 @@ exports.reprocessSelectedRows = functions
 
       await jwtClient.authorize();
 
-      const sheetService = google.sheets({version: 'v4', auth: jwtClient});
-      const calendarService = google.calendar({version: 'v3', auth: jwtClient});
+      const sheetService = createSheetsClient(jwtClient);
+      const calendarService = createCalendarClient(jwtClient);
 
       // Get all data from the sheet
       const response = await sheetService.spreadsheets.values.get({
         spreadsheetId: config.spreadsheetId,
-        range: `${config.sheetName}!${config.dataRange}`
+        range: `${config.sheetName}!${config.dataRange}`,
+        ...SHEET_READ_OPTIONS
       });
 
       const rows = response.data.values || [];
-      let processedCount = 0;
+      normalizeSheetRows(rows, config);
+      const trackingData = await getAllEventTracking(orgId);
+      const plan = [];
+
       let skippedCount = 0;
+      const rejected = [];
       const errors = [];
-      const firebaseUpdates = []; // Collect Firebase tracking updates
+
+      // Resolve each row ID to the row's current position in the sheet
+      const targets = [];
+      for (const rowId of rowIds) {
+        const rowIndex = findRowIndexById(rows, columns, rowId);
+        if (rowIndex < 0) {
+          console.log(`Row ${rowId} no longer exists in the sheet`);
+          errors.push({ rowId, error: 'Row not found in sheet' });
+          continue;
+        }
+        targets.push({ rowId, rowIndex });
+      }
+      const rowIndices = targets.map(target => target.rowIndex);
 
       // Fetch coordination sheet hyperlinks for all selected rows
       console.log('Fetching coordination sheet links...');
@@ -3965,11 +9138,12 @@ exports.reprocessSelectedRows = functions
         sheetService,
         config.spreadsheetId,
         config.sheetName,
-        rowIndices
+        rowIndices,
+        columns.coordinationSheet
       );
 
-      // Process each selected row
-      for (const rowIndex of rowIndices) {
+      // Plan each selected row
+      for (const { rowId, rowIndex } of targets) {
         try {
           // rowIndex is 0-based for the data array, but the sheet is 1-based + 1 for header
           const row = rows[rowIndex];
@@ -3980,170 +9154,59 @@ exports.reprocessSelectedRows = functions
             continue;
           }
 
-          // Parse the event data using the same SHEET_COLUMNS mapping
-          const dateValue = row[SHEET_COLUMNS.DATE]; // Column B (index 1)
-          if (!dateValue) {
+          // Parse the event data using the configured column mapping
+          const dateProblem = getRequiredDateProblem(row, columns);
+          if (dateProblem) {
+            console.log(`Row ${rowIndex} rejected: ${dateProblem.message}`);
+            rejected.push(buildRejectedRow(row, rowIndex, columns, dateProblem));
             skippedCount++;
             continue;
           }
 
-          // Parse the date
-          let eventDate;
-          if (typeof dateValue === 'number') {
-            eventDate = excelDateToJSDate(dateValue);
-          } else if (typeof dateValue === 'string') {
-            eventDate = parseDate(dateValue);
-          }
-
-          if (!eventDate || isNaN(eventDate.getTime())) {
-            console.log(`Invalid date for row ${rowIndex}: ${dateValue}`);
+          // Event types kept off the calendar are not synced, even when selected
+          if (!isSyncedEventType(row, columns, config)) {
+            console.log(`Row ${rowIndex} skipped: event type "${getCell(row, columns, 'eventTypeD')}" is not synced`);
             skippedCount++;
             continue;
           }
 
-          // Extract event details using SHEET_COLUMNS mapping
-          const title = row[SHEET_COLUMNS.TITLE] || '';
-          const location = row[SHEET_COLUMNS.LOCATION] || '';
-          const startTime = row[SHEET_COLUMNS.START_TIME] || '';
-          const endTime = row[SHEET_COLUMNS.END_TIME] || '';
-          const shouldCancel = row[18] === true || row[18] === "true" || row[18] === "TRUE";
-          const finalTitle = shouldCancel ? `Canceled: ${title}` : title;
+          const eventDate = parseDate(getCell(row, columns, 'date'));
 
-          // Create calendar event with formatted description
+          // Build the calendar event from the row
           const coordinationUrl = coordinationLinks[rowIndex] || null;
-          const event = {
-            summary: finalTitle,
-            location: location,
-            description: formatDescription(row, coordinationUrl), // Use formatted description with hyperlink
-            start: {},
-            end: {}
-          };
-
-          // Set start/end times
-          if (startTime && typeof startTime === 'string' && startTime.includes(':')) {
-            const [startHour, startMin] = startTime.split(':').map(Number);
-
-            // Format datetime in local timezone (don't convert to UTC)
-            // Format: YYYY-MM-DDTHH:MM:SS
-            const year = eventDate.getFullYear();
-            const month = String(eventDate.getMonth() + 1).padStart(2, '0');
-            const day = String(eventDate.getDate()).padStart(2, '0');
-            const hour = String(startHour).padStart(2, '0');
-            const minute = String(startMin).padStart(2, '0');
-
-            event.start.dateTime = `${year}-${month}-${day}T${hour}:${minute}:00`;
-            event.start.timeZone = config.timezone || 'Asia/Jerusalem';
-
-            if (endTime && typeof endTime === 'string' && endTime.includes(':')) {
-              const [endHour, endMin] = endTime.split(':').map(Number);
-              const endHourStr = String(endHour).padStart(2, '0');
-              const endMinStr = String(endMin).padStart(2, '0');
-              event.end.dateTime = `${year}-${month}-${day}T${endHourStr}:${endMinStr}:00`;
-              event.end.timeZone = config.timezone || 'Asia/Jerusalem';
-            } else {
-              // Default end time: 6 hours after start
-              const endHour = startHour + 6;
-              const endHourStr = String(endHour).padStart(2, '0');
-              event.end.dateTime = `${year}-${month}-${day}T${endHourStr}:${minute}:00`;
-              event.end.timeZone = config.timezone || 'Asia/Jerusalem';
-            }
-          } else {
-            // No time specified - use default 17:00-23:00
-            const year = eventDate.getFullYear();
-            const month = String(eventDate.getMonth() + 1).padStart(2, '0');
-            const day = String(eventDate.getDate()).padStart(2, '0');
-
-            event.start.dateTime = `${year}-${month}-${day}T17:00:00`;
-            event.start.timeZone = config.timezone || 'Asia/Jerusalem';
-            event.end.dateTime = `${year}-${month}-${day}T23:00:00`;
-            event.end.timeZone = config.timezone || 'Asia/Jerusalem';
-          }
-
-          // Insert the event into calendar
-          const calendarResponse = await calendarService.events.insert({
-            calendarId: config.calendarId,
-            resource: event
-          });
-
-          processedCount++;
-          const eventId = calendarResponse.data.id;
-          console.log(`Processed row ${rowIndex + 2}: ${finalTitle} (Event ID: ${eventId})`);
-
-          // Prepare Firebase tracking data for this row
-          const processedValue = shouldCancel ? "CANCELLED" : "PROCESSED";
-
-          // Parse date for tracking
-          let dateStr = '';
-          if (eventDate) {
-            dateStr = eventDate.toISOString().split('T')[0];
-          }
-
-          firebaseUpdates.push({
-            rowIndex: rowIndex,
-            eventId: eventId,
-            status: processedValue,
-            eventData: {
-              title: finalTitle,
-              date: dateStr,
-              location: location
-            }
+          const { event, finalTitle, shouldCancel } = buildEventFromRow(row, columns, config, eventDate, coordinationUrl);
+
+          const tracking = trackingData[rowId];
+          const trackedEventId = tracking && tracking.eventId;
+          plan.push(planEntry(shouldCancel ? 'cancel' : trackedEventId ? 'update' : 'create', {
+            rowId,
+            rowIndex,
+            eventId: trackedEventId,
+            title: finalTitle,
+            date: getCell(row, columns, 'date'),
+            warning: trackedEventId ? `Row already has event ${trackedEventId}; it will be updated, not created again` : null
+          }));
+          await syncLinkedEvents(calendarService, config, row, columns, event, {
+            plan,
+            dateParts: dateToParts(eventDate),
+            rowIndex
           });
 
         } catch (rowError) {
           console.error(`Error processing row ${rowIndex}:`, rowError);
-          errors.push({ rowIndex, error: rowError.message });
-        }
-      }
-
-      // Save all tracking data to Firebase
-      if (firebaseUpdates.length > 0) {
-        console.log(`Saving ${firebaseUpdates.length} event tracking records to Firebase...`);
-        await batchSaveEventTracking(userId, firebaseUpdates);
-      }
-
-      // Write event IDs back to the spreadsheet (Column AL - event ID column)
-      // This provides a backup identifier in case row indices change
-      console.log(`Writing ${firebaseUpdates.length} event IDs to spreadsheet...`);
-      for (const update of firebaseUpdates) {
-        try {
-          const sheetRowNum = update.rowIndex + 2;
-          const columnLetter = 'AL'; // Column AL (index 37)
-
-          await sheetService.spreadsheets.values.update({
-            spreadsheetId: config.spreadsheetId,
-            range: `${config.sheetName}!${columnLetter}${sheetRowNum}`,
-            valueInputOption: "RAW",
-            resource: {
-              values: [[update.eventId]]
-            },
-          });
-
-          console.log(`✓ Wrote event ID to ${columnLetter}${sheetRowNum}`);
-
-          // Add delay to prevent rate limiting
-          await new Promise(resolve => setTimeout(resolve, 200));
-        } catch (writeError) {
-          console.error(`Error writing event ID to sheet row ${update.rowIndex + 2}:`, writeError.message);
+          errors.push({ rowId, rowIndex, error: rowError.message });
         }
       }
 
-      // Log the operation
-      await db.collection("processingLogs").add({
-        userId,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        operation: "reprocess-selected-rows",
-        rowCount: rowIndices.length,
-        processedCount,
-        skippedCount,
-        errorCount: errors.length
-      });
-
       return {
         success: true,
-        message: `Processed ${processedCount} of ${rowIndices.length} rows`,
+        dryRun: true,
+        message: `Dry run: ${plan.length} of ${rowIds.length} rows would be added or updated`,
+        plan,
+        rejected,
         stats: {
-          requested: rowIndices.length,
-          processed: processedCount,
+          requested: rowIds.length,
+          planned: plan.length,
           skipped: skippedCount,
           errors: errors.length
         },
@@ -4163,33 +9226,36 @@ exports.scanMonthEvents = functions
     memory: '1GB'
   })
   .https.onCall(async (data, context) => {
-    if (!context.auth) {
-      throw new functions.https.HttpsError("unauthenticated", "Authentication required");
-    }
-
-    const email = context.auth.token.email || "";
-    if (!email.endsWith("@hakolsound.co.il")) {
-      throw new functions.https.HttpsError("permission-denied", "Only hakolsound.co.il organization members allowed");
-    }
-
-    const userId = context.auth.uid;
+    const { orgId } = await requireOrgMember(context, 'sync');
 
     try {
       const { month, year } = data;
+      const dryRun = !!data.dryRun;
 
       if (!month || !year) {
         throw new functions.https.HttpsError("invalid-argument", "month and year required");
       }
 
-      console.log(`Scanning all events for ${month}/${year} for user ${userId}`);
+      console.log(`Scanning all events for ${month}/${year} for organization ${orgId}`);
 
       // Get user configuration
-      const configDoc = await db.collection("configurations").doc(userId).get();
+      const configDoc = await db.collection("configurations").doc(orgId).get();
       if (!configDoc.exists) {
         throw new functions.https.HttpsError("not-found", "Configuration not found");
       }
 
+      // The scan itself runs as a job the app follows until it completes
+      if (!dryRun) {
+        const jobId = await createJob(orgId, context.auth.uid, 'scanMonth', { month, year });
+        return {
+          success: true,
+          jobId,
+          message: `Scanning ${month}/${year}`
+        };
+      }
+
       const config = configDoc.data();
+      const columns = resolveColumnMapping(config);
 
       // Setup service account
       const jwtClient = new google.auth.JWT(
@@ -4201,42 +9267,50 @@ exports.scanMonthEvents = functions
 
       await jwtClient.authorize();
 
-      const sheetService = google.sheets({version: 'v4', auth: jwtClient});
-      const calendarService = google.calendar({version: 'v3', auth: jwtClient});
+      const sheetService = createSheetsClient(jwtClient);
+      const calendarService = createCalendarClient(jwtClient);
 
       // Get all data from the sheet
       const response = await sheetService.spreadsheets.values.get({
         spreadsheetId: config.spreadsheetId,
-        range: `${config.sheetName}!${config.dataRange}`
+        range: `${config.sheetName}!${config.dataRange}`,
+        ...SHEET_READ_OPTIONS
       });
 
       const rows = response.data.values || [];
+      normalizeSheetRows(rows, config);
+      const trackingData = await getAllEventTracking(orgId);
+      const plan = [];
+      const rejected = [];
 
       // Filter rows by month/year
       const rowsToProcess = [];
-      const excludedEventTypes = ['הצעת מחיר', 'השכרות', 'הפקה', 'אופציה'];
 
       rows.forEach((row, rowIndex) => {
-        if (!row || row.length <= SHEET_COLUMNS.DATE) return;
+        if (!row || row.length <= columns.date) return;
 
-        const dateValue = row[SHEET_COLUMNS.DATE];
+        const dateValue = getCell(row, columns, 'date');
         if (!dateValue) return;
 
-        // Parse date
-        let eventDate;
-        if (typeof dateValue === 'number') {
-          eventDate = excelDateToJSDate(dateValue);
-        } else if (typeof dateValue === 'string') {
-          eventDate = parseDate(dateValue);
+        // Unreadable dates can't be placed in a month, so they are always
+        // reported; other problems only for rows in the scanned month
+        const dateProblem = getRowDateProblem(row, columns);
+        const eventDate = parseDate(dateValue);
+        const inMonth = eventDate &&
+          eventDate.getMonth() + 1 === month && eventDate.getFullYear() === year;
+
+        if (dateProblem) {
+          const excluded = !isSyncedEventType(row, columns, config);
+          if (!excluded && (!eventDate || inMonth)) {
+            rejected.push(buildRejectedRow(row, rowIndex, columns, dateProblem));
+          }
+          return;
         }
 
-        if (!eventDate || isNaN(eventDate.getTime())) return;
-
         // Check if in target month/year
-        if (eventDate.getMonth() + 1 === month && eventDate.getFullYear() === year) {
-          // Skip excluded types
-          const eventType = row[SHEET_COLUMNS.EVENT_TYPE_D] || '';
-          if (excludedEventTypes.includes(eventType)) return;
+        if (inMonth) {
+          // Skip event types whose rule keeps them off the calendar
+          if (!isSyncedEventType(row, columns, config)) return;
 
           rowsToProcess.push({ row, rowIndex, eventDate });
         }
@@ -4251,99 +9325,38 @@ exports.scanMonthEvents = functions
         sheetService,
         config.spreadsheetId,
         config.sheetName,
-        rowIndicesToFetch
+        rowIndicesToFetch,
+        columns.coordinationSheet
       );
 
-      // Process each row
-      let processedCount = 0;
+      // Plan each row
       let skippedCount = 0;
       const errors = [];
-      const firebaseUpdates = [];
 
       for (const { row, rowIndex, eventDate } of rowsToProcess) {
         try {
-          const title = row[SHEET_COLUMNS.TITLE] || '';
-          const location = row[SHEET_COLUMNS.LOCATION] || '';
-          const startTime = row[SHEET_COLUMNS.START_TIME] || '';
-          const endTime = row[SHEET_COLUMNS.END_TIME] || '';
-          const shouldCancel = row[18] === true || row[18] === "true" || row[18] === "TRUE";
-          const finalTitle = shouldCancel ? `Canceled: ${title}` : title;
-
-          // Create calendar event with formatted description
-          const coordinationUrl = coordinationLinks[rowIndex] || null;
-          const event = {
-            summary: finalTitle,
-            location: location,
-            description: formatDescription(row, coordinationUrl), // Use formatted description with hyperlink
-            start: {},
-            end: {}
-          };
-
-          // Set start/end times using same logic as reprocessSelectedRows
-          if (startTime && typeof startTime === 'string' && startTime.includes(':')) {
-            const [startHour, startMin] = startTime.split(':').map(Number);
-            const year = eventDate.getFullYear();
-            const month = String(eventDate.getMonth() + 1).padStart(2, '0');
-            const day = String(eventDate.getDate()).padStart(2, '0');
-            const hour = String(startHour).padStart(2, '0');
-            const minute = String(startMin).padStart(2, '0');
-
-            event.start.dateTime = `${year}-${month}-${day}T${hour}:${minute}:00`;
-            event.start.timeZone = config.timezone || 'Asia/Jerusalem';
-
-            if (endTime && typeof endTime === 'string' && endTime.includes(':')) {
-              const [endHour, endMin] = endTime.split(':').map(Number);
-              const endHourStr = String(endHour).padStart(2, '0');
-              const endMinStr = String(endMin).padStart(2, '0');
-              event.end.dateTime = `${year}-${month}-${day}T${endHourStr}:${endMinStr}:00`;
-              event.end.timeZone = config.timezone || 'Asia/Jerusalem';
-            } else {
-              const endHour = startHour + 6;
-              const endHourStr = String(endHour).padStart(2, '0');
-              event.end.dateTime = `${year}-${month}-${day}T${endHourStr}:${minute}:00`;
-              event.end.timeZone = config.timezone || 'Asia/Jerusalem';
-            }
-          } else {
-            // Default 17:00-23:00
-            const year = eventDate.getFullYear();
-            const month = String(eventDate.getMonth() + 1).padStart(2, '0');
-            const day = String(eventDate.getDate()).padStart(2, '0');
-
-            event.start.dateTime = `${year}-${month}-${day}T17:00:00`;
-            event.start.timeZone = config.timezone || 'Asia/Jerusalem';
-            event.end.dateTime = `${year}-${month}-${day}T23:00:00`;
-            event.end.timeZone = config.timezone || 'Asia/Jerusalem';
-          }
-
-          // Insert event
-          const calendarResponse = await calendarService.events.insert({
-            calendarId: config.calendarId,
-            resource: event
-          });
-
-          processedCount++;
-          const eventId = calendarResponse.data.id;
-
-          // Prepare Firebase tracking
-          const processedValue = shouldCancel ? "CANCELLED" : "PROCESSED";
-          let dateStr = '';
-          if (eventDate) {
-            dateStr = eventDate.toISOString().split('T')[0];
-          }
+          const rowId = getRowId(row, columns);
 
-          firebaseUpdates.push({
-            rowIndex: rowIndex,
-            eventId: eventId,
-            status: processedValue,
-            eventData: {
-              title: finalTitle,
-              date: dateStr,
-              location: location
-            }
+          // Build the calendar event from the row
+          const coordinationUrl = coordinationLinks[rowIndex] || null;
+          const { event, finalTitle, shouldCancel } = buildEventFromRow(row, columns, config, eventDate, coordinationUrl);
+
+          const tracking = rowId ? trackingData[rowId] : null;
+          const trackedEventId = tracking && tracking.eventId;
+          plan.push(planEntry(shouldCancel ? 'cancel' : trackedEventId ? 'update' : 'create', {
+            rowId,
+            rowIndex,
+            eventId: trackedEventId,
+            title: finalTitle,
+            date: getCell(row, columns, 'date'),
+            warning: trackedEventId ? `Row already has event ${trackedEventId}; it will be updated, not created again` : null
+          }));
+          await syncLinkedEvents(calendarService, config, row, columns, event, {
+            plan,
+            dateParts: dateToParts(eventDate),
+            rowIndex
           });
 
-          console.log(`Processed row ${rowIndex + 2}: ${finalTitle}`);
-
         } catch (rowError) {
           console.error(`Error processing row ${rowIndex}:`, rowError);
           errors.push({ rowIndex, error: rowError.message });
@@ -4351,34 +9364,18 @@ exports.scanMonthEvents = functions
         }
       }
 
-      // Save to Firebase
-      if (firebaseUpdates.length > 0) {
-        await batchSaveEventTracking(userId, firebaseUpdates);
-      }
-
-      // Write to spreadsheet Column AL
-      console.log(`Writing ${firebaseUpdates.length} event IDs to spreadsheet...`);
-      for (const update of firebaseUpdates) {
-        try {
-          const sheetRowNum = update.rowIndex + 2;
-          await sheetService.spreadsheets.values.update({
-            spreadsheetId: config.spreadsheetId,
-            range: `${config.sheetName}!AL${sheetRowNum}`,
-            valueInputOption: "RAW",
-            resource: { values: [[update.eventId]] },
-          });
-          await new Promise(resolve => setTimeout(resolve, 200));
-        } catch (writeError) {
-          console.error(`Error writing event ID:`, writeError.message);
-        }
-      }
+      const conflicts = await checkTechnicianConflicts(sheetService, config, rows, { write: false });
 
       return {
         success: true,
-        message: `Scanned ${month}/${year}: ${processedCount} events created`,
+        dryRun: true,
+        message: `Dry run for ${month}/${year}: ${plan.length} events would be created or updated`,
+        plan,
+        rejected,
+        conflicts,
         stats: {
           total: rowsToProcess.length,
-          processed: processedCount,
+          planned: plan.length,
           skipped: skippedCount,
           errors: errors.length
         }
@@ -4390,6 +9387,58 @@ exports.scanMonthEvents = functions
     }
   });
 
+// Run the next chunk of a job; every chunk is started by a new run document
+exports.processJobRun = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '1GB'
+  })
+  .firestore.document('jobs/{jobId}/runs/{runId}')
+  .onCreate(async (snapshot, context) => {
+    await runJobChunk(db.collection('jobs').doc(context.params.jobId));
+  });
+
+// Queue again the jobs whose worker stopped without releasing them
+exports.requeueStalledJobs = onSchedule({
+  schedule: 'every 10 minutes',
+  region: 'us-central1',
+  timeZone: 'Asia/Jerusalem'
+}, async (_context) => {
+  try {
+    const stalledSnapshot = await db.collection('jobs')
+      .where('status', '==', 'running')
+      .where('leaseUntil', '<', admin.firestore.Timestamp.now())
+      .get();
+
+    for (const jobDoc of stalledSnapshot.docs) {
+      await jobDoc.ref.update({
+        status: 'queued',
+        leaseUntil: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await queueJobRun(jobDoc.ref);
+      console.log(`Requeued stalled job ${jobDoc.id}`);
+    }
+
+    // Jobs that found their sync lease taken try again once it is free
+    const waitingSnapshot = await db.collection('jobs')
+      .where('status', '==', 'queued')
+      .where('waitingForSyncLock', '==', true)
+      .get();
+
+    for (const jobDoc of waitingSnapshot.docs) {
+      const job = jobDoc.data();
+      if (!(await acquireSyncLock(job.orgId, getJobLockOwner(jobDoc.ref)))) {
+        continue;
+      }
+      await queueJobRun(jobDoc.ref);
+      console.log(`Requeued job ${jobDoc.id} waiting for the sync lease`);
+    }
+  } catch (error) {
+    console.error("Error requeuing stalled jobs:", error);
+  }
+});
+
 // Delete selected events from calendar
 exports.deleteSelectedEvents = functions
   .runWith({
@@ -4397,34 +9446,56 @@ exports.deleteSelectedEvents = functions
     memory: '512MB'
   })
   .https.onCall(async (data, context) => {
-    if (!context.auth) {
-      throw new functions.https.HttpsError("unauthenticated", "Authentication required");
-    }
-
-    const email = context.auth.token.email || "";
-    if (!email.endsWith("@hakolsound.co.il")) {
-      throw new functions.https.HttpsError("permission-denied", "Only hakolsound.co.il organization members allowed");
-    }
-
-    const userId = context.auth.uid;
+    const { orgId } = await requireOrgMember(context, 'delete');
+    // A dry run writes nothing, so only a real run needs the sync lease
+    const lockOwner = data && data.dryRun ? null : await requireSyncLock(orgId);
 
     try {
-      const { rowIndices } = data;
+      const { rowIds } = data;
+      const dryRun = !!data.dryRun;
 
-      if (!rowIndices || !Array.isArray(rowIndices) || rowIndices.length === 0) {
-        throw new functions.https.HttpsError("invalid-argument", "rowIndices must be a non-empty array");
+      if (!rowIds || !Array.isArray(rowIds) || rowIds.length === 0) {
+        throw new functions.https.HttpsError("invalid-argument", "rowIds must be a non-empty array");
       }
 
-      console.log(`Deleting ${rowIndices.length} selected events for user ${userId}`);
+      console.log(`Deleting ${rowIds.length} selected events for organization ${orgId}${dryRun ? ' (dry run)' : ''}`);
 
       // Get user configuration
-      const configDoc = await db.collection("configurations").doc(userId).get();
+      const configDoc = await db.collection("configurations").doc(orgId).get();
       if (!configDoc.exists) {
         throw new functions.https.HttpsError("not-found", "Configuration not found");
       }
 
       const config = configDoc.data();
 
+      // Tracking is keyed by row ID, so the lookup is unaffected by sorting
+      const targets = [];
+      for (const rowId of rowIds) {
+        const tracking = await getEventTracking(orgId, rowId);
+        if (tracking && tracking.eventId) {
+          // Delete from the calendar the event was written to
+          targets.push({ rowId, tracking, calendarId: getTrackedCalendarId(tracking, config) });
+        } else {
+          console.log(`No tracking found for row ${rowId}`);
+        }
+      }
+
+      if (dryRun) {
+        const plan = targets.map(({ rowId, tracking }) => planEntry('delete', {
+          rowId,
+          rowIndex: tracking.rowIndex,
+          eventId: tracking.eventId,
+          title: tracking.title,
+          date: tracking.date
+        }));
+        return {
+          success: true,
+          dryRun: true,
+          message: `Dry run: ${plan.length} of ${rowIds.length} selected events would be deleted`,
+          plan
+        };
+      }
+
       // Setup service account
       const jwtClient = new google.auth.JWT(
         serviceAccount.client_email,
@@ -4434,54 +9505,48 @@ exports.deleteSelectedEvents = functions
       );
 
       await jwtClient.authorize();
-      const calendarService = google.calendar({version: 'v3', auth: jwtClient});
-
-      // Get Firebase tracking for these rows
-      const trackingData = await getAllEventTracking(userId);
+      const calendarService = createCalendarClient(jwtClient);
 
       let deletedCount = 0;
       const errors = [];
-      const deletedRowIndices = [];
-
-      for (const rowIndex of rowIndices) {
-        try {
-          const tracking = trackingData[rowIndex];
-
-          if (tracking && tracking.eventId) {
-            // Delete from calendar
-            await calendarService.events.delete({
-              calendarId: config.calendarId,
-              eventId: tracking.eventId
-            });
-
-            deletedCount++;
-            deletedRowIndices.push(rowIndex);
-            console.log(`Deleted event: ${tracking.eventId} - ${tracking.title}`);
-          } else {
-            console.log(`No tracking found for row ${rowIndex}`);
-          }
-        } catch (deleteError) {
-          console.error(`Error deleting row ${rowIndex}:`, deleteError.message);
+      const deletedRowIds = [];
+
+      const deleteResults = await calendarService.batch(targets.map(({ tracking, calendarId }) => ({
+        method: 'delete',
+        calendarId,
+        eventId: tracking.eventId,
+        sendUpdates: getSendUpdates(config)
+      })));
+
+      for (const [i, { rowId, tracking, calendarId }] of targets.entries()) {
+        const deleteResult = deleteResults[i];
+        if (deleteResult.ok) {
+          deletedCount++;
+          deletedRowIds.push(rowId);
+          console.log(`Deleted event: ${tracking.eventId} - ${tracking.title}`);
+          await deleteLinkedEvents(calendarService, config, rowId, calendarId);
+        } else {
+          console.error(`Error deleting row ${rowId}:`, deleteResult.error);
 
-          // Still try to remove from tracking if 404
-          if (deleteError.code === 404 || deleteError.message.includes('Not Found')) {
-            deletedRowIndices.push(rowIndex);
+          // An event that is already gone is still removed from tracking
+          if (isEventGone(deleteResult)) {
+            deletedRowIds.push(rowId);
           }
 
-          errors.push({ rowIndex, error: deleteError.message });
+          errors.push({ rowId, error: deleteResult.error });
         }
       }
 
       // Remove from Firebase tracking
-      for (const rowIndex of deletedRowIndices) {
-        await deleteEventTracking(userId, rowIndex);
+      for (const rowId of deletedRowIds) {
+        await deleteEventTracking(orgId, rowId);
       }
 
       return {
         success: true,
-        message: `Deleted ${deletedCount} of ${rowIndices.length} events`,
+        message: `Deleted ${deletedCount} of ${rowIds.length} events`,
         stats: {
-          requested: rowIndices.length,
+          requested: rowIds.length,
           deleted: deletedCount,
           errors: errors.length
         },
@@ -4491,58 +9556,166 @@ exports.deleteSelectedEvents = functions
     } catch (error) {
       console.error("Error in deleteSelectedEvents:", error);
       throw new functions.https.HttpsError("internal", error.message);
+    } finally {
+      if (lockOwner) await releaseSyncLock(orgId, lockOwner);
     }
   });
 
-  // Helper function to get service account
-
-// Columns mapping (shared across functions)
-const SHEET_COLUMNS = {
-  DATE: 1,          // Column B: Date (DD/MM/YY)
-  DAY: 2,           // Column C: Day of week
-  EVENT_TYPE_D: 3,  // Column D: Event Type Detail
-  EVENT_TYPE: 4,    // Column E: Event Type
-  TITLE: 5,         // Column F: Title
-  LOCATION: 6,      // Column G: Location
-  NOTES: 8,         // Column I: Notes
-  START_TIME: 9,    // Column J: Start Time
-  END_TIME: 10,     // Column K: End Time
-  MANAGER: 11,      // Column L: Manager
-  STATUS: 13,       // Column N: Status
-  EQUIPMENT_URL: 13, // Column N: Also contains hyperlink
-  TECHNICIANS: {    // Columns T-Z: Technicians
-    START: 20,      // Column T (0-based index is 19)
-    END: 26         // Column Z (0-based index is 25)
-  }
-};
+// One-time migration of legacy row_N tracking documents to persistent row IDs
+exports.migrateRowTracking = functions
+  .runWith({
+    timeoutSeconds: 300,
+    memory: '512MB'
+  })
+  .https.onCall(async (data, context) => {
+    const { orgId } = await requireOrgMember(context, 'sync');
+    const lockOwner = await requireSyncLock(orgId);
+
+    try {
+      const configDoc = await db.collection("configurations").doc(orgId).get();
+      if (!configDoc.exists) {
+        throw new functions.https.HttpsError("not-found", "Configuration not found");
+      }
+
+      const config = configDoc.data();
+      const { sheetService, calendarService } = await setupApiClients();
+
+      const response = await sheetService.spreadsheets.values.get({
+        spreadsheetId: config.spreadsheetId,
+        range: `${config.sheetName}!${config.dataRange}`,
+        ...SHEET_READ_OPTIONS
+      });
+
+      const rows = response.data.values || [];
+      normalizeSheetRows(rows, config);
+      const assigned = await ensureRowIds(sheetService, config, rows, orgId);
+      const stats = await migrateLegacyTracking(orgId, config, sheetService, calendarService, rows);
+
+      await db.collection("processingLogs").add({
+        orgId,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        operation: "migrate-row-tracking",
+        rowIdsAssigned: assigned,
+        ...stats
+      });
 
-  exports.getTimeframeEvents = functions.https.onCall(async (data, context) => {
-    // Authentication checks
-    if (!context.auth) {
       return {
-        success: false,
-        error: "Authentication required"
+        success: true,
+        message: `Migrated ${stats.migrated} tracking records (${stats.unmatched} could not be matched)`,
+        stats: { rowIdsAssigned: assigned, ...stats }
       };
+    } catch (error) {
+      console.error("Error in migrateRowTracking:", error);
+      throw new functions.https.HttpsError("internal", error.message);
+    } finally {
+      await releaseSyncLock(orgId, lockOwner);
     }
-    
-    // Check domain
-    const email = context.auth.token.email || "";
-    if (!email.endsWith("@hakolsound.co.il")) {
+  });
+
+/**
+ * Add row metadata to events created before it was stored on them
+ * Only the extended properties are patched; the event's visible fields are
+ * left alone so manual edits survive until the row itself changes.
+ */
+exports.backfillEventMetadata = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .https.onCall(async (data, context) => {
+    const { orgId } = await requireOrgMember(context, 'sync');
+    const lockOwner = await requireSyncLock(orgId);
+
+    try {
+      const configDoc = await db.collection("configurations").doc(orgId).get();
+      if (!configDoc.exists) {
+        throw new functions.https.HttpsError("not-found", "Configuration not found");
+      }
+
+      const config = configDoc.data();
+      const columns = resolveColumnMapping(config);
+      const { sheetService, calendarService } = await setupApiClients();
+
+      const response = await sheetService.spreadsheets.values.get({
+        spreadsheetId: config.spreadsheetId,
+        range: `${config.sheetName}!${config.dataRange}`,
+        ...SHEET_READ_OPTIONS
+      });
+
+      const rows = response.data.values || [];
+      normalizeSheetRows(rows, config);
+      await ensureRowIds(sheetService, config, rows, orgId);
+
+      const stats = { checked: 0, backfilled: 0, alreadyTagged: 0, errors: 0 };
+
+      for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
+        const row = rows[rowIndex];
+        const eventId = row && row[columns.eventId];
+        if (!eventId) continue;
+
+        stats.checked++;
+        try {
+          // Tag the event wherever it is; moving events is left to the sync
+          const { event, calendarId } = await locateRowEvent(
+            calendarService, config, row, columns, eventId, { move: false }
+          );
+
+          if (hasEventMetadata(event)) {
+            stats.alreadyTagged++;
+            continue;
+          }
+
+          await calendarService.events.patch({
+            calendarId,
+            eventId,
+            resource: withRowMetadata({}, row, columns, config)
+          });
+          stats.backfilled++;
+        } catch (eventError) {
+          console.error(`Error backfilling metadata for event ${eventId} (row ${rowIndex}):`, eventError.message);
+          stats.errors++;
+        }
+      }
+
+      await db.collection("processingLogs").add({
+        orgId,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        operation: "backfill-event-metadata",
+        ...stats
+      });
+
       return {
-        success: false,
-        error: "Only hakolsound.co.il organization members allowed"
+        success: true,
+        message: `Added metadata to ${stats.backfilled} of ${stats.checked} events`,
+        stats
       };
+    } catch (error) {
+      console.error("Error in backfillEventMetadata:", error);
+      throw new functions.https.HttpsError("internal", error.message);
+    } finally {
+      await releaseSyncLock(orgId, lockOwner);
     }
-    
-    const userId = context.auth.uid;
-  
+  });
+
+  /**
+   * Load the events of a timeframe for an organization member
+   * Shared by getTimeframeEvents and its HTTP twin, so both show technicians
+   * only the rows they are assigned to.
+   * @param {Object} data - {timeframe, month, year}
+   * @param {string} orgId - Organization ID
+   * @param {string} role - Caller's role
+   * @param {string} email - Caller's email, to find them in the technician directory
+   * @returns {Promise<Object>} {success, events, rejected}, or {success: false, error}
+   */
+  async function loadTimeframeEvents(data, orgId, role, email) {
     try {
       // Make sure to extract timeframe from data FIRST
       const timeframe = data.timeframe || 'today';
       console.log("Received timeframe:", timeframe);
       
       // Get user configuration
-      const configDoc = await db.collection('configurations').doc(userId).get();
+      let config;
+      const configDoc = await db.collection('configurations').doc(orgId).get();
       if (!configDoc.exists) {
         // Try to get the shared configuration
         const sharedConfigDoc = await db.collection('configurations').doc('shared').get();
@@ -4560,8 +9733,10 @@ const SHEET_COLUMNS = {
         config = configDoc.data();
       }
       
-      // Calculate date range based on timeframe
-      const now = new Date();
+      const columns = resolveColumnMapping(config);
+      
+      // Calculate date range based on timeframe, from today in the configured zone
+      const now = getZonedToday(getConfigTimezone(config));
   
       // Helper to start/end days
       const startOfDay = (date) => {
@@ -4658,16 +9833,14 @@ const SHEET_COLUMNS = {
         // Create and log the auth client first to verify it's working
         const auth = new google.auth.GoogleAuth({
           credentials: serviceAccount,
+          // Read-only: row IDs are assigned by the locked sync and job paths
           scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly']
         });
         
         console.log("Auth client created successfully");
         
         // Create sheets client
-        const sheets = google.sheets({
-          version: 'v4',
-          auth: auth
-        });
+        const sheets = createSheetsClient(auth);
         
         console.log("Sheets client created successfully");
         
@@ -4675,18 +9848,20 @@ const SHEET_COLUMNS = {
         try {
           const response = await sheets.spreadsheets.values.get({
             spreadsheetId: config.spreadsheetId,
-            range: `${config.sheetName}!${config.dataRange}`
+            range: `${config.sheetName}!${config.dataRange}`,
+            ...SHEET_READ_OPTIONS
           });
           
           console.log("Sheets API call succeeded");
           
           // Process the data (simplified for now)
           const rows = response.data.values || [];
+          normalizeSheetRows(rows, config);
           console.log(`Found ${rows.length} rows of data`);
 
           // Get Firebase tracking data for this user
           console.log('Loading event tracking data from Firebase...');
-          const trackingData = await getAllEventTracking(userId);
+          const trackingData = await getAllEventTracking(orgId);
           console.log(`Loaded tracking for ${Object.keys(trackingData).length} events`);
 
           // Always explicitly construct and log the response
@@ -4695,38 +9870,33 @@ const SHEET_COLUMNS = {
 // Process the sheet data
 // Process the sheet data
 const events = [];
-const dateRegex = /^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/; // DD/MM/YY or DD/MM/YYYY
-
-// Skip excluded event types if needed
-const excludedEventTypes = ['הצעת מחיר', 'השכרות', 'הפקה', 'אופציה'];
-
-// Columns mapping (adjust these based on your actual sheet)
-const COLUMNS = {
-  DATE: 1,          // Column B: Date (DD/MM/YY)
-  DAY: 2,           // Column C: Day of week
-  EVENT_TYPE_D: 3,  // Column D: Event Type Detail
-  EVENT_TYPE: 4,    // Column E: Event Type
-  TITLE: 5,         // Column F: Title
-  LOCATION: 6,      // Column G: Location
-  NOTES: 8,         // Column I: Notes
-  START_TIME: 9,    // Column J: Start Time
-  END_TIME: 10,     // Column K: End Time
-  MANAGER: 11,      // Column L: Manager
-  STATUS: 13,       // Column N: Status
-  EQUIPMENT_URL: 13, // Column N: Also contains hyperlink
-  TECHNICIANS: {    // Columns T-Z: Technicians
-    START: 20,      // Column T (0-based index is 19)
-    END: 26         // Column Z (0-based index is 25)
-  }
-};
+
+// Rows whose date or time cannot be read are reported back with the reason
+const rejected = [];
+
+// Technicians booked on overlapping rows, shown as warnings on both events
+let conflictsByRow = {};
+let directory = [];
+try {
+  directory = await getCachedTechnicianDirectory();
+  conflictsByRow = groupConflictsByRow(
+    detectTechnicianConflicts(rows, columns, config, directory, () => true)
+  );
+} catch (conflictError) {
+  console.error("Error detecting technician conflicts:", conflictError.message);
+}
+
+// Technicians only see the rows they are assigned to
+const onlyOwnRows = !hasPermission(role, 'view');
+const ownTechnician = onlyOwnRows ? findTechnicianByEmail(directory, email) : null;
 
 // Define helper function to extract technicians
 const extractTechnicians = (row) => {
   const technicians = [];
   
-  for (let col = COLUMNS.TECHNICIANS.START; col <= COLUMNS.TECHNICIANS.END; col++) {
-    if (row.length > col && row[col] && row[col].trim()) {
-      technicians.push(row[col].trim());
+  for (let col = columns.technicians.start; col <= columns.technicians.end; col++) {
+    if (row.length > col && row[col] && String(row[col]).trim()) {
+      technicians.push(String(row[col]).trim());
     }
   }
   
@@ -4741,37 +9911,40 @@ const rowsNeedingHyperlinks = [];
 // Loop through each row in the spreadsheet to pre-filter
 rows.forEach((row, rowIndex) => {
   // Skip rows that don't have enough data
-  if (!row || row.length <= COLUMNS.DATE) {
+  if (!row || row.length <= columns.date) {
+    return;
+  }
+  
+  // Skip rows without a date
+  const dateCell = getCell(row, columns, 'date');
+  if (!dateCell) {
+    return;
+  }
+  
+  // Skip rows of other technicians
+  if (onlyOwnRows && !isTechnicianOnRow(row, columns, directory, ownTechnician)) {
     return;
   }
   
-  // Skip rows that don't have a valid date
-  if (!row[COLUMNS.DATE] || !dateRegex.test(row[COLUMNS.DATE])) {
+  // Skip event types whose rule hides them from the app
+  const eventTypeD = getCell(row, columns, 'eventTypeD');
+  if (isExcludedEventType(row, columns, config)) {
     return;
   }
   
-  // Skip excluded event types if needed
-  const eventTypeD = row.length > COLUMNS.EVENT_TYPE_D ? row[COLUMNS.EVENT_TYPE_D] : '';
-  if (excludedEventTypes.includes(eventTypeD)) {
+  // Report rows whose date or time cannot be read
+  const problem = getRowDateProblem(row, columns);
+  if (problem) {
+    rejected.push(buildRejectedRow(row, rowIndex, columns, problem));
     return;
   }
   
-  // Parse date with improved format validation
   try {
-    const dateMatch = row[COLUMNS.DATE].match(dateRegex);
-    if (!dateMatch) {
-      return;
-    }
-    
-    const day = parseInt(dateMatch[1], 10);
-    const month = parseInt(dateMatch[2], 10) - 1; // JavaScript months are 0-indexed
-    const year = parseInt(dateMatch[3], 10);
-    const fullYear = year < 100 ? 2000 + year : year; // Handle 2-digit years
-    
-    // Validate date parts
-    if (day < 1 || day > 31 || month < 0 || month > 11) {
-      return;
-    }
+    const dateParts = parseSheetDate(dateCell);
+    const day = dateParts.day;
+    const month = dateParts.month - 1; // JavaScript months are 0-indexed
+    const fullYear = dateParts.year;
+    const year = fullYear % 100;
     
     // Create a date object for this event
     const eventDate = new Date(fullYear, month, day);
@@ -4782,7 +9955,7 @@ rows.forEach((row, rowIndex) => {
     }
     
     // Check if the status is "on-going" or "done"
-    const status = row.length > COLUMNS.STATUS ? (row[COLUMNS.STATUS] || '').toLowerCase() : '';
+    const status = String(getCell(row, columns, 'status')).toLowerCase();
     const needsHyperlink = status === 'on-going' || status === 'done';
     
     // Store the relevant row with its index for later processing
@@ -4813,13 +9986,14 @@ console.log(`Found ${relevantRows.length} events in timeframe, ${rowsNeedingHype
 let hyperlinks = {};
 if (rowsNeedingHyperlinks.length > 0) {
   try {
-    // We'll only fetch the specific cells in column N that we need
+    // We'll only fetch the specific cells in the status column that we need
     // This significantly reduces the amount of data compared to fetching the entire sheet
+    const statusColumnLetter = getColumnLetter(columns.status);
     const cellRanges = rowsNeedingHyperlinks.map(rowIndex => {
-      // Convert to A1 notation (column N + row)
+      // Convert to A1 notation (status column + row)
       // Add 1 for 0-based to 1-based conversion, and add header row offset
       const sheetRowIndex = rowIndex + 2; 
-      return `${config.sheetName}!N${sheetRowIndex}`;
+      return `${config.sheetName}!${statusColumnLetter}${sheetRowIndex}`;
     });
     
     // Break up requests if we have too many cells to avoid hitting API limits
@@ -4855,11 +10029,7 @@ if (rowsNeedingHyperlinks.length > 0) {
           }
         });
       }
-      
-      // To avoid hitting rate limits, add a small delay between batches
-      if (i + batchSize < cellRanges.length) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+
     }
     
     console.log(`Successfully extracted ${Object.keys(hyperlinks).length} hyperlinks`);
@@ -4874,28 +10044,34 @@ if (rowsNeedingHyperlinks.length > 0) {
   const formattedDate = `${day.toString().padStart(2, '0')}/${(month+1).toString().padStart(2, '0')}/${year < 100 ? year : year % 100}`;
 
   // Check if event should be marked as canceled
-  const shouldCancel = row.length > 18 && (row[18] === true || row[18] === "true" || row[18] === "TRUE");
-  const rawTitle = row.length > COLUMNS.TITLE ? (row[COLUMNS.TITLE] || '') : '';
+  const shouldCancel = isRowCancelled(row, columns);
+  const rawTitle = getCell(row, columns, 'title');
 
   // Get tracking info from Firebase for this row
-  const tracking = trackingData[rowIndex];
+  const rowId = getRowId(row, columns);
+  const tracking = rowId ? trackingData[rowId] : null;
+  const typeRule = getEventTypeRule(row, columns, config);
 
   // Create event object with all fields properly extracted
   const event = {
+    rowId: rowId, // Persistent row ID used for selection actions
     rowIndex: rowIndex, // Add row index for frontend reference
     date: formattedDate,
-    day: row.length > COLUMNS.DAY ? (row[COLUMNS.DAY] || '') : '',
-    eventType: row.length > COLUMNS.EVENT_TYPE ? (row[COLUMNS.EVENT_TYPE] || '') : '',
+    day: getCell(row, columns, 'day'),
+    eventType: getCell(row, columns, 'eventType'),
     eventTypeD: eventTypeD,
-    title: shouldCancel ? `Canceled: ${rawTitle}` : rawTitle,
+    title: shouldCancel ? `${getCancellationPolicy(config).prefix}${rawTitle}` : rawTitle,
     isCanceled: shouldCancel, // Add this flag to make it easy to detect in frontend
-    location: row.length > COLUMNS.LOCATION ? (row[COLUMNS.LOCATION] || '') : '',
-    notes: row.length > COLUMNS.NOTES ? (row[COLUMNS.NOTES] || '') : '',
-    startTime: row.length > COLUMNS.START_TIME ? (row[COLUMNS.START_TIME] || '') : '',
-    endTime: row.length > COLUMNS.END_TIME ? (row[COLUMNS.END_TIME] || '') : '',
-    manager: row.length > COLUMNS.MANAGER ? (row[COLUMNS.MANAGER] || '') : '',
+    location: getCell(row, columns, 'location'),
+    notes: getCell(row, columns, 'notes'),
+    startTime: getCell(row, columns, 'startTime'),
+    endTime: getCell(row, columns, 'endTime'),
+    manager: getCell(row, columns, 'manager'),
     equipmentListUrl: hyperlinks[rowIndex] || '',
     technicians: extractTechnicians(row),
+    conflicts: conflictsByRow[rowIndex] || [],
+    timezone: getRowTimezone(row, columns, config),
+    eventTypeAction: typeRule ? typeRule.action : null, // How the event type rule syncs this row
     // Add Firebase tracking data
     eventId: tracking?.eventId || null,
     syncStatus: tracking?.status || null,
@@ -4933,7 +10109,8 @@ console.log(`Processed ${events.length} events for ${timeframe}`);
 // Return the processed events
 const result = {
   success: true,
-  events: events
+  events: events,
+  rejected: rejected
 };
 
 console.log("Returning response with events:", events.length);
@@ -4960,6 +10137,22 @@ return result;
         error: `Error: ${error.message}`
       };
     }
+  }
+
+  exports.getTimeframeEvents = functions.https.onCall(async (data, context) => {
+    // Authentication and organization checks
+    let orgId;
+    let role;
+    try {
+      ({ orgId, role } = await requireOrgMember(context, 'schedule'));
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    return loadTimeframeEvents(data, orgId, role, context.auth.token.email);
   });
   
   // Also create a HTTP version with CORS enabled for direct access if needed
@@ -4976,30 +10169,25 @@ return result;
         
         const idToken = authHeader.split('Bearer ')[1];
         
-        // Verify Firebase ID token
+        // Verify Firebase ID token; the same checks as the callable follow
         const decodedToken = await admin.auth().verifyIdToken(idToken);
-        const userId = decodedToken.uid;
-        
-        // Parse request data
-        const timeframe = request.body.timeframe || request.query.timeframe || 'today';
-        
-        // Call the same logic as the Callable function
-        const db = admin.firestore();
-        const configDoc = await db.collection('configurations').doc(userId).get();
-        
-        if (!configDoc.exists) {
-          response.status(400).send({
-            success: false,
-            error: 'Configuration not found. Please set up your calendar integration first.'
-          });
+        const context = { auth: { uid: decodedToken.uid, token: decodedToken } };
+        let orgId;
+        let role;
+        try {
+          ({ orgId, role } = await requireOrgMember(context, 'schedule'));
+        } catch (error) {
+          response.status(403).send({ success: false, error: error.message });
           return;
         }
-        
-        // Same implementation as above...
-        // (Implement the same logic as in the Callable function)
-        
-        // For brevity, just call a helper function that contains the shared logic
-        const result = await getEvents(userId, timeframe);
+
+        // Parse request data
+        const params = { ...request.query, ...request.body };
+        const result = await loadTimeframeEvents({
+          timeframe: params.timeframe || 'today',
+          month: params.month !== undefined ? Number(params.month) : undefined,
+          year: params.year !== undefined ? Number(params.year) : undefined
+        }, orgId, role, decodedToken.email);
         
         // Send response
         response.status(200).send(result);
@@ -5015,6 +10203,57 @@ return result;
   });
   
 
+// Helpers exercised by the unit tests in test/; jest sets NODE_ENV to 'test'
+if (process.env.NODE_ENV === 'test') {
+  exports.__test__ = {
+    SHEET_WRITE_BATCH_LIMIT,
+    callGoogleApi,
+    wrapGoogleService,
+    resolveColumnMapping,
+    generateRowId,
+    isRowIdInNamespace,
+    pickRowIdKeeper,
+    ensureRowIds,
+    computeRowHash,
+    parseSheetDate,
+    parseTimeOfDay,
+    parseTimeRange,
+    isTimePlaceholder,
+    normalizeSheetRow,
+    getRowDateProblem,
+    getEventTimes,
+    normalizeTechnicianName,
+    editDistance,
+    loadTechnicianDirectory,
+    matchTechnician,
+    resolveTechnicians,
+    detectTechnicianConflicts,
+    groupConflictsByRow,
+    formatConflictFlag,
+    getNightHours,
+    buildWorkloadReport,
+    validateCancellationPolicy,
+    normalizeCancellationPolicy,
+    getCancellationPolicy,
+    isEventCancelled,
+    getProcessedMarker,
+    withRowEventState,
+    getRowCalendarId,
+    getSendUpdates,
+    getRowEventId,
+    getResourceEventId,
+    batchInsertRowEvents,
+    groupDuplicateEvents,
+    pickDuplicateKeeper,
+    planDuplicateMerge,
+    CALENDAR_BATCH_SIZE,
+    buildCalendarBatchPart,
+    parseCalendarBatchResponse,
+    executeCalendarBatch
+  };
+}
+
+
 
 //////////////////////////////////////////////////////////////////////////////////////////////////
 //////////////////////////////////////////////////////////////////////////////////////////////////
@@ -0,0 +1,74 @@
+// Make a user the admin of an organization. This is the only way an
+// organization gets created: when it does not exist yet it is created with the
+// given name and allowed domains, the user as its only member and admin.
+// Afterwards everyone signing in from an allowed domain joins it with the
+// default role. Also makes a member the admin of an organization created
+// before roles existed.
+//
+// Usage (from the functions directory):
+//   node scripts/assignOrganizationAdmin.js <orgId> <uid> [<name> <allowedDomain>...]
+// e.g. node scripts/assignOrganizationAdmin.js hakolsound <uid> "Hakol Sound" hakolsound.co.il
+
+const admin = require("firebase-admin");
+const serviceAccount = require('../service-account-key.json');
+
+admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+const db = admin.firestore();
+
+async function assignOrganizationAdmin(orgId, uid, name, allowedDomains) {
+  const orgRef = db.collection('organizations').doc(orgId);
+  const user = await admin.auth().getUser(uid);
+  let created = false;
+
+  await db.runTransaction(async transaction => {
+    const snapshot = await transaction.get(orgRef);
+    if (!snapshot.exists) {
+      if (!name || allowedDomains.length === 0) {
+        throw new Error(`Organization ${orgId} not found; give its name and allowed domains to create it`);
+      }
+      transaction.set(orgRef, {
+        name,
+        allowedDomains: allowedDomains.map(domain => domain.toLowerCase()),
+        invitedEmails: [],
+        members: {
+          [uid]: {
+            email: String(user.email || '').toLowerCase(),
+            displayName: user.displayName || '',
+            role: 'admin',
+            joinedAt: admin.firestore.FieldValue.serverTimestamp()
+          }
+        },
+        memberIds: [uid],
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      created = true;
+      return;
+    }
+    const members = snapshot.data().members || {};
+    if (!members[uid]) {
+      throw new Error(`User ${uid} is not a member of ${orgId}`);
+    }
+    const currentAdmin = Object.keys(members).find(memberId => members[memberId].role === 'admin');
+    if (currentAdmin) {
+      throw new Error(`Organization ${orgId} already has an admin (${currentAdmin})`);
+    }
+    transaction.update(orgRef, { [`members.${uid}.role`]: 'admin' });
+  });
+
+  // Mirrors setMemberClaims in index.js, so firestore.rules see the new role
+  await admin.auth().setCustomUserClaims(uid, { orgId, role: 'admin' });
+  console.log(created
+    ? `Created organization ${orgId} with user ${uid} as its admin`
+    : `User ${uid} is now the admin of organization ${orgId}`);
+}
+
+const [orgId, uid, name, ...allowedDomains] = process.argv.slice(2);
+if (!orgId || !uid) {
+  console.error("Usage: node scripts/assignOrganizationAdmin.js <orgId> <uid> [<name> <allowedDomain>...]");
+  process.exit(1);
+}
+
+assignOrganizationAdmin(orgId, uid, name, allowedDomains).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
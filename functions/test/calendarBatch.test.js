@@ -0,0 +1,279 @@
+const http = require('http');
+const admin = require('firebase-admin');
+const {
+  CALENDAR_BATCH_SIZE,
+  buildCalendarBatchPart,
+  parseCalendarBatchResponse,
+  executeCalendarBatch
+} = require('../index').__test__;
+
+/**
+ * Split a multipart/mixed batch request into its operations
+ * @param {string} body - Request body
+ * @param {string} contentType - Request Content-Type
+ * @returns {Array} [{index, method, path, resource}]
+ */
+function parseBatchRequest(body, contentType) {
+  const boundary = /boundary=([^;\s]+)/.exec(contentType)[1];
+  return body.split(`--${boundary}`)
+    .map(part => part.trim())
+    .filter(part => part && part !== '--')
+    .map(part => {
+      const [headers, request, json] = part.split('\r\n\r\n');
+      const [method, path] = request.split('\r\n')[0].split(' ');
+      return {
+        index: Number(/Content-ID: <item(\d+)>/.exec(headers)[1]),
+        method,
+        path,
+        resource: json ? JSON.parse(json) : null
+      };
+    });
+}
+
+/**
+ * Build a multipart/mixed batch response
+ * @param {string} boundary - Boundary to use
+ * @param {Array} parts - [{index, status, body}]
+ * @returns {string} Response body
+ */
+function buildBatchResponse(boundary, parts) {
+  return parts.map(({ index, status, body }) => [
+    `--${boundary}`,
+    'Content-Type: application/http',
+    `Content-ID: <response-item${index}>`,
+    '',
+    `HTTP/1.1 ${status} ${status < 300 ? 'OK' : 'Error'}`,
+    'Content-Type: application/json; charset=UTF-8',
+    '',
+    body === undefined ? '' : JSON.stringify(body)
+  ].join('\r\n')).join('\r\n') + `\r\n--${boundary}--\r\n`;
+}
+
+/**
+ * Error body the Calendar API sends for a failed operation
+ * @param {number} code - HTTP status
+ * @param {string} reason - Error reason
+ * @returns {Object} The error body
+ */
+function apiError(code, reason) {
+  return {error: {code, message: `${reason} error`, errors: [{reason, message: `${reason} error`}]}};
+}
+
+describe('parseCalendarBatchResponse', () => {
+  test('reads the status and JSON body of every part, keyed by Content-ID', () => {
+    const body = buildBatchResponse('resp_1', [
+      {index: 1, status: 404, body: apiError(404, 'notFound')},
+      {index: 0, status: 200, body: {id: 'event0'}},
+      {index: 2, status: 204}
+    ]);
+
+    const responses = parseCalendarBatchResponse(body, 'multipart/mixed; boundary=resp_1');
+
+    expect(responses).toEqual({
+      0: {status: 200, data: {id: 'event0'}},
+      1: {status: 404, data: apiError(404, 'notFound')},
+      2: {status: 204, data: null}
+    });
+  });
+
+  test('accepts a quoted boundary and LF line endings', () => {
+    const body = buildBatchResponse('resp_2', [{index: 0, status: 200, body: {id: 'a'}}]).replace(/\r\n/g, '\n');
+
+    expect(parseCalendarBatchResponse(body, 'multipart/mixed; boundary="resp_2"'))
+      .toEqual({0: {status: 200, data: {id: 'a'}}});
+  });
+
+  test('keeps a body that is not JSON as the error message', () => {
+    const body = [
+      '--resp_3',
+      'Content-Type: application/http',
+      'Content-ID: <response-item0>',
+      '',
+      'HTTP/1.1 502 Bad Gateway',
+      'Content-Type: text/html',
+      '',
+      '<html>Bad Gateway</html>',
+      '--resp_3--'
+    ].join('\r\n');
+
+    expect(parseCalendarBatchResponse(body, 'multipart/mixed; boundary=resp_3'))
+      .toEqual({0: {status: 502, data: {error: {message: '<html>Bad Gateway</html>'}}}});
+  });
+
+  test('throws when the Content-Type names no boundary', () => {
+    expect(() => parseCalendarBatchResponse('', 'application/json')).toThrow('no multipart boundary');
+  });
+});
+
+describe('buildCalendarBatchPart', () => {
+  test('addresses the event and carries the resource as JSON', () => {
+    const part = buildCalendarBatchPart({
+      method: 'update',
+      calendarId: 'team@group.calendar.google.com',
+      eventId: 'abc',
+      resource: {summary: 'Show'},
+      sendUpdates: 'all'
+    }, 3);
+
+    expect(part).toBe([
+      'Content-Type: application/http',
+      'Content-ID: <item3>',
+      '',
+      'PUT /calendar/v3/calendars/team%40group.calendar.google.com/events/abc?sendUpdates=all HTTP/1.1',
+      'Content-Type: application/json',
+      '',
+      '{"summary":"Show"}'
+    ].join('\r\n'));
+  });
+
+  test('posts inserts to the events collection', () => {
+    const part = buildCalendarBatchPart({method: 'insert', calendarId: 'primary', resource: {id: 'x'}}, 0);
+    expect(part).toContain('POST /calendar/v3/calendars/primary/events HTTP/1.1');
+  });
+});
+
+describe('executeCalendarBatch', () => {
+  let server;
+  let endpoint;
+  let requests;
+  // Answers one operation of a batch request: {status, body}
+  let respond;
+
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        const operations = parseBatchRequest(body, request.headers['content-type']);
+        requests.push(operations);
+        const boundary = `resp_${requests.length}`;
+        response.writeHead(200, {'Content-Type': `multipart/mixed; boundary=${boundary}`});
+        const parts = operations
+          .map(operation => ({index: operation.index, ...respond(operation, requests.length)}))
+          .filter(part => part.status);
+        response.end(buildBatchResponse(boundary, parts));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/batch/calendar/v3`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    admin.__reset();
+    requests = [];
+    respond = operation => ({status: 200, body: {id: `event${operation.index}`}});
+    // No backoff between retries
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const insert = i => ({method: 'insert', calendarId: 'primary', resource: {id: `event${i}`, summary: `Row ${i}`}});
+
+  test('returns one result per operation, in order', async () => {
+    const results = await executeCalendarBatch(null, [
+      insert(0),
+      {method: 'patch', calendarId: 'primary', eventId: 'old1', resource: {summary: 'Moved'}},
+      {method: 'delete', calendarId: 'primary', eventId: 'old2'}
+    ], endpoint);
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].map(operation => `${operation.method} ${operation.path}`)).toEqual([
+      'POST /calendar/v3/calendars/primary/events',
+      'PATCH /calendar/v3/calendars/primary/events/old1',
+      'DELETE /calendar/v3/calendars/primary/events/old2'
+    ]);
+    expect(requests[0][0].resource).toEqual({id: 'event0', summary: 'Row 0'});
+    expect(results.map(result => result.ok)).toEqual([true, true, true]);
+    expect(results[0]).toEqual({ok: true, status: 200, data: {id: 'event0'}});
+  });
+
+  test('fails only the operations the API refused', async () => {
+    respond = operation => {
+      if (operation.index === 1) return {status: 404, body: apiError(404, 'notFound')};
+      if (operation.index === 2) return {status: 409, body: apiError(409, 'duplicate')};
+      return {status: 200, body: {id: `event${operation.index}`}};
+    };
+
+    const results = await executeCalendarBatch(null, [0, 1, 2, 3].map(insert), endpoint);
+
+    expect(requests).toHaveLength(1);
+    expect(results[0].ok).toBe(true);
+    expect(results[1]).toEqual({
+      ok: false,
+      status: 404,
+      data: apiError(404, 'notFound'),
+      error: 'notFound error',
+      reason: 'notFound'
+    });
+    expect(results[2]).toMatchObject({ok: false, status: 409, reason: 'duplicate'});
+    expect(results[3].ok).toBe(true);
+  });
+
+  test('sends again only the operations refused with a server error or rate limit', async () => {
+    respond = (operation, requestNumber) => {
+      if (requestNumber === 1 && operation.index === 1) return {status: 503, body: apiError(503, 'backendError')};
+      if (requestNumber === 1 && operation.index === 3) return {status: 403, body: apiError(403, 'rateLimitExceeded')};
+      return {status: 200, body: {id: `event${operation.index}`}};
+    };
+
+    const results = await executeCalendarBatch(null, [0, 1, 2, 3].map(insert), endpoint);
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].map(operation => operation.index)).toEqual([1, 3]);
+    expect(results.map(result => result.ok)).toEqual([true, true, true, true]);
+    expect(results[1].data).toEqual({id: 'event1'});
+  });
+
+  test('does not retry a permission error', async () => {
+    respond = operation => operation.index === 0 ?
+      {status: 403, body: apiError(403, 'forbidden')} :
+      {status: 200, body: {id: `event${operation.index}`}};
+
+    const results = await executeCalendarBatch(null, [0, 1].map(insert), endpoint);
+
+    expect(requests).toHaveLength(1);
+    expect(results[0]).toMatchObject({ok: false, status: 403, reason: 'forbidden'});
+  });
+
+  test('gives up on an operation that keeps failing with a server error', async () => {
+    respond = operation => operation.index === 0 ?
+      {status: 200, body: {id: 'event0'}} :
+      {status: 500, body: apiError(500, 'backendError')};
+
+    const results = await executeCalendarBatch(null, [0, 1].map(insert), endpoint);
+
+    // The first try and API_MAX_RETRIES retries of the failing operation
+    expect(requests.map(operations => operations.map(operation => operation.index)))
+      .toEqual([[0, 1], [1], [1], [1], [1], [1]]);
+    expect(results[1]).toMatchObject({ok: false, status: 500, reason: 'backendError'});
+  });
+
+  test('fails an operation missing from the response', async () => {
+    respond = operation => operation.index === 0 ? {} : {status: 200, body: {id: `event${operation.index}`}};
+
+    const results = await executeCalendarBatch(null, [0, 1].map(insert), endpoint);
+
+    expect(results[0]).toMatchObject({ok: false, status: 0, error: 'Missing from batch response'});
+    expect(results[1].ok).toBe(true);
+  });
+
+  test(`splits operations into requests of at most ${CALENDAR_BATCH_SIZE}`, async () => {
+    const operations = Array.from({length: CALENDAR_BATCH_SIZE * 2 + 7}, (_, i) => insert(i));
+
+    const results = await executeCalendarBatch(null, operations, endpoint);
+
+    expect(requests.map(request => request.length)).toEqual([CALENDAR_BATCH_SIZE, CALENDAR_BATCH_SIZE, 7]);
+    expect(requests[1][0].index).toBe(CALENDAR_BATCH_SIZE);
+    expect(results).toHaveLength(operations.length);
+    expect(results.every((result, i) => result.ok && result.data.id === `event${i}`)).toBe(true);
+  });
+});
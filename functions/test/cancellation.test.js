@@ -0,0 +1,120 @@
+const {
+  validateCancellationPolicy,
+  normalizeCancellationPolicy,
+  getCancellationPolicy,
+  isEventCancelled,
+  getProcessedMarker,
+  withRowEventState,
+  getRowCalendarId,
+  getSendUpdates,
+  computeRowHash
+} = require('../index').__test__;
+const { columns, makeRow } = require('./rows');
+
+const baseConfig = {calendarId: 'main@group.calendar.google.com', sendUpdates: 'none'};
+const withPolicy = policy => ({...baseConfig, cancellationPolicy: policy});
+
+const cancelledRow = makeRow({date: '01/05/25', eventTypeD: 'חתונה', title: 'Cohen', cancelled: 'TRUE'});
+const activeRow = makeRow({date: '01/05/25', eventTypeD: 'חתונה', title: 'Cohen'});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('validateCancellationPolicy', () => {
+  test('accepts every mode with its settings', () => {
+    expect(validateCancellationPolicy({mode: 'delete'})).toEqual([]);
+    expect(validateCancellationPolicy({mode: 'mark', prefix: 'בוטל: ', colorId: '8'})).toEqual([]);
+    expect(validateCancellationPolicy({mode: 'archive', archiveCalendarId: 'archive@group.calendar.google.com'})).toEqual([]);
+    expect(validateCancellationPolicy({mode: 'notify'})).toEqual([]);
+  });
+
+  test('reports every problem', () => {
+    expect(validateCancellationPolicy(null)).toEqual(['Cancellation policy must be an object']);
+    expect(validateCancellationPolicy({mode: 'hide', prefix: 3, colorId: '12'})).toEqual([
+      'Cancellation mode must be one of delete, mark, archive, notify',
+      'Cancellation prefix must be text',
+      'Cancellation color must be one of 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11'
+    ]);
+    expect(validateCancellationPolicy({mode: 'archive', archiveCalendarId: '  '}))
+      .toEqual(['The archive mode needs an archive calendar ID']);
+  });
+});
+
+describe('getCancellationPolicy', () => {
+  test('fills in the settings a configuration has not saved', () => {
+    expect(getCancellationPolicy({})).toEqual({mode: 'delete', prefix: 'Canceled: ', colorId: '11', archiveCalendarId: ''});
+    expect(getCancellationPolicy(withPolicy({mode: 'mark'}))).toMatchObject({mode: 'mark', prefix: 'Canceled: '});
+  });
+
+  test('keeps an empty prefix and color when they are saved that way', () => {
+    const policy = normalizeCancellationPolicy({mode: 'mark', prefix: '', archiveCalendarId: ' x '});
+    expect(policy).toEqual({mode: 'mark', prefix: '', colorId: '', archiveCalendarId: 'x'});
+    expect(getCancellationPolicy(withPolicy(policy))).toMatchObject({prefix: '', colorId: ''});
+  });
+});
+
+describe('withRowEventState', () => {
+  const build = (row, config, summary = 'Cohen') => withRowEventState({summary}, row, columns, config);
+
+  test('delete cancels the event and prefixes its summary', () => {
+    expect(build(cancelledRow, baseConfig)).toMatchObject({status: 'cancelled', summary: 'Canceled: Cohen'});
+    expect(build(cancelledRow, baseConfig).colorId).toBeUndefined();
+  });
+
+  test.each(['mark', 'archive', 'notify'])('%s keeps the event, with the prefix and the color', mode => {
+    const config = withPolicy({mode, archiveCalendarId: 'archive@group.calendar.google.com'});
+    expect(build(cancelledRow, config)).toEqual({status: 'confirmed', colorId: '11', summary: 'Canceled: Cohen'});
+  });
+
+  test('does not add the prefix twice', () => {
+    expect(build(cancelledRow, baseConfig, 'Canceled: Cohen').summary).toBe('Canceled: Cohen');
+  });
+
+  test('restores an un-cancelled row', () => {
+    const config = withPolicy({mode: 'mark', prefix: 'בוטל: '});
+    expect(build(activeRow, config, 'בוטל: Cohen')).toEqual({status: 'confirmed', colorId: undefined, summary: 'Cohen'});
+  });
+});
+
+describe('cancelled rows', () => {
+  const archive = withPolicy({mode: 'archive', archiveCalendarId: 'archive@group.calendar.google.com'});
+
+  test('move to the archive calendar in archive mode only', () => {
+    expect(getRowCalendarId(cancelledRow, columns, archive)).toBe('archive@group.calendar.google.com');
+    expect(getRowCalendarId(activeRow, columns, archive)).toBe(baseConfig.calendarId);
+    expect(getRowCalendarId(cancelledRow, columns, withPolicy({mode: 'mark'}))).toBe(baseConfig.calendarId);
+  });
+
+  test('notify every attendee in notify mode only', () => {
+    const notify = withPolicy({mode: 'notify'});
+    expect(getSendUpdates(notify, cancelledRow, columns)).toBe('all');
+    expect(getSendUpdates(notify, activeRow, columns)).toBe('none');
+    expect(getSendUpdates(baseConfig, cancelledRow, columns)).toBe('none');
+  });
+
+  test('are marked CANCELLED in the processed column', () => {
+    expect(getProcessedMarker(baseConfig, true)).toBe('CANCELLED');
+    expect(getProcessedMarker(baseConfig, false)).toBe('PROCESSED');
+    expect(getProcessedMarker({processedMarker: 'סונכרן'}, false)).toBe('סונכרן');
+  });
+
+  test('get a new fingerprint when the policy changes', () => {
+    const mark = withPolicy({mode: 'mark'});
+    expect(computeRowHash(cancelledRow, columns, mark)).not.toBe(computeRowHash(cancelledRow, columns, baseConfig));
+    expect(computeRowHash(activeRow, columns, mark)).toBe(computeRowHash(activeRow, columns, baseConfig));
+  });
+});
+
+describe('isEventCancelled', () => {
+  test('recognises cancelled and prefixed events', () => {
+    expect(isEventCancelled({status: 'cancelled', summary: 'Cohen'}, baseConfig)).toBe(true);
+    expect(isEventCancelled({status: 'confirmed', summary: 'Canceled: Cohen'}, baseConfig)).toBe(true);
+    expect(isEventCancelled({status: 'confirmed', summary: 'Cohen'}, baseConfig)).toBe(false);
+    expect(isEventCancelled({status: 'confirmed', summary: 'Cohen'}, withPolicy({mode: 'mark', prefix: ''}))).toBe(false);
+  });
+});
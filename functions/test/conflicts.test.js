@@ -0,0 +1,164 @@
+const {
+  normalizeTechnicianName,
+  detectTechnicianConflicts,
+  groupConflictsByRow,
+  formatConflictFlag
+} = require('../index').__test__;
+const { columns, makeRow } = require('./rows');
+
+const config = {timezone: 'Asia/Jerusalem'};
+const inRange = () => true;
+
+/**
+ * Directory entry as built by loadTechnicianDirectory
+ * @param {string} id - Document ID
+ * @param {string} displayName - Display name
+ * @param {Array} [aliases] - Other names
+ * @returns {Object} The entry
+ */
+function technician(id, displayName, aliases = []) {
+  return {id, displayName, aliases, active: true, keys: [displayName, ...aliases].map(normalizeTechnicianName)};
+}
+
+const directory = [technician('dani', 'דני כהן', ['דני']), technician('yossi', 'Yossi Levi')];
+
+/**
+ * Detect conflicts between rows, with every row in range
+ * @param {Array} rows - Sheet rows
+ * @returns {Array} Conflicts
+ */
+function detect(rows) {
+  return detectTechnicianConflicts(rows, columns, config, directory, inRange);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('detectTechnicianConflicts', () => {
+  test('reports a technician on two overlapping rows', () => {
+    const rows = [
+      makeRow({date: '01/05/25', title: 'Wedding', startTime: '18:00', endTime: '23:00', technicians: ['דני כהן']}),
+      makeRow({
+        date: '01/05/25',
+        title: 'Concert',
+        startTime: '20:00',
+        endTime: '23:30',
+        technicians: ['Yossi Levi', 'דני כהן'],
+        rowId: 'aaaaaaaaaaaaaaaa'
+      })
+    ];
+
+    expect(detect(rows)).toEqual([{
+      technician: 'דני כהן',
+      technicianId: 'dani',
+      rows: [
+        {rowId: null, rowIndex: 0, sheetRow: 2, title: 'Wedding', date: '01/05/25',
+          start: '2025-05-01T15:00:00.000Z', end: '2025-05-01T20:00:00.000Z'},
+        {rowId: 'aaaaaaaaaaaaaaaa', rowIndex: 1, sheetRow: 3, title: 'Concert', date: '01/05/25',
+          start: '2025-05-01T17:00:00.000Z', end: '2025-05-01T20:30:00.000Z'}
+      ]
+    }]);
+  });
+
+  test('knows a person by an alias or a typo of their name', () => {
+    const rows = [
+      makeRow({date: '01/05/25', startTime: '18:00', endTime: '23:00', technicians: ['דני']}),
+      makeRow({date: '01/05/25', startTime: '19:00', endTime: '22:00', technicians: ['דני כהם']})
+    ];
+
+    const conflicts = detect(rows);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].technicianId).toBe('dani');
+  });
+
+  test('compares names outside the directory as typed', () => {
+    const rows = [
+      makeRow({date: '01/05/25', startTime: '18:00', endTime: '23:00', technicians: ['Moshe']}),
+      makeRow({date: '01/05/25', startTime: '19:00', endTime: '22:00', technicians: [' moshe ']})
+    ];
+
+    expect(detect(rows)).toEqual([expect.objectContaining({technician: 'Moshe', technicianId: null})]);
+  });
+
+  test('allows back-to-back rows and different technicians', () => {
+    const rows = [
+      makeRow({date: '01/05/25', startTime: '12:00', endTime: '17:00', technicians: ['דני']}),
+      makeRow({date: '01/05/25', startTime: '17:00', endTime: '23:00', technicians: ['דני']}),
+      makeRow({date: '01/05/25', startTime: '17:00', endTime: '23:00', technicians: ['Yossi Levi']})
+    ];
+
+    expect(detect(rows)).toEqual([]);
+  });
+
+  test('catches an overnight row running into the next morning', () => {
+    const rows = [
+      makeRow({date: '01/05/25', startTime: '22:00', endTime: '04:00', technicians: ['Yossi Levi']}),
+      makeRow({date: '02/05/25', startTime: '02:00', endTime: '06:00', technicians: ['Yossi Levi']})
+    ];
+
+    expect(detect(rows)).toHaveLength(1);
+  });
+
+  test('ignores cancelled rows and rows without a readable date', () => {
+    const rows = [
+      makeRow({date: '01/05/25', startTime: '18:00', endTime: '23:00', technicians: ['דני']}),
+      makeRow({date: '01/05/25', startTime: '18:00', endTime: '23:00', technicians: ['דני'], cancelled: 'TRUE'}),
+      makeRow({date: 'soon', startTime: '18:00', endTime: '23:00', technicians: ['דני']})
+    ];
+
+    expect(detect(rows)).toEqual([]);
+  });
+
+  test('does not flag a technician listed twice on one row', () => {
+    const rows = [makeRow({date: '01/05/25', startTime: '18:00', technicians: ['דני', 'דני כהן']})];
+    expect(detect(rows)).toEqual([]);
+  });
+
+  test('reports two overlapping multi-day series rows once', () => {
+    const withEndDate = {...columns, endDate: columns.notes};
+    const rows = [
+      makeRow({date: '01/05/25', notes: '03/05/25', startTime: '10:00', endTime: '18:00', technicians: ['דני']}),
+      makeRow({date: '02/05/25', notes: '03/05/25', startTime: '12:00', endTime: '14:00', technicians: ['דני']})
+    ];
+
+    const conflicts = detectTechnicianConflicts(rows, withEndDate, {...config, multiDayMode: 'series'}, directory, inRange);
+    expect(conflicts).toHaveLength(1);
+  });
+
+  test('only looks at rows in range', () => {
+    const rows = [
+      makeRow({date: '01/05/25', startTime: '18:00', technicians: ['דני']}),
+      makeRow({date: '01/05/25', startTime: '18:00', technicians: ['דני'], title: 'Old'})
+    ];
+
+    const conflicts = detectTechnicianConflicts(rows, columns, config, directory, row => row[columns.title] !== 'Old');
+    expect(conflicts).toEqual([]);
+  });
+});
+
+describe('conflict flags', () => {
+  test('list the other row of every conflict on each row', () => {
+    const rows = [
+      makeRow({date: '01/05/25', title: 'A', startTime: '18:00', technicians: ['דני', 'Yossi Levi']}),
+      makeRow({date: '01/05/25', title: 'B', startTime: '19:00', technicians: ['דני']}),
+      makeRow({date: '01/05/25', title: 'C', startTime: '20:00', technicians: ['Yossi Levi']})
+    ];
+
+    const byRow = groupConflictsByRow(detect(rows));
+
+    expect(Object.keys(byRow)).toEqual(['0', '1', '2']);
+    expect(formatConflictFlag(byRow[0])).toBe('כפילות: דני כהן (שורה 3); כפילות: Yossi Levi (שורה 4)');
+    expect(formatConflictFlag(byRow[1])).toBe('כפילות: דני כהן (שורה 2)');
+    expect(formatConflictFlag(byRow[2])).toBe('כפילות: Yossi Levi (שורה 2)');
+  });
+
+  test('are empty for a row without conflicts', () => {
+    expect(formatConflictFlag(undefined)).toBe('');
+    expect(formatConflictFlag([])).toBe('');
+  });
+});
@@ -0,0 +1,169 @@
+const {
+  parseSheetDate,
+  parseTimeOfDay,
+  parseTimeRange,
+  isTimePlaceholder,
+  normalizeSheetRow,
+  getRowDateProblem,
+  getEventTimes
+} = require('../index').__test__;
+const { columns, makeRow } = require('./rows');
+
+describe('parseSheetDate', () => {
+  test.each([
+    ['01/05/25', {year: 2025, month: 5, day: 1}],
+    ['1/5/2025', {year: 2025, month: 5, day: 1}],
+    ['01.05.25', {year: 2025, month: 5, day: 1}],
+    ['01-05-2025', {year: 2025, month: 5, day: 1}],
+    [' 29/02/24 ', {year: 2024, month: 2, day: 29}]
+  ])('reads %p', (value, expected) => {
+    expect(parseSheetDate(value)).toEqual(expected);
+  });
+
+  test('reads Sheets serial numbers', () => {
+    expect(parseSheetDate(45658)).toEqual({year: 2025, month: 1, day: 1});
+    // The time of day in a date-time serial is ignored
+    expect(parseSheetDate(45658.75)).toEqual({year: 2025, month: 1, day: 1});
+  });
+
+  test.each(['', '31/02/25', '29/02/25', '13/13/25', '2025-05-01', 'מחר', 0, -3, NaN, null])('rejects %p', value => {
+    expect(parseSheetDate(value)).toBeNull();
+  });
+});
+
+describe('parseTimeOfDay', () => {
+  test.each([
+    ['18:30', {hours: 18, minutes: 30}],
+    ['9:05', {hours: 9, minutes: 5}],
+    ['21.15', {hours: 21, minutes: 15}],
+    ['07:00:00', {hours: 7, minutes: 0}],
+    [0.75, {hours: 18, minutes: 0}],
+    [45658.5, {hours: 12, minutes: 0}]
+  ])('reads %p', (value, expected) => {
+    expect(parseTimeOfDay(value)).toEqual(expected);
+  });
+
+  test.each(['24:00', '12:60', '1830', 'evening', '', -0.5, null])('rejects %p', value => {
+    expect(parseTimeOfDay(value)).toBeNull();
+  });
+});
+
+describe('parseTimeRange', () => {
+  test('reads a start and end written in one cell', () => {
+    const expected = {start: {hours: 17, minutes: 30}, end: {hours: 23, minutes: 0}};
+    expect(parseTimeRange('17:30-23:00')).toEqual(expected);
+    expect(parseTimeRange('17:30 – 23:00')).toEqual(expected);
+  });
+
+  test('is null for a single time or an unreadable range', () => {
+    expect(parseTimeRange('17:30')).toBeNull();
+    expect(parseTimeRange('17:30-late')).toBeNull();
+    expect(parseTimeRange(0.75)).toBeNull();
+  });
+});
+
+describe('isTimePlaceholder', () => {
+  test('recognises the "not decided yet" values', () => {
+    expect(isTimePlaceholder('TBD')).toBe(true);
+    expect(isTimePlaceholder(' tba ')).toBe(true);
+    expect(isTimePlaceholder('טרם נקבע')).toBe(true);
+    expect(isTimePlaceholder('18:00')).toBe(false);
+    expect(isTimePlaceholder(0.75)).toBe(false);
+  });
+});
+
+describe('normalizeSheetRow', () => {
+  test('writes dates as DD/MM/YY and times as HH:MM', () => {
+    const row = makeRow({date: 45658, startTime: 0.8125, endTime: 0.5});
+    normalizeSheetRow(row, columns);
+    expect(row[columns.date]).toBe('01/01/25');
+    expect(row[columns.startTime]).toBe('19:30');
+    expect(row[columns.endTime]).toBe('12:00');
+  });
+
+  test('splits a time range into the start and empty end columns', () => {
+    const row = makeRow({date: '1.5.2025', startTime: '20:00-02:00'});
+    normalizeSheetRow(row, columns);
+    expect(row[columns.date]).toBe('01/05/25');
+    expect(row[columns.startTime]).toBe('20:00');
+    expect(row[columns.endTime]).toBe('02:00');
+  });
+
+  test('leaves an end time that is filled in and cells it cannot read', () => {
+    const row = makeRow({date: 'next week', startTime: '20:00-02:00', endTime: '03:00'});
+    normalizeSheetRow(row, columns);
+    expect(row[columns.date]).toBe('next week');
+    expect(row[columns.endTime]).toBe('03:00');
+  });
+});
+
+describe('getRowDateProblem', () => {
+  test('ignores rows without a date and accepts readable rows', () => {
+    expect(getRowDateProblem(makeRow({title: 'Note'}), columns)).toBeNull();
+    expect(getRowDateProblem(makeRow({date: '01/05/25', startTime: 'TBD'}), columns)).toBeNull();
+  });
+
+  test.each([
+    [{date: '32/05/25'}, 'invalid-date'],
+    [{date: '01/05/25', startTime: 'evening'}, 'invalid-start-time'],
+    [{date: '01/05/25', startTime: '18:00', endTime: '25:00'}, 'invalid-end-time']
+  ])('reports %p as %s', (fields, code) => {
+    expect(getRowDateProblem(makeRow(fields), columns)).toMatchObject({code});
+  });
+});
+
+describe('getEventTimes', () => {
+  const config = {timezone: 'Asia/Jerusalem'};
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('uses the zone offset of the event date, across DST', () => {
+    const summer = getEventTimes(makeRow({date: '01/07/25', startTime: '18:00', endTime: '23:00'}), columns, config);
+    const winter = getEventTimes(makeRow({date: '01/12/25', startTime: '18:00', endTime: '23:00'}), columns, config);
+
+    expect(summer).toEqual({
+      start: {dateTime: '2025-07-01T18:00:00+03:00', timeZone: 'Asia/Jerusalem'},
+      end: {dateTime: '2025-07-01T23:00:00+03:00', timeZone: 'Asia/Jerusalem'}
+    });
+    expect(winter.start.dateTime).toBe('2025-12-01T18:00:00+02:00');
+  });
+
+  test('ends an overnight event on the next day', () => {
+    const times = getEventTimes(makeRow({date: '01/05/25', startTime: '20:00', endTime: '02:00'}), columns, config);
+    expect(times.end.dateTime).toBe('2025-05-02T02:00:00+03:00');
+  });
+
+  test('starts at 17:00 and lasts six hours when the times are missing', () => {
+    const times = getEventTimes(makeRow({date: '01/05/25'}), columns, config);
+    expect(times.start.dateTime).toBe('2025-05-01T17:00:00+03:00');
+    expect(times.end.dateTime).toBe('2025-05-01T23:00:00+03:00');
+  });
+
+  test('makes an all-day event for a placeholder start time', () => {
+    const times = getEventTimes(makeRow({date: '01/05/25', startTime: 'TBD'}), columns, config);
+    expect(times).toEqual({start: {date: '2025-05-01'}, end: {date: '2025-05-02'}});
+  });
+
+  test('spans to the end date in span mode only', () => {
+    const withEndDate = {...columns, endDate: columns.notes};
+    const row = makeRow({date: '01/05/25', notes: '03/05/25', startTime: '10:00', endTime: '18:00'});
+
+    expect(getEventTimes(row, withEndDate, config).end.dateTime).toBe('2025-05-03T18:00:00+03:00');
+    expect(getEventTimes(row, withEndDate, {...config, multiDayMode: 'series'}).end.dateTime)
+      .toBe('2025-05-01T18:00:00+03:00');
+  });
+
+  test('uses the timezone named on the row', () => {
+    const withTimezone = {...columns, timezone: columns.notes};
+    const row = makeRow({date: '01/05/25', startTime: '18:00', notes: 'Europe/Berlin'});
+
+    expect(getEventTimes(row, withTimezone, config).start)
+      .toEqual({dateTime: '2025-05-01T18:00:00+02:00', timeZone: 'Europe/Berlin'});
+  });
+});
@@ -0,0 +1,220 @@
+const {
+  getRowEventId,
+  getResourceEventId,
+  batchInsertRowEvents,
+  groupDuplicateEvents,
+  pickDuplicateKeeper,
+  planDuplicateMerge
+} = require('../index').__test__;
+
+const config = {spreadsheetId: 'sheet1'};
+const rowId = '0123456789abcdef';
+
+/**
+ * Calendar event carrying row metadata
+ * @param {string} id - Event ID
+ * @param {Object} fields - Other event fields; rowId and linkKey go into the metadata
+ * @returns {Object} The event
+ */
+function rowEvent(id, { rowId: eventRowId, linkKey, ...fields } = {}) {
+  const stored = {};
+  if (eventRowId) stored.rowId = eventRowId;
+  if (linkKey) stored.linkKey = linkKey;
+  return {id, status: 'confirmed', extendedProperties: {private: stored}, ...fields};
+}
+
+describe('getRowEventId', () => {
+  test('is the same for the same spreadsheet, row and link key', () => {
+    expect(getRowEventId(config, rowId)).toBe(getRowEventId({...config, sheetName: 'Other'}, rowId));
+    expect(getRowEventId(config, rowId, 'setup')).toBe(getRowEventId(config, rowId, 'setup'));
+  });
+
+  test('differs between rows, link keys and spreadsheets', () => {
+    const ids = new Set([
+      getRowEventId(config, rowId),
+      getRowEventId(config, 'fedcba9876543210'),
+      getRowEventId(config, rowId, 'setup'),
+      getRowEventId(config, rowId, 'day-2'),
+      getRowEventId({spreadsheetId: 'sheet2'}, rowId)
+    ]);
+    expect(ids.size).toBe(5);
+  });
+
+  test('is a valid Calendar event ID', () => {
+    // base32hex characters, 5 to 1024 long
+    expect(getRowEventId(config, rowId)).toMatch(/^[0-9a-v]{5,1024}$/);
+    expect(getRowEventId(config, rowId)).toHaveLength(43);
+  });
+
+  test('is null for a row without an ID', () => {
+    expect(getRowEventId(config, null)).toBeNull();
+    expect(getRowEventId(config, '')).toBeNull();
+  });
+
+  test('is read from the metadata of an event resource', () => {
+    expect(getResourceEventId(config, rowEvent(undefined, {rowId, linkKey: 'setup'})))
+      .toBe(getRowEventId(config, rowId, 'setup'));
+    expect(getResourceEventId(config, {summary: 'No metadata'})).toBeNull();
+  });
+});
+
+describe('batchInsertRowEvents', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const insert = (resource, extra = {}) => ({method: 'insert', calendarId: 'primary', resource, ...extra});
+
+  test('inserts under the derived ID and updates the events that already exist', async () => {
+    const calendarService = {
+      batch: jest.fn()
+        .mockResolvedValueOnce([{ok: true, status: 200, data: {}}, {ok: false, status: 409}])
+        .mockResolvedValueOnce([{ok: true, status: 200, data: {id: 'updated'}}])
+    };
+    const existing = rowEvent(undefined, {rowId: 'fedcba9876543210', summary: 'Retry'});
+
+    const results = await batchInsertRowEvents(calendarService, config, [
+      insert(rowEvent(undefined, {rowId, summary: 'New'})),
+      insert(existing)
+    ]);
+
+    const [inserts] = calendarService.batch.mock.calls[0];
+    expect(inserts.map(operation => operation.resource.id))
+      .toEqual([getRowEventId(config, rowId), getRowEventId(config, 'fedcba9876543210')]);
+    expect(calendarService.batch.mock.calls[1][0]).toEqual([{
+      method: 'update',
+      calendarId: 'primary',
+      sendUpdates: undefined,
+      eventId: getRowEventId(config, 'fedcba9876543210'),
+      resource: {...existing, id: getRowEventId(config, 'fedcba9876543210'), status: 'confirmed'}
+    }]);
+    expect(results[1]).toEqual({ok: true, status: 200, data: {id: 'updated'}});
+  });
+
+  test('uses the tracked event ID of a row over the derived one', async () => {
+    const calendarService = {batch: jest.fn().mockResolvedValue([{ok: true, status: 200, data: {}}])};
+
+    await batchInsertRowEvents(calendarService, config, [
+      insert(rowEvent(undefined, {rowId}), {eventId: 'legacyevent1'})
+    ]);
+
+    const [[operation]] = calendarService.batch.mock.calls[0];
+    expect(operation.resource.id).toBe('legacyevent1');
+    expect(operation).not.toHaveProperty('eventId');
+  });
+});
+
+describe('groupDuplicateEvents', () => {
+  test('groups events of the same row and link key', () => {
+    const events = [
+      rowEvent('a', {rowId}),
+      rowEvent('b', {rowId}),
+      rowEvent('c', {rowId, linkKey: 'setup'}),
+      rowEvent('d', {rowId: 'fedcba9876543210'})
+    ];
+
+    expect(groupDuplicateEvents(events).map(group => group.map(event => event.id))).toEqual([['a', 'b']]);
+  });
+
+  test('groups events without metadata by title and start date', () => {
+    const events = [
+      {id: 'a', summary: 'Wedding ', start: {dateTime: '2025-05-01T17:00:00+03:00'}},
+      {id: 'b', summary: 'wedding', start: {dateTime: '2025-05-01T19:00:00+03:00'}},
+      {id: 'c', summary: 'Wedding', start: {dateTime: '2025-05-02T17:00:00+03:00'}},
+      {id: 'd', summary: 'Festival', start: {date: '2025-05-01'}},
+      {id: 'e', summary: 'Festival', start: {date: '2025-05-01'}}
+    ];
+
+    expect(groupDuplicateEvents(events).map(group => group.map(event => event.id))).toEqual([['a', 'b'], ['d', 'e']]);
+  });
+
+  test('ignores cancelled events', () => {
+    const events = [rowEvent('a', {rowId}), rowEvent('b', {rowId, status: 'cancelled'})];
+    expect(groupDuplicateEvents(events)).toEqual([]);
+  });
+});
+
+describe('pickDuplicateKeeper', () => {
+  const deterministicId = getRowEventId(config, rowId);
+
+  test('keeps the tracked event', () => {
+    const group = [rowEvent(deterministicId, {rowId}), rowEvent('tracked', {rowId})];
+    expect(pickDuplicateKeeper(group, config, {[rowId]: {eventId: 'tracked'}}).id).toBe('tracked');
+  });
+
+  test('keeps the event with the deterministic ID when none is tracked', () => {
+    const group = [
+      rowEvent('older', {rowId, created: '2025-01-01T00:00:00Z'}),
+      rowEvent(deterministicId, {rowId, created: '2025-02-01T00:00:00Z'})
+    ];
+    expect(pickDuplicateKeeper(group, config, {}).id).toBe(deterministicId);
+  });
+
+  test('ignores tracking for linked events, whose IDs it does not hold', () => {
+    const setupId = getRowEventId(config, rowId, 'setup');
+    const group = [rowEvent('tracked', {rowId, linkKey: 'setup'}), rowEvent(setupId, {rowId, linkKey: 'setup'})];
+    expect(pickDuplicateKeeper(group, config, {[rowId]: {eventId: 'tracked'}}).id).toBe(setupId);
+  });
+
+  test('keeps the oldest event otherwise', () => {
+    const group = [
+      {id: 'b', summary: 'Wedding', created: '2025-03-01T00:00:00Z'},
+      {id: 'a', summary: 'Wedding', created: '2025-01-01T00:00:00Z'}
+    ];
+    expect(pickDuplicateKeeper(group, config, {}).id).toBe('a');
+  });
+});
+
+describe('planDuplicateMerge', () => {
+  const otherRowId = 'fedcba9876543210';
+  const start = {dateTime: '2025-05-01T17:00:00+03:00'};
+
+  test('plans every removed copy against its own row', () => {
+    const group = [
+      rowEvent('keeper', {rowId, summary: 'Wedding', start}),
+      rowEvent('copy', {rowId, summary: 'Wedding', start}),
+      rowEvent('other', {rowId: otherRowId, summary: 'Wedding', start})
+    ];
+    const trackingData = {[rowId]: {eventId: 'copy'}, [otherRowId]: {eventId: 'other'}};
+
+    const merge = planDuplicateMerge(group, group[0], 'cal1', trackingData);
+
+    expect(merge.plan.map(entry => [entry.rowId, entry.eventId])).toEqual([[rowId, 'copy'], [otherRowId, 'other']]);
+    expect(merge.removals).toEqual([{calendarId: 'cal1', eventId: 'copy'}, {calendarId: 'cal1', eventId: 'other'}]);
+    // Only the kept copy's own row moves to it; the other row is created again
+    expect(merge.repoints).toEqual([{rowId, eventId: 'keeper', calendarId: 'cal1'}]);
+    expect(merge.clears).toEqual([otherRowId]);
+  });
+
+  test('finds the row of a copy without metadata from its tracking', () => {
+    const group = [
+      {id: 'a', summary: 'Wedding', start},
+      {id: 'b', summary: 'Wedding', start},
+      {id: 'c', summary: 'Wedding', start}
+    ];
+    const trackingData = {[rowId]: {eventId: 'b'}, [otherRowId]: {eventId: 'c'}};
+
+    const merge = planDuplicateMerge(group, group[0], 'cal1', trackingData);
+
+    expect(merge.plan.map(entry => entry.rowId)).toEqual([rowId, otherRowId]);
+    expect(merge.repoints).toEqual([{rowId, eventId: 'a', calendarId: 'cal1'}]);
+    expect(merge.clears).toEqual([otherRowId]);
+  });
+
+  test('leaves tracking of other events and linked events alone', () => {
+    const group = [
+      rowEvent('keeper', {rowId, linkKey: 'setup', start}),
+      rowEvent('copy', {rowId, linkKey: 'setup', start})
+    ];
+
+    const merge = planDuplicateMerge(group, group[0], 'cal1', {[rowId]: {eventId: 'main'}});
+
+    expect(merge.plan).toEqual([expect.objectContaining({action: 'delete', rowId, eventId: 'copy'})]);
+    expect(merge.repoints).toEqual([]);
+    expect(merge.clears).toEqual([]);
+  });
+});
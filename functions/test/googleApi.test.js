@@ -0,0 +1,216 @@
+const admin = require('firebase-admin');
+const {
+  SHEET_WRITE_BATCH_LIMIT,
+  callGoogleApi,
+  wrapGoogleService
+} = require('../index').__test__;
+
+/**
+ * Error shaped like the ones googleapis throws
+ * @param {number} status - HTTP status
+ * @param {string} [reason] - Error reason
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} The error
+ */
+function apiError(status, reason = '', headers = {}) {
+  const error = new Error(`HTTP ${status}`);
+  error.code = status;
+  error.response = {status, headers};
+  error.errors = [{reason}];
+  return error;
+}
+
+/**
+ * Sheets client whose batchUpdate answers every range it is sent
+ * @returns {Object} The client
+ */
+function fakeSheets() {
+  return {
+    spreadsheets: {
+      values: {
+        get: jest.fn(async params => ({data: {range: params.range, values: [['a']]}})),
+        update: jest.fn(async params => ({data: {updatedRange: params.range}})),
+        batchUpdate: jest.fn(async params => ({
+          status: 200,
+          data: {responses: params.resource.data.map(write => ({updatedRange: write.range}))}
+        }))
+      }
+    }
+  };
+}
+
+const write = (spreadsheetId, range, value) => ({
+  spreadsheetId,
+  range,
+  valueInputOption: 'RAW',
+  resource: {values: [[value]]}
+});
+
+beforeEach(() => {
+  admin.__reset();
+  // No backoff between retries
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('wrapGoogleService', () => {
+  test('passes calls on nested resources through with their arguments', async () => {
+    const client = fakeSheets();
+    const sheets = wrapGoogleService(client, 'sheets');
+
+    const response = await sheets.spreadsheets.values.get({spreadsheetId: 's1', range: 'A1'});
+
+    expect(response.data).toEqual({range: 'A1', values: [['a']]});
+    expect(client.spreadsheets.values.get).toHaveBeenCalledWith({spreadsheetId: 's1', range: 'A1'});
+  });
+
+  test('sends writes to one spreadsheet made together as one batch update', async () => {
+    const client = fakeSheets();
+    const sheets = wrapGoogleService(client, 'sheets');
+
+    const responses = await Promise.all([
+      sheets.spreadsheets.values.update(write('s1', 'Bookings!AK2', 'PROCESSED')),
+      sheets.spreadsheets.values.update(write('s1', 'Bookings!AL2', 'event1')),
+      sheets.spreadsheets.values.update(write('s2', 'Bookings!AK9', 'PROCESSED'))
+    ]);
+
+    expect(client.spreadsheets.values.update).not.toHaveBeenCalled();
+    expect(client.spreadsheets.values.batchUpdate).toHaveBeenCalledTimes(2);
+    expect(client.spreadsheets.values.batchUpdate).toHaveBeenCalledWith({
+      spreadsheetId: 's1',
+      resource: {
+        valueInputOption: 'RAW',
+        data: [
+          {range: 'Bookings!AK2', values: [['PROCESSED']]},
+          {range: 'Bookings!AL2', values: [['event1']]}
+        ]
+      }
+    });
+    // Each caller gets the part of the response for its own range
+    expect(responses.map(response => response.data.updatedRange))
+      .toEqual(['Bookings!AK2', 'Bookings!AL2', 'Bookings!AK9']);
+    expect(responses[0].status).toBe(200);
+  });
+
+  test('keeps writes with different input options apart', async () => {
+    const client = fakeSheets();
+    const sheets = wrapGoogleService(client, 'sheets');
+
+    await Promise.all([
+      sheets.spreadsheets.values.update(write('s1', 'A2', 'x')),
+      sheets.spreadsheets.values.update({...write('s1', 'A3', '=A2'), valueInputOption: 'USER_ENTERED'})
+    ]);
+
+    expect(client.spreadsheets.values.batchUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  test('sends a write with other parameters on its own', async () => {
+    const client = fakeSheets();
+    const sheets = wrapGoogleService(client, 'sheets');
+    const params = {...write('s1', 'A2', 'x'), includeValuesInResponse: true};
+
+    await sheets.spreadsheets.values.update(params);
+
+    expect(client.spreadsheets.values.update).toHaveBeenCalledWith(params);
+    expect(client.spreadsheets.values.batchUpdate).not.toHaveBeenCalled();
+  });
+
+  test(`flushes at once when ${SHEET_WRITE_BATCH_LIMIT} writes are queued`, async () => {
+    const client = fakeSheets();
+    const sheets = wrapGoogleService(client, 'sheets');
+
+    const writes = Array.from({length: SHEET_WRITE_BATCH_LIMIT + 1}, (_, i) =>
+      sheets.spreadsheets.values.update(write('s1', `A${i + 2}`, i)));
+    await Promise.all(writes);
+
+    const batches = client.spreadsheets.values.batchUpdate.mock.calls.map(([params]) => params.resource.data.length);
+    expect(batches).toEqual([SHEET_WRITE_BATCH_LIMIT, 1]);
+  });
+
+  test('fails only the invalid write of a batch the API refused', async () => {
+    const client = fakeSheets();
+    client.spreadsheets.values.batchUpdate.mockRejectedValue(apiError(400, 'badRequest'));
+    client.spreadsheets.values.update.mockImplementation(async params => {
+      if (params.range === 'Missing!A3') throw apiError(400, 'badRequest');
+      return {data: {updatedRange: params.range}};
+    });
+    const sheets = wrapGoogleService(client, 'sheets');
+
+    const results = await Promise.allSettled([
+      sheets.spreadsheets.values.update(write('s1', 'Bookings!AK2', 'PROCESSED')),
+      sheets.spreadsheets.values.update(write('s1', 'Missing!A3', 'x')),
+      sheets.spreadsheets.values.update(write('s1', 'Bookings!AL2', 'event1'))
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+    expect(results[0].value.data.updatedRange).toBe('Bookings!AK2');
+    expect(results[1].reason.message).toBe('HTTP 400');
+    expect(client.spreadsheets.values.update).toHaveBeenCalledTimes(3);
+  });
+
+  test('fails a write that was sent alone without sending it again', async () => {
+    const client = fakeSheets();
+    client.spreadsheets.values.batchUpdate.mockRejectedValue(apiError(400, 'badRequest'));
+    const sheets = wrapGoogleService(client, 'sheets');
+
+    await expect(sheets.spreadsheets.values.update(write('s1', 'A2', 'x'))).rejects.toThrow('HTTP 400');
+    expect(client.spreadsheets.values.update).not.toHaveBeenCalled();
+  });
+
+  test('adds the extra methods it is given', async () => {
+    const batch = jest.fn(async operations => operations.map(() => ({ok: true})));
+    const calendar = wrapGoogleService({events: {insert: jest.fn()}}, 'calendar', '', {batch});
+
+    expect(await calendar.batch([{method: 'insert'}])).toEqual([{ok: true}]);
+  });
+});
+
+describe('callGoogleApi', () => {
+  test('retries rate limits and server errors', async () => {
+    const call = jest.fn()
+      .mockRejectedValueOnce(apiError(429))
+      .mockRejectedValueOnce(apiError(503))
+      .mockRejectedValueOnce(apiError(403, 'userRateLimitExceeded'))
+      .mockResolvedValueOnce({data: 'ok'});
+
+    expect(await callGoogleApi('sheets', 'spreadsheets.values.get', call)).toEqual({data: 'ok'});
+    expect(call).toHaveBeenCalledTimes(4);
+  });
+
+  test('retries dropped connections', async () => {
+    const reset = Object.assign(new Error('socket hang up'), {code: 'ECONNRESET'});
+    const call = jest.fn().mockRejectedValueOnce(reset).mockResolvedValueOnce({data: 'ok'});
+
+    expect(await callGoogleApi('calendar', 'events.get', call)).toEqual({data: 'ok'});
+  });
+
+  test('does not retry other errors', async () => {
+    const call = jest.fn().mockRejectedValue(apiError(403, 'forbidden'));
+
+    await expect(callGoogleApi('calendar', 'events.get', call)).rejects.toThrow('HTTP 403');
+    expect(call).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after five retries', async () => {
+    const call = jest.fn().mockRejectedValue(apiError(500));
+
+    await expect(callGoogleApi('calendar', 'events.get', call)).rejects.toThrow('HTTP 500');
+    expect(call).toHaveBeenCalledTimes(6);
+  });
+
+  test('waits as long as Retry-After asks', async () => {
+    const call = jest.fn()
+      .mockRejectedValueOnce(apiError(429, '', {'retry-after': '0.05'}))
+      .mockResolvedValueOnce({data: 'ok'});
+
+    const started = Date.now();
+    await callGoogleApi('sheets', 'spreadsheets.values.get', call);
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+  });
+});
@@ -0,0 +1,172 @@
+const admin = require('firebase-admin');
+const {
+  generateRowId,
+  isRowIdInNamespace,
+  pickRowIdKeeper,
+  ensureRowIds,
+  computeRowHash
+} = require('../index').__test__;
+const { columns, makeRow } = require('./rows');
+
+const config = {spreadsheetId: 'sheet1', sheetName: 'Bookings'};
+
+/**
+ * Sheets client that records the row IDs written by ensureRowIds
+ * @returns {Object} The client; `written` holds {range, values} of every write
+ */
+function fakeSheetService() {
+  const service = {
+    written: [],
+    spreadsheets: {
+      values: {
+        batchUpdate: jest.fn(async params => {
+          service.written.push(...params.resource.data);
+          return {data: {}};
+        })
+      },
+      get: jest.fn(async () => ({data: {sheets: [{properties: {title: 'Bookings', sheetId: 7}}]}})),
+      batchUpdate: jest.fn(async () => ({data: {}}))
+    }
+  };
+  return service;
+}
+
+/**
+ * Store the tracking document of a row ID
+ * @param {string} rowId - Row ID
+ * @param {Object} tracking - Tracking fields
+ * @returns {Promise<void>}
+ */
+function saveTracking(rowId, tracking) {
+  return admin.firestore().collection('eventTracking').doc('org1')
+    .collection('events').doc(rowId).set({rowId, ...tracking});
+}
+
+beforeEach(() => {
+  admin.__reset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generateRowId', () => {
+  test('is the namespace followed by 16 hex characters', () => {
+    expect(generateRowId()).toMatch(/^[0-9a-f]{16}$/);
+    expect(generateRowId('t2')).toMatch(/^t2[0-9a-f]{16}$/);
+  });
+
+  test('never repeats', () => {
+    const ids = new Set(Array.from({length: 1000}, () => generateRowId()));
+    expect(ids.size).toBe(1000);
+  });
+});
+
+describe('isRowIdInNamespace', () => {
+  test('accepts only IDs generated for the namespace', () => {
+    expect(isRowIdInNamespace('0123456789abcdef', '')).toBe(true);
+    expect(isRowIdInNamespace('t10123456789abcdef', 't1')).toBe(true);
+    expect(isRowIdInNamespace('t10123456789abcdef', '')).toBe(false);
+    expect(isRowIdInNamespace('0123456789abcdef', 't1')).toBe(false);
+    expect(isRowIdInNamespace('0123456789ABCDEF', '')).toBe(false);
+    expect(isRowIdInNamespace('0123456789abcde', '')).toBe(false);
+  });
+});
+
+describe('ensureRowIds', () => {
+  const existingId = 'aaaaaaaaaaaaaaaa';
+
+  test('gives every dated row without an ID a new one and writes it to the hidden column', async () => {
+    const rows = [
+      makeRow({date: '01/05/25', title: 'Wedding'}),
+      makeRow({title: 'No date yet'}),
+      makeRow({date: '02/05/25', title: 'Concert', rowId: existingId}),
+      makeRow({date: '03/05/25', title: 'Show'})
+    ];
+    const service = fakeSheetService();
+
+    const assigned = await ensureRowIds(service, config, rows);
+
+    expect(assigned).toBe(2);
+    expect(rows[0][columns.rowId]).toMatch(/^[0-9a-f]{16}$/);
+    expect(rows[1][columns.rowId]).toBe('');
+    expect(rows[2][columns.rowId]).toBe(existingId);
+    expect(rows[3][columns.rowId]).toMatch(/^[0-9a-f]{16}$/);
+    expect(service.written).toEqual([
+      {range: 'Bookings!AM2', values: [[rows[0][columns.rowId]]]},
+      {range: 'Bookings!AM5', values: [[rows[3][columns.rowId]]]}
+    ]);
+    expect(service.spreadsheets.batchUpdate).toHaveBeenCalledWith(expect.objectContaining({
+      resource: {requests: [expect.objectContaining({
+        updateDimensionProperties: expect.objectContaining({
+          range: {sheetId: 7, dimension: 'COLUMNS', startIndex: columns.rowId, endIndex: columns.rowId + 1}
+        })
+      })]}
+    }));
+  });
+
+  test('writes nothing when every row has its ID', async () => {
+    const rows = [makeRow({date: '01/05/25', rowId: existingId})];
+    const service = fakeSheetService();
+
+    expect(await ensureRowIds(service, config, rows)).toBe(0);
+    expect(service.spreadsheets.values.batchUpdate).not.toHaveBeenCalled();
+  });
+
+  test('replaces an ID copied from another tab', async () => {
+    const tabConfig = {...config, sheetTabs: [{sheetName: 'Bookings', namespace: 't1'}]};
+    const rows = [makeRow({date: '01/05/25', rowId: existingId})];
+
+    expect(await ensureRowIds(fakeSheetService(), tabConfig, rows)).toBe(1);
+    expect(rows[0][columns.rowId]).toMatch(/^t1[0-9a-f]{16}$/);
+  });
+
+  test('keeps a shared ID on the first row when the ID is not tracked', async () => {
+    const rows = [
+      makeRow({date: '01/05/25', title: 'Wedding', rowId: existingId}),
+      makeRow({date: '01/05/25', title: 'Wedding', rowId: existingId})
+    ];
+
+    expect(await ensureRowIds(fakeSheetService(), config, rows, 'org1')).toBe(1);
+    expect(rows[0][columns.rowId]).toBe(existingId);
+    expect(rows[1][columns.rowId]).not.toBe(existingId);
+  });
+
+  test('keeps a shared ID on the tracked row when a copy is pasted above it', async () => {
+    await saveTracking(existingId, {eventId: 'event1', title: 'Wedding', date: '2025-05-01', rowIndex: 0});
+    const rows = [
+      makeRow({date: '08/05/25', title: 'Wedding', rowId: existingId}),
+      makeRow({date: '01/05/25', title: 'Wedding', rowId: existingId})
+    ];
+
+    expect(await ensureRowIds(fakeSheetService(), config, rows, 'org1')).toBe(1);
+    expect(rows[1][columns.rowId]).toBe(existingId);
+    expect(rows[0][columns.rowId]).not.toBe(existingId);
+  });
+});
+
+describe('pickRowIdKeeper', () => {
+  const rows = [
+    makeRow({date: '01/05/25', eventType: 'חתונה', title: 'Cohen'}),
+    makeRow({date: '01/05/25', eventType: 'חתונה', title: 'Cohen', location: 'Haifa'}),
+    makeRow({date: '02/05/25', eventType: 'חתונה', title: 'Levi'})
+  ];
+
+  test('prefers the row whose fingerprint matches the tracked one', () => {
+    const tracking = {rowHash: computeRowHash(rows[1], columns, config), title: 'חתונה Cohen', date: '2025-05-01'};
+    expect(pickRowIdKeeper([0, 1, 2], rows, columns, config, tracking)).toBe(1);
+  });
+
+  test('falls back to the tracked title and date', () => {
+    const tracking = {rowHash: 'stale', title: 'חתונה Levi', date: '2025-05-02', rowIndex: 0};
+    expect(pickRowIdKeeper([0, 1, 2], rows, columns, config, tracking)).toBe(2);
+  });
+
+  test('falls back to the tracked row index, then to the first row', () => {
+    const tracking = {title: 'Renamed', date: '2025-06-01', rowIndex: 1};
+    expect(pickRowIdKeeper([0, 1, 2], rows, columns, config, tracking)).toBe(1);
+    expect(pickRowIdKeeper([0, 2], rows, columns, config, tracking)).toBe(0);
+    expect(pickRowIdKeeper([2, 0], rows, columns, config, null)).toBe(2);
+  });
+});
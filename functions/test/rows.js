@@ -0,0 +1,25 @@
+const { resolveColumnMapping } = require('../index').__test__;
+
+// Column indices of the default layout
+const columns = resolveColumnMapping({});
+
+/**
+ * Build a sheet row in the default layout
+ * @param {Object} fields - Cell values by field name; technicians is an array
+ * @returns {Array} The row
+ */
+function makeRow(fields) {
+  const row = new Array(columns.rowId + 1).fill('');
+  for (const [field, value] of Object.entries(fields)) {
+    if (field === 'technicians') {
+      value.forEach((name, i) => {
+        row[columns.technicians.start + i] = name;
+      });
+    } else {
+      row[columns[field]] = value;
+    }
+  }
+  return row;
+}
+
+module.exports = { columns, makeRow };
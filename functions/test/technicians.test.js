@@ -0,0 +1,117 @@
+const admin = require('firebase-admin');
+const {
+  normalizeTechnicianName,
+  editDistance,
+  loadTechnicianDirectory,
+  matchTechnician,
+  resolveTechnicians
+} = require('../index').__test__;
+const { columns, makeRow } = require('./rows');
+
+/**
+ * Load a directory from technician documents
+ * @param {Object} technicians - Technician fields keyed by document ID
+ * @returns {Promise<Array>} Directory entries
+ */
+async function loadDirectory(technicians) {
+  admin.__reset();
+  for (const [id, technician] of Object.entries(technicians)) {
+    await admin.firestore().collection('technicians').doc(id).set(technician);
+  }
+  return loadTechnicianDirectory();
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('normalizeTechnicianName', () => {
+  test('ignores case, punctuation and repeated whitespace', () => {
+    expect(normalizeTechnicianName('  Yossi   LEVI ')).toBe('yossi levi');
+    expect(normalizeTechnicianName('Yossi-Levi (sound)')).toBe('yossi levi sound');
+    expect(normalizeTechnicianName('ג\'ורג\'')).toBe('ג ורג');
+  });
+
+  test('ignores niqqud and compares final letters as regular ones', () => {
+    expect(normalizeTechnicianName('דָּנִי כֹּהֵן')).toBe('דני כהנ');
+    expect(normalizeTechnicianName('דני כהן')).toBe(normalizeTechnicianName('דני כהנ'));
+  });
+
+  test('is empty for a missing name', () => {
+    expect(normalizeTechnicianName(null)).toBe('');
+    expect(normalizeTechnicianName(' - ')).toBe('');
+  });
+});
+
+describe('editDistance', () => {
+  test.each([
+    ['', '', 0],
+    ['abc', '', 3],
+    ['yossi', 'yosi', 1],
+    ['kitten', 'sitting', 3],
+    ['דני', 'דנה', 1]
+  ])('%p to %p is %p', (a, b, distance) => {
+    expect(editDistance(a, b)).toBe(distance);
+    expect(editDistance(b, a)).toBe(distance);
+  });
+});
+
+describe('matchTechnician', () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await loadDirectory({
+      dani: {displayName: 'דני כהן', aliases: ['דני'], email: 'dani@example.com'},
+      yossi: {displayName: 'Yossi Levi', aliases: ['יוסי']},
+      dana: {displayName: 'Dana', active: false},
+      dina: {displayName: 'Dina'},
+      avi: {displayName: 'Avi'}
+    });
+  });
+
+  test('loads the directory with its matching keys', () => {
+    const dani = directory.find(entry => entry.id === 'dani');
+    expect(dani).toMatchObject({displayName: 'דני כהן', email: 'dani@example.com', active: true});
+    expect(dani.keys).toEqual(['דני כהנ', 'דני']);
+    expect(directory.find(entry => entry.id === 'dana').active).toBe(false);
+  });
+
+  test('matches the display name exactly', () => {
+    expect(matchTechnician('yossi  levi', directory)).toMatchObject({match: 'exact', technician: {id: 'yossi'}});
+    expect(matchTechnician('דני כהנ', directory)).toMatchObject({match: 'exact', technician: {id: 'dani'}});
+  });
+
+  test('matches an alias', () => {
+    expect(matchTechnician('יוסי', directory)).toMatchObject({match: 'alias', technician: {id: 'yossi'}});
+  });
+
+  test('matches a typo of a long enough name', () => {
+    expect(matchTechnician('Yosi Levi', directory)).toMatchObject({match: 'fuzzy', technician: {id: 'yossi'}});
+    expect(matchTechnician('דני כהם', directory)).toMatchObject({match: 'fuzzy', technician: {id: 'dani'}});
+  });
+
+  test('does not guess between two equally close people', () => {
+    const result = matchTechnician('Dena', directory);
+    expect(result).toMatchObject({match: null, technician: null});
+    expect(result.suggestions).toEqual(expect.arrayContaining(['Dana', 'Dina']));
+  });
+
+  test('needs short names to match exactly, and suggests near misses', () => {
+    const result = matchTechnician('Ami', directory);
+    expect(result.match).toBeNull();
+    expect(result.suggestions).toContain('Avi');
+  });
+
+  test('returns nothing for an empty cell', () => {
+    expect(matchTechnician('  ', directory)).toEqual({name: '  ', technician: null, match: null, suggestions: []});
+  });
+
+  test('resolves every technician cell of a row', () => {
+    const row = makeRow({date: '01/05/25', technicians: ['דני', 'Stranger']});
+    expect(resolveTechnicians(row, columns, directory).map(result => result.match)).toEqual(['alias', null]);
+  });
+});
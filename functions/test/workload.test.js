@@ -0,0 +1,109 @@
+const moment = require('moment-timezone');
+const {
+  normalizeTechnicianName,
+  getNightHours,
+  buildWorkloadReport
+} = require('../index').__test__;
+const { columns, makeRow } = require('./rows');
+
+const timeZone = 'Asia/Jerusalem';
+const at = dateTime => moment.tz(dateTime, timeZone).valueOf();
+
+describe('getNightHours', () => {
+  test.each([
+    ['2025-05-01 12:00', '2025-05-01 18:00', 0],
+    ['2025-05-01 18:00', '2025-05-01 23:00', 1],
+    ['2025-05-01 20:00', '2025-05-02 02:00', 4],
+    ['2025-05-02 01:00', '2025-05-02 05:00', 4],
+    ['2025-05-02 04:30', '2025-05-02 09:00', 1.5],
+    ['2025-05-01 20:00', '2025-05-03 08:00', 16]
+  ])('%s to %s has %p night hours', (start, end, hours) => {
+    expect(getNightHours(at(start), at(end), timeZone)).toBe(hours);
+  });
+
+  test('counts the real length of the night the clocks go back', () => {
+    // Israel leaves summer time at 02:00 on 26 October 2025
+    expect(getNightHours(at('2025-10-25 22:00'), at('2025-10-26 06:00'), timeZone)).toBe(9);
+  });
+
+  test('measures the night in the given zone', () => {
+    const start = moment.tz('2025-05-01 20:00', 'Europe/London').valueOf();
+    const end = moment.tz('2025-05-01 23:00', 'Europe/London').valueOf();
+    expect(getNightHours(start, end, 'Europe/London')).toBe(1);
+    expect(getNightHours(start, end, timeZone)).toBe(3);
+  });
+});
+
+describe('buildWorkloadReport', () => {
+  const directory = [{id: 'dani', displayName: 'דני כהן', aliases: ['דני'], keys: ['דני כהנ', 'דני']}];
+  const config = {
+    timezone: timeZone,
+    payrollRates: {hourlyRate: 50, overtimeRate: 75, overtimeAfterHours: 8, nightBonusRate: 10}
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('adds up the shifts, night hours, overtime and pay of every technician', () => {
+    const rows = [
+      makeRow({date: '01/05/25', eventType: 'חתונה', startTime: '18:00', endTime: '23:00', technicians: ['דני', 'Moshe']}),
+      makeRow({date: '03/05/25', eventType: 'הופעה', startTime: '16:00', endTime: '02:00', technicians: ['דני כהן']}),
+      makeRow({date: '05/05/25', eventType: 'חתונה', startTime: '18:00', endTime: '20:00', technicians: ['דני'], cancelled: 'TRUE'}),
+      makeRow({date: '01/06/25', eventType: 'חתונה', startTime: '18:00', endTime: '20:00', technicians: ['דני']})
+    ];
+
+    const report = buildWorkloadReport(rows, columns, config, directory, 2025, 5);
+
+    expect(report.technicians).toEqual([
+      {
+        technician: 'דני כהן',
+        technicianId: 'dani',
+        events: 2,
+        untimedEvents: 0,
+        shifts: 2,
+        hours: 15,
+        nightHours: 5,
+        overtimeHours: 2,
+        hoursByType: {'חתונה': 5, 'הופעה': 10},
+        rows: [2, 3],
+        pay: {regular: 650, overtime: 150, night: 50, total: 850}
+      },
+      expect.objectContaining({technician: 'Moshe', technicianId: null, hours: 5, nightHours: 1})
+    ]);
+    expect(report.totals).toEqual({events: 3, shifts: 3, hours: 20, nightHours: 6, overtimeHours: 2, pay: 1110});
+    expect(report.eventTypes).toEqual(['הופעה', 'חתונה']);
+  });
+
+  test('counts every day of a multi-day row that falls in the month as a shift', () => {
+    const withEndDate = {...columns, endDate: columns.notes};
+    const rows = [
+      makeRow({date: '30/04/25', notes: '02/05/25', startTime: '10:00', endTime: '14:00', technicians: ['דני']})
+    ];
+
+    const [dani] = buildWorkloadReport(rows, withEndDate, config, directory, 2025, 5).technicians;
+
+    expect(dani).toMatchObject({events: 1, shifts: 2, hours: 8});
+  });
+
+  test('counts a row without times as an event but not as hours', () => {
+    const rows = [makeRow({date: '01/05/25', startTime: 'TBD', technicians: ['דני']})];
+
+    const [dani] = buildWorkloadReport(rows, columns, config, directory, 2025, 5).technicians;
+
+    expect(dani).toMatchObject({events: 1, untimedEvents: 1, shifts: 0, hours: 0});
+  });
+
+  test('counts a technician listed twice on a row once', () => {
+    const rows = [makeRow({date: '01/05/25', startTime: '18:00', endTime: '20:00', technicians: ['דני', 'דני כהן']})];
+
+    const [dani] = buildWorkloadReport(rows, columns, config, directory, 2025, 5).technicians;
+
+    expect(dani).toMatchObject({events: 1, shifts: 1, hours: 2});
+    expect(normalizeTechnicianName(dani.technician)).toBe('דני כהנ');
+  });
+});
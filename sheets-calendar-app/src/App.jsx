@@ -4,7 +4,7 @@ import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { Toaster } from 'react-hot-toast';
 import { initializeApp } from 'firebase/app';
 import { getAuth, onAuthStateChanged, signOut } from 'firebase/auth';
-import { getFunctions } from 'firebase/functions';
+import { getFunctions, httpsCallable } from 'firebase/functions';
 import { getFirestore } from 'firebase/firestore';
 import { getStorage } from 'firebase/storage';
 import { ThemeProvider, createTheme } from '@mui/material';
@@ -12,6 +12,7 @@ import { ThemeProvider, createTheme } from '@mui/material';
 // Stores and hooks
 import useAuthStore from './store/authStore';
 import useFirebaseAuth from './hooks/useFirebaseAuth';
+import usePermissions from './hooks/usePermissions';
 
 // Components
 import Login from './components/Login';
@@ -130,8 +131,9 @@ const queryClient = new QueryClient({
 });
 
 // Protected Route Component
-const ProtectedRoute = ({ children }) => {
+const ProtectedRoute = ({ children, permission }) => {
   const { user, loading } = useAuthStore();
+  const { can } = usePermissions();
 
   if (loading) {
     return <div className="loading">Loading...</div>;
@@ -141,19 +143,32 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" replace />;
   }
 
+  // Pages the member's role does not allow fall back to their schedule
+  if (permission && !can(permission)) {
+    return <Navigate to="/today" replace />;
+  }
+
   return children;
 };
 
 // Auth Wrapper Component
 const AuthWrapper = ({ children }) => {
-  const { setUser, setLoading } = useAuthStore();
+  const { setUser, setOrganization, setLoading } = useAuthStore();
   const [authError, setAuthError] = React.useState(null);
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (user) => {
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
       if (user) {
-        // Check if user is from hakolsound.co.il
-        if (user.email && user.email.endsWith('@hakolsound.co.il')) {
+        // The server decides membership: an allowed domain or an invite joins the organization
+        try {
+          const getOrganization = httpsCallable(functions, 'getOrganization');
+          const result = await getOrganization();
+          // firestore.rules read the role from the token claims, so pick up new ones
+          const { claims } = await user.getIdTokenResult();
+          if (claims.orgId !== result.data.id || claims.role !== result.data.role) {
+            await user.getIdToken(true);
+          }
+          setOrganization(result.data);
           setUser({
             uid: user.uid,
             email: user.email,
@@ -161,20 +176,23 @@ const AuthWrapper = ({ children }) => {
             photoURL: user.photoURL,
           });
           setAuthError(null);
-        } else {
-          // Sign out if not from hakolsound.co.il
+        } catch (error) {
+          // Sign out if not a member of any organization
+          console.error('Organization check failed:', error);
           signOut(auth);
-          setAuthError('Only hakolsound.co.il organization members allowed');
+          setAuthError('Only organization members and invited users are allowed');
+          setOrganization(null);
           setUser(null);
         }
       } else {
+        setOrganization(null);
         setUser(null);
       }
       setLoading(false);
     });
 
     return () => unsubscribe();
-  }, [setUser, setLoading]);
+  }, [setUser, setOrganization, setLoading]);
 
   return (
     <>
@@ -202,7 +220,7 @@ function App() {
                 <Route
                   path="/quotes/new"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="quotes">
                       <QuoteViewer />
                     </ProtectedRoute>
                   }
@@ -210,7 +228,7 @@ function App() {
                 <Route
                   path="/quotes/:quoteId"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="quotes">
                       <QuoteViewer />
                     </ProtectedRoute>
                   }
@@ -254,7 +272,7 @@ function App() {
                 <Route
                   path="/control"
                   element={
-                    <ProtectedRoute>
+                    <ProtectedRoute permission="view">
                       <ControlCenter />
                     </ProtectedRoute>
                   }
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import { httpsCallable } from 'firebase/functions';
+import toast from 'react-hot-toast';
+
+// What a route compares with its value
+const matchOptions = [
+  { value: 'eventType', label: 'סוג אירוע' },
+  { value: 'manager', label: 'מנהל אירוע' },
+  { value: 'column', label: 'עמודת יומן יעד' },
+];
+
+function CalendarRoutesDialog({ open, onClose }) {
+  const [routes, setRoutes] = useState([]);
+  const [calendarId, setCalendarId] = useState(null);
+  const [hasTargetColumn, setHasTargetColumn] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const loadRoutes = async () => {
+      setLoading(true);
+      try {
+        const getCalendarRoutes = httpsCallable(window.functions, 'getCalendarRoutes');
+        const result = await getCalendarRoutes();
+        setRoutes(result.data.routes || []);
+        setCalendarId(result.data.calendarId);
+        setHasTargetColumn(!!result.data.targetCalendarColumn);
+      } catch (error) {
+        console.error('Error loading calendar routes:', error);
+        toast.error('שגיאה בטעינת ניתוב היומנים');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRoutes();
+  }, [open]);
+
+  const handleChange = (index, field, value) => {
+    setRoutes(prev => prev.map((route, i) => (i === index ? { ...route, [field]: value } : route)));
+  };
+
+  const handleAdd = () => {
+    setRoutes(prev => [...prev, { match: 'eventType', value: '', calendarId: '' }]);
+  };
+
+  const handleRemove = (index) => {
+    setRoutes(prev => prev.filter((route, i) => i !== index));
+  };
+
+  const hasErrors = routes.some(route => !route.value.trim() || !route.calendarId.trim());
+  const usesColumn = routes.some(route => route.match === 'column');
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saveCalendarRoutes = httpsCallable(window.functions, 'saveCalendarRoutes');
+      await saveCalendarRoutes({ routes });
+      toast.success('ניתוב היומנים נשמר. אירועים קיימים יועברו בסריקת העדכונים הבאה');
+      onClose();
+    } catch (error) {
+      console.error('Error saving calendar routes:', error);
+      toast.error(`שגיאה בשמירה: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>ניתוב אירועים ליומנים</DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              הכלל הראשון שמתאים לשורה קובע את היומן. שורות ללא כלל מתאים נשלחות ליומן הראשי
+              {calendarId ? ` (${calendarId})` : ''}.
+            </Typography>
+
+            {usesColumn && !hasTargetColumn && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                עמודת יומן היעד לא ממופה - הגדר אותה במיפוי העמודות
+              </Alert>
+            )}
+
+            {routes.length === 0 && (
+              <Alert severity="info" sx={{ mb: 2 }}>אין כללי ניתוב - כל האירועים נשלחים ליומן הראשי</Alert>
+            )}
+
+            <Stack spacing={2}>
+              {routes.map((route, index) => (
+                <Stack key={index} direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems="center">
+                  <TextField
+                    select
+                    fullWidth
+                    size="small"
+                    label="התאמה לפי"
+                    value={route.match}
+                    onChange={(e) => handleChange(index, 'match', e.target.value)}
+                  >
+                    {matchOptions.map(option => (
+                      <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                    ))}
+                  </TextField>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="ערך"
+                    value={route.value}
+                    onChange={(e) => handleChange(index, 'value', e.target.value)}
+                    error={!route.value.trim()}
+                  />
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="מזהה יומן"
+                    value={route.calendarId}
+                    onChange={(e) => handleChange(index, 'calendarId', e.target.value.trim())}
+                    error={!route.calendarId.trim()}
+                    sx={{ direction: 'ltr' }}
+                  />
+                  <IconButton onClick={() => handleRemove(index)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Stack>
+              ))}
+            </Stack>
+
+            <Button startIcon={<AddIcon />} onClick={handleAdd} sx={{ mt: 2 }}>
+              הוסף כלל ניתוב
+            </Button>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          ביטול
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={loading || saving || hasErrors}
+        >
+          {saving ? <CircularProgress size={24} /> : 'שמור'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default CalendarRoutesDialog;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { httpsCallable } from 'firebase/functions';
+import toast from 'react-hot-toast';
+import { CALENDAR_COLORS } from '../utils/eventColors';
+
+// What happens to the event of a row checked as cancelled
+const modeOptions = [
+  { value: 'delete', label: 'מחיקה מהיומן', help: 'האירוע מוסר מהיומן ויחזור אם הביטול יבוטל' },
+  { value: 'mark', label: 'סימון בלבד', help: 'האירוע נשאר ביומן עם קידומת וצבע' },
+  { value: 'archive', label: 'העברה ליומן ארכיון', help: 'האירוע עובר ליומן הארכיון עם קידומת וצבע' },
+  { value: 'notify', label: 'סימון ועדכון המשתתפים', help: 'האירוע מסומן ונשלח עדכון במייל לכל המשתתפים' },
+];
+
+const Swatch = ({ color }) => (
+  <Box
+    component="span"
+    sx={{ display: 'inline-block', width: 14, height: 14, borderRadius: '50%', bgcolor: color, mr: 1, verticalAlign: 'middle' }}
+  />
+);
+
+function CancellationPolicyDialog({ open, onClose }) {
+  const [policy, setPolicy] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const loadPolicy = async () => {
+      setLoading(true);
+      try {
+        const getCancellationPolicy = httpsCallable(window.functions, 'getCancellationPolicy');
+        const result = await getCancellationPolicy();
+        setPolicy(result.data.policy);
+        setDefaults(result.data.defaults);
+      } catch (error) {
+        console.error('Error loading cancellation policy:', error);
+        toast.error('שגיאה בטעינת הגדרות הביטולים');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPolicy();
+  }, [open]);
+
+  const handleChange = (field, value) => {
+    setPolicy(prev => ({ ...prev, [field]: value }));
+  };
+
+  const missingArchive = policy?.mode === 'archive' && !(policy.archiveCalendarId || '').trim();
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saveCancellationPolicy = httpsCallable(window.functions, 'saveCancellationPolicy');
+      await saveCancellationPolicy({ policy });
+      toast.success('הגדרות הביטולים נשמרו. אירועים מבוטלים יתעדכנו בסריקת העדכונים הבאה');
+      onClose();
+    } catch (error) {
+      console.error('Error saving cancellation policy:', error);
+      toast.error(`שגיאה בשמירה: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>טיפול בשורות מבוטלות</DialogTitle>
+      <DialogContent>
+        {loading || !policy ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="כאשר שורה מסומנת כמבוטלת"
+              value={policy.mode}
+              onChange={(e) => handleChange('mode', e.target.value)}
+              helperText={modeOptions.find(option => option.value === policy.mode)?.help}
+            >
+              {modeOptions.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+
+            <TextField
+              fullWidth
+              size="small"
+              label="קידומת לכותרת"
+              value={policy.prefix}
+              onChange={(e) => handleChange('prefix', e.target.value)}
+            />
+
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="צבע ביומן"
+              value={policy.colorId || ''}
+              onChange={(e) => handleChange('colorId', e.target.value)}
+              disabled={policy.mode === 'delete'}
+            >
+              <MenuItem value="">ללא שינוי צבע</MenuItem>
+              {Object.entries(CALENDAR_COLORS).map(([colorId, { name, hex }]) => (
+                <MenuItem key={colorId} value={colorId}>
+                  <Swatch color={hex} />
+                  {name}
+                </MenuItem>
+              ))}
+            </TextField>
+
+            <TextField
+              fullWidth
+              size="small"
+              label="מזהה יומן ארכיון"
+              value={policy.archiveCalendarId || ''}
+              onChange={(e) => handleChange('archiveCalendarId', e.target.value.trim())}
+              disabled={policy.mode !== 'archive'}
+              error={missingArchive}
+              sx={{ direction: 'ltr' }}
+            />
+
+            <Typography variant="body2" color="text.secondary">
+              ביטול הסימון בעמודת הביטול מחזיר את האירוע למצבו הרגיל.
+            </Typography>
+          </Stack>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setPolicy(defaults)} disabled={loading || saving || !defaults}>
+          איפוס לברירת מחדל
+        </Button>
+        <Button onClick={onClose} disabled={saving}>
+          ביטול
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={loading || saving || !policy || missingArchive}
+        >
+          {saving ? <CircularProgress size={24} /> : 'שמור'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default CancellationPolicyDialog;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Grid,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { httpsCallable } from 'firebase/functions';
+import toast from 'react-hot-toast';
+
+// Hebrew labels for the column mapping fields stored on the configuration
+const fieldLabels = {
+  date: 'תאריך',
+  day: 'יום',
+  eventTypeD: 'סוג אירוע (פירוט)',
+  eventType: 'סוג אירוע',
+  title: 'כותרת',
+  location: 'מיקום',
+  fee: 'מחיר',
+  notes: 'הערות',
+  startTime: 'שעת התחלה',
+  endTime: 'שעת סיום',
+  manager: 'מנהל אירוע',
+  status: 'סטטוס / רשימת ציוד',
+  cancelled: 'בוטל',
+  coordinationSheet: 'דף תיאום',
+  technicians: 'טכנאים (טווח, למשל U:AA)',
+  processed: 'סימון עיבוד',
+  eventId: 'מזהה אירוע ביומן',
+  rowId: 'מזהה שורה (עמודה מוסתרת)',
+  timezone: 'אזור זמן לאירועי חו"ל (אופציונלי)',
+  endDate: 'תאריך סיום לאירוע רב-יומי (אופציונלי)',
+  setupDate: 'תאריך הקמה (אופציונלי)',
+  conflictFlag: 'סימון שיבוץ כפול (אופציונלי)',
+  targetCalendar: 'יומן יעד לניתוב (אופציונלי)',
+};
+
+const columnPattern = /^[A-Z]{1,3}(:[A-Z]{1,3})?$/;
+
+function ColumnMappingDialog({ open, onClose }) {
+  const [mapping, setMapping] = useState({});
+  const [defaults, setDefaults] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const loadMapping = async () => {
+      setLoading(true);
+      try {
+        const getColumnMapping = httpsCallable(window.functions, 'getColumnMapping');
+        const result = await getColumnMapping();
+        setMapping(result.data.columnMapping || {});
+        setDefaults(result.data.defaults || {});
+      } catch (error) {
+        console.error('Error loading column mapping:', error);
+        toast.error('שגיאה בטעינת מיפוי העמודות');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadMapping();
+  }, [open]);
+
+  const handleChange = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value.toUpperCase().trim() }));
+  };
+
+  const invalidFields = Object.keys(fieldLabels).filter(
+    field => mapping[field] && !columnPattern.test(mapping[field])
+  );
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      // Only send non-empty fields; empty fields fall back to the defaults
+      const columnMapping = Object.fromEntries(
+        Object.entries(mapping).filter(([, value]) => value)
+      );
+      const saveColumnMapping = httpsCallable(window.functions, 'saveColumnMapping');
+      await saveColumnMapping({ columnMapping });
+      toast.success('מיפוי העמודות נשמר');
+      onClose();
+    } catch (error) {
+      console.error('Error saving column mapping:', error);
+      toast.error(`שגיאה בשמירה: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>מיפוי עמודות בגיליון</DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              הזן את אות העמודה עבור כל שדה. שדה ריק יחזור לברירת המחדל.
+            </Typography>
+            <Grid container spacing={2}>
+              {Object.entries(fieldLabels).map(([field, label]) => (
+                <Grid item xs={12} sm={6} md={4} key={field}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label={label}
+                    value={mapping[field] || ''}
+                    placeholder={defaults[field]}
+                    onChange={(e) => handleChange(field, e.target.value)}
+                    error={invalidFields.includes(field)}
+                    helperText={invalidFields.includes(field) ? 'אות עמודה לא תקינה' : ' '}
+                  />
+                </Grid>
+              ))}
+            </Grid>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setMapping(defaults)} disabled={loading || saving}>
+          איפוס לברירת מחדל
+        </Button>
+        <Button onClick={onClose} disabled={saving}>
+          ביטול
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={loading || saving || invalidFields.length > 0}
+        >
+          {saving ? <CircularProgress size={24} /> : 'שמור'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ColumnMappingDialog;
@@ -37,11 +37,50 @@ import {
   Add as AddIcon,
   CheckCircle as CheckCircleIcon,
   Refresh as RefreshIcon,
+  ViewColumn as ViewColumnIcon,
+  Update as UpdateIcon,
+  LocalOffer as LocalOfferIcon,
+  Settings as SettingsIcon,
+  Engineering as EngineeringIcon,
+  WarningAmber as WarningAmberIcon,
+  Assessment as AssessmentIcon,
+  Rule as RuleIcon,
+  AltRoute as AltRouteIcon,
+  Palette as PaletteIcon,
+  EventBusy as EventBusyIcon,
+  Tab as TabIcon,
+  Groups as GroupsIcon,
+  ContentCopy as ContentCopyIcon,
 } from '@mui/icons-material';
 import { getFunctions, httpsCallable } from 'firebase/functions';
 import useAuthStore from '../store/authStore';
-import { useScanMonthEvents, useDeleteEvents, useReprocessSelectedRows, useDeleteSelectedEvents } from '../hooks/useEvents';
+import usePermissions from '../hooks/usePermissions';
+import {
+  useScanMonthEvents,
+  useDeleteEvents,
+  useReprocessSelectedRows,
+  useDeleteSelectedEvents,
+  useManualScan,
+  useSyncPlan,
+  useBackfillEventMetadata,
+  useCheckTechnicianConflicts,
+  useMergeDuplicateEvents,
+} from '../hooks/useEvents';
+import { useActiveJobId } from '../hooks/useJob';
 import toast from 'react-hot-toast';
+import ColumnMappingDialog from './ColumnMappingDialog';
+import SyncSettingsDialog from './SyncSettingsDialog';
+import EventTypeRulesDialog from './EventTypeRulesDialog';
+import CalendarRoutesDialog from './CalendarRoutesDialog';
+import EventColorsDialog from './EventColorsDialog';
+import CancellationPolicyDialog from './CancellationPolicyDialog';
+import SheetTabsDialog from './SheetTabsDialog';
+import OrganizationDialog from './OrganizationDialog';
+import TechniciansDialog from './TechniciansDialog';
+import WorkloadReportDialog from './WorkloadReportDialog';
+import SyncPlanDialog from './SyncPlanDialog';
+import RejectedRowsAlert from './RejectedRowsAlert';
+import JobProgressDialog from './JobProgressDialog';
 
 // Hebrew dark theme
 const darkTheme = createTheme({
@@ -120,11 +159,30 @@ const months = [
 
 function ControlCenterModern() {
   const { user } = useAuthStore();
+  const { can } = usePermissions();
   const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth() + 1);
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
   const [monthEvents, setMonthEvents] = useState([]);
+  const [rejectedRows, setRejectedRows] = useState([]);
   const [selectedEvents, setSelectedEvents] = useState(new Set());
   const [loading, setLoading] = useState(false);
+  const [columnMappingOpen, setColumnMappingOpen] = useState(false);
+  const [syncSettingsOpen, setSyncSettingsOpen] = useState(false);
+  const [eventTypeRulesOpen, setEventTypeRulesOpen] = useState(false);
+  const [calendarRoutesOpen, setCalendarRoutesOpen] = useState(false);
+  const [eventColorsOpen, setEventColorsOpen] = useState(false);
+  const [cancellationPolicyOpen, setCancellationPolicyOpen] = useState(false);
+  const [sheetTabsOpen, setSheetTabsOpen] = useState(false);
+  const [organizationOpen, setOrganizationOpen] = useState(false);
+  const [techniciansOpen, setTechniciansOpen] = useState(false);
+  const [workloadOpen, setWorkloadOpen] = useState(false);
+  const [planDialog, setPlanDialog] = useState({
+    open: false,
+    title: '',
+    plan: [],
+    rejected: [],
+    onApprove: null,
+  });
   const [progressDialog, setProgressDialog] = useState({
     open: false,
     title: '',
@@ -132,12 +190,19 @@ function ControlCenterModern() {
     progress: 0,
     steps: [],
   });
+  const [jobId, setJobId] = useState(null);
+  const activeJobId = useActiveJobId();
 
   // Mutations
   const scanMonthMutation = useScanMonthEvents();
   const deleteMonthMutation = useDeleteEvents();
   const addSelectedMutation = useReprocessSelectedRows();
   const deleteSelectedMutation = useDeleteSelectedEvents();
+  const updateAllMutation = useManualScan();
+  const syncPlanMutation = useSyncPlan();
+  const backfillMetadataMutation = useBackfillEventMetadata();
+  const conflictsMutation = useCheckTechnicianConflicts();
+  const mergeDuplicatesMutation = useMergeDuplicateEvents();
 
   // Fetch events for selected month
   const fetchMonthEvents = async () => {
@@ -163,14 +228,17 @@ function ControlCenterModern() {
         const events = result.data.events || [];
         console.log(`Loaded ${events.length} events from backend for ${months[selectedMonth - 1]} ${selectedYear}`);
         setMonthEvents(events);
+        setRejectedRows(result.data.rejected || []);
       } else {
         toast.error('שגיאה בטעינת אירועים');
         setMonthEvents([]);
+        setRejectedRows([]);
       }
     } catch (error) {
       console.error('Error fetching month events:', error);
       toast.error(`שגיאה: ${error.message}`);
       setMonthEvents([]);
+      setRejectedRows([]);
     } finally {
       setLoading(false);
     }
@@ -180,6 +248,8 @@ function ControlCenterModern() {
     fetchMonthEvents();
   }, [selectedMonth, selectedYear, user]);
 
+  const conflictCount = monthEvents.filter(event => event.conflicts?.length > 0).length;
+
   const handleMonthChange = (direction) => {
     if (direction === 'next') {
       if (selectedMonth === 12) {
@@ -218,99 +288,100 @@ function ControlCenterModern() {
     setSelectedEvents(newSelected);
   };
 
+  // Run the function as a dry run first and let the user approve the plan
+  const requestPlan = (functionName, params, title, execute) => {
+    setPlanDialog({ open: true, title, plan: [], rejected: [], onApprove: null });
+
+    syncPlanMutation.mutate({ functionName, params }, {
+      onSuccess: (data) => {
+        setPlanDialog(prev => ({
+          ...prev,
+          plan: data.plan || [],
+          rejected: data.rejected || [],
+          onApprove: () => {
+            setPlanDialog(current => ({ ...current, open: false }));
+            execute();
+          },
+        }));
+      },
+      onError: () => {
+        setPlanDialog(prev => ({ ...prev, open: false }));
+      },
+    });
+  };
+
   const handleScanMonth = () => {
     const monthName = months[selectedMonth - 1];
+    requestPlan(
+      'scanMonthEvents',
+      { month: selectedMonth, year: selectedYear },
+      `תוכנית סריקה - ${monthName} ${selectedYear}`,
+      executeScanMonth
+    );
+  };
+
+  const handleUpdateAll = () => {
+    requestPlan('scanAllRowsForUpdates', {}, 'תוכנית עדכון כל האירועים', executeUpdateAll);
+  };
 
+  const executeUpdateAll = () => {
     setProgressDialog({
       open: true,
-      title: 'סריקת חודש',
-      message: `סורק את ${monthName} ${selectedYear}...`,
-      progress: 0,
-      steps: ['קריאת נתוני גיליון', 'יצירת אירועים', 'עדכון מעקב', 'סיום']
+      title: 'עדכון כל האירועים',
+      message: 'מעדכן אירועים ביומן...',
+      progress: 50,
+      steps: []
     });
 
-    scanMonthMutation.mutate(
-      { month: selectedMonth, year: selectedYear },
-      {
-        onSuccess: (data) => {
-          setProgressDialog(prev => ({
-            ...prev,
-            progress: 100,
-            message: `נוספו ${data.stats.processed} אירועים בהצלחה!`
-          }));
-
-          setTimeout(() => {
-            setProgressDialog(prev => ({ ...prev, open: false }));
-            fetchMonthEvents();
-          }, 2000);
-        },
-        onError: () => {
+    updateAllMutation.mutate(true, {
+      onSuccess: () => {
+        setProgressDialog(prev => ({ ...prev, progress: 100, message: 'העדכון הושלם!' }));
+        setTimeout(() => {
           setProgressDialog(prev => ({ ...prev, open: false }));
-        }
+          fetchMonthEvents();
+        }, 2000);
+      },
+      onError: () => {
+        setProgressDialog(prev => ({ ...prev, open: false }));
       }
-    );
+    });
+  };
 
-    const progressInterval = setInterval(() => {
-      setProgressDialog(prev => {
-        if (!prev.open || prev.progress >= 90) {
-          clearInterval(progressInterval);
-          return prev;
-        }
-        return {
-          ...prev,
-          progress: Math.min(prev.progress + 15, 90),
-          message: prev.steps[Math.floor(prev.progress / 25)] || 'מעבד...'
-        };
-      });
-    }, 600);
+  const executeScanMonth = () => {
+    scanMonthMutation.mutate(
+      { month: selectedMonth, year: selectedYear },
+      { onSuccess: (data) => setJobId(data.jobId) }
+    );
   };
 
   const handleDeleteMonth = () => {
     const monthName = months[selectedMonth - 1];
-    if (window.confirm(`למחוק את כל האירועים מ${monthName} ${selectedYear}?`)) {
-      setProgressDialog({
-        open: true,
-        title: 'מחיקת אירועים',
-        message: `מוחק אירועים מ${monthName} ${selectedYear}...`,
-        progress: 0,
-        steps: ['מחפש אירועים', 'מוחק מהיומן', 'מעדכן מעקב', 'סיום']
-      });
+    requestPlan(
+      'deleteEventsInMonth',
+      { month: selectedMonth, year: selectedYear },
+      `תוכנית מחיקה - ${monthName} ${selectedYear}`,
+      executeDeleteMonth
+    );
+  };
 
-      deleteMonthMutation.mutate(
+  const executeDeleteMonth = () => {
+    deleteMonthMutation.mutate(
+      { month: selectedMonth, year: selectedYear },
+      { onSuccess: (data) => setJobId(data.jobId) }
+    );
+  };
+
+  const handleMergeDuplicates = () => {
+    const monthName = months[selectedMonth - 1];
+    requestPlan(
+      'findDuplicateEvents',
+      { month: selectedMonth, year: selectedYear },
+      `כפילויות ביומן - ${monthName} ${selectedYear}`,
+      () => mergeDuplicatesMutation.mutate(
         { month: selectedMonth, year: selectedYear },
-        {
-          onSuccess: (data) => {
-            setProgressDialog(prev => ({
-              ...prev,
-              progress: 100,
-              message: `נמחקו ${data.eventsDeleted || 0} אירועים!`
-            }));
-
-            setTimeout(() => {
-              setProgressDialog(prev => ({ ...prev, open: false }));
-              fetchMonthEvents();
-            }, 2000);
-          },
-          onError: () => {
-            setProgressDialog(prev => ({ ...prev, open: false }));
-          }
-        }
-      );
-
-      const progressInterval = setInterval(() => {
-        setProgressDialog(prev => {
-          if (!prev.open || prev.progress >= 90) {
-            clearInterval(progressInterval);
-            return prev;
-          }
-          return {
-            ...prev,
-            progress: Math.min(prev.progress + 15, 90),
-            message: prev.steps[Math.floor(prev.progress / 25)] || 'מעבד...'
-          };
-        });
-      }, 600);
-    }
+        { onSuccess: fetchMonthEvents }
+      )
+    );
   };
 
   const handleAddSelected = () => {
@@ -319,51 +390,45 @@ function ControlCenterModern() {
       return;
     }
 
-    const rowIndices = Array.from(selectedEvents).map(index => {
-      const event = monthEvents[index];
-      return event.rowIndex;
-    });
-
-    setProgressDialog({
-      open: true,
-      title: 'הוספת אירועים ליומן',
-      message: `מעבד ${selectedEvents.size} אירועים...`,
-      progress: 0,
-      steps: ['קריאת נתונים', 'יצירת אירועים', 'הוספה ליומן', 'סיום']
-    });
+    const rowIds = Array.from(selectedEvents)
+      .map(index => monthEvents[index].rowId)
+      .filter(Boolean);
 
-    addSelectedMutation.mutate({ rowIndices }, {
-      onSuccess: (data) => {
-        setProgressDialog(prev => ({
-          ...prev,
-          progress: 100,
-          message: `נוספו ${data.stats.processed} אירועים בהצלחה!`
-        }));
+    requestPlan(
+      'reprocessSelectedRows',
+      { rowIds },
+      `תוכנית הוספה - ${rowIds.length} אירועים`,
+      () => executeAddSelected(rowIds)
+    );
+  };
 
-        setTimeout(() => {
-          setProgressDialog(prev => ({ ...prev, open: false }));
-          fetchMonthEvents();
-          setSelectedEvents(new Set());
-        }, 2000);
-      },
-      onError: () => {
-        setProgressDialog(prev => ({ ...prev, open: false }));
-      }
+  const executeAddSelected = (rowIds) => {
+    addSelectedMutation.mutate({ rowIds }, {
+      onSuccess: (data) => setJobId(data.jobId)
     });
+  };
 
-    const progressInterval = setInterval(() => {
-      setProgressDialog(prev => {
-        if (!prev.open || prev.progress >= 90) {
-          clearInterval(progressInterval);
-          return prev;
-        }
-        return {
-          ...prev,
-          progress: Math.min(prev.progress + 15, 90),
-          message: prev.steps[Math.floor(prev.progress / 25)] || 'מעבד...'
-        };
-      });
-    }, 600);
+  // Follow a job left running before a reload or started from another browser
+  useEffect(() => {
+    if (activeJobId && !jobId) {
+      setJobId(activeJobId);
+    }
+  }, [activeJobId]);
+
+  const handleJobCompleted = (job) => {
+    const { succeeded, skipped, failed } = job.progress;
+    const message = job.type === 'deleteMonth'
+      ? `נמחקו ${succeeded} אירועים`
+      : `נוספו ${succeeded} אירועים (${skipped} דולגו)`;
+    if (failed > 0) {
+      toast.error(`${message}, ${failed} נכשלו`);
+    } else {
+      toast.success(message);
+    }
+    if (job.type === 'reprocessRows') {
+      setSelectedEvents(new Set());
+    }
+    fetchMonthEvents();
   };
 
   const handleDeleteSelected = () => {
@@ -372,24 +437,28 @@ function ControlCenterModern() {
       return;
     }
 
-    if (!window.confirm(`למחוק ${selectedEvents.size} אירועים נבחרים?`)) {
-      return;
-    }
+    const rowIds = Array.from(selectedEvents)
+      .map(index => monthEvents[index].rowId)
+      .filter(Boolean);
 
-    const rowIndices = Array.from(selectedEvents).map(index => {
-      const event = monthEvents[index];
-      return event.rowIndex;
-    });
+    requestPlan(
+      'deleteSelectedEvents',
+      { rowIds },
+      `תוכנית מחיקה - ${rowIds.length} אירועים`,
+      () => executeDeleteSelected(rowIds)
+    );
+  };
 
+  const executeDeleteSelected = (rowIds) => {
     setProgressDialog({
       open: true,
       title: 'מחיקת אירועים',
-      message: `מוחק ${selectedEvents.size} אירועים...`,
+      message: `מוחק ${rowIds.length} אירועים...`,
       progress: 0,
       steps: ['מחפש אירועים', 'מוחק מהיומן', 'מעדכן מעקב', 'סיום']
     });
 
-    deleteSelectedMutation.mutate({ rowIndices }, {
+    deleteSelectedMutation.mutate({ rowIds }, {
       onSuccess: (data) => {
         setProgressDialog(prev => ({
           ...prev,
@@ -498,52 +567,86 @@ function ControlCenterModern() {
               </Typography>
 
               <Stack direction="row" spacing={2} flexWrap="wrap">
-                <Button
-                  variant="contained"
-                  startIcon={<SyncIcon />}
-                  onClick={handleScanMonth}
-                  disabled={scanMonthMutation.isLoading}
-                  sx={{
-                    flex: 1,
-                    minWidth: 200,
-                    background: 'linear-gradient(135deg, #60a5fa 0%, #3b82f6 100%)',
-                  }}
-                >
-                  {scanMonthMutation.isLoading ? <CircularProgress size={24} /> : 'סרוק חודש'}
-                </Button>
+                {can('sync') && (
+                  <Button
+                    variant="contained"
+                    startIcon={<SyncIcon />}
+                    onClick={handleScanMonth}
+                    disabled={scanMonthMutation.isPending}
+                    sx={{
+                      flex: 1,
+                      minWidth: 200,
+                      background: 'linear-gradient(135deg, #60a5fa 0%, #3b82f6 100%)',
+                    }}
+                  >
+                    {scanMonthMutation.isPending ? <CircularProgress size={24} /> : 'סרוק חודש'}
+                  </Button>
+                )}
 
-                <Button
-                  variant="contained"
-                  color="success"
-                  startIcon={<AddIcon />}
-                  onClick={handleAddSelected}
-                  disabled={selectedEvents.size === 0 || addSelectedMutation.isLoading}
-                  sx={{ flex: 1, minWidth: 200 }}
-                >
-                  {addSelectedMutation.isLoading ? <CircularProgress size={24} /> : `הוסף נבחרים (${selectedEvents.size})`}
-                </Button>
+                {can('sync') && (
+                  <Button
+                    variant="contained"
+                    color="success"
+                    startIcon={<AddIcon />}
+                    onClick={handleAddSelected}
+                    disabled={selectedEvents.size === 0 || addSelectedMutation.isPending}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    {addSelectedMutation.isPending ? <CircularProgress size={24} /> : `הוסף נבחרים (${selectedEvents.size})`}
+                  </Button>
+                )}
 
-                <Button
-                  variant="contained"
-                  color="error"
-                  startIcon={<DeleteIcon />}
-                  onClick={handleDeleteSelected}
-                  disabled={selectedEvents.size === 0 || deleteSelectedMutation.isLoading}
-                  sx={{ flex: 1, minWidth: 200 }}
-                >
-                  {deleteSelectedMutation.isLoading ? <CircularProgress size={24} /> : `מחק נבחרים (${selectedEvents.size})`}
-                </Button>
+                {can('delete') && (
+                  <Button
+                    variant="contained"
+                    color="error"
+                    startIcon={<DeleteIcon />}
+                    onClick={handleDeleteSelected}
+                    disabled={selectedEvents.size === 0 || deleteSelectedMutation.isPending}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    {deleteSelectedMutation.isPending ? <CircularProgress size={24} /> : `מחק נבחרים (${selectedEvents.size})`}
+                  </Button>
+                )}
 
-                <Button
-                  variant="outlined"
-                  color="error"
-                  startIcon={<DeleteSweepIcon />}
-                  onClick={handleDeleteMonth}
-                  disabled={deleteMonthMutation.isLoading || monthEvents.length === 0}
-                  sx={{ flex: 1, minWidth: 200 }}
-                >
-                  {deleteMonthMutation.isLoading ? <CircularProgress size={24} /> : 'מחק הכל'}
-                </Button>
+                {can('delete') && (
+                  <Button
+                    variant="outlined"
+                    color="error"
+                    startIcon={<DeleteSweepIcon />}
+                    onClick={handleDeleteMonth}
+                    disabled={deleteMonthMutation.isPending || monthEvents.length === 0}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    {deleteMonthMutation.isPending ? <CircularProgress size={24} /> : 'מחק הכל'}
+                  </Button>
+                )}
+
+                {can('delete') && (
+                  <Button
+                    variant="outlined"
+                    color="error"
+                    startIcon={<ContentCopyIcon />}
+                    onClick={handleMergeDuplicates}
+                    disabled={mergeDuplicatesMutation.isPending}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    {mergeDuplicatesMutation.isPending ? <CircularProgress size={24} /> : 'מיזוג כפילויות'}
+                  </Button>
+                )}
+
+                {can('sync') && (
+                  <Button
+                    variant="contained"
+                    color="secondary"
+                    startIcon={<UpdateIcon />}
+                    onClick={handleUpdateAll}
+                    disabled={updateAllMutation.isPending}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    {updateAllMutation.isPending ? <CircularProgress size={24} /> : 'עדכן הכל'}
+                  </Button>
+                )}
 
                 <Button
                   variant="outlined"
@@ -554,10 +657,164 @@ function ControlCenterModern() {
                 >
                   רענן
                 </Button>
+
+                {can('configure') && (
+                  <Button
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={<ViewColumnIcon />}
+                    onClick={() => setColumnMappingOpen(true)}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    מיפוי עמודות
+                  </Button>
+                )}
+
+                {can('configure') && (
+                  <Button
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={<SettingsIcon />}
+                    onClick={() => setSyncSettingsOpen(true)}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    הגדרות סנכרון
+                  </Button>
+                )}
+
+                {can('configure') && (
+                  <Button
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={<TabIcon />}
+                    onClick={() => setSheetTabsOpen(true)}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    לשוניות ומעבר שנה
+                  </Button>
+                )}
+
+                {can('manageOrganization') && (
+                  <Button
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={<GroupsIcon />}
+                    onClick={() => setOrganizationOpen(true)}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    ארגון וחברים
+                  </Button>
+                )}
+
+                {can('configure') && (
+                  <Button
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={<RuleIcon />}
+                    onClick={() => setEventTypeRulesOpen(true)}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    כללים לפי סוג אירוע
+                  </Button>
+                )}
+
+                {can('configure') && (
+                  <Button
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={<AltRouteIcon />}
+                    onClick={() => setCalendarRoutesOpen(true)}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    ניתוב ליומנים
+                  </Button>
+                )}
+
+                {can('configure') && (
+                  <Button
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={<PaletteIcon />}
+                    onClick={() => setEventColorsOpen(true)}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    צבעים לפי סוג אירוע
+                  </Button>
+                )}
+
+                {can('configure') && (
+                  <Button
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={<EventBusyIcon />}
+                    onClick={() => setCancellationPolicyOpen(true)}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    טיפול בביטולים
+                  </Button>
+                )}
+
+                {can('configure') && (
+                  <Button
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={<EngineeringIcon />}
+                    onClick={() => setTechniciansOpen(true)}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    ספריית טכנאים
+                  </Button>
+                )}
+
+                {can('reports') && (
+                  <Button
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={<AssessmentIcon />}
+                    onClick={() => setWorkloadOpen(true)}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    דוח שעות ושכר
+                  </Button>
+                )}
+
+                {can('sync') && (
+                  <Button
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={<LocalOfferIcon />}
+                    onClick={() => backfillMetadataMutation.mutate()}
+                    disabled={backfillMetadataMutation.isPending}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    {backfillMetadataMutation.isPending ? <CircularProgress size={24} /> : 'השלם נתוני שורה באירועים'}
+                  </Button>
+                )}
+
+                {can('sync') && (
+                  <Button
+                    variant="outlined"
+                    color="warning"
+                    startIcon={<WarningAmberIcon />}
+                    onClick={() => conflictsMutation.mutate(undefined, { onSuccess: fetchMonthEvents })}
+                    disabled={conflictsMutation.isPending}
+                    sx={{ flex: 1, minWidth: 200 }}
+                  >
+                    {conflictsMutation.isPending ? <CircularProgress size={24} /> : 'בדוק כפילויות טכנאים'}
+                  </Button>
+                )}
               </Stack>
             </Stack>
           </Paper>
 
+          <RejectedRowsAlert rows={rejectedRows} sx={{ mb: 3 }} />
+
+          {conflictCount > 0 && (
+            <Alert severity="error" sx={{ mb: 3 }}>
+              {conflictCount} אירועים החודש עם טכנאי ששובץ פעמיים באותה שעה
+            </Alert>
+          )}
+
           {/* Events Table */}
           <Paper elevation={0} sx={{ overflow: 'hidden' }}>
             {loading ? (
@@ -596,7 +853,7 @@ function ControlCenterModern() {
                   <TableBody>
                     {monthEvents.map((event, index) => (
                       <TableRow
-                        key={index}
+                        key={event.rowId || index}
                         hover
                         selected={selectedEvents.has(index)}
                         sx={{
@@ -628,6 +885,23 @@ function ControlCenterModern() {
                           >
                             {event.title}
                           </Typography>
+                          {event.conflicts?.length > 0 && (
+                            <Tooltip
+                              title={event.conflicts
+                                .map(conflict => `${conflict.technician} משובץ גם ב"${conflict.title}" (שורה ${conflict.sheetRow}, ${conflict.date})`)
+                                .join('\n')}
+                              componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}
+                            >
+                              <Chip
+                                icon={<WarningAmberIcon />}
+                                label={`שיבוץ כפול: ${[...new Set(event.conflicts.map(conflict => conflict.technician))].join(', ')}`}
+                                size="small"
+                                color="error"
+                                variant="outlined"
+                                sx={{ mt: 0.5 }}
+                              />
+                            </Tooltip>
+                          )}
                         </TableCell>
                         <TableCell>
                           <Typography variant="body2" color="text.secondary" noWrap sx={{ maxWidth: 200 }}>
@@ -647,9 +921,14 @@ function ControlCenterModern() {
                               color={event.syncStatus === 'PROCESSED' ? 'success' : 'default'}
                               icon={<CheckCircleIcon />}
                             />
+                          ) : event.eventTypeAction === 'app-only' ? (
+                            <Chip label="באפליקציה בלבד" size="small" variant="outlined" color="info" />
                           ) : (
                             <Chip label="לא מסונכרן" size="small" variant="outlined" />
                           )}
+                          {event.eventTypeAction === 'tentative' && (
+                            <Chip label="טנטטיבי" size="small" variant="outlined" color="warning" sx={{ ml: 0.5 }} />
+                          )}
                         </TableCell>
                       </TableRow>
                     ))}
@@ -660,6 +939,75 @@ function ControlCenterModern() {
           </Paper>
         </Container>
 
+        <SyncPlanDialog
+          open={planDialog.open}
+          title={planDialog.title}
+          plan={planDialog.plan}
+          rejected={planDialog.rejected}
+          loading={syncPlanMutation.isPending}
+          onApprove={planDialog.onApprove}
+          onClose={() => setPlanDialog(prev => ({ ...prev, open: false }))}
+        />
+
+        <ColumnMappingDialog
+          open={columnMappingOpen}
+          onClose={() => setColumnMappingOpen(false)}
+        />
+
+        <SyncSettingsDialog
+          open={syncSettingsOpen}
+          onClose={() => setSyncSettingsOpen(false)}
+        />
+
+        <EventTypeRulesDialog
+          open={eventTypeRulesOpen}
+          onClose={() => setEventTypeRulesOpen(false)}
+        />
+
+        <CalendarRoutesDialog
+          open={calendarRoutesOpen}
+          onClose={() => setCalendarRoutesOpen(false)}
+        />
+
+        <EventColorsDialog
+          open={eventColorsOpen}
+          onClose={() => setEventColorsOpen(false)}
+        />
+
+        <CancellationPolicyDialog
+          open={cancellationPolicyOpen}
+          onClose={() => setCancellationPolicyOpen(false)}
+        />
+
+        <SheetTabsDialog
+          open={sheetTabsOpen}
+          onClose={() => setSheetTabsOpen(false)}
+        />
+
+        <OrganizationDialog
+          open={organizationOpen}
+          onClose={() => setOrganizationOpen(false)}
+        />
+
+        <TechniciansDialog
+          open={techniciansOpen}
+          onClose={() => setTechniciansOpen(false)}
+        />
+
+        <WorkloadReportDialog
+          open={workloadOpen}
+          month={selectedMonth}
+          year={selectedYear}
+          monthLabel={months[selectedMonth - 1]}
+          onClose={() => setWorkloadOpen(false)}
+        />
+
+        <JobProgressDialog
+          jobId={jobId}
+          onClose={() => setJobId(null)}
+          onCompleted={handleJobCompleted}
+        />
+
         {/* Progress Dialog */}
         <Dialog
           open={progressDialog.open}
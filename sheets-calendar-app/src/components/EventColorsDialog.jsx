@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import { httpsCallable } from 'firebase/functions';
+import { useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { CALENDAR_COLORS } from '../utils/eventColors';
+
+const Swatch = ({ color }) => (
+  <Box
+    component="span"
+    sx={{ display: 'inline-block', width: 14, height: 14, borderRadius: '50%', bgcolor: color, mr: 1, verticalAlign: 'middle' }}
+  />
+);
+
+function EventColorsDialog({ open, onClose }) {
+  const queryClient = useQueryClient();
+  const [colors, setColors] = useState([]);
+  const [defaults, setDefaults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const loadColors = async () => {
+      setLoading(true);
+      try {
+        const getEventColors = httpsCallable(window.functions, 'getEventColors');
+        const result = await getEventColors();
+        setColors(result.data.colors || []);
+        setDefaults(result.data.defaults || []);
+      } catch (error) {
+        console.error('Error loading event colors:', error);
+        toast.error('שגיאה בטעינת צבעי האירועים');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadColors();
+  }, [open]);
+
+  const handleChange = (index, field, value) => {
+    setColors(prev => prev.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  };
+
+  const handleAdd = () => {
+    setColors(prev => [...prev, { type: '', color: '#607D8B', textColor: '#FFFFFF', colorId: '' }]);
+  };
+
+  const handleRemove = (index) => {
+    setColors(prev => prev.filter((entry, i) => i !== index));
+  };
+
+  const types = colors.map(entry => entry.type.trim());
+  const hasErrors = colors.some((entry, index) => !entry.type.trim() || types.indexOf(entry.type.trim()) !== index);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saveEventColors = httpsCallable(window.functions, 'saveEventColors');
+      await saveEventColors({ colors });
+      queryClient.invalidateQueries({ queryKey: ['eventColors'] });
+      toast.success('צבעי האירועים נשמרו. היומן יתעדכן בסריקת העדכונים הבאה');
+      onClose();
+    } catch (error) {
+      console.error('Error saving event colors:', error);
+      toast.error(`שגיאה בשמירה: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>צבעים לפי סוג אירוע</DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              הצבעים חלים לפי עמודת סוג האירוע (פירוט), גם באפליקציה וגם ביומן גוגל.
+            </Typography>
+
+            {colors.length === 0 && (
+              <Alert severity="info" sx={{ mb: 2 }}>אין צבעים מוגדרים - כל האירועים בצבע ברירת המחדל</Alert>
+            )}
+
+            <Stack spacing={2}>
+              {colors.map((entry, index) => (
+                <Stack key={index} direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems="center">
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="סוג אירוע"
+                    value={entry.type}
+                    onChange={(e) => handleChange(index, 'type', e.target.value)}
+                    error={!entry.type.trim() || types.indexOf(entry.type.trim()) !== index}
+                  />
+                  <TextField
+                    size="small"
+                    type="color"
+                    label="רקע"
+                    value={entry.color}
+                    onChange={(e) => handleChange(index, 'color', e.target.value)}
+                    sx={{ minWidth: 90 }}
+                  />
+                  <TextField
+                    size="small"
+                    type="color"
+                    label="טקסט"
+                    value={entry.textColor}
+                    onChange={(e) => handleChange(index, 'textColor', e.target.value)}
+                    sx={{ minWidth: 90 }}
+                  />
+                  <TextField
+                    select
+                    fullWidth
+                    size="small"
+                    label="צבע ביומן"
+                    value={entry.colorId || ''}
+                    onChange={(e) => handleChange(index, 'colorId', e.target.value)}
+                  >
+                    <MenuItem value="">ברירת מחדל של היומן</MenuItem>
+                    {Object.entries(CALENDAR_COLORS).map(([colorId, { name, hex }]) => (
+                      <MenuItem key={colorId} value={colorId}>
+                        <Swatch color={hex} />
+                        {name}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                  <Box
+                    sx={{ px: 1, py: 0.5, borderRadius: 1, bgcolor: entry.color, color: entry.textColor, whiteSpace: 'nowrap' }}
+                  >
+                    {entry.type || 'דוגמה'}
+                  </Box>
+                  <IconButton onClick={() => handleRemove(index)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Stack>
+              ))}
+            </Stack>
+
+            <Button startIcon={<AddIcon />} onClick={handleAdd} sx={{ mt: 2 }}>
+              הוסף צבע
+            </Button>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setColors(defaults)} disabled={loading || saving}>
+          איפוס לברירת מחדל
+        </Button>
+        <Button onClick={onClose} disabled={saving}>
+          ביטול
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={loading || saving || hasErrors}
+        >
+          {saving ? <CircularProgress size={24} /> : 'שמור'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default EventColorsDialog;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import { httpsCallable } from 'firebase/functions';
+import toast from 'react-hot-toast';
+
+// What happens to rows of an event type
+const actionOptions = [
+  { value: 'skip', label: 'התעלם לגמרי' },
+  { value: 'app-only', label: 'הצג באפליקציה בלבד' },
+  { value: 'tentative', label: 'סנכרן כטנטטיבי' },
+  { value: 'calendar', label: 'סנכרן ליומן אחר' },
+];
+
+function EventTypeRulesDialog({ open, onClose }) {
+  const [rules, setRules] = useState([]);
+  const [defaults, setDefaults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const loadRules = async () => {
+      setLoading(true);
+      try {
+        const getEventTypeRules = httpsCallable(window.functions, 'getEventTypeRules');
+        const result = await getEventTypeRules();
+        setRules(result.data.rules || []);
+        setDefaults(result.data.defaults || []);
+      } catch (error) {
+        console.error('Error loading event type rules:', error);
+        toast.error('שגיאה בטעינת כללי סוגי האירועים');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRules();
+  }, [open]);
+
+  const handleChange = (index, field, value) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const handleAdd = () => {
+    setRules(prev => [...prev, { type: '', action: 'skip' }]);
+  };
+
+  const handleRemove = (index) => {
+    setRules(prev => prev.filter((rule, i) => i !== index));
+  };
+
+  const types = rules.map(rule => rule.type.trim());
+  const isInvalid = (rule, index) =>
+    !rule.type.trim() ||
+    types.indexOf(rule.type.trim()) !== index ||
+    (rule.action === 'calendar' && !(rule.calendarId || '').trim());
+  const hasErrors = rules.some(isInvalid);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saveEventTypeRules = httpsCallable(window.functions, 'saveEventTypeRules');
+      await saveEventTypeRules({ rules });
+      toast.success('כללי סוגי האירועים נשמרו');
+      onClose();
+    } catch (error) {
+      console.error('Error saving event type rules:', error);
+      toast.error(`שגיאה בשמירה: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>כללים לפי סוג אירוע</DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              הכללים חלים לפי עמודת סוג האירוע (פירוט). סוגים ללא כלל מסונכרנים כרגיל ליומן הראשי.
+            </Typography>
+
+            {rules.length === 0 && (
+              <Alert severity="info" sx={{ mb: 2 }}>אין כללים - כל סוגי האירועים מסונכרנים</Alert>
+            )}
+
+            <Stack spacing={2}>
+              {rules.map((rule, index) => (
+                <Stack key={index} direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems="center">
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="סוג אירוע"
+                    value={rule.type}
+                    onChange={(e) => handleChange(index, 'type', e.target.value)}
+                    error={!rule.type.trim() || types.indexOf(rule.type.trim()) !== index}
+                  />
+                  <TextField
+                    select
+                    fullWidth
+                    size="small"
+                    label="פעולה"
+                    value={rule.action}
+                    onChange={(e) => handleChange(index, 'action', e.target.value)}
+                  >
+                    {actionOptions.map(option => (
+                      <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                    ))}
+                  </TextField>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="מזהה יומן"
+                    value={rule.calendarId || ''}
+                    onChange={(e) => handleChange(index, 'calendarId', e.target.value.trim())}
+                    disabled={rule.action !== 'calendar'}
+                    error={rule.action === 'calendar' && !(rule.calendarId || '').trim()}
+                    sx={{ direction: 'ltr' }}
+                  />
+                  <IconButton onClick={() => handleRemove(index)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Stack>
+              ))}
+            </Stack>
+
+            <Button startIcon={<AddIcon />} onClick={handleAdd} sx={{ mt: 2 }}>
+              הוסף כלל
+            </Button>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setRules(defaults)} disabled={loading || saving}>
+          איפוס לברירת מחדל
+        </Button>
+        <Button onClick={onClose} disabled={saving}>
+          ביטול
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={loading || saving || hasErrors}
+        >
+          {saving ? <CircularProgress size={24} /> : 'שמור'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default EventTypeRulesDialog;
@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { getFunctions, httpsCallable } from 'firebase/functions';
-import { FiCalendar, FiPrinter, FiInfo, FiFilter, FiClock, FiMapPin, FiUser, FiUsers, FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import { useEventColors } from '../hooks/useEvents';
+import { getEventTypeColor } from '../utils/eventColors';
+import { FiCalendar, FiPrinter, FiInfo, FiFilter, FiClock, FiMapPin, FiUser, FiUsers, FiChevronLeft, FiChevronRight, FiAlertTriangle } from 'react-icons/fi';
 
 // Common component for displaying events across different timeframe views
 function EventsView({ timeframe, title, month, year }) {
@@ -11,6 +13,7 @@ function EventsView({ timeframe, title, month, year }) {
   const [filter, setFilter] = useState('');
   const [expandedView, setExpandedView] = useState(true);
   const timelineRef = useRef(null);
+  const { data: eventColors = [] } = useEventColors();
   
   // Get the Firebase Functions instance
   const functions = getFunctions();
@@ -107,26 +110,6 @@ function EventsView({ timeframe, title, month, year }) {
     setFilteredEvents(filtered);
   }, [filter, events]);
 
-  // Get color for event type
-  const getEventTypeColor = (eventType) => {
-    switch (eventType) {
-      case 'סטנדאפ':
-        return { bg: '#E6D4F0', text: '#000000' }; // Light purple with black text
-      case 'מצלמות':
-        return { bg: '#FFF2CC', text: '#000000' }; // Light yellow with black text
-      case 'כנס':
-        return { bg: '#F8CEBD', text: '#000000' }; // Light peach with black text
-      case 'אולפן':
-        return { bg: '#E2F0D9', text: '#000000' }; // Light green with black text
-      case 'שטח':
-        return { bg: '#5C3317', text: '#FFFFFF' }; // Brown with white text
-      case 'חו"ל':
-        return { bg: '#FADBD8', text: '#000000' }; // Light pink with black text
-      default:
-        return { bg: '#607D8B', text: '#FFFFFF' }; // Blue Grey with white text
-    }
-  };
-
   // Group events by date (fixed to ensure grouping works correctly)
   const groupEventsByDate = () => {
     const eventsByDate = {};
@@ -243,12 +226,15 @@ function EventsView({ timeframe, title, month, year }) {
                 
                 <div className="date-events">
                   {dayEvents.map((event, index) => {
-                    const eventTypeColor = getEventTypeColor(event.eventTypeD);
+                    const eventTypeColor = getEventTypeColor(eventColors, event.eventTypeD);
+                    const conflicts = event.conflicts || [];
+                    const conflictedTechnicians = new Set(conflicts.map(conflict => conflict.technician));
                     return (
                       <div 
                         key={index} 
-                        className="event-card"
+                        className={`event-card ${conflicts.length > 0 ? 'has-conflict' : ''}`}
                         data-type={event.eventTypeD}
+                        style={{ '--event-type-color': eventTypeColor.bg }}
                       >
                         <div className="event-type-header">
                           <span 
@@ -309,7 +295,10 @@ function EventsView({ timeframe, title, month, year }) {
                             <div className="technicians-list">
                               {Array.isArray(event.technicians) && event.technicians.length > 0 ? (
                                 event.technicians.map((tech, idx) => (
-                                  <span key={idx} className="technician-badge">
+                                  <span
+                                    key={idx}
+                                    className={`technician-badge ${conflictedTechnicians.has(tech) ? 'conflict' : ''}`}
+                                  >
                                     {tech}
                                   </span>
                                 ))
@@ -321,6 +310,20 @@ function EventsView({ timeframe, title, month, year }) {
                             </div>
                           </div>
                           
+                          {/* Double bookings of this event's technicians */}
+                          {conflicts.length > 0 && (
+                            <div className="event-detail-row conflict-row">
+                              <FiAlertTriangle className="detail-icon" />
+                              <div>
+                                {conflicts.map((conflict, idx) => (
+                                  <div key={idx}>
+                                    <strong>שיבוץ כפול:</strong> {conflict.technician} משובץ גם ב"{conflict.title}" ({conflict.date})
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+                          
                           {/* Equipment List Button - Show appropriate version based on presence of URL */}
                           <div className="event-detail-row equipment-row">
                             {event.equipmentListUrl ? (
@@ -1,6 +1,7 @@
 import React, { useState, useRef, useMemo } from 'react';
 import { FiCalendar, FiChevronLeft, FiChevronRight, FiRefreshCw } from 'react-icons/fi';
-import { useEvents } from '../hooks/useEvents';
+import { useEvents, useEventColors } from '../hooks/useEvents';
+import { getEventTypeColor } from '../utils/eventColors';
 import useUIStore from '../store/uiStore';
 
 // Enhanced EventsView component using React Query
@@ -13,6 +14,7 @@ function EventsViewEnhanced({ timeframe, title }) {
 
   // Use React Query hook for data fetching with automatic caching and refetching
   const { data: events = [], isLoading, isError, error, refetch } = useEvents(timeframe);
+  const { data: eventColors = [] } = useEventColors();
 
   // Memoized filtered events
   const filteredEvents = useMemo(() => {
@@ -31,19 +33,6 @@ function EventsViewEnhanced({ timeframe, title }) {
     );
   }, [events, filter]);
 
-  // Get color for event type
-  const getEventTypeColor = (eventType) => {
-    const colors = {
-      'סטנדאפ': { bg: '#E6D4F0', text: '#000000' },
-      'מצלמות': { bg: '#FFF2CC', text: '#000000' },
-      'כנס': { bg: '#F8CEBD', text: '#000000' },
-      'אולפן': { bg: '#E2F0D9', text: '#000000' },
-      'שטח': { bg: '#5C3317', text: '#FFFFFF' },
-      'חו"ל': { bg: '#FADBD8', text: '#000000' },
-    };
-    return colors[eventType] || { bg: '#607D8B', text: '#FFFFFF' };
-  };
-
   // Group events by date - memoized for performance
   const eventsByDate = useMemo(() => {
     const grouped = {};
@@ -180,12 +169,13 @@ function EventsViewEnhanced({ timeframe, title }) {
 
                 <div className="date-events">
                   {dayEvents.map((event, index) => {
-                    const eventTypeColor = getEventTypeColor(event.eventTypeD);
+                    const eventTypeColor = getEventTypeColor(eventColors, event.eventTypeD);
                     return (
                       <div
                         key={`${date}-${index}`}
                         className="event-card"
                         data-type={event.eventTypeD}
+                        style={{ '--event-type-color': eventTypeColor.bg }}
                       >
                         <div className="event-type-header">
                           <span
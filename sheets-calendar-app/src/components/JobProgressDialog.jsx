@@ -0,0 +1,136 @@
+import React, { useEffect, useRef } from 'react';
+import {
+  Alert,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+  Typography,
+} from '@mui/material';
+import { ACTIVE_JOB_STATUSES, useJob } from '../hooks/useJob';
+import { useCancelJob, useResumeJob } from '../hooks/useEvents';
+
+const jobTitles = {
+  scanMonth: ({ month, year }) => `סריקת חודש ${month}/${year}`,
+  deleteMonth: ({ month, year }) => `מחיקת אירועים ${month}/${year}`,
+  reprocessRows: ({ rowIds }) => `הוספת ${rowIds.length} אירועים ליומן`,
+};
+
+const statusLabels = {
+  queued: 'ממתין לתור',
+  running: 'בביצוע',
+  completed: 'הושלם',
+  failed: 'נכשל',
+  cancelled: 'בוטל',
+};
+
+// Live progress of a job: counters from the job document, its failed items,
+// and cancel / resume. Closing the dialog leaves the job running.
+function JobProgressDialog({ jobId, onClose, onCompleted }) {
+  const { job, failures } = useJob(jobId);
+  const cancelJobMutation = useCancelJob();
+  const resumeJobMutation = useResumeJob();
+  const notifiedJobId = useRef(null);
+
+  useEffect(() => {
+    if (job?.status === 'completed' && notifiedJobId.current !== job.id) {
+      notifiedJobId.current = job.id;
+      onCompleted(job);
+    }
+  }, [job?.status]);
+
+  const active = job && ACTIVE_JOB_STATUSES.includes(job.status);
+  const progress = job?.progress || {};
+  const percent = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  return (
+    <Dialog
+      open={!!jobId}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{
+        sx: {
+          bgcolor: 'background.paper',
+          backgroundImage: 'none',
+        },
+      }}
+    >
+      <DialogTitle>{job ? jobTitles[job.type](job.params) : 'טוען...'}</DialogTitle>
+      <DialogContent>
+        <Stack spacing={3} sx={{ py: 2 }}>
+          {job && (
+            <Typography variant="body1" color="text.secondary">
+              {statusLabels[job.status]}
+              {active && !job.items && ' · מכין את רשימת הפריטים...'}
+              {job.cancelRequested && ' · עוצר אחרי הפריט הנוכחי...'}
+            </Typography>
+          )}
+          <LinearProgress
+            variant={active && !job.items ? 'indeterminate' : 'determinate'}
+            value={percent}
+            sx={{ height: 8, borderRadius: 4 }}
+          />
+          <Typography variant="body2" color="text.secondary" align="center">
+            {progress.done || 0} מתוך {progress.total || 0} ({percent}%)
+          </Typography>
+          <Stack direction="row" spacing={1} justifyContent="center">
+            <Chip size="small" color="success" label={`הצליחו: ${progress.succeeded || 0}`} />
+            <Chip size="small" label={`דולגו: ${progress.skipped || 0}`} />
+            <Chip size="small" color="error" label={`נכשלו: ${progress.failed || 0}`} />
+          </Stack>
+
+          {job?.status === 'failed' && (
+            <Alert severity="error">{job.error}</Alert>
+          )}
+
+          {failures.length > 0 && (
+            <List dense sx={{ maxHeight: 200, overflow: 'auto' }}>
+              {failures.map(failure => (
+                <ListItem key={failure.id} disableGutters>
+                  <ListItemText
+                    primary={failure.item?.title || `מזהה שורה ${failure.item}`}
+                    secondary={failure.error}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        {active && (
+          <Button
+            color="error"
+            onClick={() => cancelJobMutation.mutate({ jobId })}
+            disabled={job.cancelRequested || cancelJobMutation.isPending}
+          >
+            עצור
+          </Button>
+        )}
+        {job && (job.status === 'cancelled' || job.status === 'failed') && (
+          <Button
+            variant="contained"
+            onClick={() => resumeJobMutation.mutate({ jobId })}
+            disabled={resumeJobMutation.isPending}
+          >
+            {resumeJobMutation.isPending ? <CircularProgress size={24} /> : 'המשך מהמקום שנעצר'}
+          </Button>
+        )}
+        <Button onClick={onClose}>
+          {active ? 'הסתר' : 'סגור'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default JobProgressDialog;
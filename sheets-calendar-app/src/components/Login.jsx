@@ -25,7 +25,7 @@ function Login({ authError }) {
     <div className="login-container">
       <div className="login-card">
         <h1>Sheets to Calendar Sync</h1>
-        <p>Sign in with your hakolsound.co.il Google account</p>
+        <p>Sign in with your organization's Google account or the address you were invited with</p>
         <GoogleButton onClick={handleGoogleLogin} />
         {authError && <div className="error-message">{authError}</div>}
       </div>
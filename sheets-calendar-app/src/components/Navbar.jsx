@@ -3,9 +3,11 @@ import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { getAuth, signOut } from 'firebase/auth';
 import { FiCalendar, FiSettings, FiMonitor, FiLogOut, FiMenu, FiX, FiFileText, FiPlus } from 'react-icons/fi';
 import useAuthStore from '../store/authStore';
+import usePermissions, { ROLE_LABELS } from '../hooks/usePermissions';
 
 function Navbar() {
   const { user } = useAuthStore();
+  const { role, can } = usePermissions();
   const navigate = useNavigate();
   const location = useLocation();
   const [menuOpen, setMenuOpen] = useState(false);
@@ -87,7 +89,7 @@ function Navbar() {
     <>
       <nav className="navbar">
         {/* Menu toggle button for mobile */}
-        {isMobile && (
+        {isMobile && can('quotes') && (
           <button className="menu-toggle" onClick={toggleMenu}>
             {menuOpen ? <FiX /> : <FiMenu />}
           </button>
@@ -136,43 +138,47 @@ function Navbar() {
             
             <div className="navbar-section">
               {/* Quote dropdown */}
-              <div className="dropdown-container" onClick={(e) => e.stopPropagation()}>
-                <div 
-                  className={`navbar-item ${isActive('/quotes') ? 'active' : ''}`}
-                  onClick={toggleQuoteDropdown}
-                >
-                  <FiFileText /> Quotes <span className="dropdown-arrow">▼</span>
-                </div>
-                {showQuoteDropdown && (
-                  <div className="dropdown-menu">
-                    <Link 
-                      to="/quotes/new" 
-                      className="dropdown-item"
-                      onClick={() => {
-                        setShowQuoteDropdown(false);
-                        closeMenu();
-                      }}
-                    >
-                      <FiPlus /> New Quote
-                    </Link>
-                    <a 
-                      href="#" 
-                      className="dropdown-item"
-                      onClick={openExistingQuote}
-                    >
-                      <FiFileText /> Open Quote
-                    </a>
+              {can('quotes') && (
+                <div className="dropdown-container" onClick={(e) => e.stopPropagation()}>
+                  <div 
+                    className={`navbar-item ${isActive('/quotes') ? 'active' : ''}`}
+                    onClick={toggleQuoteDropdown}
+                  >
+                    <FiFileText /> Quotes <span className="dropdown-arrow">▼</span>
                   </div>
-                )}
-              </div>
+                  {showQuoteDropdown && (
+                    <div className="dropdown-menu">
+                      <Link 
+                        to="/quotes/new" 
+                        className="dropdown-item"
+                        onClick={() => {
+                          setShowQuoteDropdown(false);
+                          closeMenu();
+                        }}
+                      >
+                        <FiPlus /> New Quote
+                      </Link>
+                      <a 
+                        href="#" 
+                        className="dropdown-item"
+                        onClick={openExistingQuote}
+                      >
+                        <FiFileText /> Open Quote
+                      </a>
+                    </div>
+                  )}
+                </div>
+              )}
               
-              <Link
-                to="/control"
-                className={`navbar-item ${isActive('/control') ? 'active' : ''}`}
-                onClick={closeMenu}
-              >
-                <FiSettings /> Control Center
-              </Link>
+              {can('view') && (
+                <Link
+                  to="/control"
+                  className={`navbar-item ${isActive('/control') ? 'active' : ''}`}
+                  onClick={closeMenu}
+                >
+                  <FiSettings /> Control Center
+                </Link>
+              )}
             </div>
           </div>
         )}
@@ -185,6 +191,7 @@ function Navbar() {
               className="user-avatar" 
             />
             <span className="user-name">{user?.displayName || 'User'}</span>
+            {role && <span className="user-role">{ROLE_LABELS[role]}</span>}
           </div>
           <button onClick={handleLogout} className="logout-button">
             <FiLogOut /> {!isMobile && "Logout"}
@@ -216,25 +223,29 @@ function Navbar() {
             <FiCalendar />
             <span>Week</span>
           </Link>
-          <Link 
-            to="/quotes/new" 
-            className={`tab-item ${isActive('/quotes') ? 'active' : ''}`}
-          >
-            <FiFileText />
-            <span>Quotes</span>
-          </Link>
-          <Link
-            to="/control"
-            className={`tab-item ${isActive('/control') ? 'active' : ''}`}
-          >
-            <FiSettings />
-            <span>Control</span>
-          </Link>
+          {can('quotes') && (
+            <Link 
+              to="/quotes/new" 
+              className={`tab-item ${isActive('/quotes') ? 'active' : ''}`}
+            >
+              <FiFileText />
+              <span>Quotes</span>
+            </Link>
+          )}
+          {can('view') && (
+            <Link
+              to="/control"
+              className={`tab-item ${isActive('/control') ? 'active' : ''}`}
+            >
+              <FiSettings />
+              <span>Control</span>
+            </Link>
+          )}
         </div>
       )}
       
       {/* Mobile expanded menu overlay */}
-      {isMobile && menuOpen && (
+      {isMobile && menuOpen && can('quotes') && (
         <div className={`navbar-menu expanded`}>
           {/* Quote options in expanded menu */}
           <div className="navbar-subheader">Quotes</div>
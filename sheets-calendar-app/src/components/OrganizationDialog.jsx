@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  PersonRemove as PersonRemoveIcon,
+} from '@mui/icons-material';
+import { httpsCallable } from 'firebase/functions';
+import toast from 'react-hot-toast';
+import useAuthStore from '../store/authStore';
+import { ROLE_LABELS } from '../hooks/usePermissions';
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function OrganizationDialog({ open, onClose }) {
+  const { user, setOrganization } = useAuthStore();
+  const [organization, setOrganizationState] = useState(null);
+  const [newDomain, setNewDomain] = useState('');
+  const [newInvite, setNewInvite] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadOrganization = async () => {
+    setLoading(true);
+    try {
+      const getOrganization = httpsCallable(window.functions, 'getOrganization');
+      const result = await getOrganization();
+      setOrganizationState(result.data);
+      setOrganization(result.data);
+    } catch (error) {
+      console.error('Error loading organization:', error);
+      toast.error('שגיאה בטעינת פרטי הארגון');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!open) return;
+    setNewDomain('');
+    setNewInvite('');
+    loadOrganization();
+  }, [open]);
+
+  const handleChange = (field, value) => {
+    setOrganizationState(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleAddDomain = () => {
+    const domain = newDomain.trim().toLowerCase();
+    if (!organization.allowedDomains.includes(domain)) {
+      handleChange('allowedDomains', [...organization.allowedDomains, domain]);
+    }
+    setNewDomain('');
+  };
+
+  const handleAddInvite = () => {
+    const email = newInvite.trim().toLowerCase();
+    if (!organization.invitedEmails.includes(email)) {
+      handleChange('invitedEmails', [...organization.invitedEmails, email]);
+    }
+    setNewInvite('');
+  };
+
+  const handleRemoveMember = async (member) => {
+    try {
+      const removeOrganizationMember = httpsCallable(window.functions, 'removeOrganizationMember');
+      await removeOrganizationMember({ uid: member.uid });
+      toast.success(`${member.email} הוסר מהארגון`);
+      await loadOrganization();
+    } catch (error) {
+      console.error('Error removing member:', error);
+      toast.error(`שגיאה בהסרה: ${error.message}`);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      const setMemberRole = httpsCallable(window.functions, 'setMemberRole');
+      await setMemberRole({ uid: member.uid, role });
+      toast.success(`${member.email} הוא כעת ${ROLE_LABELS[role]}`);
+      await loadOrganization();
+    } catch (error) {
+      console.error('Error changing member role:', error);
+      toast.error(`שגיאה בשינוי התפקיד: ${error.message}`);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saveOrganization = httpsCallable(window.functions, 'saveOrganization');
+      const { name, allowedDomains, invitedEmails } = organization;
+      await saveOrganization({ organization: { name, allowedDomains, invitedEmails } });
+      toast.success('פרטי הארגון נשמרו');
+      onClose();
+    } catch (error) {
+      console.error('Error saving organization:', error);
+      toast.error(`שגיאה בשמירה: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>ארגון וחברים</DialogTitle>
+      <DialogContent>
+        {loading || !organization ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <TextField
+              fullWidth
+              size="small"
+              label="שם הארגון"
+              value={organization.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              error={!organization.name.trim()}
+              sx={{ mt: 1 }}
+            />
+
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2, mb: 2 }}>
+              ההגדרות, היומנים ויומן העיבוד משותפים לכל חברי הארגון.
+              משתמש מדומיין מורשה או מכתובת שהוזמנה מצטרף לארגון בכניסה הראשונה כצופה.
+            </Typography>
+
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>דומיינים מורשים</Typography>
+            <Stack direction="row" spacing={1} sx={{ mb: 1, flexWrap: 'wrap', gap: 1 }}>
+              {organization.allowedDomains.map(domain => (
+                <Chip
+                  key={domain}
+                  label={domain}
+                  onDelete={() => handleChange('allowedDomains', organization.allowedDomains.filter(d => d !== domain))}
+                />
+              ))}
+            </Stack>
+            <Stack direction="row" spacing={1} alignItems="center">
+              <TextField
+                fullWidth
+                size="small"
+                label="דומיין"
+                value={newDomain}
+                onChange={(e) => setNewDomain(e.target.value)}
+                sx={{ direction: 'ltr' }}
+              />
+              <IconButton onClick={handleAddDomain} disabled={!DOMAIN_PATTERN.test(newDomain.trim().toLowerCase())}>
+                <AddIcon />
+              </IconButton>
+            </Stack>
+
+            <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>משתמשים מוזמנים</Typography>
+            <Stack direction="row" spacing={1} sx={{ mb: 1, flexWrap: 'wrap', gap: 1 }}>
+              {organization.invitedEmails.map(email => (
+                <Chip
+                  key={email}
+                  label={email}
+                  onDelete={() => handleChange('invitedEmails', organization.invitedEmails.filter(e => e !== email))}
+                />
+              ))}
+            </Stack>
+            <Stack direction="row" spacing={1} alignItems="center">
+              <TextField
+                fullWidth
+                size="small"
+                label="כתובת מייל"
+                value={newInvite}
+                onChange={(e) => setNewInvite(e.target.value)}
+                sx={{ direction: 'ltr' }}
+              />
+              <IconButton onClick={handleAddInvite} disabled={!EMAIL_PATTERN.test(newInvite.trim())}>
+                <AddIcon />
+              </IconButton>
+            </Stack>
+
+            <Divider sx={{ my: 3 }} />
+
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>חברים ({organization.members.length})</Typography>
+            <List dense sx={{ maxHeight: 240, overflow: 'auto' }}>
+              {organization.members.map(member => (
+                <ListItem key={member.uid} disableGutters>
+                  <ListItemText primary={member.displayName || member.email} secondary={member.email} />
+                  <TextField
+                    select
+                    size="small"
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    sx={{ minWidth: 110 }}
+                  >
+                    {organization.roles.map(role => (
+                      <MenuItem key={role} value={role}>{ROLE_LABELS[role]}</MenuItem>
+                    ))}
+                  </TextField>
+                  <IconButton onClick={() => handleRemoveMember(member)} disabled={member.uid === user?.uid}>
+                    <PersonRemoveIcon fontSize="small" />
+                  </IconButton>
+                </ListItem>
+              ))}
+            </List>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          ביטול
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={loading || saving || !organization || !organization.name.trim()}
+        >
+          {saving ? <CircularProgress size={24} /> : 'שמור'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default OrganizationDialog;
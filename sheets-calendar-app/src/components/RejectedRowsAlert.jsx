@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Button,
+  Collapse,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+
+// Hebrew reasons for the rejection codes returned by the backend
+const reasonLabels = {
+  'missing-date': 'חסר תאריך',
+  'invalid-date': 'תאריך לא מזוהה',
+  'invalid-end-date': 'תאריך סיום לא תקין',
+  'invalid-setup-date': 'תאריך הקמה לא מזוהה',
+  'invalid-start-time': 'שעת התחלה לא מזוהה',
+  'invalid-end-time': 'שעת סיום לא מזוהה',
+};
+
+function RejectedRowsAlert({ rows, sx }) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!rows || rows.length === 0) {
+    return null;
+  }
+
+  return (
+    <Alert
+      severity="warning"
+      sx={sx}
+      action={
+        <Button color="inherit" size="small" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'הסתר' : 'הצג'}
+        </Button>
+      }
+    >
+      {rows.length} שורות בגיליון לא נקלטו בגלל תאריך או שעה לא תקינים
+      <Collapse in={expanded}>
+        <TableContainer sx={{ mt: 1, maxHeight: 240 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 700 }}>שורה</TableCell>
+                <TableCell sx={{ fontWeight: 700 }}>כותרת</TableCell>
+                <TableCell sx={{ fontWeight: 700 }}>סיבה</TableCell>
+                <TableCell sx={{ fontWeight: 700 }}>ערך</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((row) => (
+                <TableRow key={`${row.rowId || row.rowIndex}-${row.code}`}>
+                  <TableCell>{row.sheetRow}</TableCell>
+                  <TableCell>{row.title || '-'}</TableCell>
+                  <TableCell>{reasonLabels[row.code] || row.reason}</TableCell>
+                  <TableCell sx={{ direction: 'ltr' }}>{row.value || '-'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Collapse>
+    </Alert>
+  );
+}
+
+export default RejectedRowsAlert;
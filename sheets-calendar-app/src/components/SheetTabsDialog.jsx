@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  FormControlLabel,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import { httpsCallable } from 'firebase/functions';
+import toast from 'react-hot-toast';
+
+function SheetTabsDialog({ open, onClose }) {
+  const [tabs, setTabs] = useState([]);
+  const [primary, setPrimary] = useState('');
+  const [primaryNamespace, setPrimaryNamespace] = useState(null);
+  const [titles, setTitles] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [rolloverTab, setRolloverTab] = useState('');
+  const [rolloverPlan, setRolloverPlan] = useState(null);
+  const [rollingOver, setRollingOver] = useState(false);
+
+  const loadTabs = async () => {
+    setLoading(true);
+    try {
+      const getSheetTabs = httpsCallable(window.functions, 'getSheetTabs');
+      const result = await getSheetTabs();
+      const loadedTabs = result.data.tabs || [];
+      setTabs(loadedTabs);
+      setPrimary(result.data.primary || '');
+      setPrimaryNamespace(loadedTabs.find(tab => tab.sheetName === result.data.primary)?.namespace ?? null);
+      setTitles(result.data.titles || []);
+    } catch (error) {
+      console.error('Error loading sheet tabs:', error);
+      toast.error('שגיאה בטעינת הלשוניות');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!open) return;
+    setRolloverTab('');
+    setRolloverPlan(null);
+    loadTabs();
+  }, [open]);
+
+  const handleChange = (index, field, value) => {
+    setTabs(prev => prev.map((tab, i) => (i === index ? { ...tab, [field]: value } : tab)));
+  };
+
+  const handleAdd = () => {
+    const unused = titles.find(title => !tabs.some(tab => tab.sheetName === title)) || '';
+    setTabs(prev => [...prev, { sheetName: unused, archived: false }]);
+  };
+
+  const handleRemove = (index) => {
+    setTabs(prev => prev.filter((tab, i) => i !== index));
+  };
+
+  const names = tabs.map(tab => tab.sheetName);
+  const hasErrors = tabs.some((tab, index) => !tab.sheetName || names.indexOf(tab.sheetName) !== index);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saveSheetTabs = httpsCallable(window.functions, 'saveSheetTabs');
+      await saveSheetTabs({ tabs });
+      toast.success('הלשוניות נשמרו. הסריקות המתוזמנות יכסו את כל הלשוניות הפעילות');
+      onClose();
+    } catch (error) {
+      console.error('Error saving sheet tabs:', error);
+      toast.error(`שגיאה בשמירה: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runRollover = async (dryRun) => {
+    setRollingOver(true);
+    try {
+      const rolloverSheetTab = httpsCallable(window.functions, 'rolloverSheetTab');
+      const result = await rolloverSheetTab({ sheetName: rolloverTab, dryRun });
+      if (dryRun) {
+        setRolloverPlan(result.data);
+      } else {
+        toast.success(`הלשונית "${result.data.to}" היא כעת הלשונית הראשית`);
+        if (result.data.errors?.length > 0) {
+          toast.error(`${result.data.errors.length} אירועים לא עודכנו - ראה יומן עיבוד`);
+        }
+        setRolloverTab('');
+        setRolloverPlan(null);
+        await loadTabs();
+      }
+    } catch (error) {
+      console.error('Error in year rollover:', error);
+      toast.error(`שגיאה במעבר שנה: ${error.message}`);
+    } finally {
+      setRollingOver(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>לשוניות ומעבר שנה</DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              כל הלשוניות הפעילות נסרקות ומסונכרנות ליומן. לשונית בארכיון אינה נסרקת, והאירועים שלה נשארים ביומן.
+            </Typography>
+
+            <Stack spacing={2}>
+              {tabs.map((tab, index) => {
+                // The primary tab is known by its namespace, so it stays primary when renamed
+                const isPrimary = tab.namespace !== undefined && tab.namespace === primaryNamespace;
+                return (
+                  <Stack key={index} direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems="center">
+                    <TextField
+                      select
+                      fullWidth
+                      size="small"
+                      label="לשונית"
+                      value={tab.sheetName}
+                      onChange={(e) => handleChange(index, 'sheetName', e.target.value)}
+                      error={!tab.sheetName || names.indexOf(tab.sheetName) !== index}
+                    >
+                      {titles.map(title => (
+                        <MenuItem key={title} value={title}>{title}</MenuItem>
+                      ))}
+                    </TextField>
+                    {isPrimary && <Chip size="small" color="primary" label="ראשית" />}
+                    <FormControlLabel
+                      control={
+                        <Checkbox
+                          checked={!!tab.archived}
+                          onChange={(e) => handleChange(index, 'archived', e.target.checked)}
+                          disabled={isPrimary}
+                        />
+                      }
+                      label="ארכיון"
+                      sx={{ whiteSpace: 'nowrap' }}
+                    />
+                    <IconButton onClick={() => handleRemove(index)} disabled={isPrimary}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Stack>
+                );
+              })}
+            </Stack>
+
+            <Button startIcon={<AddIcon />} onClick={handleAdd} sx={{ mt: 2 }} disabled={tabs.length >= titles.length}>
+              הוסף לשונית
+            </Button>
+
+            <Divider sx={{ my: 3 }} />
+
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>מעבר שנה</Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              הלשונית שתיבחר תהפוך ללשונית הראשית והלשונית "{primary}" תועבר לארכיון.
+              שורות שהועתקו מ"{primary}" ממשיכות לעדכן את האירועים הקיימים שלהן, בלי ליצור אותם מחדש.
+            </Typography>
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems="center">
+              <TextField
+                select
+                fullWidth
+                size="small"
+                label="לשונית חדשה"
+                value={rolloverTab}
+                onChange={(e) => {
+                  setRolloverTab(e.target.value);
+                  setRolloverPlan(null);
+                }}
+              >
+                {titles.filter(title => title !== primary).map(title => (
+                  <MenuItem key={title} value={title}>{title}</MenuItem>
+                ))}
+              </TextField>
+              <Button
+                variant="outlined"
+                onClick={() => runRollover(true)}
+                disabled={!rolloverTab || rollingOver}
+                sx={{ minWidth: 120 }}
+              >
+                בדיקה
+              </Button>
+            </Stack>
+
+            {rolloverPlan && (
+              <Alert severity="info" sx={{ mt: 2 }}>
+                <Typography variant="body2">
+                  {rolloverPlan.adopted.length > 0
+                    ? `${rolloverPlan.adopted.length} שורות ב"${rolloverPlan.to}" ימשיכו את האירועים שלהן מ"${rolloverPlan.from}":`
+                    : `אין שורות ב"${rolloverPlan.to}" שמקורן ב"${rolloverPlan.from}". שורות חדשות ייצרו אירועים חדשים.`}
+                </Typography>
+                {rolloverPlan.adopted.length > 0 && (
+                  <List dense sx={{ maxHeight: 200, overflow: 'auto' }}>
+                    {rolloverPlan.adopted.map(row => (
+                      <ListItem key={row.eventId} disableGutters>
+                        <ListItemText primary={row.title} secondary={`שורה ${row.sheetRow} · ${row.date}`} />
+                      </ListItem>
+                    ))}
+                  </List>
+                )}
+                <Button
+                  variant="contained"
+                  size="small"
+                  onClick={() => runRollover(false)}
+                  disabled={rollingOver}
+                  sx={{ mt: 1 }}
+                >
+                  {rollingOver ? <CircularProgress size={20} /> : `עבור ל"${rolloverPlan.to}"`}
+                </Button>
+              </Alert>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          ביטול
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={loading || saving || rollingOver || hasErrors}
+        >
+          {saving ? <CircularProgress size={24} /> : 'שמור'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SheetTabsDialog;
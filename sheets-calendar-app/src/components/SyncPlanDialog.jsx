@@ -0,0 +1,183 @@
+import React from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+  alpha,
+} from '@mui/material';
+import RejectedRowsAlert from './RejectedRowsAlert';
+
+// Labels and colors for the actions a sync plan can contain
+const actionStyles = {
+  create: { label: 'יצירה', color: '#4ade80' },
+  update: { label: 'עדכון', color: '#60a5fa' },
+  cancel: { label: 'ביטול', color: '#fbbf24' },
+  restore: { label: 'שחזור', color: '#a78bfa' },
+  delete: { label: 'מחיקה', color: '#f87171' },
+};
+
+const fieldLabels = {
+  summary: 'כותרת',
+  description: 'תיאור',
+  location: 'מיקום',
+  'start time': 'התחלה',
+  'end time': 'סיום',
+  status: 'סטטוס',
+  attendees: 'משתתפים',
+  technicians: 'טכנאים',
+  eventType: 'סוג אירוע',
+  manager: 'מנהל אירוע',
+  endDate: 'תאריך סיום',
+  setupDate: 'תאריך הקמה',
+  metadata: 'נתוני שורה (השלמה)',
+  calendar: 'יומן',
+  color: 'צבע',
+  transparency: 'זמינות (טנטטיבי)',
+};
+
+function ChangeList({ changes }) {
+  if (!changes || changes.length === 0) {
+    return <Typography variant="body2" color="text.secondary">-</Typography>;
+  }
+
+  return (
+    <Stack spacing={0.5}>
+      {changes.map((change) => (
+        <Box key={change.field}>
+          <Typography variant="caption" sx={{ fontWeight: 700 }}>
+            {fieldLabels[change.field] || change.field}:
+          </Typography>{' '}
+          <Typography
+            component="span"
+            variant="caption"
+            sx={{ color: 'error.main', textDecoration: 'line-through', whiteSpace: 'pre-wrap' }}
+          >
+            {change.from || '(ריק)'}
+          </Typography>
+          {' ← '}
+          <Typography
+            component="span"
+            variant="caption"
+            sx={{ color: 'success.main', whiteSpace: 'pre-wrap' }}
+          >
+            {change.to || '(ריק)'}
+          </Typography>
+        </Box>
+      ))}
+    </Stack>
+  );
+}
+
+function SyncPlanDialog({ open, title, plan, rejected, loading, onApprove, onClose }) {
+  const entries = plan || [];
+  const counts = entries.reduce((acc, entry) => {
+    acc[entry.action] = (acc[entry.action] || 0) + 1;
+    return acc;
+  }, {});
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <CircularProgress />
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+              מחשב תוכנית סנכרון...
+            </Typography>
+          </Box>
+        ) : entries.length === 0 ? (
+          <>
+            <RejectedRowsAlert rows={rejected} sx={{ mb: 2 }} />
+            <Alert severity="info">אין שינויים לביצוע</Alert>
+          </>
+        ) : (
+          <>
+            <RejectedRowsAlert rows={rejected} sx={{ mb: 2 }} />
+            <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+              {Object.entries(counts).map(([action, count]) => (
+                <Chip
+                  key={action}
+                  label={`${actionStyles[action]?.label || action}: ${count}`}
+                  size="small"
+                  sx={{
+                    bgcolor: alpha(actionStyles[action]?.color || '#94a3b8', 0.15),
+                    color: actionStyles[action]?.color,
+                  }}
+                />
+              ))}
+            </Stack>
+            <TableContainer sx={{ maxHeight: 480 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 700 }}>פעולה</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>שורה</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>תאריך</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>כותרת</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>שינויים</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {entries.map((entry, index) => (
+                    <TableRow key={`${entry.rowId || entry.eventId}-${index}`}>
+                      <TableCell>
+                        <Chip
+                          label={actionStyles[entry.action]?.label || entry.action}
+                          size="small"
+                          sx={{
+                            bgcolor: alpha(actionStyles[entry.action]?.color || '#94a3b8', 0.15),
+                            color: actionStyles[entry.action]?.color,
+                          }}
+                        />
+                      </TableCell>
+                      <TableCell>{entry.sheetRow || '-'}</TableCell>
+                      <TableCell>{entry.date || '-'}</TableCell>
+                      <TableCell>
+                        <Typography variant="body2">{entry.title}</Typography>
+                        {entry.warning && (
+                          <Typography variant="caption" color="warning.main">
+                            {entry.warning}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <ChangeList changes={entry.changes} />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>ביטול</Button>
+        <Button
+          variant="contained"
+          onClick={onApprove}
+          disabled={loading || entries.length === 0}
+        >
+          אשר והפעל
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SyncPlanDialog;
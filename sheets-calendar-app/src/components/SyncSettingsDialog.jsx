@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  FormHelperText,
+  MenuItem,
+  Stack,
+  Switch,
+  TextField,
+} from '@mui/material';
+import { httpsCallable } from 'firebase/functions';
+import toast from 'react-hot-toast';
+
+// How a row with an end date is synced to the calendar
+const multiDayModes = [
+  { value: 'span', label: 'אירוע אחד לכל הימים' },
+  { value: 'series', label: 'אירוע נפרד לכל יום' },
+];
+
+// Who Google emails when an event with invited technicians changes
+const sendUpdatesOptions = [
+  { value: 'none', label: 'ללא שליחת מיילים' },
+  { value: 'all', label: 'לכל המשתתפים' },
+  { value: 'externalOnly', label: 'רק למשתתפים מחוץ לארגון' },
+];
+
+function SyncSettingsDialog({ open, onClose }) {
+  const [settings, setSettings] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const loadSettings = async () => {
+      setLoading(true);
+      try {
+        const getSyncSettings = httpsCallable(window.functions, 'getSyncSettings');
+        const result = await getSyncSettings();
+        setSettings(result.data.settings || {});
+      } catch (error) {
+        console.error('Error loading sync settings:', error);
+        toast.error('שגיאה בטעינת הגדרות הסנכרון');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, [open]);
+
+  const handleChange = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saveSyncSettings = httpsCallable(window.functions, 'saveSyncSettings');
+      await saveSyncSettings({ settings });
+      toast.success('הגדרות הסנכרון נשמרו');
+      onClose();
+    } catch (error) {
+      console.error('Error saving sync settings:', error);
+      toast.error(`שגיאה בשמירה: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>הגדרות סנכרון</DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              fullWidth
+              size="small"
+              label="אזור זמן"
+              value={settings.timezone || ''}
+              placeholder="Asia/Jerusalem"
+              onChange={(e) => handleChange('timezone', e.target.value.trim())}
+              helperText="אירועי חו״ל יכולים לציין אזור זמן משלהם בעמודת אזור הזמן"
+            />
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="אירועים רב-יומיים"
+              value={settings.multiDayMode || 'span'}
+              onChange={(e) => handleChange('multiDayMode', e.target.value)}
+              helperText="חל על שורות עם תאריך סיום"
+            >
+              {multiDayModes.map(mode => (
+                <MenuItem key={mode.value} value={mode.value}>
+                  {mode.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <div>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={Boolean(settings.inviteTechnicians)}
+                    onChange={(e) => handleChange('inviteTechnicians', e.target.checked)}
+                  />
+                }
+                label="הזמן טכנאים כמשתתפים באירוע"
+              />
+              <FormHelperText>
+                טכנאים עם אימייל בספריית הטכנאים יראו את האירוע ביומן האישי שלהם
+              </FormHelperText>
+            </div>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="שליחת הזמנות ועדכונים במייל"
+              value={settings.sendUpdates || 'none'}
+              onChange={(e) => handleChange('sendUpdates', e.target.value)}
+              disabled={!settings.inviteTechnicians}
+            >
+              {sendUpdatesOptions.map(option => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          ביטול
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={loading || saving}
+        >
+          {saving ? <CircularProgress size={24} /> : 'שמור'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SyncSettingsDialog;
@@ -0,0 +1,375 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  IconButton,
+  Stack,
+  Switch,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tabs,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  PersonAdd as PersonAddIcon,
+} from '@mui/icons-material';
+import { httpsCallable } from 'firebase/functions';
+import toast from 'react-hot-toast';
+
+const emptyTechnician = { displayName: '', aliases: [], email: '', phone: '', active: true };
+
+// Form for one directory entry; aliases are edited as a comma separated list
+function TechnicianForm({ technician, saving, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    ...technician,
+    aliasesText: (technician.aliases || []).join(', '),
+  });
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = () => {
+    const { aliasesText, ...rest } = form;
+    onSave({
+      ...rest,
+      aliases: aliasesText.split(',').map(alias => alias.trim()).filter(Boolean),
+    });
+  };
+
+  return (
+    <Box sx={{ p: 2, mb: 2, border: '1px solid', borderColor: 'divider', borderRadius: 2 }}>
+      <Stack spacing={2}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+          <TextField
+            fullWidth
+            size="small"
+            label="שם תצוגה"
+            value={form.displayName}
+            onChange={(e) => handleChange('displayName', e.target.value)}
+          />
+          <TextField
+            fullWidth
+            size="small"
+            label="כינויים ואיותים נוספים (מופרדים בפסיק)"
+            value={form.aliasesText}
+            onChange={(e) => handleChange('aliasesText', e.target.value)}
+          />
+        </Stack>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems="center">
+          <TextField
+            fullWidth
+            size="small"
+            label="אימייל"
+            value={form.email}
+            onChange={(e) => handleChange('email', e.target.value.trim())}
+            sx={{ direction: 'ltr' }}
+          />
+          <TextField
+            fullWidth
+            size="small"
+            label="טלפון"
+            value={form.phone}
+            onChange={(e) => handleChange('phone', e.target.value)}
+            sx={{ direction: 'ltr' }}
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                checked={form.active}
+                onChange={(e) => handleChange('active', e.target.checked)}
+              />
+            }
+            label="פעיל"
+          />
+        </Stack>
+        <Stack direction="row" spacing={1} justifyContent="flex-end">
+          <Button onClick={onCancel} disabled={saving}>ביטול</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || !form.displayName.trim()}
+          >
+            {saving ? <CircularProgress size={24} /> : 'שמור'}
+          </Button>
+        </Stack>
+      </Stack>
+    </Box>
+  );
+}
+
+// Names from the sheet grouped by how they matched the directory
+function ReportTable({ items, showMatch, onAdd }) {
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <TableContainer sx={{ maxHeight: 260, mb: 2 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            <TableCell sx={{ fontWeight: 700 }}>שם בגיליון</TableCell>
+            <TableCell sx={{ fontWeight: 700 }}>{showMatch ? 'זוהה כ' : 'הצעות'}</TableCell>
+            <TableCell sx={{ fontWeight: 700 }}>מופעים</TableCell>
+            <TableCell sx={{ fontWeight: 700 }}>שורות</TableCell>
+            {onAdd && <TableCell />}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {items.map((item) => (
+            <TableRow key={item.name}>
+              <TableCell>{item.name}</TableCell>
+              <TableCell>
+                {showMatch ? item.technician : (item.suggestions.join(', ') || '-')}
+              </TableCell>
+              <TableCell>{item.count}</TableCell>
+              <TableCell>{item.rows.slice(0, 10).join(', ')}{item.rows.length > 10 ? '…' : ''}</TableCell>
+              {onAdd && (
+                <TableCell>
+                  <Button size="small" onClick={() => onAdd(item.name)}>הוסף</Button>
+                </TableCell>
+              )}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+function TechniciansDialog({ open, onClose }) {
+  const [tab, setTab] = useState(0);
+  const [technicians, setTechnicians] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [report, setReport] = useState(null);
+  const [reportLoading, setReportLoading] = useState(false);
+
+  const loadDirectory = async () => {
+    setLoading(true);
+    try {
+      const getTechnicianDirectory = httpsCallable(window.functions, 'getTechnicianDirectory');
+      const result = await getTechnicianDirectory();
+      setTechnicians(result.data.technicians || []);
+    } catch (error) {
+      console.error('Error loading technicians:', error);
+      toast.error('שגיאה בטעינת ספריית הטכנאים');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadReport = async () => {
+    setReportLoading(true);
+    try {
+      const getTechnicianReport = httpsCallable(window.functions, 'getTechnicianReport');
+      const result = await getTechnicianReport();
+      setReport(result.data);
+    } catch (error) {
+      console.error('Error loading technician report:', error);
+      toast.error(`שגיאה בבדיקת השמות: ${error.message}`);
+    } finally {
+      setReportLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!open) return;
+    setEditing(null);
+    setReport(null);
+    loadDirectory();
+  }, [open]);
+
+  const handleSave = async (technician) => {
+    setSaving(true);
+    try {
+      const saveTechnician = httpsCallable(window.functions, 'saveTechnician');
+      await saveTechnician({ technician });
+      toast.success(`${technician.displayName} נשמר`);
+      setEditing(null);
+      await loadDirectory();
+      if (report) loadReport();
+    } catch (error) {
+      console.error('Error saving technician:', error);
+      toast.error(`שגיאה בשמירה: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (technician) => {
+    if (!window.confirm(`למחוק את ${technician.displayName} מהספרייה?`)) return;
+    try {
+      const deleteTechnician = httpsCallable(window.functions, 'deleteTechnician');
+      await deleteTechnician({ id: technician.id });
+      toast.success(`${technician.displayName} נמחק`);
+      await loadDirectory();
+    } catch (error) {
+      console.error('Error deleting technician:', error);
+      toast.error(`שגיאה במחיקה: ${error.message}`);
+    }
+  };
+
+  const handleAddFromReport = (name) => {
+    setTab(0);
+    setEditing({ ...emptyTechnician, displayName: name });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>ספריית טכנאים</DialogTitle>
+      <DialogContent>
+        <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+          <Tab label="טכנאים" />
+          <Tab label="בדיקת שמות בגיליון" />
+        </Tabs>
+
+        {tab === 0 && (
+          <>
+            {editing ? (
+              <TechnicianForm
+                key={editing.id || editing.displayName || 'new'}
+                technician={editing}
+                saving={saving}
+                onSave={handleSave}
+                onCancel={() => setEditing(null)}
+              />
+            ) : (
+              <Button
+                startIcon={<PersonAddIcon />}
+                onClick={() => setEditing(emptyTechnician)}
+                sx={{ mb: 2 }}
+              >
+                הוסף טכנאי
+              </Button>
+            )}
+
+            {loading ? (
+              <Box sx={{ p: 4, textAlign: 'center' }}>
+                <CircularProgress />
+              </Box>
+            ) : technicians.length === 0 ? (
+              <Alert severity="info">הספרייה ריקה</Alert>
+            ) : (
+              <TableContainer sx={{ maxHeight: 420 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={{ fontWeight: 700 }}>שם</TableCell>
+                      <TableCell sx={{ fontWeight: 700 }}>כינויים</TableCell>
+                      <TableCell sx={{ fontWeight: 700 }}>אימייל</TableCell>
+                      <TableCell sx={{ fontWeight: 700 }}>טלפון</TableCell>
+                      <TableCell sx={{ fontWeight: 700 }}>סטטוס</TableCell>
+                      <TableCell />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {technicians.map((technician) => (
+                      <TableRow key={technician.id}>
+                        <TableCell>{technician.displayName}</TableCell>
+                        <TableCell>{technician.aliases.join(', ') || '-'}</TableCell>
+                        <TableCell sx={{ direction: 'ltr' }}>{technician.email || '-'}</TableCell>
+                        <TableCell sx={{ direction: 'ltr' }}>{technician.phone || '-'}</TableCell>
+                        <TableCell>
+                          <Chip
+                            label={technician.active ? 'פעיל' : 'לא פעיל'}
+                            size="small"
+                            color={technician.active ? 'success' : 'default'}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <IconButton size="small" onClick={() => setEditing(technician)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton size="small" onClick={() => handleDelete(technician)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </>
+        )}
+
+        {tab === 1 && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              בודק את שמות הטכנאים בשורות מהשבוע האחרון והלאה מול הספרייה.
+            </Typography>
+            <Button
+              variant="outlined"
+              onClick={loadReport}
+              disabled={reportLoading}
+              sx={{ mb: 2 }}
+            >
+              {reportLoading ? <CircularProgress size={24} /> : 'הפעל בדיקה'}
+            </Button>
+
+            {report && (
+              <>
+                <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+                  <Chip size="small" label={`שורות: ${report.stats.rowsChecked}`} />
+                  <Chip size="small" color="success" label={`זוהו: ${report.stats.matched}`} />
+                  <Chip size="small" color="warning" label={`לא מזוהים: ${report.stats.unknown}`} />
+                </Stack>
+
+                {report.unknown.length === 0 && report.fuzzy.length === 0 && report.inactive.length === 0 && (
+                  <Alert severity="success">כל השמות בגיליון מזוהים</Alert>
+                )}
+
+                {report.unknown.length > 0 && (
+                  <>
+                    <Typography variant="subtitle2" sx={{ mb: 1 }}>שמות לא מזוהים</Typography>
+                    <ReportTable items={report.unknown} onAdd={handleAddFromReport} />
+                  </>
+                )}
+
+                {report.fuzzy.length > 0 && (
+                  <>
+                    <Typography variant="subtitle2" sx={{ mb: 1 }}>
+                      זוהו לפי איות קרוב (כדאי להוסיף ככינוי או לתקן בגיליון)
+                    </Typography>
+                    <ReportTable items={report.fuzzy} showMatch />
+                  </>
+                )}
+
+                {report.inactive.length > 0 && (
+                  <>
+                    <Typography variant="subtitle2" sx={{ mb: 1 }}>טכנאים לא פעילים ששובצו</Typography>
+                    <ReportTable items={report.inactive} showMatch />
+                  </>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>סגור</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TechniciansDialog;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { httpsCallable } from 'firebase/functions';
+import toast from 'react-hot-toast';
+import {
+  downloadWorkloadCsv,
+  downloadWorkloadXlsx,
+  eventTypeLabel,
+} from '../utils/workloadExport';
+
+// Hebrew labels for the payroll rates stored on the configuration
+const rateLabels = {
+  hourlyRate: 'תעריף שעתי (₪)',
+  overtimeRate: 'תעריף שעה נוספת (₪)',
+  overtimeAfterHours: 'שעות נוספות אחרי (שעות במשמרת)',
+  nightBonusRate: 'תוספת לשעת לילה (₪)',
+};
+
+const formatAmount = (value) => value.toLocaleString('he-IL', { maximumFractionDigits: 2 });
+
+function WorkloadReportDialog({ open, month, year, monthLabel, onClose }) {
+  const [report, setReport] = useState(null);
+  const [rates, setRates] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadReport = async () => {
+    setLoading(true);
+    try {
+      const getWorkloadReport = httpsCallable(window.functions, 'getWorkloadReport');
+      const result = await getWorkloadReport({ month, year });
+      setReport(result.data);
+      setRates(result.data.rates || {});
+    } catch (error) {
+      console.error('Error loading workload report:', error);
+      toast.error(`שגיאה בטעינת הדוח: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!open) return;
+    setReport(null);
+    loadReport();
+  }, [open, month, year]);
+
+  const handleRateChange = (field, value) => {
+    setRates(prev => ({ ...prev, [field]: value }));
+  };
+
+  const invalidRates = Object.keys(rateLabels).filter(
+    field => rates[field] === '' || Number.isNaN(Number(rates[field])) || Number(rates[field]) < 0
+  );
+
+  const handleSaveRates = async () => {
+    setSaving(true);
+    try {
+      const payrollRates = Object.fromEntries(
+        Object.keys(rateLabels).map(field => [field, Number(rates[field])])
+      );
+      const savePayrollRates = httpsCallable(window.functions, 'savePayrollRates');
+      await savePayrollRates({ rates: payrollRates });
+      toast.success('התעריפים נשמרו');
+      await loadReport();
+    } catch (error) {
+      console.error('Error saving payroll rates:', error);
+      toast.error(`שגיאה בשמירה: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>עומס עבודה ושכר טכנאים - {monthLabel} {year}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ p: 2, mb: 2, border: '1px solid', borderColor: 'divider', borderRadius: 2 }}>
+          <Typography variant="subtitle2" sx={{ mb: 2 }}>תעריפים להערכת שכר</Typography>
+          <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems="center">
+            {Object.entries(rateLabels).map(([field, label]) => (
+              <TextField
+                key={field}
+                fullWidth
+                size="small"
+                type="number"
+                label={label}
+                value={rates[field] ?? ''}
+                onChange={(e) => handleRateChange(field, e.target.value)}
+                error={invalidRates.includes(field)}
+                inputProps={{ min: 0, step: 'any' }}
+              />
+            ))}
+            <Button
+              variant="outlined"
+              onClick={handleSaveRates}
+              disabled={saving || loading || invalidRates.length > 0}
+              sx={{ minWidth: 140 }}
+            >
+              {saving ? <CircularProgress size={24} /> : 'שמור וחשב'}
+            </Button>
+          </Stack>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+            שעות לילה: 22:00-06:00. שעות נוספות נספרות לכל משמרת בנפרד.
+          </Typography>
+        </Box>
+
+        {loading ? (
+          <Box sx={{ p: 4, textAlign: 'center' }}>
+            <CircularProgress />
+          </Box>
+        ) : !report ? null : report.technicians.length === 0 ? (
+          <Alert severity="info">אין שיבוצי טכנאים בחודש זה</Alert>
+        ) : (
+          <>
+            <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+              <Chip size="small" label={`טכנאים: ${report.technicians.length}`} />
+              <Chip size="small" label={`שעות: ${formatAmount(report.totals.hours)}`} />
+              <Chip size="small" label={`שעות לילה: ${formatAmount(report.totals.nightHours)}`} />
+              <Chip size="small" color="success" label={`סה"כ שכר: ₪${formatAmount(report.totals.pay)}`} />
+            </Stack>
+            <TableContainer sx={{ maxHeight: 480 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 700 }}>טכנאי</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>אירועים</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>שעות</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>שעות לילה</TableCell>
+                    <TableCell sx={{ fontWeight: 700 }}>שעות נוספות</TableCell>
+                    {report.eventTypes.map(type => (
+                      <TableCell key={type} sx={{ fontWeight: 700 }}>{eventTypeLabel(type)}</TableCell>
+                    ))}
+                    <TableCell sx={{ fontWeight: 700 }}>הערכת שכר</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.technicians.map((item) => (
+                    <TableRow key={item.technicianId || item.technician}>
+                      <TableCell>
+                        {item.technician}
+                        {!item.technicianId && (
+                          <Chip size="small" variant="outlined" label="לא בספרייה" sx={{ ml: 1 }} />
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Tooltip title={`שורות: ${item.rows.join(', ')}`}>
+                          <span>
+                            {item.events}
+                            {item.untimedEvents > 0 && ` (${item.untimedEvents} ללא שעה)`}
+                          </span>
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>{formatAmount(item.hours)}</TableCell>
+                      <TableCell>{formatAmount(item.nightHours)}</TableCell>
+                      <TableCell>{formatAmount(item.overtimeHours)}</TableCell>
+                      {report.eventTypes.map(type => (
+                        <TableCell key={type}>{formatAmount(item.hoursByType[type] || 0)}</TableCell>
+                      ))}
+                      <TableCell>
+                        <Tooltip
+                          title={`רגיל ₪${formatAmount(item.pay.regular)} · נוספות ₪${formatAmount(item.pay.overtime)} · לילה ₪${formatAmount(item.pay.night)}`}
+                        >
+                          <span>₪{formatAmount(item.pay.total)}</span>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button
+          startIcon={<DownloadIcon />}
+          onClick={() => downloadWorkloadCsv(report)}
+          disabled={!report || report.technicians.length === 0}
+        >
+          CSV
+        </Button>
+        <Button
+          startIcon={<DownloadIcon />}
+          onClick={() => downloadWorkloadXlsx(report)}
+          disabled={!report || report.technicians.length === 0}
+        >
+          Excel
+        </Button>
+        <Button onClick={onClose}>סגור</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default WorkloadReportDialog;
@@ -2,6 +2,14 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { getFunctions, httpsCallable } from 'firebase/functions';
 import toast from 'react-hot-toast';
 
+// Warn about sheet rows the backend rejected for a date or time problem
+const notifyRejectedRows = (data) => {
+  const count = data.rejected?.length || 0;
+  if (count > 0) {
+    toast(`${count} rows rejected: invalid date or time`, { icon: '⚠️', duration: 6000 });
+  }
+};
+
 export const useEvents = (timeframe = 'today') => {
   return useQuery({
     queryKey: ['events', timeframe],
@@ -25,6 +33,19 @@ export const useEvents = (timeframe = 'today') => {
   });
 };
 
+// Shared event type color map, also used for the synced events' colorId
+export const useEventColors = () => {
+  return useQuery({
+    queryKey: ['eventColors'],
+    queryFn: async () => {
+      const getEventColors = httpsCallable(window.functions, 'getEventColors');
+      const result = await getEventColors();
+      return result.data.colors || [];
+    },
+    staleTime: 1000 * 60 * 30, // 30 minutes
+  });
+};
+
 export const useManualScan = () => {
   const queryClient = useQueryClient();
 
@@ -52,6 +73,12 @@ export const useManualScan = () => {
         `Scan complete! ${data.stats?.processed || 0} events processed`,
         { duration: 5000 }
       );
+      notifyRejectedRows(data);
+
+      const removedTentative = data.removedTentative?.length || 0;
+      if (removedTentative > 0) {
+        toast(`${removedTentative} tentative events removed (option reverted or row deleted)`, { duration: 6000 });
+      }
     },
     onError: (error) => {
       toast.error(`Scan failed: ${error.message}`);
@@ -60,8 +87,6 @@ export const useManualScan = () => {
 };
 
 export const useDeleteEvents = () => {
-  const queryClient = useQueryClient();
-
   return useMutation({
     mutationFn: async ({ month, year }) => {
       const functions = getFunctions(undefined, 'us-central1');
@@ -74,11 +99,9 @@ export const useDeleteEvents = () => {
 
       return result.data;
     },
+    // The deletion runs as a job; its progress is followed with useJob
     onSuccess: (data, variables) => {
-      queryClient.invalidateQueries({ queryKey: ['events'] });
-      toast.success(
-        `Deleted ${data.deletedCount || 0} events from ${variables.month}/${variables.year}`
-      );
+      toast.success(`Deleting events from ${variables.month}/${variables.year}`);
     },
     onError: (error) => {
       toast.error(`Delete failed: ${error.message}`);
@@ -87,13 +110,11 @@ export const useDeleteEvents = () => {
 };
 
 export const useReprocessSelectedRows = () => {
-  const queryClient = useQueryClient();
-
   return useMutation({
-    mutationFn: async ({ rowIndices }) => {
+    mutationFn: async ({ rowIds }) => {
       const functions = window.functions;
       const reprocessSelectedRows = httpsCallable(functions, 'reprocessSelectedRows');
-      const result = await reprocessSelectedRows({ rowIndices });
+      const result = await reprocessSelectedRows({ rowIds });
 
       if (!result.data.success) {
         throw new Error(result.data.error || 'Reprocess failed');
@@ -101,11 +122,9 @@ export const useReprocessSelectedRows = () => {
 
       return result.data;
     },
-    onSuccess: (data) => {
-      queryClient.invalidateQueries({ queryKey: ['events'] });
-      toast.success(
-        `Added ${data.stats.processed} events to calendar (${data.stats.skipped} skipped)`
-      );
+    // The rows are added by a job; its progress is followed with useJob
+    onSuccess: (data, variables) => {
+      toast.success(`Adding ${variables.rowIds.length} events to calendar`);
     },
     onError: (error) => {
       toast.error(`Failed to add events: ${error.message}`);
@@ -114,8 +133,6 @@ export const useReprocessSelectedRows = () => {
 };
 
 export const useScanMonthEvents = () => {
-  const queryClient = useQueryClient();
-
   return useMutation({
     mutationFn: async ({ month, year }) => {
       const functions = window.functions;
@@ -128,11 +145,9 @@ export const useScanMonthEvents = () => {
 
       return result.data;
     },
+    // The scan runs as a job; its progress is followed with useJob
     onSuccess: (data, variables) => {
-      queryClient.invalidateQueries({ queryKey: ['events'] });
-      toast.success(
-        `Scanned ${variables.month}/${variables.year}: ${data.stats.processed} events added`
-      );
+      toast.success(`Scanning ${variables.month}/${variables.year}`);
     },
     onError: (error) => {
       toast.error(`Scan failed: ${error.message}`);
@@ -144,10 +159,10 @@ export const useDeleteSelectedEvents = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ rowIndices }) => {
+    mutationFn: async ({ rowIds }) => {
       const functions = window.functions;
       const deleteSelectedEvents = httpsCallable(functions, 'deleteSelectedEvents');
-      const result = await deleteSelectedEvents({ rowIndices });
+      const result = await deleteSelectedEvents({ rowIds });
 
       if (!result.data.success) {
         throw new Error(result.data.error || 'Delete failed');
@@ -166,3 +181,129 @@ export const useDeleteSelectedEvents = () => {
     },
   });
 };
+
+export const useSyncPlan = () => {
+  return useMutation({
+    // Runs a scan function with dryRun so nothing is written; returns the plan
+    mutationFn: async ({ functionName, params = {} }) => {
+      const functions = window.functions;
+      const scanFunction = httpsCallable(functions, functionName);
+      const result = await scanFunction({ ...params, dryRun: true });
+
+      if (!result.data.success) {
+        throw new Error(result.data.error || 'Failed to build sync plan');
+      }
+
+      return result.data;
+    },
+    onError: (error) => {
+      toast.error(`Failed to build sync plan: ${error.message}`);
+    },
+  });
+};
+
+export const useMergeDuplicateEvents = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ month, year }) => {
+      const findDuplicateEvents = httpsCallable(window.functions, 'findDuplicateEvents');
+      const result = await findDuplicateEvents({ month, year });
+
+      if (!result.data.success) {
+        throw new Error(result.data.error || 'Merge failed');
+      }
+
+      return result.data;
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['events'] });
+      toast.success(`Deleted ${data.stats.deleted} duplicate events`);
+      if (data.stats.errors > 0) {
+        toast.error(`${data.stats.errors} duplicates could not be deleted`);
+      }
+    },
+    onError: (error) => {
+      toast.error(`Merge failed: ${error.message}`);
+    },
+  });
+};
+
+export const useBackfillEventMetadata = () => {
+  return useMutation({
+    mutationFn: async () => {
+      const functions = window.functions;
+      const backfillEventMetadata = httpsCallable(functions, 'backfillEventMetadata');
+      const result = await backfillEventMetadata();
+
+      if (!result.data.success) {
+        throw new Error(result.data.error || 'Backfill failed');
+      }
+
+      return result.data;
+    },
+    onSuccess: (data) => {
+      toast.success(
+        `Added metadata to ${data.stats.backfilled} of ${data.stats.checked} events`
+      );
+    },
+    onError: (error) => {
+      toast.error(`Backfill failed: ${error.message}`);
+    },
+  });
+};
+
+export const useCheckTechnicianConflicts = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      const functions = window.functions;
+      const checkTechnicianConflicts = httpsCallable(functions, 'checkTechnicianConflicts');
+      const result = await checkTechnicianConflicts();
+
+      if (!result.data.success) {
+        throw new Error(result.data.error || 'Conflict check failed');
+      }
+
+      return result.data;
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['events'] });
+      if (data.conflicts.length > 0) {
+        toast.error(`Found ${data.conflicts.length} technician double bookings`, { duration: 6000 });
+      } else {
+        toast.success('No technician double bookings found');
+      }
+    },
+    onError: (error) => {
+      toast.error(`Conflict check failed: ${error.message}`);
+    },
+  });
+};
+
+export const useCancelJob = () => {
+  return useMutation({
+    mutationFn: async ({ jobId }) => {
+      const cancelJob = httpsCallable(window.functions, 'cancelJob');
+      const result = await cancelJob({ jobId });
+      return result.data;
+    },
+    onError: (error) => {
+      toast.error(`Cancel failed: ${error.message}`);
+    },
+  });
+};
+
+export const useResumeJob = () => {
+  return useMutation({
+    mutationFn: async ({ jobId }) => {
+      const resumeJob = httpsCallable(window.functions, 'resumeJob');
+      const result = await resumeJob({ jobId });
+      return result.data;
+    },
+    onError: (error) => {
+      toast.error(`Resume failed: ${error.message}`);
+    },
+  });
+};
@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+import { collection, doc, limit, onSnapshot, orderBy, query, where } from 'firebase/firestore';
+import { useQueryClient } from '@tanstack/react-query';
+import useAuthStore from '../store/authStore';
+
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// Live state of a job and of its failed items, as the worker writes them.
+// The job is null until its first snapshot arrives.
+export const useJob = (jobId) => {
+  const queryClient = useQueryClient();
+  const [job, setJob] = useState(null);
+  const [failures, setFailures] = useState([]);
+
+  useEffect(() => {
+    setJob(null);
+    setFailures([]);
+    if (!jobId) return undefined;
+
+    const unsubscribeJob = onSnapshot(
+      doc(window.db, 'jobs', jobId),
+      (snapshot) => {
+        const data = snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+        setJob(data);
+        // Events changed by the job show up in every view once it is done
+        if (data?.status === 'completed') {
+          queryClient.invalidateQueries({ queryKey: ['events'] });
+        }
+      },
+      (error) => console.error('Error following job:', error)
+    );
+
+    const unsubscribeFailures = onSnapshot(
+      query(collection(window.db, 'jobs', jobId, 'results'), where('status', '==', 'failed')),
+      (snapshot) => setFailures(snapshot.docs.map(resultDoc => ({ id: resultDoc.id, ...resultDoc.data() }))),
+      (error) => console.error('Error following job results:', error)
+    );
+
+    return () => {
+      unsubscribeJob();
+      unsubscribeFailures();
+    };
+  }, [jobId]);
+
+  return { job, failures };
+};
+
+// ID of the organization's latest job still queued or running, so a job
+// started before a reload or from another browser can be followed again
+export const useActiveJobId = () => {
+  const { organization } = useAuthStore();
+  const [activeJobId, setActiveJobId] = useState(null);
+
+  useEffect(() => {
+    if (!organization?.id) return undefined;
+
+    return onSnapshot(
+      query(
+        collection(window.db, 'jobs'),
+        where('orgId', '==', organization.id),
+        where('status', 'in', ACTIVE_JOB_STATUSES),
+        orderBy('createdAt', 'desc'),
+        limit(1)
+      ),
+      (snapshot) => setActiveJobId(snapshot.empty ? null : snapshot.docs[0].id),
+      (error) => console.error('Error looking up active jobs:', error)
+    );
+  }, [organization?.id]);
+
+  return activeJobId;
+};
@@ -0,0 +1,23 @@
+import useAuthStore from '../store/authStore';
+
+// Hebrew names of the organization roles
+export const ROLE_LABELS = {
+  admin: 'מנהל',
+  coordinator: 'רכז',
+  technician: 'טכנאי',
+  viewer: 'צופה',
+};
+
+// The signed-in member's role and what it allows, as returned by getOrganization.
+// The server enforces the same permissions; this only hides what would be refused.
+const usePermissions = () => {
+  const { organization } = useAuthStore();
+  const permissions = organization?.permissions || [];
+
+  return {
+    role: organization?.role || null,
+    can: (permission) => permissions.includes(permission),
+  };
+};
+
+export default usePermissions;
@@ -5,22 +5,25 @@ const useAuthStore = create(
   persist(
     (set, get) => ({
       user: null,
+      organization: null,
       loading: true,
       error: null,
 
       setUser: (user) => set({ user, loading: false, error: null }),
 
+      setOrganization: (organization) => set({ organization }),
+
       setLoading: (loading) => set({ loading }),
 
       setError: (error) => set({ error, loading: false }),
 
-      logout: () => set({ user: null, error: null }),
+      logout: () => set({ user: null, organization: null, error: null }),
 
       isAuthenticated: () => !!get().user,
     }),
     {
       name: 'auth-storage',
-      partialize: (state) => ({ user: state.user }),
+      partialize: (state) => ({ user: state.user, organization: state.organization }),
     }
   )
 );
@@ -0,0 +1,31 @@
+// src/utils/eventColors.js
+
+// Badge colors for event types missing from the color map
+export const DEFAULT_EVENT_TYPE_COLOR = { bg: '#607D8B', text: '#FFFFFF' };
+
+// Google Calendar's event palette, keyed by colorId
+export const CALENDAR_COLORS = {
+  1: { name: 'Lavender', hex: '#7986CB' },
+  2: { name: 'Sage', hex: '#33B679' },
+  3: { name: 'Grape', hex: '#8E24AA' },
+  4: { name: 'Flamingo', hex: '#E67C73' },
+  5: { name: 'Banana', hex: '#F6BF26' },
+  6: { name: 'Tangerine', hex: '#F4511E' },
+  7: { name: 'Peacock', hex: '#039BE5' },
+  8: { name: 'Graphite', hex: '#616161' },
+  9: { name: 'Blueberry', hex: '#3F51B5' },
+  10: { name: 'Basil', hex: '#0B8043' },
+  11: { name: 'Tomato', hex: '#D50000' },
+};
+
+/**
+ * Badge colors of an event type
+ * @param {Array} colors - Color map from the getEventColors function
+ * @param {string} eventType - Event type detail of the event
+ * @returns {{bg: string, text: string}} Background and text colors
+ */
+export const getEventTypeColor = (colors, eventType) => {
+  const type = (eventType || '').trim();
+  const entry = (colors || []).find(candidate => candidate.type === type);
+  return entry ? { bg: entry.color, text: entry.textColor } : DEFAULT_EVENT_TYPE_COLOR;
+};
@@ -0,0 +1,152 @@
+// src/utils/workloadExport.js
+import { strToU8, zipSync } from 'fflate';
+
+const NO_TYPE_LABEL = 'ללא סוג';
+
+/**
+ * Label of an event type column, for types left empty in the sheet
+ * @param {string} type - Event type from the report
+ * @returns {string} The label
+ */
+export const eventTypeLabel = (type) => type || NO_TYPE_LABEL;
+
+// Sum a value over all technicians, rounded to two decimals
+const sumOf = (report, pick) =>
+  Math.round(report.technicians.reduce((sum, item) => sum + pick(item), 0) * 100) / 100;
+
+/**
+ * Flattens a workload report into a header row and one row per technician
+ * @param {Object} report - Result of the getWorkloadReport function
+ * @returns {{header: string[], rows: Array[]}} Table with a totals row at the end
+ */
+export const buildWorkloadTable = (report) => {
+  const header = [
+    'טכנאי',
+    'אירועים',
+    'משמרות',
+    'שעות',
+    'שעות לילה',
+    'שעות נוספות',
+    ...report.eventTypes.map(type => `שעות - ${eventTypeLabel(type)}`),
+    'שכר רגיל',
+    'שעות נוספות (₪)',
+    'תוספת לילה',
+    'סה"כ לתשלום',
+  ];
+
+  const rows = report.technicians.map(item => [
+    item.technician,
+    item.events,
+    item.shifts,
+    item.hours,
+    item.nightHours,
+    item.overtimeHours,
+    ...report.eventTypes.map(type => item.hoursByType[type] || 0),
+    item.pay.regular,
+    item.pay.overtime,
+    item.pay.night,
+    item.pay.total,
+  ]);
+
+  const { totals } = report;
+  rows.push([
+    'סה"כ',
+    totals.events,
+    totals.shifts,
+    totals.hours,
+    totals.nightHours,
+    totals.overtimeHours,
+    ...report.eventTypes.map(type => sumOf(report, item => item.hoursByType[type] || 0)),
+    ...['regular', 'overtime', 'night'].map(key => sumOf(report, item => item.pay[key])),
+    totals.pay,
+  ]);
+
+  return { header, rows };
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const reportFilename = (report, extension) =>
+  `workload-${report.year}-${String(report.month).padStart(2, '0')}.${extension}`;
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Downloads the workload report as CSV
+ * The file starts with a byte order mark so Excel reads the Hebrew as UTF-8.
+ * @param {Object} report - Result of the getWorkloadReport function
+ */
+export const downloadWorkloadCsv = (report) => {
+  const { header, rows } = buildWorkloadTable(report);
+  const csv = [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+  downloadBlob(new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' }), reportFilename(report, 'csv'));
+};
+
+const xmlEscape = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const xlsxCell = (value) => (typeof value === 'number'
+  ? `<c><v>${value}</v></c>`
+  : `<c t="inlineStr"><is><t>${xmlEscape(value ?? '')}</t></is></c>`);
+
+/**
+ * Downloads the workload report as an XLSX workbook with one right-to-left sheet
+ * @param {Object} report - Result of the getWorkloadReport function
+ */
+export const downloadWorkloadXlsx = (report) => {
+  const { header, rows } = buildWorkloadTable(report);
+  const sheetRows = [header, ...rows]
+    .map(row => `<row>${row.map(xlsxCell).join('')}</row>`)
+    .join('');
+
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+      + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${report.month}-${report.year}" sheetId="1" r:id="rId1"/></sheets>`
+      + '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '</Relationships>',
+    'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<sheetViews><sheetView workbookViewId="0" rightToLeft="1"/></sheetViews>'
+      + `<sheetData>${sheetRows}</sheetData>`
+      + '</worksheet>',
+  };
+
+  const zipped = zipSync(
+    Object.fromEntries(Object.entries(files).map(([name, xml]) => [name, strToU8(xml)]))
+  );
+  downloadBlob(
+    new Blob([zipped], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+    reportFilename(report, 'xlsx')
+  );
+};